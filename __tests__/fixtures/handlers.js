@@ -0,0 +1,25 @@
+const zlib = require('zlib');
+const { Handler } = require('../../lib'); // eslint-disable-line import/no-unresolved, import/extensions
+
+// Keep the log entries of the invocations out of the output of the tests.
+const options = { logLevel: 'silent' };
+
+module.exports = {
+  handler: Handler.create(handler => ({
+    echo: handler.event,
+    isColdStart: handler.isColdStart,
+  }), options),
+  failing: Handler.create(() => {
+    throw new Error('Processing failed');
+  }, options),
+  invalid: Handler.create(() => {}, Object.assign({ eventSchema: { required: ['id'] } }, options)),
+  profiled: Handler.create((handler) => {
+    Object.assign(handler, {
+      profile: zlib.deflateSync(JSON.stringify({ nodes: [] })).toString('base64'),
+    });
+  }, options),
+  plain: (event, context, callback) => callback(null, 'plain'),
+  rejected: () => Promise.reject('Rejected without an error'), // eslint-disable-line prefer-promise-reject-errors
+  slow: () => new Promise(() => {}),
+  notAFunction: 'nope',
+};
@@ -2,6 +2,10 @@ jest.mock('v8-profiler-lambda');
 jest.mock('zlib');
 
 const Handler = require('../../lib/Handler');
+const InMemoryFailureDestination = require('../../lib/failureDestinations/InMemoryFailureDestination');
+const InMemoryIdempotencyStore = require('../../lib/idempotency/InMemoryIdempotencyStore');
+const events = require('../../lib/testing/events');
+const { IdempotencyInProgressError, ValidationError } = require('../../lib/errors');
 
 describe('Handler', () => {
   let event;
@@ -15,7 +19,7 @@ describe('Handler', () => {
     event = { iAm: 'an event' };
     context = { iAm: 'context', callbackWaitsForEmptyEventLoop: true };
     callback = jest.fn();
-    options = { iAm: 'options' };
+    options = { iAm: 'options', logStream: { write: jest.fn() } };
     processor = jest.fn();
     mocks.forEach(mock => mock.mockRestore());
     mocks = [];
@@ -66,6 +70,106 @@ describe('Handler', () => {
     });
   });
 
+  describe('logger', () => {
+    let stream;
+
+    beforeEach(() => {
+      stream = { write: jest.fn() };
+      options.logStream = stream;
+      delete process.env.LOG_LEVEL;
+    });
+
+    afterEach(() => {
+      delete process.env.LOG_LEVEL;
+    });
+
+    it('adds invocation fields to every entry', () => {
+      expect.assertions(1);
+      context = {
+        awsRequestId: 'request123',
+        functionName: 'fn',
+        functionVersion: '$LATEST',
+      };
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.logger.info('Hello');
+      expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual({
+        timestamp: expect.any(String),
+        level: 'info',
+        message: 'Hello',
+        awsRequestId: 'request123',
+        functionName: 'fn',
+        functionVersion: '$LATEST',
+        isColdStart: false,
+        totalInvocations: handler.container.totalInvocations,
+        elapsedMs: expect.any(Number),
+      });
+    });
+
+    it('works without a context', () => {
+      expect.assertions(1);
+      const handler = new Handler(processor, options, event, undefined, callback);
+      handler.logger.info('Hello');
+      expect(JSON.parse(stream.write.mock.calls[0][0]).awsRequestId).toBeUndefined();
+    });
+
+    it('uses the log level from the environment', () => {
+      expect.assertions(2);
+      options.logLevel = 'error';
+      expect(new Handler(processor, options, event, context, callback).logger.level)
+        .toBe('error');
+      process.env.LOG_LEVEL = 'DEBUG';
+      expect(new Handler(processor, options, event, context, callback).logger.level)
+        .toBe('debug');
+    });
+
+    it('ignores unknown log levels with a warning once per container', () => {
+      expect.assertions(5);
+      Handler.resetContainer();
+      options.logLevel = 'warn';
+      process.env.LOG_LEVEL = 'WARNING';
+      const handler = new Handler(processor, options, event, context, callback);
+      expect(handler.logger.level).toBe('warn');
+      options.logLevel = 'fatal';
+      expect(new Handler(processor, options, event, context, callback).logger.level)
+        .toBe('info');
+      expect(stream.write).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(expect.objectContaining({
+        level: 'warn',
+        message: 'Ignoring unknown log levels',
+        unknownLevels: ['warning'],
+        logLevel: 'warn',
+      }));
+      process.env.LOG_LEVEL = '';
+      return Handler.create(processor, options)(event, context)
+        .then(() => {
+          const warnings = stream.write.mock.calls.map(([line]) => JSON.parse(line))
+            .filter(({ level }) => level === 'warn');
+          expect(warnings).toHaveLength(1);
+        });
+    });
+
+    it('enables debug entries for a percentage of invocations', () => {
+      expect.assertions(5);
+      options.logSamplePercentage = 50;
+      const first = new Handler(processor, options, event, context, callback);
+      first.container.debugSamplePercentage.total = 0;
+      first.container.debugSamplePercentage.subset = 0;
+      const levels = [0, 1, 2, 3].map(() => new Handler(processor, options, event, context, callback))
+        .map(handler => handler.logger.level);
+      expect(levels).toEqual(['debug', 'info', 'info', 'debug']);
+      options.logLevel = 'trace';
+      first.container.debugSamplePercentage.total = 0;
+      first.container.debugSamplePercentage.subset = 0;
+      const handler = new Handler(processor, options, event, context, callback);
+      expect(handler.debugSampled).toBe(true);
+      expect(handler.logger.level).toBe('trace');
+      options.logSamplePercentage = 0;
+      const unsampled = new Handler(processor, options, event, context, callback);
+      expect(unsampled.debugSampled).toBe(false);
+      expect(unsampled.logger.level).toBe('trace');
+    });
+  });
+
   test('create() creates a new Handler and returns a lambda handler which invokes it', () => {
     expect.assertions(5);
     processor.mockImplementationOnce((handler) => {
@@ -81,6 +185,170 @@ describe('Handler', () => {
       });
   });
 
+  describe('create() middleware', () => {
+    it('registers middleware from options and use() for every invocation', () => {
+      expect.assertions(3);
+      const calls = [];
+      const first = { before: { process: () => calls.push('first') } };
+      const second = { before: { process: () => calls.push('second') } };
+      const lambdaHandler = Handler.create(processor, { middleware: [first], logStream: options.logStream });
+      expect(lambdaHandler.use(second)).toBe(lambdaHandler);
+      return lambdaHandler(event, context, callback)
+        .then(() => lambdaHandler(event, context, callback))
+        .then(() => {
+          expect(calls).toEqual(['first', 'second', 'first', 'second']);
+          expect(first).toEqual({ before: { process: expect.any(Function) } });
+        });
+    });
+
+    it('does not require options', () => {
+      expect.assertions(2);
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      mocks.push(write);
+      const lambdaHandler = Handler.create(processor);
+      return lambdaHandler(event, context, callback)
+        .then(() => {
+          expect(callback).toHaveBeenCalled();
+          expect(write).toHaveBeenCalledWith(expect.stringContaining('"message":"Invocation timings"'));
+        });
+    });
+
+    it('rejects invalid middleware', () => {
+      expect.assertions(2);
+      expect(() => Handler.create(processor).use(null))
+        .toThrow('Middleware must be an object with before, after or onError hooks');
+      expect(() => new Handler(processor, { middleware: ['nope'] }, event, context, callback))
+        .toThrow('Middleware must be an object with before, after or onError hooks');
+    });
+  });
+
+  describe('use()', () => {
+    it('runs hooks around each step in a defined order', () => {
+      expect.assertions(1);
+      const calls = [];
+      const record = name => (h, value) => {
+        calls.push(value == null ? name : `${name}:${value}`);
+      };
+      const middleware = id => ['init', 'process', 'cleanup', 'respond']
+        .reduce((mw, phase) => ({
+          before: Object.assign({}, mw.before, { [phase]: record(`${id}.before.${phase}`) }),
+          after: Object.assign({}, mw.after, { [phase]: record(`${id}.after.${phase}`) }),
+        }), {});
+      processor = () => 'res';
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.use(middleware('a')).use(middleware('b'));
+      return handler.invoke()
+        .then(() => {
+          expect(calls).toEqual([
+            'a.before.init',
+            'b.before.init',
+            'b.after.init',
+            'a.after.init',
+            'a.before.process',
+            'b.before.process',
+            'b.after.process:res',
+            'a.after.process:res',
+            'a.before.cleanup',
+            'b.before.cleanup',
+            'b.after.cleanup',
+            'a.after.cleanup',
+            'a.before.respond',
+            'b.before.respond',
+            'b.after.respond',
+            'a.after.respond',
+          ]);
+        });
+    });
+
+    it('passes the error and response to before respond hooks', () => {
+      expect.assertions(1);
+      const before = jest.fn();
+      processor = () => 'res';
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.use({ before: { respond: before } });
+      return handler.invoke()
+        .then(() => {
+          expect(before).toHaveBeenCalledWith(handler, null, 'res');
+        });
+    });
+
+    it('lets after hooks replace the result of a step', () => {
+      expect.assertions(1);
+      processor = () => 'res';
+      const handler = new Handler(processor, options, event, context, callback);
+      handler
+        .use({ after: { process: (h, res) => `${res}!` } })
+        .use({ after: { process: () => Promise.resolve('replaced') } });
+      return handler.invoke()
+        .then(() => {
+          expect(callback).toHaveBeenCalledWith(null, 'replaced!');
+        });
+    });
+
+    it('lets onError hooks recover from or replace errors', () => {
+      expect.assertions(3);
+      const error = new Error('FAIL');
+      const replacement = new Error('REPLACED');
+      const observe = jest.fn();
+      processor = () => {
+        throw error;
+      };
+      const handler = new Handler(processor, options, event, context, callback);
+      handler
+        .use({ onError: { process: (h, err) => ({ recoveredFrom: err.message }) } })
+        .use({ onError: { process: observe } })
+        .use({
+          onError: {
+            process: () => {
+              throw replacement;
+            },
+          },
+        });
+      return handler.invoke()
+        .then(() => {
+          expect(observe).toHaveBeenCalledWith(handler, replacement);
+          expect(callback).toHaveBeenCalledWith(null, { recoveredFrom: 'REPLACED' });
+          expect(callback).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    it('treats a failing hook as a failure of its step', () => {
+      expect.assertions(2);
+      const error = new Error('FAIL');
+      mocks.push(jest.spyOn(Handler.prototype, 'cleanup'));
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.use({
+        before: {
+          process: () => {
+            throw error;
+          },
+        },
+      });
+      return handler.invoke()
+        .then(() => {
+          expect(Handler.prototype.cleanup).toHaveBeenCalled();
+          expect(callback).toHaveBeenCalledWith(error, undefined);
+        });
+    });
+
+    it('bypasses middleware when respond hooks keep failing', () => {
+      expect.assertions(1);
+      const error = new Error('FAIL');
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.use({
+        before: {
+          respond: () => {
+            throw error;
+          },
+        },
+      });
+      return handler.invoke()
+        .then(() => {
+          expect(callback).toHaveBeenCalledWith(error, undefined);
+        });
+    });
+  });
+
   describe('invoke()', () => {
     it('runs through each step of the invocation process', () => {
       const steps = ['init', 'process', 'cleanup', 'respond'];
@@ -112,146 +380,1819 @@ describe('Handler', () => {
       return handler.invoke();
     });
 
-    it('still calls cleanup() if process() fails', () => {
-      mocks.push(jest.spyOn(Handler.prototype, 'cleanup'));
-      processor = () => {
-        throw new Error('FAIL');
+    it('still calls cleanup() if process() fails', () => {
+      mocks.push(jest.spyOn(Handler.prototype, 'cleanup'));
+      processor = () => {
+        throw new Error('FAIL');
+      };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(Handler.prototype.cleanup).toHaveBeenCalled();
+        });
+    });
+
+    it('if cleanup throws, the error is passed to respond', () => {
+      const error = new Error('FAIL');
+      mocks.push(
+        jest.spyOn(Handler.prototype, 'respond'),
+        jest.spyOn(Handler.prototype, 'cleanup').mockImplementation(() => {
+          throw error;
+        })
+      );
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(Handler.prototype.respond).toHaveBeenCalledWith(error);
+        });
+    });
+
+    it('sends the result of process() to respond()', () => {
+      expect.assertions(1);
+      const response = { iAm: 'a response' };
+      processor = () => response;
+      const handler = new Handler(processor, options, event, context, callback);
+      mocks.push(jest.spyOn(handler, 'respond'));
+      return handler.invoke()
+        .then(() => {
+          expect(handler.respond).toHaveBeenCalledWith(null, response);
+        });
+    });
+
+    it('catches errors at all pre-response steps', () => {
+      const steps = ['init', 'process', 'cleanup'];
+      expect.assertions(steps.length);
+      mocks.push(jest.spyOn(Handler.prototype, 'respond'));
+      return Promise.all(steps.map((toThrow) => {
+        const handler = new Handler(processor, options, event, context, callback);
+        const error = new Error(toThrow);
+        const handlerMocks = steps.map(step => jest.spyOn(
+          handler,
+          step
+        ).mockReturnValue(step === toThrow ? Promise.reject(error) : Promise.resolve()));
+        return handler.invoke()
+          .then(() => {
+            expect(handler.respond).toHaveBeenCalledWith(error);
+            handlerMocks.forEach(mock => mock.mockRestore());
+          });
+      }));
+    });
+
+    it('catches a single error in the respond method', () => {
+      expect.assertions(3);
+      const response = { iAm: 'a response' };
+      processor = () => response;
+      const handler = new Handler(processor, options, event, context, callback);
+      const error = new Error('yikes!');
+      mocks.push(jest.spyOn(handler, 'respond')
+        .mockReturnValueOnce(Promise.reject(error)));
+      return handler.invoke()
+        .then(() => {
+          expect(handler.respond).toHaveBeenCalledWith(null, response);
+          expect(handler.respond).toHaveBeenCalledWith(error);
+          expect(handler.respond).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    it('cleans up once when the respond method fails', () => {
+      expect.assertions(3);
+      options.profileSink = { write: jest.fn(() => Promise.resolve()) };
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.profile = 'A profile!';
+      const error = new Error('yikes!');
+      mocks.push(
+        jest.spyOn(handler, 'stopProfiling'),
+        jest.spyOn(handler, 'respond').mockReturnValueOnce(Promise.reject(error))
+      );
+      return handler.invoke()
+        .then(() => {
+          expect(handler.respond).toHaveBeenCalledWith(error);
+          expect(handler.stopProfiling).toHaveBeenCalledTimes(1);
+          expect(options.profileSink.write).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    it('catches three errors in the respond method then falls back to invoking the callback directly', () => {
+      expect.assertions(5);
+      const response = { iAm: 'a response' };
+      processor = () => response;
+      const handler = new Handler(processor, options, event, context, callback);
+      const errorOne = new Error('yikes!');
+      const errorTwo = new Error('another yikes!');
+      const errorThree = new Error('another yikes!');
+      mocks.push(jest.spyOn(handler, 'respond')
+        .mockReturnValueOnce(Promise.reject(errorOne))
+        .mockReturnValueOnce(Promise.reject(errorTwo))
+        .mockReturnValueOnce(Promise.reject(errorThree)));
+      return handler.invoke()
+        .then(() => {
+          expect(handler.respond).toHaveBeenCalledWith(null, response);
+          expect(handler.respond).toHaveBeenCalledWith(errorOne);
+          expect(handler.respond).toHaveBeenCalledWith(errorTwo);
+          expect(handler.respond).toHaveBeenCalledTimes(3);
+          expect(callback).toHaveBeenCalledWith(errorThree);
+        });
+    });
+  });
+
+  describe('remainingTime()', () => {
+    it('returns the remaining time of the invocation', () => {
+      expect.assertions(1);
+      context.getRemainingTimeInMillis = () => 1234;
+      const handler = new Handler(processor, options, event, context, callback);
+      expect(handler.remainingTime()).toBe(1234);
+    });
+
+    it('returns Infinity without a context', () => {
+      expect.assertions(1);
+      const handler = new Handler(processor, options, event, undefined, callback);
+      expect(handler.remainingTime()).toBe(Infinity);
+    });
+  });
+
+  describe('guardTimeout()', () => {
+    beforeEach(() => {
+      context.getRemainingTimeInMillis = () => 60;
+      options.timeoutMarginMs = 50;
+    });
+
+    it('fails the process step with a HandlerTimeoutError, then cleans up and responds', () => {
+      expect.assertions(6);
+      mocks.push(jest.spyOn(Handler.prototype, 'cleanup'));
+      processor = handler => new Promise((resolve) => {
+        handler.signal.addEventListener('abort', resolve);
+      });
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          const [[error]] = callback.mock.calls;
+          expect(error.name).toBe('HandlerTimeoutError');
+          expect(error.timeoutMs).toBe(10);
+          expect(handler.signal.aborted).toBe(true);
+          expect(handler.signal.reason).toBe(error);
+          expect(handler.context.callbackWaitsForEmptyEventLoop).toBe(false);
+          expect(Handler.prototype.cleanup).toHaveBeenCalled();
+        });
+    });
+
+    it('resolves with the result when processing completes in time', () => {
+      expect.assertions(2);
+      processor = () => 'done';
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(callback).toHaveBeenCalledWith(null, 'done');
+          expect(handler.signal.aborted).toBe(false);
+        });
+    });
+
+    it('rejects with processing errors which happen in time', () => {
+      expect.assertions(1);
+      const error = new Error('FAIL');
+      const handler = new Handler(processor, options, event, context, callback);
+      return expect(handler.guardTimeout(() => Promise.reject(error))).rejects.toBe(error);
+    });
+
+    it('does nothing when no margin is configured', () => {
+      expect.assertions(1);
+      options.timeoutMarginMs = null;
+      const handler = new Handler(processor, options, event, context, callback);
+      return expect(handler.guardTimeout(() => 'done')).resolves.toBe('done');
+    });
+  });
+
+  describe('init()', () => {
+    beforeEach(() => {
+      mocks.push(jest.spyOn(Handler.prototype, 'startProfiling'));
+    });
+
+    it('determines whether profiling should be enabled', () => {
+      expect.assertions(4);
+      options.shouldProfile = jest.fn(() => false);
+      const handler = new Handler(processor, options, event, context, callback);
+      mocks.push(jest.spyOn(handler.container.profilePercentage, 'increment'));
+      handler.init();
+      expect(options.shouldProfile).toHaveBeenCalledWith(handler);
+      expect(handler.profilingEnabled).toBe(false);
+      expect(handler.startProfiling).toHaveBeenCalled();
+      expect(handler.container.profilePercentage.increment).toHaveBeenCalledWith(false);
+    });
+
+    it('normalizes the event', () => {
+      expect.assertions(3);
+      event = { 'detail-type': 'Thing Happened', source: 'test', detail: { a: 1 } };
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.init();
+      expect(handler.eventSource).toBe('EVENTBRIDGE');
+      expect(handler.records[0].body).toEqual({ a: 1 });
+      expect(handler.request).toBeUndefined();
+    });
+
+    it('does not normalize unrecognized events', () => {
+      expect.assertions(2);
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.init();
+      expect(handler.eventSource).toBeNull();
+      expect(handler.records).toBeUndefined();
+    });
+
+    it('validates the event against the event schema', () => {
+      expect.assertions(3);
+      options.eventSchema = { type: 'object', required: ['orderId'] };
+      const handler = new Handler(processor, options, event, context, callback);
+      try {
+        handler.init();
+      }
+      catch (error) {
+        expect(error.name).toBe('ValidationError');
+        expect(error.details.errors).toEqual([{
+          path: '/',
+          message: "should have required property 'orderId'",
+          keyword: 'required',
+        }]);
+      }
+      handler.event = { orderId: 1 };
+      expect(() => handler.init()).not.toThrow();
+    });
+
+    it('determines whether the Lambda API should wait for an empty even loop to end the invocation and respond', () => {
+      expect.assertions(2);
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.init();
+      expect(handler.context.callbackWaitsForEmptyEventLoop).toBe(true);
+      options = { waitForEventLoop: false };
+      const impatientHandler = new Handler(processor, options, event, context, callback);
+      impatientHandler.init();
+      expect(impatientHandler.context.callbackWaitsForEmptyEventLoop).toBe(false);
+    });
+  });
+
+  test('process() invokes the processor passed to the constructor', () => {
+    expect.assertions(1);
+    processor = jest.fn();
+    const handler = new Handler(processor, options, event, context, callback);
+    handler.process();
+    expect(processor).toHaveBeenCalledWith(handler);
+  });
+
+  describe('retry()', () => {
+    let stream;
+    const flaky = failures => jest.fn((handler, record) => {
+      const attempts = (record || handler).attempts || 0;
+      Object.assign(record || handler, { attempts: attempts + 1 });
+      if (attempts < failures) {
+        throw new Error(`FAIL ${attempts + 1}`);
+      }
+      return 'result';
+    });
+
+    beforeEach(() => {
+      stream = { write: jest.fn() };
+      options.logStream = stream;
+      options.retry = { baseDelayMs: 1 };
+    });
+
+    it('retries the processor with the retry option', () => {
+      expect.assertions(2);
+      processor = flaky(2);
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(processor).toHaveBeenCalledTimes(3);
+          expect(callback).toHaveBeenCalledWith(null, 'result');
+        });
+    });
+
+    it('retries each record of a batch on its own', () => {
+      expect.assertions(2);
+      options.batch = true;
+      options.retry.maxAttempts = 2;
+      event = {
+        Records: ['1', '2'].map(messageId => ({ messageId, body: messageId, eventSource: 'aws:sqs' })),
+      };
+      processor = jest.fn((handler, record) => {
+        if (record.id === '2') {
+          throw new Error('FAIL');
+        }
+      });
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(processor).toHaveBeenCalledTimes(3);
+          expect(callback).toHaveBeenCalledWith(null, {
+            batchItemFailures: [{ itemIdentifier: '2' }],
+          });
+        });
+    });
+
+    it('logs and counts each retry', () => {
+      expect.assertions(2);
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.retry(() => flaky(1)(handler))
+        .then(() => {
+          expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(expect.objectContaining({
+            level: 'warn',
+            message: 'Retrying after a failed attempt',
+            attempt: 1,
+            delayMs: expect.any(Number),
+            error: expect.objectContaining({ message: 'FAIL 1' }),
+          }));
+          expect(handler.metrics.metrics.RetryAttempts).toEqual({ unit: 'Count', values: [1] });
+        });
+    });
+
+    it('uses the given policy and leaves time for the timeout margin', () => {
+      expect.assertions(2);
+      options.timeoutMarginMs = 1000;
+      context.getRemainingTimeInMillis = () => 1100;
+      const handler = new Handler(processor, options, event, context, callback);
+      const fn = jest.fn(() => Promise.reject(new Error('FAIL')));
+      return expect(handler.retry(fn, { baseDelayMs: 200, jitter: false })).rejects.toThrow('FAIL')
+        .then(() => {
+          expect(fn).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    it('uses the default policy without the retry option', () => {
+      expect.assertions(1);
+      delete options.retry;
+      mocks.push(jest.spyOn(Math, 'random').mockReturnValue(0));
+      const handler = new Handler(processor, options, event, context, callback);
+      const fn = jest.fn(() => Promise.reject(new Error('FAIL')));
+      return handler.retry(fn)
+        .catch(() => {
+          expect(fn).toHaveBeenCalledTimes(3);
+        });
+    });
+  });
+
+  describe('idempotency', () => {
+    let store;
+    let stream;
+
+    beforeEach(() => {
+      store = new InMemoryIdempotencyStore();
+      stream = { write: jest.fn() };
+      options.logStream = stream;
+      options.idempotency = { store };
+      processor = jest.fn(() => ({ ok: true }));
+    });
+
+    const invokeWith = (invokeEvent, invokeContext = context) => {
+      callback = jest.fn();
+      return new Handler(processor, options, invokeEvent, invokeContext, callback).invoke();
+    };
+
+    it('responds to duplicate events with the stored response', () => {
+      expect.assertions(4);
+      return invokeWith(event)
+        .then(() => {
+          stream.write.mockClear();
+          return invokeWith(Object.assign({}, event));
+        })
+        .then(() => {
+          expect(processor).toHaveBeenCalledTimes(1);
+          expect(callback).toHaveBeenCalledWith(null, { ok: true });
+          expect(store.records.size).toBe(1);
+          expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(expect.objectContaining({
+            level: 'info',
+            message: 'Responding to a duplicate event with the stored response',
+            idempotencyKey: expect.stringMatching(/^#[0-9a-f]{64}$/),
+          }));
+        });
+    });
+
+    it('fails duplicates of events which are still being processed', () => {
+      expect.assertions(3);
+      const handler = new Handler(processor, options, event, context, callback);
+      return store.claim(handler.idempotencyKey(event), Date.now() + 1000)
+        .then(() => handler.invoke())
+        .then(() => {
+          const [[error]] = callback.mock.calls;
+          expect(error).toBeInstanceOf(IdempotencyInProgressError);
+          expect(error.statusCode).toBe(409);
+          expect(processor).not.toHaveBeenCalled();
+        });
+    });
+
+    it('releases the key when processing fails', () => {
+      expect.assertions(2);
+      processor.mockImplementationOnce(() => {
+        throw new Error('FAIL');
+      });
+      return invokeWith(event)
+        .then(() => {
+          expect(store.records.size).toBe(0);
+          return invokeWith(event);
+        })
+        .then(() => {
+          expect(callback).toHaveBeenCalledWith(null, { ok: true });
+        });
+    });
+
+    it('keys batch records by their id', () => {
+      expect.assertions(2);
+      options.batch = true;
+      const records = ['1', '2'].map(messageId => ({ messageId, body: messageId, eventSource: 'aws:sqs' }));
+      return invokeWith({ Records: records })
+        .then(() => invokeWith({ Records: records.concat({ messageId: '3', body: '2', eventSource: 'aws:sqs' }) }))
+        .then(() => {
+          expect(processor).toHaveBeenCalledTimes(3);
+          expect(processor.mock.calls[2][1].id).toBe('3');
+        });
+    });
+
+    it('selects the key with an expression or a function', () => {
+      expect.assertions(3);
+      context.functionName = 'orders';
+      options.idempotency.key = 'detail.orderId';
+      const handler = new Handler(processor, options, event, context, callback);
+      expect(handler.idempotencyKey({ detail: { orderId: 1 }, id: 'a' }))
+        .toBe(handler.idempotencyKey({ detail: { orderId: 1 }, id: 'b' }));
+      expect(handler.idempotencyKey({ detail: { orderId: 1 } })).toMatch(/^orders#/);
+      handler.options.idempotency.key = jest.fn(target => target.id);
+      handler.idempotencyKey(event);
+      expect(handler.options.idempotency.key).toHaveBeenCalledWith(event, handler);
+    });
+
+    it('keys on the whole event without a key', () => {
+      expect.assertions(1);
+      delete options.idempotency;
+      const handler = new Handler(processor, options, event, context, callback);
+      expect(handler.idempotencyKey(event)).toBe(handler.idempotencyKey({ iAm: 'an event' }));
+    });
+
+    it('keys SQS messages by their id so redeliveries are detected', () => {
+      expect.assertions(2);
+      const message = events.sqs([{ id: 1 }]);
+      const redelivery = JSON.parse(JSON.stringify(message));
+      Object.assign(redelivery.Records[0], { receiptHandle: 'another handle' });
+      redelivery.Records[0].attributes.ApproximateReceiveCount = '2';
+      return invokeWith(message)
+        .then(() => invokeWith(redelivery))
+        .then(() => {
+          expect(processor).toHaveBeenCalledTimes(1);
+          expect(callback).toHaveBeenCalledWith(null, { ok: true });
+        });
+    });
+
+    it('keys HTTP requests by their Idempotency-Key header', () => {
+      expect.assertions(2);
+      const request = headers => events.apiGateway({ method: 'POST', path: '/orders', headers });
+      return invokeWith(request({ 'Idempotency-Key': 'abc' }))
+        .then(() => invokeWith(request({ 'idempotency-key': 'abc' })))
+        .then(() => invokeWith(request({})))
+        .then(() => {
+          expect(processor).toHaveBeenCalledTimes(2);
+          expect(store.records.size).toBe(1);
+        });
+    });
+
+    it('processes events without a key without idempotency', () => {
+      expect.assertions(3);
+      options.idempotency.key = 'missing';
+      return invokeWith(event)
+        .then(() => invokeWith(event))
+        .then(() => {
+          expect(processor).toHaveBeenCalledTimes(2);
+          expect(store.records.size).toBe(0);
+          expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(expect.objectContaining({
+            level: 'warn',
+            message: 'No idempotency key was found, so the event is processed without idempotency',
+          }));
+        });
+    });
+
+    it('keeps in progress records until the invocation times out and completed ones for the TTL', () => {
+      expect.assertions(2);
+      mocks.push(jest.spyOn(Date, 'now').mockReturnValue(0));
+      options.idempotency.ttlSeconds = 10;
+      const claim = jest.spyOn(store, 'claim');
+      const complete = jest.spyOn(store, 'complete');
+      context.getRemainingTimeInMillis = () => 3000;
+      return invokeWith(event)
+        .then(() => invokeWith(Object.assign({}, event, { other: true }), { iAm: 'context' }))
+        .then(() => {
+          expect(claim.mock.calls.map(args => args[1])).toEqual([3000, 10000]);
+          expect(complete.mock.calls.map(args => args[2])).toEqual([10000, 10000]);
+        });
+    });
+  });
+
+  describe('warm-ups', () => {
+    let stream;
+
+    beforeEach(() => {
+      stream = { write: jest.fn() };
+      options.logStream = stream;
+      options.warmUp = true;
+      event = { warmer: true };
+    });
+
+    test('isWarmUpEvent() recognizes common warm-up events', () => {
+      expect.assertions(5);
+      expect(Handler.isWarmUpEvent({ warmer: true })).toBe(true);
+      expect(Handler.isWarmUpEvent({ source: 'serverless-plugin-warmup' })).toBe(true);
+      expect(Handler.isWarmUpEvent({ warmer: 'yes' })).toBe(false);
+      expect(Handler.isWarmUpEvent('warmer')).toBe(false);
+      expect(Handler.isWarmUpEvent(null)).toBe(false);
+    });
+
+    it('answers warm-ups from the init step without running the processor', () => {
+      expect.assertions(5);
+      options.shouldProfile = jest.fn(() => true);
+      options.metrics = { emitter: { emit: jest.fn() } };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(processor).not.toHaveBeenCalled();
+          expect(options.shouldProfile).not.toHaveBeenCalled();
+          expect(options.metrics.emitter.emit).not.toHaveBeenCalled();
+          expect(callback).toHaveBeenCalledWith(null, {
+            warmUp: true,
+            isColdStart: false,
+            invocation: 1,
+            concurrency: 1,
+            failedInvocations: 0,
+          });
+          expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(expect.objectContaining({
+            level: 'info',
+            message: 'Warmed up',
+            warmUp: true,
+          }));
+        });
+    });
+
+    it('only recognizes warm-ups with the warmUp option', () => {
+      expect.assertions(2);
+      delete options.warmUp;
+      const handler = new Handler(processor, options, event, context, callback);
+      expect(handler.isWarmUp).toBe(false);
+      return handler.invoke()
+        .then(() => {
+          expect(processor).toHaveBeenCalled();
+        });
+    });
+
+    it('recognizes warm-ups with the given predicate', () => {
+      expect.assertions(2);
+      options.warmUp = { isWarmUp: jest.fn(e => e.ping === true) };
+      const handler = new Handler(processor, options, { ping: true }, context, callback);
+      expect(handler.isWarmUp).toBe(true);
+      expect(options.warmUp.isWarmUp).toHaveBeenCalledWith({ ping: true }, context);
+    });
+
+    it('tracks warm-ups separately from invocations', () => {
+      expect.assertions(4);
+      const before = new Handler(processor, options, {}, context, callback).container;
+      const totalInvocations = before.totalInvocations;
+      const totalWarmUps = before.totalWarmUps;
+      const debugSamples = before.debugSamplePercentage.total;
+      const handler = new Handler(processor, options, event, context, callback);
+      expect(handler.container.totalInvocations).toBe(totalInvocations);
+      expect(handler.container.totalWarmUps).toBe(totalWarmUps + 1);
+      expect(handler.container.debugSamplePercentage.total).toBe(debugSamples);
+      expect(handler.debugSampled).toBe(false);
+    });
+
+    it('fans out to warm more containers', () => {
+      expect.assertions(3);
+      const invoker = { invoke: jest.fn(() => Promise.resolve()) };
+      options.warmUp = { concurrency: 3, invoker };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(invoker.invoke.mock.calls).toEqual([
+            [{ warmer: true, __warmUpInvocation: 2, __warmUpConcurrency: 3 }, handler],
+            [{ warmer: true, __warmUpInvocation: 3, __warmUpConcurrency: 3 }, handler],
+          ]);
+          expect(callback.mock.calls[0][1]).toEqual(expect.objectContaining({
+            invocation: 1,
+            concurrency: 3,
+            failedInvocations: 0,
+          }));
+          expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(expect.objectContaining({
+            level: 'info',
+            message: 'Warmed up',
+          }));
+        });
+    });
+
+    it('logs fanned out invocations which fail', () => {
+      expect.assertions(2);
+      const invoker = { invoke: jest.fn(() => Promise.reject(new Error('FAIL'))) };
+      options.warmUp = { concurrency: 2, invoker };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(callback.mock.calls[0][1].failedInvocations).toBe(1);
+          expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(expect.objectContaining({
+            level: 'warn',
+            message: 'A warm-up invocation failed',
+            invocation: 2,
+            error: expect.objectContaining({ message: 'FAIL' }),
+          }));
+        });
+    });
+
+    it('does not fan out again from fanned out invocations', () => {
+      expect.assertions(2);
+      const invoker = { invoke: jest.fn() };
+      options.warmUp = { concurrency: 2, invoker, delayMs: 1 };
+      event = { warmer: true, __warmUpInvocation: 2, __warmUpConcurrency: 2 };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(invoker.invoke).not.toHaveBeenCalled();
+          expect(callback.mock.calls[0][1]).toEqual(expect.objectContaining({
+            invocation: 2,
+            concurrency: 2,
+          }));
+        });
+    });
+
+    it('requires an invoker to warm more than one container', () => {
+      expect.assertions(1);
+      options.warmUp = { concurrency: 2 };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(callback.mock.calls[0][0].message)
+            .toBe('Warming more than one container requires a warmUp.invoker');
+        });
+    });
+  });
+
+  describe('resources', () => {
+    it('creates registered resources on first use and reuses them', () => {
+      expect.assertions(4);
+      const factory = jest.fn(() => ({ pool: true }));
+      const resource = Handler.resource('handler-test-pool', factory);
+      const first = new Handler(processor, options, event, context, callback);
+      const second = new Handler(processor, options, event, context, callback);
+      return Promise.all([first.resource('handler-test-pool'), resource.get()])
+        .then(([value, same]) => {
+          expect(value).toBe(same);
+          expect(first.resourceTimings['handler-test-pool']).toEqual(expect.any(Number));
+          return second.resource('handler-test-pool');
+        })
+        .then(() => {
+          expect(factory).toHaveBeenCalledTimes(1);
+          expect(second.resourceTimings).toEqual({});
+        });
+    });
+
+    it('creates resources again in a new container', () => {
+      expect.assertions(1);
+      const factory = jest.fn();
+      const resource = Handler.resource('handler-test-reset', factory);
+      return resource.get()
+        .then(() => {
+          Handler.resetContainer();
+          return resource.get();
+        })
+        .then(() => {
+          expect(factory).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    it('rejects resources which are not registered', () => {
+      expect.assertions(1);
+      const handler = new Handler(processor, options, event, context, callback);
+      return expect(handler.resource('missing'))
+        .rejects.toThrow('No resource named "missing" is registered');
+    });
+
+    it('throws when a name is registered twice', () => {
+      expect.assertions(1);
+      Handler.resource('handler-test-twice', jest.fn());
+      expect(() => Handler.resource('handler-test-twice', jest.fn()))
+        .toThrow('A resource named "handler-test-twice" is already registered');
+    });
+
+    it('adds the initialization times to the metrics', () => {
+      expect.assertions(1);
+      Handler.resource('handler-test-client', () => 'client');
+      options.metrics = { emitter: { emit: jest.fn() } };
+      processor = handler => handler.resource('handler-test-client');
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          const [[document]] = options.metrics.emitter.emit.mock.calls;
+          expect(document.resourceTimings).toEqual({ 'handler-test-client': expect.any(Number) });
+        });
+    });
+  });
+
+  describe('config', () => {
+    let provider;
+    let now;
+
+    beforeEach(() => {
+      provider = { get: jest.fn(() => Promise.resolve({ '/app/limit': '5' })) };
+      options.config = {
+        parameters: { limit: { name: '/app/limit', type: 'number' } },
+        parameterProvider: provider,
+      };
+      now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      mocks.push(now);
+    });
+
+    const invokeWith = () => {
+      callback = jest.fn();
+      const handler = new Handler(h => h.config, options, event, context, callback);
+      return handler.invoke().then(() => handler);
+    };
+
+    it('loads the configuration in the init step and caches it for the container', () => {
+      expect.assertions(3);
+      return invokeWith()
+        .then(() => invokeWith())
+        .then((handler) => {
+          expect(handler.config).toEqual({ limit: 5 });
+          expect(callback).toHaveBeenCalledWith(null, { limit: 5 });
+          expect(provider.get).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    it('refreshes the configuration periodically', () => {
+      expect.assertions(2);
+      options.config.refreshSeconds = 60;
+      return invokeWith()
+        .then(() => {
+          now.mockReturnValue(60000);
+          provider.get.mockReturnValue(Promise.resolve({ '/app/limit': '6' }));
+          return invokeWith();
+        })
+        .then((handler) => {
+          expect(handler.config).toEqual({ limit: 6 });
+          expect(provider.get).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    it('uses the previous values when the configuration cannot be refreshed', () => {
+      expect.assertions(2);
+      const stream = { write: jest.fn() };
+      options.logStream = stream;
+      options.logLevel = 'warn';
+      return invokeWith()
+        .then(() => {
+          now.mockReturnValue(300000);
+          provider.get.mockReturnValue(Promise.reject(new Error('Throttled')));
+          return invokeWith();
+        })
+        .then((handler) => {
+          expect(handler.config).toEqual({ limit: 5 });
+          expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(expect.objectContaining({
+            level: 'warn',
+            message: 'The configuration could not be refreshed, so the previous values are used',
+          }));
+        });
+    });
+
+    it('fails the invocation when the configuration is invalid and tries again', () => {
+      expect.assertions(3);
+      processor = jest.fn();
+      provider.get.mockReturnValueOnce(Promise.resolve({}));
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          const [[error]] = callback.mock.calls;
+          expect(error.name).toBe('ConfigurationError');
+          expect(processor).not.toHaveBeenCalled();
+          return invokeWith();
+        })
+        .then((next) => {
+          expect(next.config).toEqual({ limit: 5 });
+        });
+    });
+
+    it('is empty without the config option', () => {
+      expect.assertions(1);
+      delete options.config;
+      return invokeWith()
+        .then((handler) => {
+          expect(handler.config).toEqual({});
+        });
+    });
+  });
+
+  describe('tracing', () => {
+    const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+    const SPAN_ID = 'b7ad6b7169203331';
+    let exporter;
+
+    beforeEach(() => {
+      exporter = { export: jest.fn() };
+      options.tracing = { exporter };
+      context = { awsRequestId: 'request123', functionName: 'orders' };
+    });
+
+    it('is disabled by default', () => {
+      expect.assertions(2);
+      delete options.tracing;
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(handler.tracer).toBeNull();
+          expect(handler.trace).toBeNull();
+        });
+    });
+
+    it('continues the trace of HTTP requests with a span for each step', () => {
+      expect.assertions(5);
+      event = {
+        httpMethod: 'GET',
+        path: '/orders',
+        headers: { Traceparent: `00-${TRACE_ID}-${SPAN_ID}-01` },
+      };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          const { spanId } = handler.trace;
+          expect(handler.trace).toEqual({
+            traceId: TRACE_ID,
+            spanId: expect.stringMatching(/^[0-9a-f]{16}$/),
+            parentSpanId: SPAN_ID,
+            sampled: true,
+            source: 'HTTP',
+            traceparent: `00-${TRACE_ID}-${spanId}-01`,
+            xrayTraceHeader: `Root=1-0af76519-16cd43dd8448eb211c80319c;Parent=${spanId};Sampled=1`,
+          });
+          expect(exporter.export).toHaveBeenCalledTimes(1);
+          const [spans, tracer] = exporter.export.mock.calls[0];
+          expect(tracer).toBe(handler.tracer);
+          expect(spans.map(span => [span.name, span.parentSpanId, span.traceId])).toEqual([
+            ['orders', SPAN_ID, TRACE_ID],
+            ['init', spanId, TRACE_ID],
+            ['process', spanId, TRACE_ID],
+            ['cleanup', spanId, TRACE_ID],
+            ['respond', spanId, TRACE_ID],
+          ]);
+          expect(spans[0]).toEqual(expect.objectContaining({
+            kind: 'SERVER',
+            startTime: handler.tracer.epoch,
+            attributes: {
+              'faas.coldstart': handler.isColdStart,
+              'faas.invocation_id': 'request123',
+              'faas.name': 'orders',
+              'lambda_patterns.event_source': 'API_GATEWAY',
+            },
+            links: [],
+            error: null,
+          }));
+        });
+    });
+
+    it('links the trace contexts of other records', () => {
+      expect.assertions(3);
+      const OTHER_TRACE_ID = '5759e988bd862e3fe1be46a994272793';
+      const record = (messageId, traceparent) => ({
+        eventSource: 'aws:sqs',
+        messageId,
+        body: '{}',
+        messageAttributes: { traceparent: { stringValue: traceparent, dataType: 'String' } },
+      });
+      event = {
+        Records: [
+          record('1', `00-${TRACE_ID}-${SPAN_ID}-00`),
+          record('2', `00-${TRACE_ID}-${SPAN_ID}-00`),
+          record('3', `00-${OTHER_TRACE_ID}-53995c3f42cd8ad8-01`),
+        ],
+      };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          const span = exporter.export.mock.calls[0][0].find(({ name }) => name === 'orders');
+          expect(handler.trace.sampled).toBe(false);
+          expect(span.kind).toBe('CONSUMER');
+          expect(span.links).toEqual([{ traceId: OTHER_TRACE_ID, spanId: '53995c3f42cd8ad8' }]);
+        });
+    });
+
+    it('starts a new trace when the event carries none', () => {
+      expect.assertions(5);
+      const stream = { write: jest.fn() };
+      options.logStream = stream;
+      context = null;
+      processor = jest.fn(handler => handler.logger.info('Processing'));
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          const span = exporter.export.mock.calls[0][0].find(({ name }) => name === 'invocation');
+          expect(handler.trace).toEqual(expect.objectContaining({
+            traceId: expect.stringMatching(/^[0-9a-f]{32}$/),
+            parentSpanId: null,
+            sampled: true,
+            source: null,
+          }));
+          expect(span.kind).toBe('INTERNAL');
+          expect(span.parentSpanId).toBeNull();
+          expect(span.attributes).toEqual({ 'faas.coldstart': handler.isColdStart });
+          expect(JSON.parse(stream.write.mock.calls[0][0]).traceId).toBe(handler.trace.traceId);
+        });
+    });
+
+    it('records the errors of steps and of the invocation', () => {
+      expect.assertions(2);
+      processor = jest.fn(() => {
+        throw new Error('FAIL');
+      });
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          const spans = exporter.export.mock.calls[0][0];
+          expect(spans.filter(span => span.error).map(span => span.name))
+            .toEqual(['orders', 'process']);
+          expect(spans[2].error).toEqual({ name: 'Error', message: 'FAIL' });
+        });
+    });
+
+    it('logs failures to export the trace', () => {
+      expect.assertions(3);
+      const stream = { write: jest.fn() };
+      options.logStream = stream;
+      options.logLevel = 'warn';
+      exporter.export.mockReturnValueOnce(Promise.reject(new Error('FAIL')));
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(callback).toHaveBeenCalledWith(null, undefined);
+          const entry = JSON.parse(stream.write.mock.calls[0][0]);
+          expect(entry.level).toBe('warn');
+          expect(entry.message).toBe('Failed to export the trace');
+        });
+    });
+
+    it('exports spans to stdout with the default options', () => {
+      expect.assertions(2);
+      options.tracing = true;
+      options.logLevel = 'warn';
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      mocks.push(write);
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(handler.tracer.serviceName).toBe('lambda-patterns');
+          expect(JSON.parse(write.mock.calls[0][0]).resourceSpans[0].scopeSpans[0].spans)
+            .toHaveLength(5);
+        });
+    });
+
+    it('does not trace warm-ups', () => {
+      expect.assertions(3);
+      const stream = { write: jest.fn() };
+      options.logStream = stream;
+      options.warmUp = true;
+      event = { warmer: true };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(handler.trace).toBeNull();
+          expect(exporter.export).not.toHaveBeenCalled();
+          expect(JSON.parse(stream.write.mock.calls[0][0]).traceId).toBeUndefined();
+        });
+    });
+  });
+
+  describe('defer()', () => {
+    let stream;
+    const entries = () => stream.write.mock.calls.map(([line]) => JSON.parse(line));
+
+    beforeEach(() => {
+      stream = { write: jest.fn() };
+      options.logStream = stream;
+    });
+
+    it('only accepts promises and functions', () => {
+      expect.assertions(2);
+      const handler = new Handler(processor, options, event, context, callback);
+      expect(() => handler.defer('work'))
+        .toThrow('defer() must be called with a promise or a function');
+      expect(handler.defer(() => {}).defer(Promise.resolve())).toBe(handler);
+    });
+
+    it('awaits deferred work before responding', () => {
+      expect.assertions(1);
+      const calls = [];
+      callback = jest.fn(() => calls.push('respond'));
+      processor = jest.fn(handler => handler
+        .defer(new Promise(resolve => setTimeout(resolve, 10)).then(() => calls.push('promise')))
+        .defer(() => calls.push('function')));
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(calls).toEqual(['function', 'promise', 'respond']);
+        });
+    });
+
+    it('awaits deferred work after responding with the AFTER_RESPOND mode', () => {
+      expect.assertions(1);
+      const calls = [];
+      options.deferMode = 'AFTER_RESPOND';
+      callback = jest.fn(() => calls.push('respond'));
+      processor = jest.fn(handler => handler.defer(() => calls.push('function')));
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(calls).toEqual(['respond', 'function']);
+        });
+    });
+
+    it('awaits work deferred while deferred work is awaited', () => {
+      expect.assertions(1);
+      const work = jest.fn();
+      processor = jest.fn(handler => handler.defer(() => handler.defer(work)));
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(work).toHaveBeenCalled();
+        });
+    });
+
+    it('reports failures without changing the response', () => {
+      expect.assertions(3);
+      const rejected = new Error('rejected');
+      const thrown = new Error('thrown');
+      processor = jest.fn((handler) => {
+        handler
+          .defer(Promise.reject(rejected))
+          .defer(() => {
+            throw thrown;
+          })
+          .defer(Promise.resolve());
+        return 'response';
+      });
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(callback).toHaveBeenCalledWith(null, 'response');
+          expect(handler.deferredFailures.sort()).toEqual([rejected, thrown].sort());
+          expect(entries().filter(({ level }) => level === 'error').map(({ message }) => message))
+            .toEqual(['Deferred work failed', 'Deferred work failed']);
+        });
+    });
+
+    it('stops waiting at the deadline', () => {
+      expect.assertions(2);
+      options.deferTimeoutMs = 10;
+      options.logLevel = 'warn';
+      processor = jest.fn(handler => handler.defer(new Promise(() => {})));
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(callback).toHaveBeenCalled();
+          expect(entries()).toEqual([expect.objectContaining({
+            level: 'warn',
+            message: 'Deferred work did not complete in time',
+            timeoutMs: 10,
+            pending: 1,
+          })]);
+        });
+    });
+
+    it('stops waiting before the invocation times out', () => {
+      expect.assertions(1);
+      Object.assign(options, { deferTimeoutMs: 60000, timeoutMarginMs: 1000 });
+      context.getRemainingTimeInMillis = () => 1005;
+      processor = jest.fn(handler => handler.defer(new Promise(() => {})));
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(entries()[0].timeoutMs).toBeLessThanOrEqual(5);
+        });
+    });
+
+    it('awaits deferred work when the cleanup step fails', () => {
+      expect.assertions(2);
+      const error = new Error('sink failed');
+      const work = jest.fn();
+      options.profileSink = { write: jest.fn(() => Promise.reject(error)) };
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.profile = 'A profile!';
+      handler.defer(work);
+      return expect(handler.cleanup()).rejects.toBe(error)
+        .then(() => {
+          expect(work).toHaveBeenCalled();
+        });
+    });
+  });
+
+  describe('responseMode', () => {
+    it('responds through the callback when lambda passes one', () => {
+      expect.assertions(3);
+      processor = jest.fn(() => 'response');
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then((result) => {
+          expect(handler.responseMode).toBe('CALLBACK');
+          expect(result).toBeUndefined();
+          expect(callback).toHaveBeenCalledWith(null, 'response');
+        });
+    });
+
+    it('resolves with the response when lambda passes no callback', () => {
+      expect.assertions(2);
+      processor = jest.fn(() => 'response');
+      const handler = new Handler(processor, options, event, context);
+      expect(handler.responseMode).toBe('PROMISE');
+      return expect(handler.invoke()).resolves.toBe('response');
+    });
+
+    it('rejects with the error with the PROMISE response mode', () => {
+      expect.assertions(2);
+      const error = new Error('FAIL');
+      options.responseMode = 'promise';
+      processor = jest.fn(() => Promise.reject(error));
+      const handler = new Handler(processor, options, event, context, callback);
+      return expect(handler.invoke()).rejects.toBe(error)
+        .then(() => {
+          expect(callback).not.toHaveBeenCalled();
+        });
+    });
+
+    it('creates lambda handlers which return the response', () => {
+      expect.assertions(1);
+      options.responseMode = 'PROMISE';
+      const lambdaHandler = Handler.create(() => 'response', options);
+      return expect(lambdaHandler(event, context)).resolves.toBe('response');
+    });
+
+    it('only returns the response once work deferred with AFTER_RESPOND has completed', () => {
+      expect.assertions(4);
+      Handler.resetContainer();
+      const stream = { write: jest.fn() };
+      const work = jest.fn();
+      options = {
+        logStream: stream,
+        logLevel: 'warn',
+        responseMode: 'PROMISE',
+        deferMode: 'AFTER_RESPOND',
+      };
+      processor = (handler) => {
+        handler.defer(() => new Promise(resolve => setTimeout(resolve, 10)).then(work));
+        return 'response';
+      };
+      const handler = new Handler(processor, options, event, context);
+      expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(expect.objectContaining({
+        level: 'warn',
+        message: 'Deferred work delays the response in the PROMISE response mode, so AFTER_RESPOND behaves like BEFORE_RESPOND',
+      }));
+      return handler.invoke()
+        .then((response) => {
+          expect(response).toBe('response');
+          expect(work).toHaveBeenCalled();
+          // The warning is only logged by the first invocation of the container.
+          stream.write.mockClear();
+          return new Handler(processor, options, event, context).invoke();
+        })
+        .then(() => {
+          expect(stream.write).not.toHaveBeenCalled();
+        });
+    });
+
+    it('keeps overrides of respond() working', () => {
+      expect.assertions(1);
+      class WrappingHandler extends Handler {
+        respond(error, response) {
+          this.callback(null, { wrapped: error ? error.message : response });
+        }
+      }
+      processor = jest.fn(() => {
+        throw new Error('FAIL');
+      });
+      const handler = new WrappingHandler(processor, options, event, context);
+      return expect(handler.invoke()).resolves.toEqual({ wrapped: 'FAIL' });
+    });
+
+    it('rejects with the error of a failing respond()', () => {
+      expect.assertions(1);
+      const error = new Error('respond failed');
+      class FailingHandler extends Handler {
+        respond() {
+          throw error;
+        }
+      }
+      const handler = new FailingHandler(processor, options, event, context);
+      return expect(handler.invoke()).rejects.toBe(error);
+    });
+
+    it('only uses the first outcome', () => {
+      expect.assertions(1);
+      class TwiceHandler extends Handler {
+        respond(error, response) {
+          this.callback(null, response);
+          this.callback(new Error('FAIL'));
+        }
+      }
+      processor = jest.fn(() => 'response');
+      const handler = new TwiceHandler(processor, options, event, context);
+      return expect(handler.invoke()).resolves.toBe('response');
+    });
+
+    it('resolves with undefined when respond() reports no outcome', () => {
+      expect.assertions(1);
+      class SilentHandler extends Handler {
+        respond() {} // eslint-disable-line class-methods-use-this
+      }
+      const handler = new SilentHandler(processor, options, event, context);
+      return expect(handler.invoke()).resolves.toBeUndefined();
+    });
+
+    it('requires a callback with the CALLBACK response mode', () => {
+      expect.assertions(2);
+      options.responseMode = 'callback';
+      expect(new Handler(processor, options, event, context, callback).responseMode)
+        .toBe('CALLBACK');
+      expect(() => new Handler(processor, options, event, context))
+        .toThrow('The CALLBACK response mode requires a callback');
+    });
+
+    it('throws for unknown response modes', () => {
+      expect.assertions(1);
+      options.responseMode = 'STREAM';
+      expect(() => new Handler(processor, options, event, context, callback))
+        .toThrow('Unknown response mode "STREAM"');
+    });
+  });
+
+  describe('onPermanentFailure', () => {
+    let destination;
+    let stream;
+
+    beforeEach(() => {
+      destination = new InMemoryFailureDestination();
+      stream = { write: jest.fn() };
+      options.logStream = stream;
+      options.onPermanentFailure = { destination };
+      context.awsRequestId = 'request-1';
+    });
+
+    const invokeWith = (invokeEvent, invokeContext = context) => {
+      callback = jest.fn();
+      const handler = new Handler(processor, options, invokeEvent, invokeContext, callback);
+      return handler.invoke().then(() => handler);
+    };
+
+    const logged = () => stream.write.mock.calls.map(([line]) => JSON.parse(line));
+
+    it('classifies validation errors and errors flagged as permanent', () => {
+      expect.assertions(4);
+      const flagged = new Error('FAIL');
+      flagged.permanent = true;
+      expect(Handler.isPermanentError(new ValidationError('Invalid'))).toBe(true);
+      expect(Handler.isPermanentError(flagged)).toBe(true);
+      expect(Handler.isPermanentError(new Error('FAIL'))).toBe(false);
+      expect(Handler.isPermanentError(null)).toBe(false);
+    });
+
+    it('sends permanent failures to the destination and acknowledges the event', () => {
+      expect.assertions(5);
+      processor = jest.fn(() => {
+        throw new ValidationError('Invalid');
+      });
+      return invokeWith(event)
+        .then((handler) => {
+          expect(callback).toHaveBeenCalledWith(null, undefined);
+          expect(destination.failures).toEqual([{
+            event,
+            error: { name: 'ValidationError', message: 'Invalid', stack: expect.any(String) },
+            attempts: 1,
+            receiveCount: null,
+            awsRequestId: 'request-1',
+            functionName: undefined,
+            failedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+          }]);
+          expect(handler.permanentFailures).toEqual(destination.failures);
+          expect(handler.metrics.metrics.PermanentFailures).toEqual(expect.objectContaining({ unit: 'Count' }));
+          expect(logged().find(entry => entry.level === 'warn')).toEqual(expect.objectContaining({
+            message: 'Sent a permanent failure to the failure destination',
+            attempts: 1,
+          }));
+        });
+    });
+
+    it('fails the invocation when the failure is not permanent', () => {
+      expect.assertions(2);
+      const error = new Error('FAIL');
+      processor = jest.fn(() => Promise.reject(error));
+      return invokeWith(event)
+        .then(() => {
+          expect(callback.mock.calls[0][0]).toBe(error);
+          expect(destination.failures).toEqual([]);
+        });
+    });
+
+    it('counts the attempts of retried events', () => {
+      expect.assertions(2);
+      options.retry = { baseDelayMs: 1 };
+      options.onPermanentFailure.isPermanent = (error, handler) => handler instanceof Handler;
+      processor = jest.fn(() => {
+        throw new Error('FAIL');
+      });
+      return invokeWith(event)
+        .then(() => {
+          expect(callback).toHaveBeenCalledWith(null, undefined);
+          expect(destination.failures[0].attempts).toBe(3);
+        });
+    });
+
+    it('treats failures of SQS messages received maxReceiveCount times as permanent', () => {
+      expect.assertions(4);
+      options.onPermanentFailure.maxReceiveCount = 3;
+      processor = jest.fn(() => {
+        throw new Error('FAIL');
+      });
+      const sqsEvent = events.sqs(['first', 'second']);
+      sqsEvent.Records[1].attributes.ApproximateReceiveCount = '2';
+      return invokeWith(sqsEvent)
+        .then(() => {
+          expect(callback.mock.calls[0][0].message).toBe('FAIL');
+          sqsEvent.Records[1].attributes.ApproximateReceiveCount = '3';
+          return invokeWith(sqsEvent, null);
+        })
+        .then(() => {
+          expect(callback).toHaveBeenCalledWith(null, undefined);
+          expect(destination.failures[0]).toEqual(expect.objectContaining({
+            event: sqsEvent,
+            receiveCount: 3,
+          }));
+          expect(destination.failures[0].awsRequestId).toBeUndefined();
+        });
+    });
+
+    it('counts the attempts of records without a receive count', () => {
+      expect.assertions(4);
+      options.onPermanentFailure.maxReceiveCount = 2;
+      options.retry = { baseDelayMs: 1, maxAttempts: 2 };
+      const error = new Error('FAIL');
+      processor = jest.fn(() => {
+        throw error;
+      });
+      const sqsEvent = events.sqs(['message']);
+      delete sqsEvent.Records[0].attributes;
+      return invokeWith(sqsEvent)
+        .then((handler) => {
+          expect(callback).toHaveBeenCalledWith(null, undefined);
+          expect(destination.failures[0]).toEqual(expect.objectContaining({
+            attempts: 2,
+            receiveCount: null,
+          }));
+          return handler.handlePermanentFailure(error, 1, { id: '1', eventSource: 'SQS' });
+        })
+        .catch((err) => {
+          expect(err).toBe(error);
+          expect(destination.failures).toHaveLength(1);
+        });
+    });
+
+    it('warns once when maxReceiveCount cannot apply without the retry option', () => {
+      expect.assertions(3);
+      Handler.resetContainer();
+      options.onPermanentFailure.maxReceiveCount = 2;
+      processor = jest.fn(() => {
+        throw new Error('FAIL');
+      });
+      const warnings = () => logged().filter(({ message }) => message === 'Without a receive count or the retry option, maxReceiveCount never applies');
+      return invokeWith(events.sns(['message']))
+        .then(() => invokeWith(events.sns(['message'])))
+        .then(() => {
+          expect(callback.mock.calls[0][0]).toEqual(new Error('FAIL'));
+          expect(warnings()).toEqual([expect.objectContaining({ level: 'warn', maxReceiveCount: 2 })]);
+          options.retry = { baseDelayMs: 1, maxAttempts: 2 };
+          Handler.resetContainer();
+          return invokeWith(events.sns(['message']));
+        })
+        .then(() => {
+          expect(warnings()).toHaveLength(1);
+        });
+    });
+
+    it('acknowledges permanently failed records of batches', () => {
+      expect.assertions(3);
+      options.batch = true;
+      const sqsEvent = events.sqs(['valid', 'invalid', 'broken']);
+      processor = jest.fn((handler, record) => {
+        if (record.body === 'invalid') {
+          throw new ValidationError('Invalid');
+        }
+        if (record.body === 'broken') {
+          throw new Error('FAIL');
+        }
+      });
+      return invokeWith(sqsEvent)
+        .then(() => {
+          expect(callback).toHaveBeenCalledWith(null, {
+            batchItemFailures: [{ itemIdentifier: sqsEvent.Records[2].messageId }],
+          });
+          expect(destination.failures.map(failure => failure.event))
+            .toEqual([sqsEvent.Records[1]]);
+          expect(logged().find(entry => entry.level === 'warn')).toEqual(expect.objectContaining({
+            recordId: sqsEvent.Records[1].messageId,
+            receiveCount: 1,
+          }));
+        });
+    });
+
+    it('keeps the error when the destination fails', () => {
+      expect.assertions(2);
+      const error = new ValidationError('Invalid');
+      destination.send = jest.fn(() => Promise.reject(new Error('Unavailable')));
+      processor = jest.fn(() => {
+        throw error;
+      });
+      return invokeWith(event)
+        .then(() => {
+          expect(callback.mock.calls[0][0]).toBe(error);
+          expect(logged().find(entry => entry.level === 'error')).toEqual(expect.objectContaining({
+            message: 'Failed to send a permanent failure to the failure destination',
+          }));
+        });
+    });
+
+    it('does not apply to HTTP requests', () => {
+      expect.assertions(2);
+      processor = jest.fn(() => {
+        throw new ValidationError('Invalid');
+      });
+      return invokeWith(events.apiGateway({ path: '/' }))
+        .then(() => {
+          expect(callback.mock.calls[0][0]).toBeInstanceOf(ValidationError);
+          expect(destination.failures).toEqual([]);
+        });
+    });
+  });
+
+  describe('validateResponse()', () => {
+    it('returns valid responses', () => {
+      expect.assertions(2);
+      const handler = new Handler(processor, options, event, context, callback);
+      expect(handler.validateResponse('anything')).toBe('anything');
+      handler.options.responseSchema = { type: 'string' };
+      expect(handler.validateResponse('a string')).toBe('a string');
+    });
+
+    it('fails the invocation when the response is invalid', () => {
+      expect.assertions(3);
+      options.responseSchema = { type: 'object', required: ['statusCode'] };
+      processor = () => ({ body: 'oops' });
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          const [[error, response]] = callback.mock.calls;
+          expect(error.name).toBe('ResponseValidationError');
+          expect(error.details.errors[0].keyword).toBe('required');
+          expect(response).toBeUndefined();
+        });
+    });
+  });
+
+  describe('processBatch()', () => {
+    beforeEach(() => {
+      event = {
+        Records: ['1', '2', '3'].map(messageId => ({
+          messageId,
+          body: messageId,
+          eventSource: 'aws:sqs',
+        })),
+      };
+    });
+
+    it('processes each record and responds with the batch item failures', () => {
+      expect.assertions(3);
+      options.batch = true;
+      processor = jest.fn((handler, record) => {
+        if (record.id === '2') {
+          throw new Error('FAIL');
+        }
+      });
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(processor).toHaveBeenCalledWith(handler, handler.records[0]);
+          expect(callback).toHaveBeenCalledWith(null, {
+            batchItemFailures: [{ itemIdentifier: '2' }],
+          });
+          expect(handler.batchSummary).toMatchObject({ total: 3, succeeded: 2, failed: 1 });
+        });
+    });
+
+    it('passes batch options through', () => {
+      expect.assertions(1);
+      options.batch = { failFast: true };
+      processor = () => Promise.reject(new Error('FAIL'));
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(callback).toHaveBeenCalledWith(null, {
+            batchItemFailures: [
+              { itemIdentifier: '1' },
+              { itemIdentifier: '2' },
+              { itemIdentifier: '3' },
+            ],
+          });
+        });
+    });
+
+    it('rejects events which do not support partial batch failures', () => {
+      expect.assertions(2);
+      options.batch = true;
+      event = { iAm: 'an event' };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          expect(processor).not.toHaveBeenCalled();
+          expect(callback).toHaveBeenCalledWith(
+            new Error('Batch processing requires an event from one of: SQS, KINESIS, DYNAMODB'),
+            undefined
+          );
+        });
+    });
+  });
+
+  test('cleanup() stops profiling and flushes the profile', () => {
+    expect.assertions(2);
+    mocks.push(
+      jest.spyOn(Handler.prototype, 'stopProfiling'),
+      jest.spyOn(Handler.prototype, 'flushProfile')
+    );
+    const handler = new Handler(processor, options, event, context, callback);
+    handler.cleanup();
+    expect(handler.stopProfiling).toHaveBeenCalled();
+    expect(handler.flushProfile).toHaveBeenCalled();
+  });
+
+  describe('flushProfile()', () => {
+    it('does nothing when there is no profile', () => {
+      expect.assertions(1);
+      options.profileSink = { write: jest.fn() };
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.flushProfile()
+        .then(() => {
+          expect(options.profileSink.write).not.toHaveBeenCalled();
+        });
+    });
+
+    it('does nothing when there is no profile sink', () => {
+      expect.assertions(1);
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.profile = 'A profile!';
+      return expect(handler.flushProfile()).resolves.toBeUndefined();
+    });
+
+    it('writes the profile to the profile sink', () => {
+      expect.assertions(1);
+      options.profileSink = { write: jest.fn(() => Promise.resolve()) };
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.profile = 'A profile!';
+      return handler.flushProfile()
+        .then(() => {
+          expect(options.profileSink.write).toHaveBeenCalledWith('A profile!', handler);
+        });
+    });
+
+    it('rejects when the profile sink fails', () => {
+      expect.assertions(1);
+      const error = new Error('sink failed');
+      options.profileSink = {
+        write: () => {
+          throw error;
+        },
+      };
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.profile = 'A profile!';
+      return expect(handler.flushProfile()).rejects.toBe(error);
+    });
+  });
+
+  describe('metrics', () => {
+    let emitter;
+    const documents = () => emitter.emit.mock.calls.map(([document]) => document);
+    const metricNames = document => document._aws.CloudWatchMetrics[0].Metrics
+      .map(({ Name }) => Name);
+
+    beforeEach(() => {
+      emitter = { emit: jest.fn() };
+      options.metrics = { namespace: 'Orders', emitter };
+      context = {
+        awsRequestId: 'request123',
+        functionName: 'fn',
+        functionVersion: '$LATEST',
+      };
+    });
+
+    it('emits the metrics of each invocation along with custom metrics', () => {
+      expect.assertions(3);
+      processor = (handler) => {
+        handler.metrics.addDimension('Service', 'checkout').addMetric('Placed', 1, 'Count');
       };
       const handler = new Handler(processor, options, event, context, callback);
       return handler.invoke()
         .then(() => {
-          expect(Handler.prototype.cleanup).toHaveBeenCalled();
+          expect(documents()).toHaveLength(1);
+          expect(documents()[0]).toEqual(expect.objectContaining({
+            _aws: {
+              Timestamp: expect.any(Number),
+              CloudWatchMetrics: [{
+                Namespace: 'Orders',
+                Dimensions: [['FunctionName', 'Service']],
+                Metrics: expect.any(Array),
+              }],
+            },
+            FunctionName: 'fn',
+            Service: 'checkout',
+            awsRequestId: 'request123',
+            functionVersion: '$LATEST',
+            totalInvocations: handler.container.totalInvocations,
+            coldStartPercentage: handler.container.coldStartPercentage * 100,
+            profilePercentage: handler.container.profilePercentage * 100,
+            Placed: 1,
+            Duration: expect.any(Number),
+            ColdStart: 0,
+            Error: 0,
+            Profiled: 0,
+            InitDuration: expect.any(Number),
+            ProcessDuration: expect.any(Number),
+            CleanupDuration: expect.any(Number),
+            HeapUsed: expect.any(Number),
+          }));
+          expect(metricNames(documents()[0])).toEqual([
+            'Placed',
+            'Duration',
+            'ColdStart',
+            'Error',
+            'Profiled',
+            'InitDuration',
+            'ProcessDuration',
+            'CleanupDuration',
+            'HeapUsed',
+          ]);
         });
     });
 
-    it('if cleanup throws, the error is passed to respond', () => {
-      const error = new Error('FAIL');
-      mocks.push(
-        jest.spyOn(Handler.prototype, 'respond'),
-        jest.spyOn(Handler.prototype, 'cleanup').mockImplementation(() => {
-          throw error;
-        })
-      );
+    it('reports errors and skips the timings of phases which did not run', () => {
+      expect.assertions(2);
+      options.eventSchema = { required: ['id'] };
       const handler = new Handler(processor, options, event, context, callback);
       return handler.invoke()
         .then(() => {
-          expect(Handler.prototype.respond).toHaveBeenCalledWith(error);
+          expect(documents()[0].Error).toBe(1);
+          expect(metricNames(documents()[0])).not.toContain('ProcessDuration');
         });
     });
 
-    it('sends the result of process() to respond()', () => {
-      expect.assertions(1);
-      const response = { iAm: 'a response' };
-      processor = () => response;
-      const handler = new Handler(processor, options, event, context, callback);
-      mocks.push(jest.spyOn(handler, 'respond'));
-      return handler.invoke()
+    it('emits the metrics once when flushing the profile fails', () => {
+      expect.assertions(4);
+      const error = new Error('sink failed');
+      options.profileSink = { write: jest.fn(() => Promise.reject(error)) };
+      const handler = new Handler(processor, options, event, undefined, callback);
+      handler.profile = 'A profile!';
+      return expect(handler.cleanup()).rejects.toBe(error)
+        .then(() => expect(handler.cleanup()).rejects.toBe(error))
         .then(() => {
-          expect(handler.respond).toHaveBeenCalledWith(null, response);
+          expect(documents()).toHaveLength(1);
+          expect(documents()[0]).toEqual(expect.objectContaining({
+            Error: 1,
+            _aws: expect.objectContaining({
+              CloudWatchMetrics: [expect.objectContaining({ Dimensions: [[]] })],
+            }),
+          }));
         });
     });
 
-    it('catches errors at all pre-response steps', () => {
-      const steps = ['init', 'process', 'cleanup'];
-      expect.assertions(steps.length);
-      mocks.push(jest.spyOn(Handler.prototype, 'respond'));
-      return Promise.all(steps.map((toThrow) => {
-        const handler = new Handler(processor, options, event, context, callback);
-        const error = new Error(toThrow);
-        const handlerMocks = steps.map(step => jest.spyOn(
-          handler,
-          step
-        ).mockReturnValue(step === toThrow ? Promise.reject(error) : Promise.resolve()));
-        return handler.invoke()
-          .then(() => {
-            expect(handler.respond).toHaveBeenCalledWith(error);
-            handlerMocks.forEach(mock => mock.mockRestore());
-          });
-      }));
-    });
-
-    it('catches a single error in the respond method', () => {
-      expect.assertions(3);
-      const response = { iAm: 'a response' };
-      processor = () => response;
+    it('reports cold starts and profiled invocations', () => {
+      expect.assertions(1);
       const handler = new Handler(processor, options, event, context, callback);
-      const error = new Error('yikes!');
-      mocks.push(jest.spyOn(handler, 'respond')
-        .mockReturnValueOnce(Promise.reject(error)));
-      return handler.invoke()
+      handler.isColdStart = true;
+      handler.profilingEnabled = true;
+      return handler.flushMetrics()
         .then(() => {
-          expect(handler.respond).toHaveBeenCalledWith(null, response);
-          expect(handler.respond).toHaveBeenCalledWith(error);
-          expect(handler.respond).toHaveBeenCalledTimes(2);
+          expect(documents()[0]).toEqual(expect.objectContaining({ ColdStart: 1, Profiled: 1 }));
         });
     });
 
-    it('catches three errors in the respond method then falls back to invoking the callback directly', () => {
-      expect.assertions(5);
-      const response = { iAm: 'a response' };
-      processor = () => response;
+    it('uses the default namespace and emitter when enabled with true', () => {
+      expect.assertions(2);
+      options.metrics = true;
       const handler = new Handler(processor, options, event, context, callback);
-      const errorOne = new Error('yikes!');
-      const errorTwo = new Error('another yikes!');
-      const errorThree = new Error('another yikes!');
-      mocks.push(jest.spyOn(handler, 'respond')
-        .mockReturnValueOnce(Promise.reject(errorOne))
-        .mockReturnValueOnce(Promise.reject(errorTwo))
-        .mockReturnValueOnce(Promise.reject(errorThree)));
+      expect(handler.metrics.namespace).toBe('LambdaPatterns');
+      expect(handler.metrics.emitter.emit).toEqual(expect.any(Function));
+    });
+
+    it('emits nothing when disabled', () => {
+      expect.assertions(1);
+      delete options.metrics;
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.metrics.emitter = emitter;
+      handler.metrics.addMetric('Placed', 1);
       return handler.invoke()
         .then(() => {
-          expect(handler.respond).toHaveBeenCalledWith(null, response);
-          expect(handler.respond).toHaveBeenCalledWith(errorOne);
-          expect(handler.respond).toHaveBeenCalledWith(errorTwo);
-          expect(handler.respond).toHaveBeenCalledTimes(3);
-          expect(callback).toHaveBeenCalledWith(errorThree);
+          expect(emitter.emit).not.toHaveBeenCalled();
         });
     });
   });
 
-  describe('init()', () => {
+  describe('timings', () => {
+    let FreshHandler;
+    let stream;
+
     beforeEach(() => {
-      mocks.push(jest.spyOn(Handler.prototype, 'startProfiling'));
+      // A fresh module has not seen a cold start or any timings yet.
+      jest.resetModules();
+      FreshHandler = require('../../lib/Handler'); // eslint-disable-line global-require
+      stream = { write: jest.fn() };
+      options.logStream = stream;
     });
 
-    it('determines whether profiling should be enabled', () => {
+    const invokeWith = (invokeEvent = event) => {
+      const handler = new FreshHandler(processor, options, invokeEvent, context, jest.fn());
+      return handler.invoke().then(() => handler);
+    };
+
+    it('measures the module load of cold starts, each phase and the whole invocation', () => {
       expect.assertions(4);
-      options.shouldProfile = jest.fn(() => false);
-      const handler = new Handler(processor, options, event, context, callback);
-      mocks.push(jest.spyOn(handler.container.profilePercentage, 'increment'));
-      handler.init();
-      expect(options.shouldProfile).toHaveBeenCalledWith(handler);
-      expect(handler.profilingEnabled).toBe(false);
-      expect(handler.startProfiling).toHaveBeenCalled();
-      expect(handler.container.profilePercentage.increment).toHaveBeenCalledWith(false);
+      return invokeWith()
+        .then((handler) => {
+          expect(Object.keys(handler.timings).sort())
+            .toEqual(['cleanup', 'init', 'moduleLoad', 'process', 'respond', 'total']);
+          expect(handler.timings.total).toBeGreaterThanOrEqual(handler.timings.process);
+          expect(JSON.parse(stream.write.mock.calls[stream.write.mock.calls.length - 1][0]))
+            .toEqual(expect.objectContaining({
+              level: 'info',
+              message: 'Invocation timings',
+              timings: handler.timings,
+            }));
+          return invokeWith();
+        })
+        .then((handler) => {
+          expect(handler.timings.moduleLoad).toBeUndefined();
+        });
     });
 
-    it('determines whether the Lambda API should wait for an empty even loop to end the invocation and respond', () => {
+    it('summarises the timings of cold and warm invocations of the container', () => {
+      expect.assertions(3);
+      return invokeWith()
+        .then(() => invokeWith())
+        .then(() => invokeWith())
+        .then(() => {
+          const { cold, warm } = FreshHandler.timingSummary();
+          expect(Object.keys(cold).sort())
+            .toEqual(['cleanup', 'init', 'moduleLoad', 'process', 'respond', 'total']);
+          expect(cold.moduleLoad).toEqual({
+            count: 1,
+            p50: expect.any(Number),
+            p95: cold.moduleLoad.p50,
+          });
+          expect(warm.total).toEqual({
+            count: 2,
+            p50: expect.any(Number),
+            p95: expect.any(Number),
+          });
+        });
+    });
+
+    it('leaves warm-ups out of the summary', () => {
+      expect.assertions(1);
+      options.warmUp = true;
+      return invokeWith({ warmer: true })
+        .then(() => {
+          expect(FreshHandler.timingSummary()).toEqual({ cold: {}, warm: {} });
+        });
+    });
+
+    it('clears the samples when the container is reset', () => {
       expect.assertions(2);
-      const handler = new Handler(processor, options, event, context, callback);
-      handler.init();
-      expect(handler.context.callbackWaitsForEmptyEventLoop).toBe(true);
-      options = { waitForEventLoop: false };
-      const impatientHandler = new Handler(processor, options, event, context, callback);
-      impatientHandler.init();
-      expect(impatientHandler.context.callbackWaitsForEmptyEventLoop).toBe(false);
+      return invokeWith()
+        .then(() => {
+          expect(Object.keys(FreshHandler.timingSummary().cold)).not.toHaveLength(0);
+          FreshHandler.resetContainer();
+          expect(FreshHandler.timingSummary()).toEqual({ cold: {}, warm: {} });
+        });
     });
-  });
 
-  test('process() invokes the processor passed to the constructor', () => {
-    expect.assertions(1);
-    processor = jest.fn();
-    const handler = new Handler(processor, options, event, context, callback);
-    handler.process();
-    expect(processor).toHaveBeenCalledWith(handler);
-  });
+    it('only measures the module load of the first cold start of the process', () => {
+      expect.assertions(3);
+      return invokeWith()
+        .then((handler) => {
+          expect(handler.timings.moduleLoad).toEqual(expect.any(Number));
+          FreshHandler.resetContainer();
+          return invokeWith();
+        })
+        .then((handler) => {
+          expect(handler.isColdStart).toBe(true);
+          expect(handler.timings.moduleLoad).toBeUndefined();
+        });
+    });
 
-  test('cleanup() stops profiling', () => {
-    expect.assertions(1);
-    mocks.push(jest.spyOn(Handler.prototype, 'stopProfiling'));
-    const handler = new Handler(processor, options, event, context, callback);
-    handler.cleanup();
-    expect(handler.stopProfiling).toHaveBeenCalled();
+    it('emits the module load time of cold starts as a metric', () => {
+      expect.assertions(1);
+      const emitter = { emit: jest.fn() };
+      options.metrics = { emitter };
+      return invokeWith()
+        .then(() => {
+          expect(emitter.emit.mock.calls[0][0].ModuleLoadDuration).toEqual(expect.any(Number));
+        });
+    });
   });
 
   test('respond() proxies the callback', () => {
@@ -360,6 +2301,160 @@ describe('Handler', () => {
     });
   });
 
+  describe('memory profiling', () => {
+    const snapshot = {
+      export: jest.fn(cb => cb(null, '{"snapshot":{}}')),
+      delete: jest.fn(),
+    };
+
+    beforeEach(() => {
+      Object.assign(Handler.profiler, {
+        takeSnapshot: jest.fn(() => snapshot),
+        startSamplingHeapProfiling: jest.fn(),
+        stopSamplingHeapProfiling: jest.fn(() => ({ head: {} })),
+      });
+      Handler.zlib.deflateSync.mockReset();
+      Handler.zlib.deflateSync.mockImplementation(json => Buffer.from(json));
+      context = { awsRequestId: 'request123' };
+    });
+
+    afterEach(() => {
+      delete Handler.profiler.takeSnapshot;
+      delete Handler.profiler.startSamplingHeapProfiling;
+      delete Handler.profiler.stopSamplingHeapProfiling;
+      Handler.zlib.deflateSync.mockReset();
+    });
+
+    it('takes a heap snapshot when profiling stops and serializes it when flushing', () => {
+      expect.assertions(5);
+      options.profileType = 'HEAP_SNAPSHOT';
+      options.profileSink = { write: jest.fn() };
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.profilingEnabled = true;
+      handler.startProfiling();
+      handler.stopProfiling();
+      expect(Handler.profiler.takeSnapshot).toHaveBeenCalledWith('request123');
+      expect(handler.profileExtension).toBe('.heapsnapshot');
+      return handler.flushProfile()
+        .then(() => handler.flushProfile())
+        .then(() => {
+          expect(Buffer.from(handler.profile, 'base64').toString()).toBe('{"snapshot":{}}');
+          expect(snapshot.delete).toHaveBeenCalledTimes(1);
+          expect(options.profileSink.write).toHaveBeenCalledWith(handler.profile, handler);
+        });
+    });
+
+    it('rejects when the heap snapshot cannot be serialized', () => {
+      expect.assertions(1);
+      const error = new Error('FAIL');
+      snapshot.export.mockImplementationOnce(cb => cb(error));
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.heapSnapshot = snapshot;
+      return expect(handler.flushProfile()).rejects.toBe(error);
+    });
+
+    it('collects heap sampling profiles', () => {
+      expect.assertions(3);
+      options.profileType = 'HEAP_SAMPLING';
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.profilingEnabled = true;
+      handler.startProfiling();
+      handler.stopProfiling();
+      expect(Handler.profiler.startSamplingHeapProfiling).toHaveBeenCalled();
+      expect(Buffer.from(handler.profile, 'base64').toString()).toBe('{"head":{}}');
+      expect(handler.profileExtension).toBe('.heapprofile');
+    });
+
+    it('requires a profiler which supports the profile type', () => {
+      expect.assertions(3);
+      delete Handler.profiler.takeSnapshot;
+      delete Handler.profiler.startSamplingHeapProfiling;
+      const start = (profileType) => {
+        const handler = new Handler(processor, { profileType }, event, context, callback);
+        handler.profilingEnabled = true;
+        return () => handler.startProfiling();
+      };
+      expect(start('HEAP_SNAPSHOT'))
+        .toThrow('The HEAP_SNAPSHOT profile type requires a profiler with takeSnapshot()');
+      expect(start('HEAP_SAMPLING'))
+        .toThrow('The HEAP_SAMPLING profile type requires a profiler with startSamplingHeapProfiling()');
+      expect(start('MEMORY')).toThrow('Unknown profile type "MEMORY"');
+    });
+
+    it('collects no memory profile with a profiler which cannot stop it', () => {
+      expect.assertions(2);
+      delete Handler.profiler.takeSnapshot;
+      delete Handler.profiler.stopSamplingHeapProfiling;
+      const stop = (profileType) => {
+        const handler = new Handler(processor, { profileType }, event, context, callback);
+        handler.profilingEnabled = true;
+        handler.stopProfiling();
+        return handler;
+      };
+      expect(stop('HEAP_SNAPSHOT').heapSnapshot).toBeUndefined();
+      expect(stop('HEAP_SAMPLING').profile).toBeUndefined();
+    });
+
+    it('records the memory usage at the end of each step', () => {
+      expect.assertions(1);
+      const handler = new Handler(processor, options, event, context, callback);
+      return handler.invoke()
+        .then(() => {
+          const usage = expect.objectContaining({ heapUsed: expect.any(Number), rss: expect.any(Number) });
+          expect(handler.memoryUsage).toEqual({
+            init: usage,
+            process: usage,
+            cleanup: usage,
+            respond: usage,
+          });
+        });
+    });
+
+    it('flags heap growth across successive warm invocations', () => {
+      expect.assertions(5);
+      const stream = { write: jest.fn() };
+      const emitter = { emit: jest.fn() };
+      Object.assign(options, { heapGrowthInvocations: 2, logStream: stream, metrics: { emitter } });
+      const memoryUsage = jest.spyOn(process, 'memoryUsage');
+      mocks.push(memoryUsage);
+      const track = (heapUsed) => {
+        memoryUsage.mockReturnValueOnce({ heapUsed });
+        const handler = new Handler(processor, options, event, context, callback);
+        handler.trackHeapGrowth();
+        return handler;
+      };
+
+      track(100);
+      track(50);
+      expect(track(60).heapGrowth).toBeUndefined();
+      const handler = track(80);
+      expect(handler.heapGrowth).toEqual({ invocations: 2, bytes: 30 });
+      expect(JSON.parse(stream.write.mock.calls[0][0])).toEqual(expect.objectContaining({
+        level: 'warn',
+        message: 'The heap has grown across successive warm invocations',
+        heapUsed: 80,
+        growthInvocations: 2,
+        growthBytes: 30,
+      }));
+      expect(track(70).heapGrowth).toBeUndefined();
+      return handler.flushMetrics()
+        .then(() => {
+          expect(emitter.emit.mock.calls[0][0]).toEqual(expect.objectContaining({
+            HeapUsed: 80,
+            HeapGrowth: 30,
+          }));
+        });
+    });
+
+    it('does not track the heap of warm-ups', () => {
+      expect.assertions(1);
+      options.warmUp = true;
+      const handler = new Handler(processor, options, { warmer: true }, context, callback);
+      handler.trackHeapGrowth();
+      expect(handler.heapUsed).toBeUndefined();
+    });
+  });
+
   describe('shouldProfile()', () => {
     it('returns false by default', () => {
       expect.assertions(1);
@@ -431,5 +2526,165 @@ describe('Handler', () => {
       // 25%
       mockInvoke(false);
     });
+
+    it('reads the percentage of profiled invocations from the container state', () => {
+      expect.assertions(2);
+      options = { profileStrategy: 'PERCENTAGE', profilePercentage: 20 };
+      const handler = new Handler(processor, options, event, context, callback);
+      handler.container = Object.assign({}, handler.container, { profilePercentage: 0.1 });
+      expect(Handler.shouldProfile(handler)).toBe(true);
+      handler.container.profilePercentage = 0.5;
+      expect(Handler.shouldProfile(handler)).toBe(false);
+    });
+
+    it('profiles a number of invocations per window with the RATE profiling strategy', () => {
+      expect.assertions(6);
+      Handler.resetContainer();
+      const now = jest.spyOn(Date, 'now');
+      mocks.push(now);
+      options = { profileStrategy: 'RATE', profileRate: { limit: 2, windowSeconds: 10 } };
+      const mockInvoke = (time, withProfiling) => {
+        now.mockReturnValue(time);
+        const handler = new Handler(processor, options, event, context, callback);
+        expect(Handler.shouldProfile(handler)).toBe(withProfiling);
+      };
+
+      mockInvoke(1000, true);
+      mockInvoke(2000, true);
+      mockInvoke(10999, false);
+      mockInvoke(11000, true);
+      mockInvoke(11000, true);
+      mockInvoke(11000, false);
+    });
+
+    it('profiles one invocation per minute by default with the RATE profiling strategy', () => {
+      expect.assertions(3);
+      Handler.resetContainer();
+      const now = jest.spyOn(Date, 'now');
+      mocks.push(now);
+      options = { profileStrategy: 'RATE' };
+      [[60000, true], [119999, false], [120000, true]].forEach(([time, withProfiling]) => {
+        now.mockReturnValue(time);
+        const handler = new Handler(processor, options, event, context, callback);
+        expect(Handler.shouldProfile(handler)).toBe(withProfiling);
+      });
+    });
+
+    it('profiles every invocation with the ON_SLOW and ON_ERROR profiling strategies', () => {
+      expect.assertions(2);
+      ['ON_SLOW', 'ON_ERROR'].forEach((profileStrategy) => {
+        const handler = new Handler(processor, { profileStrategy }, event, context, callback);
+        expect(Handler.shouldProfile(handler)).toBe(true);
+      });
+    });
+
+    it('profiles the invocations which ask for it with the ON_DEMAND profiling strategy', () => {
+      expect.assertions(9);
+      const mockInvoke = (mockEvent, profileTrigger) => {
+        const handler = new Handler(
+          processor,
+          { profileStrategy: 'ON_DEMAND', profileTrigger },
+          mockEvent,
+          context,
+          callback
+        );
+        return Handler.shouldProfile(handler);
+      };
+
+      expect(mockInvoke({ __profile: true })).toBe(true);
+      expect(mockInvoke({ __profile: 'yes' })).toBe(false);
+      expect(mockInvoke({ debug: true }, { property: 'debug' })).toBe(true);
+      expect(mockInvoke(null)).toBe(false);
+      expect(mockInvoke({ headers: { 'X-Profile': 'secret' } })).toBe(false);
+      expect(mockInvoke({ headers: { 'x-profile': 'secret' } }, { token: 'secret' })).toBe(true);
+      expect(mockInvoke({ headers: { 'X-Profile': 'guess' } }, { token: 'secret' })).toBe(false);
+      expect(mockInvoke({ headers: { 'X-Debug': 'secret' } }, { header: 'x-debug', token: 'secret' }))
+        .toBe(true);
+      process.env.PROFILE_TOKEN = 'secret';
+      expect(mockInvoke({ headers: { 'X-Profile': 'secret' } })).toBe(true);
+      delete process.env.PROFILE_TOKEN;
+    });
+
+    it('uses the profiling strategy of the PROFILE_STRATEGY environment variable', () => {
+      expect.assertions(2);
+      process.env.PROFILE_STRATEGY = 'always';
+      const handler = new Handler(processor, { profileStrategy: 'NEVER' }, event, context, callback);
+      delete process.env.PROFILE_STRATEGY;
+      expect(handler.profileStrategy).toBe('ALWAYS');
+      expect(Handler.shouldProfile(handler)).toBe(true);
+    });
+  });
+
+  describe('filterProfile()', () => {
+    const invoke = (strategyOptions, error) => {
+      const emitter = { emit: jest.fn() };
+      const handler = new Handler(
+        processor,
+        Object.assign({ metrics: { emitter } }, strategyOptions),
+        event,
+        context,
+        callback
+      );
+      handler.profilingEnabled = true;
+      handler.profile = 'A profile!';
+      handler.error = error;
+      handler.filterProfile();
+      return handler.flushMetrics()
+        .then(() => ({ handler, profiled: emitter.emit.mock.calls[0][0].Profiled }));
+    };
+
+    it('keeps the profiles of other strategies', () => {
+      expect.assertions(3);
+      return invoke({ profileStrategy: 'ALWAYS' })
+        .then(({ handler, profiled }) => {
+          expect(handler.profile).toBe('A profile!');
+          expect(handler.profileDiscarded).toBe(false);
+          expect(profiled).toBe(1);
+        });
+    });
+
+    it('does nothing when profiling is not enabled', () => {
+      expect.assertions(1);
+      const handler = new Handler(processor, { profileStrategy: 'ON_ERROR' }, event, context, callback);
+      handler.filterProfile();
+      expect(handler.profileDiscarded).toBe(false);
+    });
+
+    it('only keeps the profiles of slow invocations with the ON_SLOW strategy', () => {
+      expect.assertions(4);
+      return Promise.all([
+        invoke({ profileStrategy: 'ON_SLOW', profileSlowThresholdMs: 0 }),
+        invoke({ profileStrategy: 'ON_SLOW', profileSlowThresholdMs: 60000 }),
+      ])
+        .then(([slow, fast]) => {
+          expect(slow.handler.profile).toBe('A profile!');
+          expect(fast.handler.profile).toBeNull();
+          expect(fast.handler.profileDiscarded).toBe(true);
+          expect(fast.profiled).toBe(0);
+        });
+    });
+
+    it('only keeps the profiles of failed invocations with the ON_ERROR strategy', () => {
+      expect.assertions(2);
+      return Promise.all([
+        invoke({ profileStrategy: 'ON_ERROR' }, new Error('FAIL')),
+        invoke({ profileStrategy: 'ON_ERROR' }),
+      ])
+        .then(([failed, succeeded]) => {
+          expect(failed.handler.profile).toBe('A profile!');
+          expect(succeeded.handler.profile).toBeNull();
+        });
+    });
+
+    it('deletes discarded heap snapshots', () => {
+      expect.assertions(2);
+      const snapshot = { export: jest.fn(), delete: jest.fn() };
+      const handler = new Handler(processor, { profileStrategy: 'ON_ERROR' }, event, context, callback);
+      handler.profilingEnabled = true;
+      handler.heapSnapshot = snapshot;
+      handler.filterProfile();
+      expect(snapshot.delete).toHaveBeenCalled();
+      expect(handler.heapSnapshot).toBeNull();
+    });
   });
 });
@@ -0,0 +1,250 @@
+jest.mock('v8-profiler-lambda');
+
+const apiGatewayEvent = require('../fixtures/events/apiGateway.json');
+const HttpHandler = require('../../lib/HttpHandler');
+const { NotFoundError, ValidationError } = require('../../lib/errors');
+
+describe('HttpHandler', () => {
+  let event;
+  let context;
+  let callback;
+  let options;
+
+  const invoke = processor => HttpHandler.create(processor, options)(event, context, callback)
+    .then(() => callback.mock.calls[0]);
+
+  beforeEach(() => {
+    event = apiGatewayEvent;
+    context = { awsRequestId: 'request123' };
+    callback = jest.fn();
+    options = { logStream: { write: jest.fn() } };
+  });
+
+  test('defaultOptions are defined', () => {
+    expect.assertions(1);
+    expect(HttpHandler.defaultOptions).toMatchSnapshot();
+  });
+
+  describe('responses', () => {
+    it('serializes plain values as JSON', () => {
+      expect.assertions(1);
+      return invoke(({ request }) => ({ id: request.params.id }))
+        .then(([error, result]) => {
+          expect([error, result]).toEqual([null, {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"id":"123"}',
+          }]);
+        });
+    });
+
+    it('responds with no content when nothing is returned', () => {
+      expect.assertions(1);
+      return invoke(() => {})
+        .then(([, result]) => {
+          expect(result).toEqual({ statusCode: 204, headers: {}, body: '' });
+        });
+    });
+
+    it('responds with base64 encoded buffers', () => {
+      expect.assertions(2);
+      return invoke(() => Buffer.from('hello'))
+        .then(([, result]) => {
+          expect(result.body).toBe('aGVsbG8=');
+          expect(result.isBase64Encoded).toBe(true);
+        });
+    });
+
+    it('passes proxy results through, serializing their bodies', () => {
+      expect.assertions(4);
+      const results = [
+        [{ statusCode: 201, body: { id: 1 } }, {
+          statusCode: 201,
+          headers: { 'Content-Type': 'application/json' },
+          body: '{"id":1}',
+        }],
+        [{ statusCode: 200, body: Buffer.from('hi') }, {
+          statusCode: 200,
+          headers: {},
+          body: 'aGk=',
+          isBase64Encoded: true,
+        }],
+        [{ statusCode: 200, headers: { 'Content-Type': 'text/csv' }, body: 'a,b' }, {
+          statusCode: 200,
+          headers: { 'Content-Type': 'text/csv' },
+          body: 'a,b',
+        }],
+        [{ statusCode: 304 }, { statusCode: 304, headers: {}, body: '' }],
+      ];
+      return results.reduce((prev, [response, expected]) => prev
+        .then(() => {
+          callback = jest.fn();
+          return invoke(() => response);
+        })
+        .then(([, result]) => {
+          expect(result).toEqual(expected);
+        }), Promise.resolve());
+    });
+
+    it('adds configured headers to every response', () => {
+      expect.assertions(1);
+      options.headers = { 'Cache-Control': 'no-store' };
+      return invoke(() => 'ok')
+        .then(([, result]) => {
+          expect(result.headers).toEqual({
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+          });
+        });
+    });
+  });
+
+  describe('errors', () => {
+    it('maps HttpErrors to problem+json responses', () => {
+      expect.assertions(2);
+      return invoke(() => {
+        throw new ValidationError('Invalid user', { errors: [{ path: '.name' }] });
+      })
+        .then(([error, result]) => {
+          expect(error).toBeNull();
+          expect(JSON.parse(result.body)).toEqual({
+            type: 'about:blank',
+            title: 'Bad Request',
+            status: 400,
+            detail: 'Invalid user',
+            instance: '/users/123',
+            errors: [{ path: '.name' }],
+          });
+        });
+    });
+
+    it('uses the status code of other errors', () => {
+      expect.assertions(2);
+      return invoke(() => {
+        const error = new Error('Gone away');
+        error.statusCode = 410;
+        throw error;
+      })
+        .then(([, result]) => {
+          expect(result.statusCode).toBe(410);
+          expect(result.headers['Content-Type']).toBe('application/problem+json');
+        });
+    });
+
+    it('maps errors by name', () => {
+      expect.assertions(1);
+      options.statusCodes = { ConditionalCheckFailedException: 409 };
+      return invoke(() => {
+        const error = new Error('The conditional request failed');
+        error.name = 'ConditionalCheckFailedException';
+        throw error;
+      })
+        .then(([, result]) => {
+          expect(result.statusCode).toBe(409);
+        });
+    });
+
+    it('hides the details of server errors', () => {
+      expect.assertions(3);
+      options.logStream = { write: jest.fn() };
+      const error = new Error('Database password is hunter2');
+      error.statusCode = 42;
+      return invoke(() => Promise.reject(error))
+        .then(([, result]) => {
+          expect(result.statusCode).toBe(500);
+          expect(JSON.parse(result.body)).toEqual({
+            type: 'about:blank',
+            title: 'Internal Server Error',
+            status: 500,
+          });
+          expect(JSON.parse(options.logStream.write.mock.calls[0][0]).error.message)
+            .toBe('Database password is hunter2');
+        });
+    });
+
+    it('omits the instance when there is no request', () => {
+      expect.assertions(1);
+      event = { iAm: 'not an http event' };
+      options.eventSource = 'NONE';
+      return invoke(() => {
+        throw new NotFoundError();
+      })
+        .then(([, result]) => {
+          expect(JSON.parse(result.body).instance).toBeUndefined();
+        });
+    });
+  });
+
+  it('resolves with the proxy result of errors when lambda passes no callback', () => {
+    expect.assertions(1);
+    return HttpHandler.create(() => {
+      throw new NotFoundError('No such user');
+    }, options)(event, context)
+      .then((result) => {
+        expect(result.statusCode).toBe(404);
+      });
+  });
+
+  describe('cors', () => {
+    it('allows any origin', () => {
+      expect.assertions(1);
+      options.cors = true;
+      return invoke(() => 'ok')
+        .then(([, result]) => {
+          expect(result.headers['Access-Control-Allow-Origin']).toBe('*');
+        });
+    });
+
+    it('supports detailed configuration', () => {
+      expect.assertions(1);
+      options.cors = {
+        origin: 'https://example.com',
+        methods: ['GET', 'POST'],
+        headers: ['Content-Type', 'Authorization'],
+        credentials: true,
+        maxAge: 600,
+      };
+      return invoke(() => 'ok')
+        .then(([, result]) => {
+          expect(result.headers).toEqual({
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': 'https://example.com',
+            'Access-Control-Allow-Methods': 'GET, POST',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '600',
+          });
+        });
+    });
+
+    it('reflects allowed origins', () => {
+      expect.assertions(3);
+      options.cors = { origin: ['https://a.example.com', 'https://b.example.com'] };
+      const withOrigin = origin => Object.assign({}, apiGatewayEvent, {
+        headers: Object.assign({}, apiGatewayEvent.headers, { Origin: origin }),
+      });
+      event = withOrigin('https://b.example.com');
+      return invoke(() => 'ok')
+        .then(([, result]) => {
+          expect(result.headers['Access-Control-Allow-Origin']).toBe('https://b.example.com');
+          expect(result.headers.Vary).toBe('Origin');
+          event = withOrigin('https://evil.example.com');
+          callback = jest.fn();
+          return invoke(() => 'ok');
+        })
+        .then(([, result]) => {
+          expect(result.headers['Access-Control-Allow-Origin']).toBeUndefined();
+        });
+    });
+
+    it('does not reflect origins without a request', () => {
+      expect.assertions(1);
+      options.cors = { origin: ['https://a.example.com'] };
+      options.eventSource = 'NONE';
+      return invoke(() => 'ok')
+        .then(([, result]) => {
+          expect(result.headers['Access-Control-Allow-Origin']).toBeUndefined();
+        });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const LambdaInvoker = require('../../lib/LambdaInvoker');
+
+describe('LambdaInvoker', () => {
+  const handler = {
+    context: {
+      functionName: 'fn',
+      invokedFunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:fn:live',
+    },
+  };
+
+  describe('constructor()', () => {
+    it('requires a client implementing invoke()', () => {
+      expect.assertions(2);
+      expect(() => new LambdaInvoker())
+        .toThrow('LambdaInvoker must be constructed with a client implementing invoke()');
+      expect(() => new LambdaInvoker({ client: {} }))
+        .toThrow('LambdaInvoker must be constructed with a client implementing invoke()');
+    });
+  });
+
+  describe('invoke()', () => {
+    it('invokes the function which is being invoked with an aws-sdk style client', () => {
+      expect.assertions(2);
+      const promise = jest.fn(() => Promise.resolve({ StatusCode: 200 }));
+      const client = { invoke: jest.fn(() => ({ promise })) };
+      const invoker = new LambdaInvoker({ client });
+      return invoker.invoke({ warmer: true }, handler)
+        .then((result) => {
+          expect(client.invoke).toHaveBeenCalledWith({
+            FunctionName: 'arn:aws:lambda:us-east-1:123456789012:function:fn:live',
+            InvocationType: 'RequestResponse',
+            Payload: '{"warmer":true}',
+          });
+          expect(result).toBeUndefined();
+        });
+    });
+
+    it('invokes the given function with clients whose invoke() returns a promise', () => {
+      expect.assertions(2);
+      const client = { invoke: jest.fn(() => Promise.resolve()) };
+      return new LambdaInvoker({ client, functionName: 'other' }).invoke({}, handler)
+        .then(() => new LambdaInvoker({ client }).invoke({}, { context: { functionName: 'fn' } }))
+        .then(() => {
+          expect(client.invoke.mock.calls[0][0].FunctionName).toBe('other');
+          expect(client.invoke.mock.calls[1][0].FunctionName).toBe('fn');
+        });
+    });
+
+    it('rejects when the invocation fails', () => {
+      expect.assertions(1);
+      const client = { invoke: jest.fn(() => Promise.resolve({ FunctionError: 'Unhandled' })) };
+      return expect(new LambdaInvoker({ client }).invoke({}, {}))
+        .rejects.toThrow('The warm-up invocation failed with a Unhandled error');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const Logger = require('../../lib/Logger');
+
+describe('Logger', () => {
+  let stream;
+  const entries = () => stream.write.mock.calls.map(([line]) => JSON.parse(line));
+
+  beforeEach(() => {
+    stream = { write: jest.fn() };
+  });
+
+  describe('constructor()', () => {
+    it('defaults to info level on stdout', () => {
+      expect.assertions(2);
+      const logger = new Logger();
+      expect(logger.level).toBe('info');
+      expect(logger.stream).toBe(process.stdout);
+    });
+
+    it('throws for unknown levels', () => {
+      expect.assertions(1);
+      expect(() => new Logger({ level: 'loud' })).toThrow('Unknown log level "loud"');
+    });
+  });
+
+  test('levels are ordered', () => {
+    expect.assertions(1);
+    const { levels } = Logger;
+    expect([levels.trace, levels.debug, levels.info, levels.warn, levels.error, levels.silent])
+      .toEqual([10, 20, 30, 40, 50, Infinity]);
+  });
+
+  test('writes entries at or above the configured level as JSON lines', () => {
+    expect.assertions(3);
+    const logger = new Logger({ level: 'WARN', stream, fields: { service: 'orders' } });
+    ['trace', 'debug', 'info', 'warn', 'error'].forEach(level => logger[level](`${level}!`, { n: 1 }));
+    expect(stream.write.mock.calls.every(([line]) => line.endsWith('\n'))).toBe(true);
+    expect(entries().map(({ level }) => level)).toEqual(['warn', 'error']);
+    expect(entries()[0]).toEqual({
+      timestamp: expect.any(String),
+      level: 'warn',
+      message: 'warn!',
+      service: 'orders',
+      n: 1,
+    });
+  });
+
+  test('writes every level when tracing and nothing when silent', () => {
+    expect.assertions(2);
+    const logger = new Logger({ level: 'trace', stream });
+    ['trace', 'debug', 'info', 'warn', 'error'].forEach(level => logger[level](level));
+    expect(entries()).toHaveLength(5);
+    new Logger({ level: 'silent', stream }).error('nope');
+    expect(entries()).toHaveLength(5);
+  });
+
+  test('serializes errors', () => {
+    expect.assertions(2);
+    const logger = new Logger({ stream });
+    const error = new Error('FAIL');
+    error.code = 'E_FAIL';
+    logger.error('Something broke', error);
+    logger.error('Something else broke', { cause: error });
+    const [first, second] = entries();
+    expect(first.error).toEqual({
+      name: 'Error',
+      message: 'FAIL',
+      stack: error.stack,
+      code: 'E_FAIL',
+    });
+    expect(second.cause.message).toBe('FAIL');
+  });
+
+  test('redacts configured keys at any depth', () => {
+    expect.assertions(1);
+    const logger = new Logger({ stream, redact: ['Password', 'authorization'] });
+    const circular = { name: 'loop' };
+    circular.self = circular;
+    logger.info('Request', {
+      password: 'hunter2',
+      headers: { Authorization: 'Bearer abc', accept: '*/*' },
+      users: [{ password: 'x', name: 'Ada' }],
+      at: new Date(0),
+      circular,
+    });
+    expect(entries()[0]).toMatchObject({
+      password: '[REDACTED]',
+      headers: { Authorization: '[REDACTED]', accept: '*/*' },
+      users: [{ password: '[REDACTED]', name: 'Ada' }],
+      at: '1970-01-01T00:00:00.000Z',
+      circular: { name: 'loop', self: '[Circular]' },
+    });
+  });
+
+  test('child() adds fields to every entry', () => {
+    expect.assertions(2);
+    let count = 0;
+    const logger = new Logger({
+      stream,
+      redact: ['secret'],
+      fields: () => {
+        count += 1;
+        return { count };
+      },
+    });
+    const child = logger.child({ component: 'db', secret: 's' }).child({ table: 'users' });
+    child.info('Query');
+    expect(entries()[0]).toMatchObject({
+      count: 1,
+      component: 'db',
+      secret: '[REDACTED]',
+      table: 'users',
+    });
+    new Logger({ stream, fields: { a: 1 } }).child({ b: 2 }).info('Static');
+    expect(entries()[1]).toMatchObject({ a: 1, b: 2 });
+  });
+});
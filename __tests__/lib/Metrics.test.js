@@ -0,0 +1,122 @@
+const Metrics = require('../../lib/Metrics');
+
+describe('Metrics', () => {
+  let emitter;
+
+  beforeEach(() => {
+    emitter = { emit: jest.fn() };
+  });
+
+  test('constructor() defaults to the LambdaPatterns namespace on stdout', () => {
+    expect.assertions(3);
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    const metrics = new Metrics();
+    metrics.emitter.emit({ Count: 1 });
+    write.mockRestore();
+    expect(metrics.namespace).toBe('LambdaPatterns');
+    expect(metrics.dimensions).toEqual({});
+    expect(write).toHaveBeenCalledWith('{"Count":1}\n');
+  });
+
+  describe('addMetric()', () => {
+    it('collects values of the same metric', () => {
+      expect.assertions(1);
+      const metrics = new Metrics({ emitter })
+        .addMetric('Orders', 1, 'Count')
+        .addMetric('Orders', 2, 'Count')
+        .addMetric('Ratio', 0.5);
+      expect(metrics.metrics).toEqual({
+        Orders: { unit: 'Count', values: [1, 2] },
+        Ratio: { unit: 'None', values: [0.5] },
+      });
+    });
+
+    it('throws for unknown units', () => {
+      expect.assertions(1);
+      expect(() => new Metrics().addMetric('Orders', 1, 'Widgets'))
+        .toThrow('Unknown metric unit "Widgets"');
+    });
+
+    it('throws for values which are not finite numbers', () => {
+      expect.assertions(2);
+      const metrics = new Metrics();
+      expect(() => metrics.addMetric('Orders', NaN))
+        .toThrow('The value of metric "Orders" must be a finite number');
+      expect(() => metrics.addMetric('Orders', '1'))
+        .toThrow('The value of metric "Orders" must be a finite number');
+    });
+
+    it('throws when the unit of a metric changes', () => {
+      expect.assertions(1);
+      const metrics = new Metrics().addMetric('Latency', 1, 'Milliseconds');
+      expect(() => metrics.addMetric('Latency', 1, 'Seconds'))
+        .toThrow('Metric "Latency" was already added with the unit "Milliseconds"');
+    });
+  });
+
+  test('serialize() builds an Embedded Metric Format document', () => {
+    expect.assertions(1);
+    const metrics = new Metrics({ namespace: 'Orders', dimensions: { Service: 'checkout' }, emitter })
+      .addDimension('Stage', 1)
+      .setProperty('orderId', 'abc')
+      .addMetric('Placed', 1, 'Count')
+      .addMetric('Latency', 10, 'Milliseconds')
+      .addMetric('Latency', 20, 'Milliseconds');
+    expect(metrics.serialize(1000)).toEqual({
+      _aws: {
+        Timestamp: 1000,
+        CloudWatchMetrics: [{
+          Namespace: 'Orders',
+          Dimensions: [['Service', 'Stage']],
+          Metrics: [
+            { Name: 'Placed', Unit: 'Count' },
+            { Name: 'Latency', Unit: 'Milliseconds' },
+          ],
+        }],
+      },
+      Service: 'checkout',
+      Stage: '1',
+      orderId: 'abc',
+      Placed: 1,
+      Latency: [10, 20],
+    });
+  });
+
+  describe('flush()', () => {
+    it('emits the document and starts collecting again', () => {
+      expect.assertions(4);
+      emitter.emit.mockReturnValue(Promise.resolve('ignored'));
+      const metrics = new Metrics({ emitter, dimensions: { Service: 'checkout' } })
+        .setProperty('orderId', 'abc')
+        .addMetric('Placed', 1, 'Count');
+      return metrics.flush()
+        .then((result) => {
+          expect(result).toBeUndefined();
+          expect(emitter.emit).toHaveBeenCalledWith(expect.objectContaining({
+            _aws: expect.objectContaining({ Timestamp: expect.any(Number) }),
+            orderId: 'abc',
+            Placed: 1,
+          }));
+          expect(metrics.serialize(0)).toEqual(expect.objectContaining({ Service: 'checkout' }));
+          expect(metrics.metrics).toEqual({});
+        });
+    });
+
+    it('emits nothing without metrics', () => {
+      expect.assertions(1);
+      return new Metrics({ emitter }).flush()
+        .then(() => {
+          expect(emitter.emit).not.toHaveBeenCalled();
+        });
+    });
+
+    it('rejects when the emitter fails', () => {
+      expect.assertions(1);
+      const error = new Error('emit failed');
+      emitter.emit.mockImplementation(() => {
+        throw error;
+      });
+      return expect(new Metrics({ emitter }).addMetric('Placed', 1).flush()).rejects.toBe(error);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const Reservoir = require('../../lib/Reservoir');
+
+describe('Reservoir', () => {
+  it('summarises an empty sample', () => {
+    expect.assertions(1);
+    expect(new Reservoir().summary()).toEqual({ count: 0, p50: null, p95: null });
+  });
+
+  it('computes percentiles with the nearest-rank method', () => {
+    expect.assertions(4);
+    const reservoir = [15, 20, 35, 40, 50].reduce((acc, value) => acc.add(value), new Reservoir());
+    expect(reservoir.percentile(0)).toBe(15);
+    expect(reservoir.percentile(30)).toBe(20);
+    expect(reservoir.percentile(50)).toBe(35);
+    expect(reservoir.summary()).toEqual({ count: 5, p50: 35, p95: 50 });
+  });
+
+  it('keeps at most size values while counting every value', () => {
+    expect.assertions(3);
+    const random = jest.spyOn(Math, 'random')
+      .mockReturnValueOnce(0)
+      .mockReturnValueOnce(0.99);
+    const reservoir = new Reservoir(2).add(1).add(2).add(3).add(4);
+    random.mockRestore();
+    expect(reservoir.count).toBe(4);
+    // 3 replaces the first value, while 4 falls outside of the sample.
+    expect(reservoir.values).toEqual([3, 2]);
+    expect(reservoir.percentile(100)).toBe(3);
+  });
+});
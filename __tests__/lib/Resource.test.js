@@ -0,0 +1,149 @@
+const Resource = require('../../lib/Resource');
+
+describe('Resource', () => {
+  let handler;
+  let now;
+
+  beforeEach(() => {
+    handler = { resourceTimings: {}, logger: { debug: jest.fn(), info: jest.fn() } };
+    now = jest.spyOn(Date, 'now').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    now.mockRestore();
+  });
+
+  describe('constructor()', () => {
+    it('requires a name', () => {
+      expect.assertions(1);
+      expect(() => new Resource('', jest.fn()))
+        .toThrow('Resources must be constructed with a name');
+    });
+
+    it('requires a factory function', () => {
+      expect.assertions(1);
+      expect(() => new Resource('db'))
+        .toThrow('Resource "db" must be constructed with a factory function');
+    });
+  });
+
+  describe('get()', () => {
+    it('creates the value once and records how long it took', () => {
+      expect.assertions(5);
+      const factory = jest.fn(() => Promise.resolve({ pool: true }));
+      const resource = new Resource('db', factory);
+      return Promise.all([resource.get(handler), resource.get(handler)])
+        .then(([first, second]) => {
+          expect(first).toBe(second);
+          expect(factory).toHaveBeenCalledTimes(1);
+          expect(factory).toHaveBeenCalledWith(handler);
+          expect(handler.resourceTimings.db).toBe(resource.initDurationMs);
+          expect(handler.logger.debug).toHaveBeenCalledWith('Initialized a resource', {
+            resource: 'db',
+            durationMs: resource.initDurationMs,
+          });
+        });
+    });
+
+    it('may be used without a handler', () => {
+      expect.assertions(1);
+      const resource = new Resource('client', () => 'client');
+      return expect(resource.get()).resolves.toBe('client');
+    });
+
+    it('creates the value again once the ttl expires', () => {
+      expect.assertions(4);
+      let count = 0;
+      const dispose = jest.fn();
+      const resource = new Resource('client', () => { count += 1; return count; }, { ttl: 60, dispose });
+      return resource.get(handler)
+        .then(() => {
+          now.mockReturnValue(59999);
+          return resource.get(handler);
+        })
+        .then((value) => {
+          expect(value).toBe(1);
+          now.mockReturnValue(60000);
+          return resource.get(handler);
+        })
+        .then((value) => {
+          expect(value).toBe(2);
+          expect(dispose).toHaveBeenCalledWith(1);
+          expect(handler.logger.info).toHaveBeenCalledWith('Replacing a resource', {
+            resource: 'client',
+            reason: 'expired',
+          });
+        });
+    });
+
+    it('creates the value again when the health check fails', () => {
+      expect.assertions(4);
+      let count = 0;
+      const healthCheck = jest.fn(value => (value === 2 ? Promise.reject(new Error('FAIL')) : value > 2));
+      const dispose = jest.fn(() => Promise.reject(new Error('Ignored')));
+      const resource = new Resource('client', () => { count += 1; return count; }, { healthCheck, dispose });
+      return resource.get()
+        .then(() => resource.get())
+        .then(value => Promise.all([value, resource.get(handler)]))
+        .then(([second, third]) => {
+          expect(second).toBe(2);
+          expect(third).toBe(3);
+          expect(dispose.mock.calls).toEqual([[1], [2]]);
+          expect(healthCheck.mock.calls).toEqual([[1], [2]]);
+        });
+    });
+
+    it('shares a replacement with concurrent uses', () => {
+      expect.assertions(2);
+      let count = 0;
+      const factory = jest.fn(() => { count += 1; return count; });
+      const resource = new Resource('client', factory, { healthCheck: value => value > 1 });
+      return resource.get()
+        .then(() => Promise.all([resource.get(), resource.get()]))
+        .then((values) => {
+          expect(values).toEqual([2, 2]);
+          expect(factory).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    it('tries again after the factory fails', () => {
+      expect.assertions(2);
+      const factory = jest.fn()
+        .mockReturnValueOnce(Promise.reject(new Error('FAIL')))
+        .mockReturnValueOnce('value');
+      const resource = new Resource('client', factory);
+      return expect(resource.get(handler)).rejects.toThrow('FAIL')
+        .then(() => expect(resource.get(handler)).resolves.toBe('value'));
+    });
+
+    it('keeps a replacement when an earlier creation fails', () => {
+      expect.assertions(3);
+      const factory = jest.fn()
+        .mockReturnValueOnce(Promise.reject(new Error('FAIL')))
+        .mockReturnValueOnce('value');
+      const resource = new Resource('client', factory, { ttl: 0 });
+      const failed = resource.get();
+      const replaced = resource.get();
+      return expect(failed).rejects.toThrow('FAIL')
+        .then(() => expect(replaced).resolves.toBe('value'))
+        .then(() => {
+          expect(resource.pending).toBe(replaced);
+        });
+    });
+  });
+
+  test('reset() forgets the value', () => {
+    expect.assertions(2);
+    const factory = jest.fn(() => ({}));
+    const resource = new Resource('client', factory);
+    return resource.get()
+      .then(() => {
+        resource.reset();
+        expect(resource.pending).toBeNull();
+        return resource.get();
+      })
+      .then(() => {
+        expect(factory).toHaveBeenCalledTimes(2);
+      });
+  });
+});
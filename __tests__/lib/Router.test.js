@@ -0,0 +1,243 @@
+jest.mock('v8-profiler-lambda');
+
+const Handler = require('../../lib/Handler');
+const HttpHandler = require('../../lib/HttpHandler');
+const Router = require('../../lib/Router');
+const events = require('../../lib/testing/events');
+const invoke = require('../../lib/testing/invoke');
+
+describe('Router', () => {
+  let options;
+
+  beforeEach(() => {
+    options = { logStream: { write: jest.fn() } };
+  });
+
+  const logged = () => options.logStream.write.mock.calls
+    .map(([line]) => JSON.parse(line));
+
+  it('validates the notFound option', () => {
+    expect.assertions(1);
+    expect(() => Handler.router({ notFound: 'SKIP' })).toThrow('Unknown notFound behavior "SKIP"');
+  });
+
+  it('requires routes to have a processor and valid middleware', () => {
+    expect.assertions(2);
+    const router = Handler.router();
+    expect(() => router.route('GET', '/', null)).toThrow('Route "GET /" must be registered with a function for processing');
+    expect(() => router.route('GET', '/', () => {}, { middleware: [null] }))
+      .toThrow('Middleware must be an object with before, after or onError hooks');
+  });
+
+  it('is exposed by the processor created with Handler.router()', () => {
+    expect.assertions(2);
+    const processor = Handler.router();
+    expect(processor.router).toBeInstanceOf(Router);
+    expect(processor.route('GET', '/', () => {})).toBe(processor);
+  });
+
+  describe('HTTP routes', () => {
+    const router = Handler.router()
+      .route('GET', '/users', () => 'list')
+      .route('get', '/users/:id', ({ request, route }) => ({ params: request.params, route }))
+      .route('DELETE', '/users/:id', () => undefined)
+      .route('ANY', '/files/*', ({ request }) => request.params['*'])
+      .route('POST', '/users', ({ request }) => request.body, {
+        bodySchema: {
+          type: 'object',
+          properties: { name: { type: 'string' } },
+          required: ['name'],
+        },
+        responseSchema: { type: 'object', required: ['id'] },
+      });
+    const request = req => invoke(HttpHandler.create(router, options), events.apiGateway(req));
+
+    it('dispatches requests by method and path', () => {
+      expect.assertions(3);
+      return Promise.all([
+        request({ path: '/users' }),
+        request({ path: '/users/123/', query: { expand: 'all' } }),
+        request({ method: 'PATCH', path: '/files/reports/2019.csv' }),
+      ])
+        .then(([list, user, file]) => {
+          expect(JSON.parse(list.body)).toBe('list');
+          expect(JSON.parse(user.body)).toEqual({ params: { id: '123' }, route: 'GET /users/:id' });
+          expect(JSON.parse(file.body)).toBe('reports/2019.csv');
+        });
+    });
+
+    it('responds with 404 when no path matches and 405 when no method matches', () => {
+      expect.assertions(4);
+      return Promise.all([
+        request({ path: '/orders' }),
+        request({ method: 'PUT', path: '/users/123' }),
+      ])
+        .then(([notFound, notAllowed]) => {
+          expect(notFound.statusCode).toBe(404);
+          expect(notAllowed.statusCode).toBe(405);
+          expect(notAllowed.headers.Allow).toBe('GET, DELETE');
+          expect(JSON.parse(notAllowed.body)).toMatchObject({
+            detail: 'No route matches PUT /users/123',
+            allow: ['GET', 'DELETE'],
+          });
+        });
+    });
+
+    it('lists each allowed method once', () => {
+      expect.assertions(2);
+      const processor = Handler.router()
+        .route('GET', '/orders/:id', () => 'by id')
+        .route('GET', '/orders/:reference', () => 'by reference');
+      const lambdaHandler = HttpHandler.create(processor, options);
+      return invoke(lambdaHandler, events.apiGateway({ method: 'PUT', path: '/orders/1' }))
+        .then((response) => {
+          expect(response.headers.Allow).toBe('GET');
+          expect(JSON.parse(response.body).allow).toEqual(['GET']);
+        });
+    });
+
+    it('validates the body and the response of routes', () => {
+      expect.assertions(3);
+      return Promise.all([
+        request({ method: 'POST', path: '/users', body: { id: 1, name: 'Ada' } }),
+        request({ method: 'POST', path: '/users', body: { id: 1 } }),
+        request({ method: 'POST', path: '/users', body: { name: 'Ada' } }),
+      ])
+        .then(([created, invalid, unexpected]) => {
+          expect(created.statusCode).toBe(200);
+          expect(invalid.statusCode).toBe(400);
+          expect(unexpected.statusCode).toBe(500);
+        });
+    });
+  });
+
+  describe('record routes', () => {
+    let calls;
+    let router;
+
+    beforeEach(() => {
+      calls = [];
+      router = Handler.router()
+        .attribute('type', ['order.created', 'order.updated'], (handler, record) => {
+          calls.push(['order', record.body]);
+          return record.body.id;
+        })
+        .attribute('type', 'refund', (handler, record) => {
+          calls.push(['refund', record.body]);
+          return 'refunded';
+        })
+        .event('com.example.orders', 'Order Shipped', (handler, record) => `shipped ${record.body.id}`)
+        .event('com.example.orders', null, ({ route }) => route);
+    });
+
+    it('dispatches each SQS and SNS record by message attribute', () => {
+      expect.assertions(3);
+      const event = events.sqs([{ id: 1 }], { attributes: { type: 'order.created' } });
+      event.Records.push(events.sqs([{ id: 2 }], { attributes: { type: 'refund' } }).Records[0]);
+      return invoke(Handler.create(router, options), event)
+        .then((results) => {
+          expect(results).toEqual([1, 'refunded']);
+          expect(calls).toEqual([['order', { id: 1 }], ['refund', { id: 2 }]]);
+          return invoke(Handler.create(router, options), events.sns([{ id: 3 }], {
+            attributes: { type: 'order.updated' },
+          }));
+        })
+        .then((results) => {
+          expect(results).toEqual([3]);
+        });
+    });
+
+    it('dispatches records individually in batches', () => {
+      expect.assertions(2);
+      const event = events.sqs([{ id: 1 }], { attributes: { type: 'order.created' } });
+      event.Records.push(events.sqs([{ id: 2 }], { attributes: { type: 'unknown' } }).Records[0]);
+      options.batch = true;
+      return invoke(Handler.create(router, options), event)
+        .then((response) => {
+          expect(response.batchItemFailures).toEqual([{ itemIdentifier: event.Records[1].messageId }]);
+          expect(calls).toEqual([['order', { id: 1 }]]);
+        });
+    });
+
+    it('dispatches EventBridge events by source and detail-type', () => {
+      expect.assertions(3);
+      const lambdaHandler = Handler.create(router, options);
+      return Promise.all([
+        invoke(lambdaHandler, events.eventBridge({ id: 1 }, {
+          source: 'com.example.orders',
+          detailType: 'Order Shipped',
+        })),
+        invoke(lambdaHandler, events.eventBridge({ id: 2 }, {
+          source: 'com.example.orders',
+          detailType: 'Order Lost',
+        })),
+        invoke(lambdaHandler, events.eventBridge({ id: 3 }, { source: 'com.example.users' }))
+          .catch(error => error),
+      ])
+        .then(([shipped, lost, error]) => {
+          expect(shipped).toBe('shipped 1');
+          expect(lost).toBe('com.example.orders');
+          expect(error.message).toMatch(/^No route matches record /);
+        });
+    });
+
+    it('throws when events have no records to route', () => {
+      expect.assertions(1);
+      return invoke(Handler.create(router, options), { some: 'event' })
+        .catch((error) => {
+          expect(error.message).toBe('No route matches the event');
+        });
+    });
+  });
+
+  describe('notFound', () => {
+    it('ignores events which no route matches when set to IGNORE', () => {
+      expect.assertions(2);
+      const router = Handler.router({ notFound: 'IGNORE' });
+      return invoke(Handler.create(router, options), events.apiGateway({ path: '/missing' }))
+        .then((result) => {
+          expect(result).toBeUndefined();
+          expect(logged().find(entry => entry.level === 'warn')).toMatchObject({
+            message: 'No route matches, so nothing is processed',
+            target: 'GET /missing',
+          });
+        });
+    });
+
+    it('uses a function as the processor', () => {
+      expect.assertions(1);
+      const router = Handler.router({ notFound: (handler, record) => `fallback ${record.body}` });
+      return invoke(Handler.create(router, options), events.sqs(['message']))
+        .then((results) => {
+          expect(results).toEqual(['fallback message']);
+        });
+    });
+  });
+
+  describe('middleware', () => {
+    it('runs the process hooks of route middleware around the route', () => {
+      expect.assertions(3);
+      const before = jest.fn();
+      const router = Handler.router()
+        .attribute('type', 'order', () => 'processed', {
+          middleware: [{
+            before: { process: before },
+            after: { process: (handler, result) => `${result} by ${handler.route}` },
+          }],
+        })
+        .attribute('type', 'refund', () => {
+          throw new Error('Refunds are disabled');
+        }, {
+          middleware: [{ onError: { process: (handler, error) => error.message } }],
+        });
+      const event = events.sqs(['first'], { attributes: { type: 'order' } });
+      event.Records.push(events.sqs(['second'], { attributes: { type: 'refund' } }).Records[0]);
+      return invoke(Handler.create(router, options), event)
+        .then((results) => {
+          expect(results).toEqual(['processed by type=order', 'Refunds are disabled']);
+          expect(before).toHaveBeenCalledTimes(1);
+          expect(before.mock.calls[0][1].body).toBe('first');
+        });
+    });
+  });
+});
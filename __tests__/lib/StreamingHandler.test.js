@@ -0,0 +1,378 @@
+jest.mock('v8-profiler-lambda');
+
+const { Readable, Writable } = require('stream');
+const apiGatewayEvent = require('../fixtures/events/apiGatewayV2.json');
+const StreamingHandler = require('../../lib/StreamingHandler');
+const { NotFoundError } = require('../../lib/errors');
+const createContext = require('../../lib/testing/createContext');
+const createResponseStream = require('../../lib/testing/createResponseStream');
+
+describe('StreamingHandler', () => {
+  let event;
+  let options;
+  let responseStream;
+
+  const invoke = processor => StreamingHandler.create(processor, options)(
+    event,
+    responseStream,
+    createContext()
+  );
+
+  const read = chunks => new Readable({
+    read() {
+      this.push(chunks.length ? chunks.shift() : null);
+    },
+  });
+
+  beforeEach(() => {
+    event = apiGatewayEvent;
+    options = { logStream: { write: jest.fn() } };
+    responseStream = createResponseStream();
+  });
+
+  afterEach(() => {
+    delete global.awslambda;
+  });
+
+  test('defaultOptions are defined', () => {
+    expect.assertions(1);
+    expect(StreamingHandler.defaultOptions).toMatchSnapshot();
+  });
+
+  it('requires a response stream', () => {
+    expect.assertions(1);
+    expect(() => StreamingHandler.create(() => {})(event, undefined, createContext()))
+      .toThrow('Streaming handlers must be invoked with a response stream');
+  });
+
+  it('does not support batch processing or idempotency', () => {
+    expect.assertions(2);
+    options.batch = true;
+    expect(() => invoke(() => {})).toThrow('Streaming handlers do not support the batch and idempotency options');
+    options = { idempotency: {} };
+    expect(() => invoke(() => {})).toThrow('Streaming handlers do not support the batch and idempotency options');
+  });
+
+  it('sends the status code and headers before what is written to the response stream', () => {
+    expect.assertions(2);
+    options.headers = { 'Cache-Control': 'no-store' };
+    return invoke((handler) => {
+      /* eslint-disable no-param-reassign */
+      handler.statusCode = 201;
+      handler.headers['content-type'] = 'text/plain';
+      /* eslint-enable no-param-reassign */
+      handler.responseStream.write('Hello, ');
+      handler.responseStream.write('world');
+    })
+      .then((result) => {
+        expect(result).toBeUndefined();
+        return responseStream.response();
+      })
+      .then((response) => {
+        expect(response).toEqual({
+          contentType: 'application/vnd.awslambda.http-integration-response',
+          statusCode: 201,
+          headers: { 'Cache-Control': 'no-store', 'content-type': 'text/plain' },
+          body: 'Hello, world',
+          chunks: 2,
+        });
+      });
+  });
+
+  it('sends the status code and headers when there is no body', () => {
+    expect.assertions(1);
+    return invoke((handler) => {
+      handler.responseStream.end();
+    })
+      .then(() => responseStream.response())
+      .then((response) => {
+        expect(response).toMatchObject({
+          statusCode: 200,
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: '',
+          chunks: 0,
+        });
+      });
+  });
+
+  it('streams the response of warm-ups', () => {
+    expect.assertions(2);
+    const processor = jest.fn();
+    options.warmUp = true;
+    event = { warmer: true };
+    return invoke(processor)
+      .then(() => responseStream.response())
+      .then((response) => {
+        expect(processor).not.toHaveBeenCalled();
+        expect(JSON.parse(response.body)).toMatchObject({ warmUp: true, failedInvocations: 0 });
+      });
+  });
+
+  it('pipes returned streams with backpressure', () => {
+    expect.assertions(3);
+    responseStream = createResponseStream({ highWaterMark: 1 });
+    const chunks = Array.from({ length: 40 }, (value, i) => `${i}`.repeat(1024));
+    const source = read(chunks.slice());
+    const pause = jest.spyOn(source, 'pause');
+    return invoke(() => source)
+      .then(() => responseStream.response())
+      .then((response) => {
+        expect(response.body).toBe(chunks.join(''));
+        expect(response.chunks).toBe(40);
+        expect(pause).toHaveBeenCalled();
+      });
+  });
+
+  it('writes the values of returned async iterables', () => {
+    expect.assertions(1);
+    const values = ['id,total\n', Buffer.from('1,10\n'), { id: 2 }];
+    const iterable = {
+      [Symbol.asyncIterator]: () => ({
+        next: () => Promise.resolve(values.length
+          ? { done: false, value: values.shift() }
+          : { done: true }),
+      }),
+    };
+    return invoke(() => iterable)
+      .then(() => responseStream.response())
+      .then((response) => {
+        expect(response.body).toBe('id,total\n1,10\n{"id":2}\n');
+      });
+  });
+
+  it('writes returned strings, Buffers and other values', () => {
+    expect.assertions(3);
+    const respond = (value) => {
+      responseStream = createResponseStream();
+      return invoke(() => value)
+        .then(() => responseStream.response())
+        .then(response => response.body);
+    };
+    return respond('text')
+      .then((body) => {
+        expect(body).toBe('text');
+        return respond(Buffer.from('binary'));
+      })
+      .then((body) => {
+        expect(body).toBe('binary');
+        return respond({ id: 1 });
+      })
+      .then((body) => {
+        expect(body).toBe('{"id":1}');
+      });
+  });
+
+  it('runs cleanup after the response has ended', () => {
+    expect.assertions(1);
+    let finished = false;
+    let finishedBeforeCleanup;
+    responseStream.once('finish', () => {
+      finished = true;
+    });
+    return StreamingHandler.create(() => 'done', options)
+      .use({
+        before: {
+          cleanup: () => {
+            finishedBeforeCleanup = finished;
+          },
+        },
+      })(event, responseStream, createContext())
+      .then(() => {
+        expect(finishedBeforeCleanup).toBe(true);
+      });
+  });
+
+  it('responds with problem+json when an error is thrown before streaming', () => {
+    expect.assertions(2);
+    return invoke(() => {
+      throw new NotFoundError('No such export');
+    })
+      .then((result) => {
+        expect(result).toBeUndefined();
+        return responseStream.response();
+      })
+      .then((response) => {
+        expect(response).toMatchObject({
+          statusCode: 404,
+          headers: { 'Content-Type': 'application/problem+json' },
+          body: JSON.stringify({
+            type: 'about:blank',
+            title: 'Not Found',
+            status: 404,
+            detail: 'No such export',
+            instance: '/files/report.txt',
+          }),
+        });
+      });
+  });
+
+  it('destroys the response stream when an error is thrown after streaming has started', () => {
+    expect.assertions(3);
+    const error = new Error('The database went away');
+    return invoke((handler) => {
+      handler.responseStream.write('partial');
+      return new Promise(resolve => setTimeout(resolve, 10))
+        .then(() => {
+          throw error;
+        });
+    })
+      .catch((err) => {
+        expect(err).toBe(error);
+        const { message } = JSON.parse(options.logStream.write.mock.calls[0][0]);
+        expect(message).toBe('The response stream failed');
+        return responseStream.response();
+      })
+      .catch((err) => {
+        expect(err).toBe(error);
+      });
+  });
+
+  it('fails when a returned stream errors', () => {
+    expect.assertions(2);
+    const error = new Error('Read failed');
+    const source = new Readable({ read() {} });
+    const unpipe = jest.spyOn(source, 'unpipe');
+    return invoke(() => {
+      source.push('partial');
+      setTimeout(() => source.emit('error', error), 10);
+      return source;
+    })
+      .catch((err) => {
+        expect(err).toBe(error);
+        expect(unpipe).toHaveBeenCalled();
+      });
+  });
+
+  it('fails when the response stream of lambda errors', () => {
+    expect.assertions(1);
+    const error = new Error('Connection reset');
+    responseStream = new Writable({
+      write: (chunk, encoding, done) => done(error),
+    });
+    responseStream.setContentType = jest.fn();
+    return invoke(() => read(['a', 'b']))
+      .catch((err) => {
+        expect(err).toBe(error);
+      });
+  });
+
+  it('lets async iterables release their resources when writing fails', () => {
+    expect.assertions(3);
+    const error = new Error('Connection reset');
+    responseStream = new Writable({
+      write: (chunk, encoding, done) => done(error),
+    });
+    responseStream.setContentType = jest.fn();
+    const iterator = {
+      next: () => Promise.resolve({ done: false, value: 'a' }),
+      return: jest.fn(() => Promise.reject(new Error('Already closed'))),
+    };
+    return invoke(() => ({ [Symbol.asyncIterator]: () => iterator }))
+      .catch((err) => {
+        expect(err).toBe(error);
+        expect(iterator.return).toHaveBeenCalled();
+        responseStream = createResponseStream();
+        return invoke(() => ({ [Symbol.asyncIterator]: () => ({ next: () => Promise.reject(error) }) }));
+      })
+      .then(() => responseStream.response())
+      .then((response) => {
+        expect(response.statusCode).toBe(500);
+      });
+  });
+
+  describe('without http', () => {
+    beforeEach(() => {
+      options.http = false;
+    });
+
+    it('sets the content type and streams the body only', () => {
+      expect.assertions(1);
+      options.contentType = 'application/x-ndjson';
+      return invoke(() => '{"id":1}\n')
+        .then(() => responseStream.response())
+        .then((response) => {
+          expect(response).toEqual({
+            contentType: 'application/x-ndjson',
+            statusCode: undefined,
+            headers: undefined,
+            body: '{"id":1}\n',
+            chunks: 1,
+          });
+        });
+    });
+
+    it('fails the invocation when an error is thrown before streaming', () => {
+      expect.assertions(2);
+      const error = new NotFoundError();
+      return invoke(() => {
+        throw error;
+      })
+        .catch((err) => {
+          expect(err).toBe(error);
+          return responseStream.response();
+        })
+        .catch((err) => {
+          expect(err).toBe(error);
+        });
+    });
+
+    it('supports response streams without setContentType() or destroy()', () => {
+      expect.assertions(3);
+      responseStream = {
+        write: jest.fn((chunk, done) => done()),
+        end: jest.fn(done => done && done()),
+        on: jest.fn(),
+        once: jest.fn(),
+      };
+      return invoke(() => 'text')
+        .then(() => {
+          expect(responseStream.write).toHaveBeenCalledWith(Buffer.from('text'), expect.any(Function));
+          return invoke(() => {
+            throw new Error('Failed');
+          });
+        })
+        .catch((error) => {
+          expect(error.message).toBe('Failed');
+          expect(responseStream.end).toHaveBeenCalledTimes(2);
+        });
+    });
+  });
+
+  it('writes the body to the stream returned by awslambda.HttpResponseStream in lambda', () => {
+    expect.assertions(2);
+    const wrapped = createResponseStream();
+    global.awslambda = { HttpResponseStream: { from: jest.fn(() => wrapped) } };
+    return invoke(() => 'text')
+      .then(() => wrapped.response())
+      .then((response) => {
+        expect(global.awslambda.HttpResponseStream.from).toHaveBeenCalledWith(responseStream, {
+          statusCode: 200,
+          headers: { 'Content-Type': 'application/octet-stream' },
+        });
+        expect(response.body).toBe('text');
+      });
+  });
+
+  describe('create()', () => {
+    it('wraps the lambda handler with awslambda.streamifyResponse() in lambda', () => {
+      expect.assertions(3);
+      global.awslambda = { streamifyResponse: jest.fn(fn => (...args) => fn(...args)) };
+      const lambdaHandler = StreamingHandler.create(handler => handler.event.rawPath, options);
+      expect(global.awslambda.streamifyResponse).toHaveBeenCalledTimes(1);
+      const addHeader = {
+        before: {
+          process: (handler) => {
+            // eslint-disable-next-line no-param-reassign
+            handler.headers['X-Streamed'] = 'true';
+          },
+        },
+      };
+      expect(lambdaHandler.use(addHeader)).toBe(lambdaHandler);
+      return lambdaHandler(event, responseStream, createContext())
+        .then(() => responseStream.response())
+        .then((response) => {
+          expect(response.headers['X-Streamed']).toBe('true');
+        });
+    });
+  });
+});
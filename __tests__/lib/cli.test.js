@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Handler = require('../../lib/Handler');
+const { run } = require('../../lib/cli');
+
+describe('cli', () => {
+  let io;
+  const output = stream => stream.write.mock.calls.map(([chunk]) => chunk).join('');
+  const invoke = (...args) => run(['invoke', ...args], io);
+
+  beforeEach(() => {
+    io = {
+      stdout: { write: jest.fn() },
+      stderr: { write: jest.fn() },
+      cwd: path.join(__dirname, '..', 'fixtures'),
+    };
+    Handler.resetContainer();
+  });
+
+  describe('run()', () => {
+    it('prints the usage', () => {
+      expect.assertions(3);
+      return Promise.all([run([], io), run(['--help'], io), invoke('--help')])
+        .then((codes) => {
+          expect(codes).toEqual([0, 0, 0]);
+          expect(io.stdout.write).toHaveBeenCalledTimes(3);
+          expect(output(io.stdout)).toMatch(/^Usage: lambda-patterns invoke <module>#<export>/);
+        });
+    });
+
+    it('writes to stdout by default', () => {
+      expect.assertions(2);
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      return run(['--help'])
+        .then((code) => {
+          write.mockRestore();
+          expect(code).toBe(0);
+          expect(write).toHaveBeenCalledWith(expect.stringMatching(/^Usage:/));
+        });
+    });
+
+    it('rejects unknown commands and invalid arguments', () => {
+      const failures = [
+        [['deploy'], 'Unknown command "deploy"'],
+        [['invoke'], 'A handler to invoke is required'],
+        [['invoke', 'handlers', 'extra'], 'Unexpected argument "extra"'],
+        [['invoke', 'handlers', '--verbose'], 'Unexpected argument "--verbose"'],
+        [['invoke', 'handlers', '--warm', '-1'], '--warm must be a non-negative integer'],
+        [['invoke', 'handlers', '--timeout'], '--timeout must be a non-negative integer'],
+        [['invoke', 'handlers#notAFunction'], '"notAFunction" exported by handlers is not a function'],
+      ];
+      expect.assertions(failures.length * 2);
+      return failures.reduce((prev, [argv, message]) => prev
+        .then(() => {
+          io.stderr.write.mockClear();
+          return run(argv, io);
+        })
+        .then((code) => {
+          expect(code).toBe(1);
+          expect(output(io.stderr)).toMatch(new RegExp(`^${message}\n\nUsage:`));
+        }), Promise.resolve());
+    });
+  });
+
+  describe('invoke', () => {
+    it('invokes the handler with the event and prints the outcome', () => {
+      expect.assertions(4);
+      return invoke('handlers', '--event', 'events/eventBridge.json')
+        .then((code) => {
+          const printed = output(io.stdout);
+          expect(code).toBe(0);
+          expect(printed).toMatch(/^== Invocation 1 \([0-9a-f-]{36}\)\n/);
+          expect(printed).toContain('"source": "com.example.orders"');
+          expect(printed).toMatch(/Cold start: yes\nTimings: total \d+\.\dms, init \d+\.\dms, process \d+\.\dms, cleanup \d+\.\dms, respond \d+\.\dms\n$/);
+        });
+    });
+
+    it('runs warm invocations after the cold start', () => {
+      expect.assertions(3);
+      return invoke('handlers#handler', '--warm', '2', '--timeout', '1000')
+        .then((code) => {
+          const printed = output(io.stdout);
+          expect(code).toBe(0);
+          expect(printed.match(/Cold start: \w+/g))
+            .toEqual(['Cold start: yes', 'Cold start: no', 'Cold start: no']);
+          expect(printed).toContain('"echo": {}');
+        });
+    });
+
+    it('exits with an error code when an invocation fails', () => {
+      expect.assertions(3);
+      return invoke('handlers#failing')
+        .then((code) => {
+          expect(code).toBe(1);
+          expect(output(io.stdout)).toContain('Error: Error: Processing failed');
+          expect(output(io.stdout)).toContain('Cold start: yes');
+        });
+    });
+
+    it('only prints the timings of phases which ran', () => {
+      expect.assertions(1);
+      return invoke('handlers#invalid')
+        .then(() => {
+          expect(output(io.stdout)).toMatch(/Timings: total \d+\.\dms, init \d+\.\dms, cleanup \d+\.\dms, respond \d+\.\dms\n$/);
+        });
+    });
+
+    it('invokes handlers which were not created with Handler.create()', () => {
+      expect.assertions(4);
+      return invoke('handlers#plain')
+        .then((code) => {
+          expect(code).toBe(0);
+          expect(output(io.stdout)).toContain('Response: "plain"\n');
+          expect(output(io.stdout)).toMatch(/Timings: total \d+\.\dms\n$/);
+          io.stdout.write.mockClear();
+          return invoke('handlers#rejected');
+        })
+        .then(() => {
+          expect(output(io.stdout)).toContain('Error: Rejected without an error\n');
+        });
+    });
+
+    it('prints undefined responses', () => {
+      expect.assertions(1);
+      return invoke('handlers#profiled', '--profile-dir', os.tmpdir())
+        .then(() => {
+          expect(output(io.stdout)).toContain('Response: undefined\n');
+        });
+    });
+
+    it('saves collected profiles', () => {
+      expect.assertions(2);
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lambda-patterns-'));
+      return invoke('handlers#profiled', '--profile-dir', directory)
+        .then(() => {
+          const [, file] = output(io.stdout).match(/Profile: (.+)\n/);
+          expect(path.dirname(file)).toBe(directory);
+          expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ nodes: [] });
+        });
+    });
+
+    it('saves profiles to the working directory by default', () => {
+      expect.assertions(1);
+      io.cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'lambda-patterns-'));
+      return invoke(path.join(__dirname, '..', 'fixtures', 'handlers#profiled'))
+        .then(() => {
+          expect(output(io.stdout)).toContain(`Profile: ${io.cwd}${path.sep}`);
+        });
+    });
+
+    it('times out', () => {
+      expect.assertions(2);
+      return invoke('handlers#slow', '--timeout', '10')
+        .then((code) => {
+          expect(code).toBe(1);
+          expect(output(io.stdout)).toContain('Error: Error: Task timed out after 10 milliseconds');
+        });
+    });
+  });
+});
@@ -0,0 +1,50 @@
+jest.mock('fs');
+
+const fs = require('fs');
+const LocalConfigProvider = require('../../../lib/config/LocalConfigProvider');
+
+describe('LocalConfigProvider', () => {
+  beforeEach(() => {
+    fs.readFileSync.mockReset();
+  });
+
+  it('loads values from a JSON file and environment variables', () => {
+    expect.assertions(2);
+    fs.readFileSync.mockReturnValue(JSON.stringify({
+      '/my-app/api-url': 'https://file.example.com',
+      '/my-app/limits': { max: 5 },
+      'my-app/key': 'file-key',
+    }));
+    const provider = new LocalConfigProvider({
+      file: 'config.json',
+      env: { MY_APP_KEY: 'env-key' },
+    });
+    return provider.get(['/my-app/api-url', '/my-app/limits', 'my-app/key', 'missing'])
+      .then((values) => {
+        expect(values).toEqual({
+          '/my-app/api-url': 'https://file.example.com',
+          '/my-app/limits': '{"max":5}',
+          'my-app/key': 'env-key',
+        });
+        expect(fs.readFileSync).toHaveBeenCalledWith('config.json', 'utf8');
+      });
+  });
+
+  it('defaults to the environment variables of the process', () => {
+    expect.assertions(2);
+    process.env.LOCAL_CONFIG_PROVIDER_TEST = 'value';
+    return new LocalConfigProvider().get(['local-config-provider-test'])
+      .then((values) => {
+        delete process.env.LOCAL_CONFIG_PROVIDER_TEST;
+        expect(values).toEqual({ 'local-config-provider-test': 'value' });
+        expect(fs.readFileSync).not.toHaveBeenCalled();
+      });
+  });
+
+  it('rejects when the file cannot be read', () => {
+    expect.assertions(1);
+    fs.readFileSync.mockReturnValue('not json');
+    return expect(new LocalConfigProvider({ file: 'config.json', env: {} }).get(['name']))
+      .rejects.toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,44 @@
+const SSMParameterProvider = require('../../../lib/config/SSMParameterProvider');
+
+describe('SSMParameterProvider', () => {
+  test('constructor() requires a client implementing getParameters()', () => {
+    expect.assertions(2);
+    const message = 'SSMParameterProvider must be constructed with a client implementing getParameters()';
+    expect(() => new SSMParameterProvider()).toThrow(message);
+    expect(() => new SSMParameterProvider({ client: {} })).toThrow(message);
+  });
+
+  describe('get()', () => {
+    it('loads decrypted parameters with an aws-sdk style client', () => {
+      expect.assertions(2);
+      const promise = jest.fn(() => Promise.resolve({
+        Parameters: [{ Name: '/app/url', Value: 'https://example.com' }],
+        InvalidParameters: ['/app/missing'],
+      }));
+      const client = { getParameters: jest.fn(() => ({ promise })) };
+      return new SSMParameterProvider({ client }).get(['/app/url', '/app/missing'])
+        .then((values) => {
+          expect(values).toEqual({ '/app/url': 'https://example.com' });
+          expect(client.getParameters).toHaveBeenCalledWith({
+            Names: ['/app/url', '/app/missing'],
+            WithDecryption: true,
+          });
+        });
+    });
+
+    it('requests at most ten parameters at once', () => {
+      expect.assertions(2);
+      const names = Array.from({ length: 12 }, (value, i) => `p${i}`);
+      const client = {
+        getParameters: jest.fn(({ Names }) => Promise.resolve(Names[0] === 'p0'
+          ? { Parameters: Names.map(Name => ({ Name, Value: Name })) }
+          : undefined)),
+      };
+      return new SSMParameterProvider({ client }).get(names)
+        .then((values) => {
+          expect(client.getParameters.mock.calls.map(([{ Names }]) => Names.length)).toEqual([10, 2]);
+          expect(Object.keys(values)).toEqual(names.slice(0, 10));
+        });
+    });
+  });
+});
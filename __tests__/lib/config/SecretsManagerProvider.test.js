@@ -0,0 +1,45 @@
+const SecretsManagerProvider = require('../../../lib/config/SecretsManagerProvider');
+
+describe('SecretsManagerProvider', () => {
+  test('constructor() requires a client implementing getSecretValue()', () => {
+    expect.assertions(2);
+    const message = 'SecretsManagerProvider must be constructed with a client implementing getSecretValue()';
+    expect(() => new SecretsManagerProvider()).toThrow(message);
+    expect(() => new SecretsManagerProvider({ client: {} })).toThrow(message);
+  });
+
+  describe('get()', () => {
+    it('loads string and binary secrets with an aws-sdk style client', () => {
+      expect.assertions(2);
+      const results = {
+        text: { SecretString: '{"key":"secret"}' },
+        binary: { SecretBinary: Buffer.from('binary').toString('base64') },
+      };
+      const client = {
+        getSecretValue: jest.fn(({ SecretId }) => ({ promise: () => Promise.resolve(results[SecretId]) })),
+      };
+      return new SecretsManagerProvider({ client }).get(['text', 'binary'])
+        .then((values) => {
+          expect(values).toEqual({ text: '{"key":"secret"}', binary: 'binary' });
+          expect(client.getSecretValue).toHaveBeenCalledWith({ SecretId: 'text' });
+        });
+    });
+
+    it('leaves out secrets which do not exist', () => {
+      expect.assertions(1);
+      const client = {
+        getSecretValue: jest.fn(({ SecretId }) => Promise.reject(SecretId === 'v2'
+          ? { code: 'ResourceNotFoundException' }
+          : { name: 'ResourceNotFoundException' })),
+      };
+      return expect(new SecretsManagerProvider({ client }).get(['v2', 'v3'])).resolves.toEqual({});
+    });
+
+    it('rejects when a secret cannot be loaded', () => {
+      expect.assertions(1);
+      const error = new Error('AccessDeniedException');
+      const client = { getSecretValue: jest.fn(() => Promise.reject(error)) };
+      return expect(new SecretsManagerProvider({ client }).get(['secret'])).rejects.toBe(error);
+    });
+  });
+});
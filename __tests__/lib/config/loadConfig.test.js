@@ -0,0 +1,130 @@
+const loadConfig = require('../../../lib/config/loadConfig');
+const { ConfigurationError } = require('../../../lib/errors');
+
+describe('loadConfig()', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = {
+      TABLE_NAME: 'orders',
+      BATCH_SIZE: ' 25 ',
+      DEBUG: 'Yes',
+      VERBOSE: '0',
+      FLAGS: '{"beta":true}',
+      EMPTY: '',
+    };
+  });
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it('parses environment variables to their types', () => {
+    expect.assertions(2);
+    return loadConfig({
+      env: {
+        TABLE_NAME: 'string',
+        BATCH_SIZE: { type: 'number' },
+        DEBUG: 'boolean',
+        VERBOSE: 'boolean',
+        FLAGS: 'json',
+        tableName: { name: 'TABLE_NAME' },
+      },
+    })
+      .then((config) => {
+        expect(config).toEqual({
+          TABLE_NAME: 'orders',
+          BATCH_SIZE: 25,
+          DEBUG: true,
+          VERBOSE: false,
+          FLAGS: { beta: true },
+          tableName: 'orders',
+        });
+        expect(Object.isFrozen(config)).toBe(true);
+      });
+  });
+
+  it('uses defaults for values which are not set', () => {
+    expect.assertions(1);
+    return loadConfig({
+      env: {
+        EMPTY: { default: 'fallback' },
+        MISSING: { type: 'number', default: 10 },
+        OPTIONAL: { required: false },
+      },
+    })
+      .then((config) => {
+        expect(config).toEqual({ EMPTY: 'fallback', MISSING: 10, OPTIONAL: undefined });
+      });
+  });
+
+  it('loads parameters and secrets from their providers', () => {
+    expect.assertions(3);
+    const parameterProvider = { get: jest.fn(() => Promise.resolve({ '/app/url': 'https://example.com' })) };
+    const secretProvider = { get: jest.fn(() => ({ 'app/key': '{"key":"secret"}' })) };
+    return loadConfig({
+      parameters: { url: { name: '/app/url' } },
+      secrets: { key: { name: 'app/key', type: 'json' } },
+      parameterProvider,
+      secretProvider,
+    })
+      .then((config) => {
+        expect(config).toEqual({ url: 'https://example.com', key: { key: 'secret' } });
+        expect(parameterProvider.get).toHaveBeenCalledWith(['/app/url']);
+        expect(secretProvider.get).toHaveBeenCalledWith(['app/key']);
+      });
+  });
+
+  it('does not call providers without declarations', () => {
+    expect.assertions(2);
+    const parameterProvider = { get: jest.fn() };
+    return loadConfig({ parameters: {}, parameterProvider })
+      .then((config) => {
+        expect(config).toEqual({});
+        expect(parameterProvider.get).not.toHaveBeenCalled();
+      });
+  });
+
+  it('rejects with every missing or malformed value', () => {
+    expect.assertions(3);
+    const secretProvider = { get: () => Promise.resolve({ token: null }) };
+    return loadConfig({
+      env: {
+        MISSING: 'string',
+        EMPTY: 'number',
+        TABLE_NAME: 'number',
+        FLAGS: 'boolean',
+        DEBUG: 'json',
+      },
+      secrets: { token: 'string' },
+      secretProvider,
+    })
+      .catch((error) => {
+        expect(error).toBeInstanceOf(ConfigurationError);
+        expect(error.message).toBe('Invalid configuration: environment variable MISSING is required, environment variable EMPTY is required, environment variable TABLE_NAME must be a number, environment variable FLAGS must be a boolean, environment variable DEBUG must be JSON, secret token is required');
+        expect(error.details.errors[0]).toEqual({ source: 'env', name: 'MISSING', message: 'is required' });
+      });
+  });
+
+  it('rejects when a provider is missing or fails', () => {
+    expect.assertions(4);
+    const parameterProvider = { get: () => Promise.reject(new Error('AccessDenied')) };
+    return Promise.all([
+      loadConfig({ parameters: { url: 'string' } }),
+      loadConfig({ secrets: { key: 'string' } }),
+      loadConfig({ parameters: { url: 'string' }, parameterProvider }),
+    ].map(promise => promise.catch(error => error)))
+      .then(([noParameterProvider, noSecretProvider, failed]) => {
+        expect(noParameterProvider.message).toBe('Loading parameters requires the parameterProvider option');
+        expect(noSecretProvider.message).toBe('Loading secrets requires the secretProvider option');
+        expect(failed.message).toBe('The parameters could not be loaded: AccessDenied');
+        expect(failed.details).toEqual({ errors: [{ source: 'parameters', message: 'AccessDenied' }] });
+      });
+  });
+
+  it('rejects unknown types', () => {
+    expect.assertions(1);
+    return expect(loadConfig({ env: { TABLE_NAME: 'date' } }))
+      .rejects.toThrow('Unknown configuration type "date" for "TABLE_NAME"');
+  });
+});
@@ -0,0 +1,41 @@
+const createAbortController = require('../../lib/createAbortController');
+
+const { FallbackAbortController } = createAbortController;
+
+describe('createAbortController()', () => {
+  it('uses the native AbortController when available', () => {
+    expect.assertions(1);
+    const NativeAbortController = global.AbortController;
+    global.AbortController = function AbortController() {};
+    const controller = createAbortController();
+    expect(controller).toBeInstanceOf(global.AbortController);
+    global.AbortController = NativeAbortController;
+  });
+
+  it('falls back when the runtime has no AbortController', () => {
+    expect.assertions(1);
+    const NativeAbortController = global.AbortController;
+    delete global.AbortController;
+    expect(createAbortController()).toBeInstanceOf(FallbackAbortController);
+    global.AbortController = NativeAbortController;
+  });
+});
+
+describe('FallbackAbortController', () => {
+  it('aborts its signal once', () => {
+    expect.assertions(4);
+    const controller = new FallbackAbortController();
+    const listener = jest.fn();
+    const removed = jest.fn();
+    controller.signal.addEventListener('abort', listener);
+    controller.signal.addEventListener('abort', removed);
+    controller.signal.removeEventListener('abort', removed);
+    const reason = new Error('stop');
+    controller.abort(reason);
+    controller.abort(new Error('again'));
+    expect(controller.signal.aborted).toBe(true);
+    expect(controller.signal.reason).toBe(reason);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(removed).not.toHaveBeenCalled();
+  });
+});
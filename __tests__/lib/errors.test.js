@@ -0,0 +1,51 @@
+const errors = require('../../lib/errors');
+
+describe('errors', () => {
+  test('HttpError has a status code and details', () => {
+    expect.assertions(5);
+    const error = new errors.HttpError(418, 'I am a teapot', { brewing: false });
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('HttpError');
+    expect(error.statusCode).toBe(418);
+    expect(error.message).toBe('I am a teapot');
+    expect(error.details).toEqual({ brewing: false });
+  });
+
+  test('HandlerTimeoutError describes the exceeded time budget', () => {
+    expect.assertions(4);
+    const error = new errors.HandlerTimeoutError(2500);
+    expect(error.name).toBe('HandlerTimeoutError');
+    expect(error.message).toBe('Processing did not complete within 2500ms');
+    expect(error.timeoutMs).toBe(2500);
+    expect(error.statusCode).toBe(504);
+  });
+
+  test('HttpError defaults the message to the status description', () => {
+    expect.assertions(1);
+    expect(new errors.HttpError(404).message).toBe('Not Found');
+  });
+
+  [
+    ['BadRequestError', 400],
+    ['UnauthorizedError', 401],
+    ['ForbiddenError', 403],
+    ['NotFoundError', 404],
+    ['MethodNotAllowedError', 405],
+    ['ConflictError', 409],
+    ['UnprocessableEntityError', 422],
+    ['TooManyRequestsError', 429],
+    ['ValidationError', 400],
+    ['ResponseValidationError', 500],
+    ['IdempotencyInProgressError', 409],
+    ['ConfigurationError', 500],
+  ].forEach(([name, statusCode]) => {
+    test(`${name} has a ${statusCode} status code`, () => {
+      expect.assertions(4);
+      const error = new errors[name]('nope', { errors: [] });
+      expect(error).toBeInstanceOf(errors.HttpError);
+      expect(error.name).toBe(name);
+      expect(error.statusCode).toBe(statusCode);
+      expect(error.details).toEqual({ errors: [] });
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const apiGatewayEvent = require('../../fixtures/events/apiGateway.json');
+const apiGatewayV2Event = require('../../fixtures/events/apiGatewayV2.json');
+const apiGateway = require('../../../lib/eventSources/apiGateway');
+
+describe('apiGateway', () => {
+  it('normalizes REST API proxy events', () => {
+    expect.assertions(1);
+    expect(apiGateway.normalize(apiGatewayEvent).request).toEqual({
+      method: 'POST',
+      path: '/users/123',
+      headers: {
+        accept: 'application/json',
+        'content-type': 'application/json',
+        host: 'abcdef123.execute-api.us-east-1.amazonaws.com',
+        'x-forwarded-for': '192.0.2.1',
+      },
+      query: { verbose: 'true' },
+      params: { id: '123' },
+      body: { name: 'Ada' },
+      raw: apiGatewayEvent,
+    });
+  });
+
+  it('normalizes HTTP API events and decodes base64 bodies', () => {
+    expect.assertions(4);
+    const { request } = apiGateway.normalize(apiGatewayV2Event);
+    expect(request.method).toBe('GET');
+    expect(request.path).toBe('/files/report.txt');
+    expect(Buffer.isBuffer(request.body)).toBe(true);
+    expect(request.body.toString()).toBe('hello world');
+  });
+
+  it('only parses JSON bodies', () => {
+    expect.assertions(3);
+    const event = Object.assign({}, apiGatewayEvent, { headers: null });
+    expect(apiGateway.normalize(event).request.body).toBe('{"name":"Ada"}');
+    expect(apiGateway.normalize(Object.assign({}, event, { body: null })).request.body).toBeNull();
+    expect(apiGateway.normalize(Object.assign({}, event, {
+      headers: { 'Content-Type': 'application/problem+json' },
+    })).request.body).toEqual({ name: 'Ada' });
+  });
+
+  it('defaults missing query and path parameters', () => {
+    expect.assertions(2);
+    const event = Object.assign({}, apiGatewayEvent, {
+      queryStringParameters: null,
+      pathParameters: null,
+      requestContext: undefined,
+    });
+    const { request } = apiGateway.normalize(event);
+    expect(request.query).toEqual({});
+    expect(request.params).toEqual({});
+  });
+});
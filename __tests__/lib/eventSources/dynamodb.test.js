@@ -0,0 +1,12 @@
+const dynamodbEvent = require('../../fixtures/events/dynamodb.json');
+const dynamodb = require('../../../lib/eventSources/dynamodb');
+
+test('dynamodb unmarshalls stream records', () => {
+  expect.assertions(5);
+  const { records } = dynamodb.normalize(dynamodbEvent);
+  expect(records[0].id).toBe('4421584500000000017450439091');
+  expect(records[0].body.keys).toEqual({ Id: 101 });
+  expect(records[0].body.oldImage).toEqual({ Id: 101, Message: 'Old item!' });
+  expect(records[1].body.eventName).toBe('REMOVE');
+  expect(records[1].body.newImage).toBeUndefined();
+});
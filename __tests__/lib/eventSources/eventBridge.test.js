@@ -0,0 +1,16 @@
+const eventBridgeEvent = require('../../fixtures/events/eventBridge.json');
+const eventBridge = require('../../../lib/eventSources/eventBridge');
+
+test('eventBridge exposes the event as a single record', () => {
+  expect.assertions(1);
+  expect(eventBridge.normalize(eventBridgeEvent).records).toEqual([{
+    id: '6a7e8feb-b491-4cf7-a9f1-bf3703467718',
+    eventSource: 'EVENTBRIDGE',
+    body: { orderId: 42 },
+    attributes: {
+      source: 'com.example.orders',
+      'detail-type': 'Order Placed',
+    },
+    raw: eventBridgeEvent,
+  }]);
+});
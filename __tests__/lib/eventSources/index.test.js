@@ -0,0 +1,71 @@
+const apiGatewayEvent = require('../../fixtures/events/apiGateway.json');
+const apiGatewayV2Event = require('../../fixtures/events/apiGatewayV2.json');
+const dynamodbEvent = require('../../fixtures/events/dynamodb.json');
+const eventBridgeEvent = require('../../fixtures/events/eventBridge.json');
+const kinesisEvent = require('../../fixtures/events/kinesis.json');
+const s3Event = require('../../fixtures/events/s3.json');
+const snsEvent = require('../../fixtures/events/sns.json');
+const sqsEvent = require('../../fixtures/events/sqs.json');
+const { detectEventSource, normalizeEvent } = require('../../../lib/eventSources');
+
+describe('eventSources', () => {
+  describe('detectEventSource()', () => {
+    const fixtures = [
+      ['API_GATEWAY', apiGatewayEvent],
+      ['API_GATEWAY', apiGatewayV2Event],
+      ['DYNAMODB', dynamodbEvent],
+      ['EVENTBRIDGE', eventBridgeEvent],
+      ['KINESIS', kinesisEvent],
+      ['S3', s3Event],
+      ['SNS', snsEvent],
+      ['SQS', sqsEvent],
+    ];
+
+    fixtures.forEach(([name, event]) => {
+      it(`detects ${name} events`, () => {
+        expect.assertions(1);
+        expect(detectEventSource(event)).toBe(name);
+      });
+    });
+
+    it('returns null for unrecognized events', () => {
+      expect.assertions(4);
+      expect(detectEventSource({ iAm: 'an event' })).toBeNull();
+      expect(detectEventSource({ Records: [] })).toBeNull();
+      expect(detectEventSource(null)).toBeNull();
+      expect(detectEventSource(undefined)).toBeNull();
+    });
+  });
+
+  describe('normalizeEvent()', () => {
+    it('detects the event source by default', () => {
+      expect.assertions(2);
+      const normalized = normalizeEvent(sqsEvent);
+      expect(normalized.eventSource).toBe('SQS');
+      expect(normalized.records).toHaveLength(2);
+    });
+
+    it('does not normalize unrecognized events', () => {
+      expect.assertions(1);
+      expect(normalizeEvent({ iAm: 'an event' }, 'AUTO')).toEqual({ eventSource: null });
+    });
+
+    it('does not normalize when the event source is NONE', () => {
+      expect.assertions(1);
+      expect(normalizeEvent(sqsEvent, 'NONE')).toEqual({ eventSource: null });
+    });
+
+    it('uses an explicit event source', () => {
+      expect.assertions(2);
+      const normalized = normalizeEvent(apiGatewayEvent, 'API_GATEWAY');
+      expect(normalized.eventSource).toBe('API_GATEWAY');
+      expect(normalized.request.method).toBe('POST');
+    });
+
+    it('throws for unknown event sources', () => {
+      expect.assertions(1);
+      expect(() => normalizeEvent(sqsEvent, 'CARRIER_PIGEON'))
+        .toThrow('Unknown event source "CARRIER_PIGEON"');
+    });
+  });
+});
@@ -0,0 +1,13 @@
+const kinesisEvent = require('../../fixtures/events/kinesis.json');
+const kinesis = require('../../../lib/eventSources/kinesis');
+
+test('kinesis decodes record data', () => {
+  expect.assertions(1);
+  expect(kinesis.normalize(kinesisEvent).records[0]).toEqual({
+    id: '49590338271490256608559692538361571095921575989136588898',
+    eventSource: 'KINESIS',
+    body: { temperature: 21 },
+    attributes: { partitionKey: 'device-1' },
+    raw: kinesisEvent.Records[0],
+  });
+});
@@ -0,0 +1,42 @@
+const marshall = require('../../../lib/eventSources/marshall');
+const unmarshall = require('../../../lib/eventSources/unmarshall');
+
+describe('marshall()', () => {
+  it('converts plain values to DynamoDB attribute values', () => {
+    expect.assertions(1);
+    expect(marshall({
+      Id: 101,
+      Message: 'New item!',
+      Active: true,
+      Removed: null,
+      Missing: undefined,
+      Blob: Buffer.from('hello'),
+      Nested: { List: ['x', 1] },
+    })).toEqual({
+      Id: { N: '101' },
+      Message: { S: 'New item!' },
+      Active: { BOOL: true },
+      Removed: { NULL: true },
+      Missing: { NULL: true },
+      Blob: { B: 'aGVsbG8=' },
+      Nested: { M: { List: { L: [{ S: 'x' }, { N: '1' }] } } },
+    });
+  });
+
+  it('is reversed by unmarshall()', () => {
+    expect.assertions(1);
+    const item = { Id: 1, Tags: ['a'], Nested: { ok: false } };
+    expect(unmarshall(marshall(item))).toEqual(item);
+  });
+
+  it('passes through missing items', () => {
+    expect.assertions(1);
+    expect(marshall(undefined)).toBeUndefined();
+  });
+
+  it('throws for unsupported values', () => {
+    expect.assertions(1);
+    expect(() => marshall({ fn: () => {} }))
+      .toThrow('Unsupported value of type "function"');
+  });
+});
@@ -0,0 +1,8 @@
+const parseBody = require('../../../lib/eventSources/parseBody');
+
+test('parseBody() parses JSON and falls back to the original value', () => {
+  expect.assertions(3);
+  expect(parseBody('{"a":1}')).toEqual({ a: 1 });
+  expect(parseBody('plain text')).toBe('plain text');
+  expect(parseBody(undefined)).toBeUndefined();
+});
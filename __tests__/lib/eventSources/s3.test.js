@@ -0,0 +1,18 @@
+const s3Event = require('../../fixtures/events/s3.json');
+const s3 = require('../../../lib/eventSources/s3');
+
+test('s3 normalizes records and decodes object keys', () => {
+  expect.assertions(1);
+  expect(s3.normalize(s3Event).records[0]).toEqual({
+    id: 'uploads/reports/q3 summary(2019).pdf',
+    eventSource: 'S3',
+    body: {
+      eventName: 'ObjectCreated:Put',
+      bucket: 'uploads',
+      key: 'reports/q3 summary(2019).pdf',
+      size: 1305107,
+    },
+    attributes: {},
+    raw: s3Event.Records[0],
+  });
+});
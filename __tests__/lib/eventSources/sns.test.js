@@ -0,0 +1,16 @@
+const snsEvent = require('../../fixtures/events/sns.json');
+const sns = require('../../../lib/eventSources/sns');
+
+test('sns normalizes messages and attributes', () => {
+  expect.assertions(2);
+  const { records } = sns.normalize(snsEvent);
+  expect(records[0]).toEqual({
+    id: '95df01b4-ee98-5cb9-9903-4c221d41eb5e',
+    eventSource: 'SNS',
+    body: { userId: 7 },
+    attributes: { type: 'user.updated' },
+    raw: snsEvent.Records[0],
+  });
+  const withoutAttributes = { Records: [{ Sns: { MessageId: '1', Message: 'hi' } }] };
+  expect(sns.normalize(withoutAttributes).records[0].attributes).toEqual({});
+});
@@ -0,0 +1,15 @@
+const sqsEvent = require('../../fixtures/events/sqs.json');
+const sqs = require('../../../lib/eventSources/sqs');
+
+test('sqs normalizes message bodies and attributes', () => {
+  expect.assertions(2);
+  const { records } = sqs.normalize(sqsEvent);
+  expect(records[0]).toEqual({
+    id: '059f36b4-87a3-44ab-83d2-661975830a7d',
+    eventSource: 'SQS',
+    body: { orderId: 42 },
+    attributes: { type: 'order.created' },
+    raw: sqsEvent.Records[0],
+  });
+  expect(records[1].body).toBe('not json');
+});
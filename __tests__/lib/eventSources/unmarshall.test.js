@@ -0,0 +1,30 @@
+const dynamodbEvent = require('../../fixtures/events/dynamodb.json');
+const unmarshall = require('../../../lib/eventSources/unmarshall');
+
+describe('unmarshall()', () => {
+  it('converts every DynamoDB attribute type', () => {
+    expect.assertions(1);
+    expect(unmarshall(dynamodbEvent.Records[0].dynamodb.NewImage)).toEqual({
+      Id: 101,
+      Message: 'New item!',
+      Active: true,
+      Removed: null,
+      Tags: ['a', 'b'],
+      Scores: [1, 2.5],
+      Blob: Buffer.from('hello'),
+      Blobs: [Buffer.from('hello')],
+      Nested: { List: ['x', 1] },
+    });
+  });
+
+  it('passes through missing images', () => {
+    expect.assertions(1);
+    expect(unmarshall(undefined)).toBeUndefined();
+  });
+
+  it('throws for unsupported attribute types', () => {
+    expect.assertions(1);
+    expect(() => unmarshall({ Weird: { Q: 'huh' } }))
+      .toThrow('Unsupported DynamoDB attribute type "Q"');
+  });
+});
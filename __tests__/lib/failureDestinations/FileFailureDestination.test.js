@@ -0,0 +1,41 @@
+jest.mock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileFailureDestination = require('../../../lib/failureDestinations/FileFailureDestination');
+
+describe('FileFailureDestination', () => {
+  const failure = { event: { id: 1 }, error: { name: 'Error', message: 'Failed' } };
+
+  beforeEach(() => {
+    fs.appendFile.mockReset();
+  });
+
+  test('constructor() defaults to a file in the temporary directory', () => {
+    expect.assertions(2);
+    expect(new FileFailureDestination().file).toBe(path.join(os.tmpdir(), 'failures.jsonl'));
+    expect(new FileFailureDestination({ file: '/failures.jsonl' }).file).toBe('/failures.jsonl');
+  });
+
+  describe('send()', () => {
+    it('appends the failure to the file as a line of JSON', () => {
+      expect.assertions(2);
+      fs.appendFile.mockImplementationOnce((file, data, cb) => cb(null));
+      const destination = new FileFailureDestination({ file: '/failures.jsonl' });
+      return destination.send(failure)
+        .then(() => {
+          expect(fs.appendFile.mock.calls[0][0]).toBe('/failures.jsonl');
+          expect(fs.appendFile.mock.calls[0][1]).toBe(`${JSON.stringify(failure)}\n`);
+        });
+    });
+
+    it('rejects when the file cannot be written', () => {
+      expect.assertions(1);
+      const error = new Error('EROFS');
+      fs.appendFile.mockImplementationOnce((file, data, cb) => cb(error));
+      const destination = new FileFailureDestination();
+      return expect(destination.send(failure)).rejects.toBe(error);
+    });
+  });
+});
@@ -0,0 +1,14 @@
+const InMemoryFailureDestination = require('../../../lib/failureDestinations/InMemoryFailureDestination');
+
+describe('InMemoryFailureDestination', () => {
+  it('keeps the failures it is sent', () => {
+    expect.assertions(2);
+    const destination = new InMemoryFailureDestination();
+    const failure = { event: { id: 1 }, error: { name: 'Error', message: 'Failed' } };
+    return destination.send(failure)
+      .then((result) => {
+        expect(result).toBeUndefined();
+        expect(destination.failures).toEqual([failure]);
+      });
+  });
+});
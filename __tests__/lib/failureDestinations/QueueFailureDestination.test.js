@@ -0,0 +1,47 @@
+const QueueFailureDestination = require('../../../lib/failureDestinations/QueueFailureDestination');
+
+describe('QueueFailureDestination', () => {
+  const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/failures';
+  const failure = { event: { id: 1 }, error: { name: 'Error', message: 'Failed' } };
+
+  describe('constructor()', () => {
+    it('requires a client implementing sendMessage()', () => {
+      expect.assertions(2);
+      expect(() => new QueueFailureDestination())
+        .toThrow('QueueFailureDestination must be constructed with a client implementing sendMessage()');
+      expect(() => new QueueFailureDestination({ client: {}, queueUrl }))
+        .toThrow('QueueFailureDestination must be constructed with a client implementing sendMessage()');
+    });
+
+    it('requires a queueUrl', () => {
+      expect.assertions(1);
+      expect(() => new QueueFailureDestination({ client: { sendMessage: jest.fn() } }))
+        .toThrow('QueueFailureDestination must be constructed with a queueUrl');
+    });
+  });
+
+  describe('send()', () => {
+    it('sends the failure as a JSON message with an aws-sdk style client', () => {
+      expect.assertions(2);
+      const promise = jest.fn(() => Promise.resolve({ MessageId: 'message123' }));
+      const client = { sendMessage: jest.fn(() => ({ promise })) };
+      const destination = new QueueFailureDestination({ client, queueUrl });
+      return destination.send(failure)
+        .then((result) => {
+          expect(client.sendMessage).toHaveBeenCalledWith({
+            QueueUrl: queueUrl,
+            MessageBody: JSON.stringify(failure),
+          });
+          expect(result).toBeUndefined();
+        });
+    });
+
+    it('supports clients whose sendMessage() returns a promise', () => {
+      expect.assertions(1);
+      const error = new Error('AccessDenied');
+      const client = { sendMessage: jest.fn(() => Promise.reject(error)) };
+      const destination = new QueueFailureDestination({ client, queueUrl });
+      return expect(destination.send(failure)).rejects.toBe(error);
+    });
+  });
+});
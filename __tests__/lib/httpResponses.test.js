@@ -0,0 +1,58 @@
+const httpResponses = require('../../lib/httpResponses');
+
+describe('httpResponses', () => {
+  test('json() serializes the body', () => {
+    expect.assertions(2);
+    expect(httpResponses.json({ a: 1 })).toEqual({
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"a":1}',
+    });
+    expect(httpResponses.json([], 201, { Location: '/things/1' }).headers)
+      .toEqual({ 'Content-Type': 'application/json', Location: '/things/1' });
+  });
+
+  test('text() responds with plain text', () => {
+    expect.assertions(2);
+    expect(httpResponses.text('hi').statusCode).toBe(200);
+    expect(httpResponses.text('hi', 202)).toEqual({
+      statusCode: 202,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+      body: 'hi',
+    });
+  });
+
+  test('binary() base64 encodes the body', () => {
+    expect.assertions(2);
+    expect(httpResponses.binary(Buffer.from('hello'), 'image/png')).toEqual({
+      statusCode: 200,
+      headers: { 'Content-Type': 'image/png' },
+      body: 'aGVsbG8=',
+      isBase64Encoded: true,
+    });
+    expect(httpResponses.binary(Buffer.from('')).headers['Content-Type'])
+      .toBe('application/octet-stream');
+  });
+
+  test('noContent() and redirect() respond without a body', () => {
+    expect.assertions(2);
+    expect(httpResponses.noContent()).toEqual({ statusCode: 204, headers: {}, body: '' });
+    expect(httpResponses.redirect('/elsewhere')).toEqual({
+      statusCode: 302,
+      headers: { Location: '/elsewhere' },
+      body: '',
+    });
+  });
+
+  test('problem() responds with problem+json', () => {
+    expect.assertions(2);
+    const result = httpResponses.problem(404, { detail: 'No such user' });
+    expect(result.headers).toEqual({ 'Content-Type': 'application/problem+json' });
+    expect(JSON.parse(result.body)).toEqual({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'No such user',
+    });
+  });
+});
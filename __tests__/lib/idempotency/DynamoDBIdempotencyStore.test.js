@@ -0,0 +1,146 @@
+const DynamoDBIdempotencyStore = require('../../../lib/idempotency/DynamoDBIdempotencyStore');
+
+describe('DynamoDBIdempotencyStore', () => {
+  const conditionFailed = Object.assign(new Error('The conditional request failed'), {
+    code: 'ConditionalCheckFailedException',
+  });
+  let client;
+  let store;
+  let now;
+
+  beforeEach(() => {
+    client = {
+      putItem: jest.fn(() => ({ promise: () => Promise.resolve({}) })),
+      getItem: jest.fn(() => Promise.resolve({})),
+      deleteItem: jest.fn(() => Promise.resolve({})),
+    };
+    store = new DynamoDBIdempotencyStore({ client, tableName: 'idempotency' });
+    now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  });
+
+  afterEach(() => {
+    now.mockRestore();
+  });
+
+  describe('constructor()', () => {
+    it('requires a client implementing putItem(), getItem() and deleteItem()', () => {
+      expect.assertions(2);
+      const message = 'DynamoDBIdempotencyStore must be constructed with a client implementing putItem(), getItem() and deleteItem()';
+      expect(() => new DynamoDBIdempotencyStore()).toThrow(message);
+      expect(() => new DynamoDBIdempotencyStore({ client: { putItem: jest.fn() }, tableName: 't' }))
+        .toThrow(message);
+    });
+
+    it('requires a table name', () => {
+      expect.assertions(1);
+      expect(() => new DynamoDBIdempotencyStore({ client }))
+        .toThrow('DynamoDBIdempotencyStore must be constructed with a tableName');
+    });
+  });
+
+  describe('claim()', () => {
+    it('writes an in progress record unless one which has not expired exists', () => {
+      expect.assertions(2);
+      return store.claim('key', 2500)
+        .then((record) => {
+          expect(record).toBeNull();
+          expect(client.putItem).toHaveBeenCalledWith({
+            TableName: 'idempotency',
+            Item: {
+              id: { S: 'key' },
+              status: { S: 'IN_PROGRESS' },
+              expiration: { N: '3' },
+            },
+            ConditionExpression: 'attribute_not_exists(#id) OR #expiration <= :now',
+            ExpressionAttributeNames: { '#id': 'id', '#expiration': 'expiration' },
+            ExpressionAttributeValues: { ':now': { N: '1' } },
+          });
+        });
+    });
+
+    it('returns the existing record', () => {
+      expect.assertions(3);
+      client.putItem.mockReturnValue(Promise.reject(conditionFailed));
+      client.getItem.mockReturnValueOnce(Promise.resolve({
+        Item: {
+          id: { S: 'key' },
+          status: { S: 'COMPLETED' },
+          expiration: { N: '5' },
+          response: { S: '{"ok":true}' },
+        },
+      }))
+        .mockReturnValueOnce(Promise.resolve({
+          Item: { id: { S: 'key' }, status: { S: 'IN_PROGRESS' }, expiration: { N: '3' } },
+        }));
+      return store.claim('key', 2500)
+        .then((record) => {
+          expect(record).toEqual({ status: 'COMPLETED', expiresAt: 5000, response: { ok: true } });
+          expect(client.getItem).toHaveBeenCalledWith({
+            TableName: 'idempotency',
+            Key: { id: { S: 'key' } },
+            ConsistentRead: true,
+          });
+          return store.claim('key', 2500);
+        })
+        .then((record) => {
+          expect(record).toEqual({ status: 'IN_PROGRESS', expiresAt: 3000, response: undefined });
+        });
+    });
+
+    it('claims again when the record was released in the meantime', () => {
+      expect.assertions(2);
+      client.putItem.mockReturnValueOnce(Promise.reject({ name: 'ConditionalCheckFailedException' }));
+      return store.claim('key', 2500)
+        .then((record) => {
+          expect(record).toBeNull();
+          expect(client.putItem).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    it('rejects when the write fails', () => {
+      expect.assertions(1);
+      const error = new Error('ProvisionedThroughputExceededException');
+      client.putItem.mockReturnValue(Promise.reject(error));
+      return expect(store.claim('key', 2500)).rejects.toBe(error);
+    });
+  });
+
+  describe('complete()', () => {
+    it('writes the response as JSON', () => {
+      expect.assertions(2);
+      return store.complete('key', { ok: true }, 10000)
+        .then((result) => {
+          expect(result).toBeUndefined();
+          expect(client.putItem).toHaveBeenCalledWith({
+            TableName: 'idempotency',
+            Item: {
+              id: { S: 'key' },
+              status: { S: 'COMPLETED' },
+              expiration: { N: '10' },
+              response: { S: '{"ok":true}' },
+            },
+          });
+        });
+    });
+
+    it('omits undefined responses', () => {
+      expect.assertions(1);
+      return store.complete('key', undefined, 10000)
+        .then(() => {
+          expect(client.putItem.mock.calls[0][0].Item.response).toBeUndefined();
+        });
+    });
+  });
+
+  test('release() deletes the record', () => {
+    expect.assertions(2);
+    return store.release('key')
+      .then((result) => {
+        expect(result).toBeUndefined();
+        expect(client.deleteItem).toHaveBeenCalledWith({
+          TableName: 'idempotency',
+          Key: { id: { S: 'key' } },
+        });
+      });
+  });
+});
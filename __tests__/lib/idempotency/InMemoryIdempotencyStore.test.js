@@ -0,0 +1,60 @@
+const InMemoryIdempotencyStore = require('../../../lib/idempotency/InMemoryIdempotencyStore');
+
+describe('InMemoryIdempotencyStore', () => {
+  let store;
+  let now;
+
+  beforeEach(() => {
+    store = new InMemoryIdempotencyStore();
+    now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  });
+
+  afterEach(() => {
+    now.mockRestore();
+  });
+
+  it('claims keys which have no record', () => {
+    expect.assertions(2);
+    return store.claim('key', 2000)
+      .then((record) => {
+        expect(record).toBeNull();
+        return store.claim('key', 2000);
+      })
+      .then((record) => {
+        expect(record).toEqual({ status: 'IN_PROGRESS', expiresAt: 2000 });
+      });
+  });
+
+  it('returns completed records with their response', () => {
+    expect.assertions(1);
+    return store.claim('key', 2000)
+      .then(() => store.complete('key', { ok: true }, 5000))
+      .then(() => store.claim('key', 2000))
+      .then((record) => {
+        expect(record).toEqual({ status: 'COMPLETED', expiresAt: 5000, response: { ok: true } });
+      });
+  });
+
+  it('claims keys whose record expired and drops expired records', () => {
+    expect.assertions(2);
+    return Promise.all([store.claim('key', 2000), store.claim('other', 2000)])
+      .then(() => {
+        now.mockReturnValue(2000);
+        return store.claim('key', 3000);
+      })
+      .then((record) => {
+        expect(record).toBeNull();
+        expect(Array.from(store.records.keys())).toEqual(['key']);
+      });
+  });
+
+  it('releases keys', () => {
+    expect.assertions(1);
+    return store.claim('key', 2000)
+      .then(() => store.release('key'))
+      .then(() => store.claim('key', 2000))
+      .then((record) => {
+        expect(record).toBeNull();
+      });
+  });
+});
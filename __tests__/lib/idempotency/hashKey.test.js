@@ -0,0 +1,22 @@
+const hashKey = require('../../../lib/idempotency/hashKey');
+
+describe('hashKey()', () => {
+  it('hashes values with SHA-256', () => {
+    expect.assertions(1);
+    expect(hashKey('abc')).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('ignores the order of object keys and undefined values', () => {
+    expect.assertions(2);
+    expect(hashKey({ a: 1, b: { c: [1, undefined], d: 2 } }))
+      .toBe(hashKey({ b: { d: 2, c: [1, null], e: undefined }, a: 1 }));
+    expect(hashKey({ when: new Date(0), data: Buffer.from('a') }))
+      .toBe(hashKey({ data: Buffer.from('a'), when: new Date(0) }));
+  });
+
+  it('distinguishes different values', () => {
+    expect.assertions(2);
+    expect(hashKey({ a: 1 })).not.toBe(hashKey({ a: '1' }));
+    expect(hashKey([1, 2])).not.toBe(hashKey([2, 1]));
+  });
+});
@@ -0,0 +1,54 @@
+const select = require('../../../lib/idempotency/select');
+
+describe('select()', () => {
+  const event = {
+    id: 'abc',
+    'detail-type': 'Order Placed',
+    detail: { orderId: 42, items: [{ sku: 'a' }, { sku: 'b' }] },
+  };
+
+  it('selects nested identifiers', () => {
+    expect.assertions(2);
+    expect(select(event, 'detail.orderId')).toBe(42);
+    expect(select(event, ' id ')).toBe('abc');
+  });
+
+  it('selects quoted identifiers', () => {
+    expect.assertions(2);
+    expect(select(event, '"detail-type"')).toBe('Order Placed');
+    expect(select({ 'a"b': 1 }, '"a\\"b"')).toBe(1);
+  });
+
+  it('selects array indexes', () => {
+    expect.assertions(3);
+    expect(select(event, 'detail.items[1].sku')).toBe('b');
+    expect(select(event, 'detail.items[-1].sku')).toBe('b');
+    expect(select([1, 2], '[0]')).toBe(1);
+  });
+
+  it('selects a list of expressions', () => {
+    expect.assertions(1);
+    expect(select(event, '[id, detail.items[0].sku, "detail-type", [detail.orderId]]'))
+      .toEqual(['abc', 'a', 'Order Placed', [42]]);
+  });
+
+  it('selects the whole value without an expression', () => {
+    expect.assertions(1);
+    expect(select(event, '')).toBe(event);
+  });
+
+  it('returns null for missing values', () => {
+    expect.assertions(4);
+    expect(select(event, 'detail.missing')).toBeNull();
+    expect(select(event, 'missing.orderId')).toBeNull();
+    expect(select(event, 'detail[0]')).toBeNull();
+    expect(select(event, 'detail.items[5]')).toBeNull();
+  });
+
+  it('throws for invalid expressions', () => {
+    expect.assertions(3);
+    expect(() => select(event, 'detail..orderId')).toThrow('Invalid selector "detail..orderId"');
+    expect(() => select(event, '.detail')).toThrow('Invalid selector ".detail"');
+    expect(() => select(event, 'detail[x]')).toThrow('Invalid selector "detail[x]"');
+  });
+});
@@ -0,0 +1,74 @@
+const processBatch = require('../../lib/processBatch');
+
+describe('processBatch()', () => {
+  const records = ['a', 'b', 'c', 'd'].map(id => ({ id }));
+  const failOn = ids => jest.fn((record) => {
+    if (ids.indexOf(record.id) !== -1) {
+      return Promise.reject(new Error(`failed ${record.id}`));
+    }
+    return Promise.resolve();
+  });
+
+  it('processes every record and collects failures', () => {
+    expect.assertions(3);
+    const processRecord = failOn(['b', 'd']);
+    return processBatch(records, processRecord)
+      .then((summary) => {
+        expect(processRecord).toHaveBeenCalledTimes(4);
+        expect(summary).toMatchObject({
+          total: 4,
+          succeeded: 2,
+          failed: 2,
+          skipped: 0,
+        });
+        expect(summary.failures.map(({ record, error }) => [record.id, error.message]))
+          .toEqual([['b', 'failed b'], ['d', 'failed d']]);
+      });
+  });
+
+  it('stops after the first failure and reports the remaining records when failing fast', () => {
+    expect.assertions(3);
+    const processRecord = failOn(['b']);
+    return processBatch(records, processRecord, { failFast: true })
+      .then((summary) => {
+        expect(processRecord).toHaveBeenCalledTimes(2);
+        expect(summary).toMatchObject({
+          succeeded: 1,
+          failed: 1,
+          skipped: 2,
+        });
+        expect(summary.failures.map(({ record, error }) => [record.id, error && error.message]))
+          .toEqual([['b', 'failed b'], ['c', null], ['d', null]]);
+      });
+  });
+
+  it('limits the number of records processed at the same time', () => {
+    expect.assertions(2);
+    let active = 0;
+    let maxActive = 0;
+    const processRecord = () => {
+      active += 1;
+      maxActive = Math.max(active, maxActive);
+      return new Promise(resolve => setImmediate(resolve))
+        .then(() => {
+          active -= 1;
+        });
+    };
+    return processBatch(records, processRecord, { concurrency: 2 })
+      .then((summary) => {
+        expect(maxActive).toBe(2);
+        expect(summary.succeeded).toBe(4);
+      });
+  });
+
+  it('handles empty batches', () => {
+    expect.assertions(1);
+    return expect(processBatch([], jest.fn(), { concurrency: 0 })).resolves.toEqual({
+      total: 0,
+      succeeded: 0,
+      failed: 0,
+      skipped: 0,
+      failures: [],
+    });
+  });
+});
@@ -0,0 +1,65 @@
+jest.mock('fs');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const FileProfileSink = require('../../../lib/profileSinks/FileProfileSink');
+
+describe('FileProfileSink', () => {
+  const json = JSON.stringify({ nodes: [] });
+  const profile = zlib.deflateSync(json).toString('base64');
+  const handler = { context: { awsRequestId: 'request123' } };
+
+  beforeEach(() => {
+    fs.writeFile.mockReset();
+  });
+
+  test('constructor() defaults to the temporary directory', () => {
+    expect.assertions(2);
+    expect(new FileProfileSink().directory).toBe(os.tmpdir());
+    expect(new FileProfileSink({ directory: '/profiles' }).directory).toBe('/profiles');
+  });
+
+  describe('write()', () => {
+    it('writes a .cpuprofile file named after the request id', () => {
+      expect.assertions(2);
+      fs.writeFile.mockImplementationOnce((file, data, cb) => cb(null));
+      const sink = new FileProfileSink({ directory: '/profiles' });
+      return sink.write(profile, handler)
+        .then(() => {
+          expect(fs.writeFile.mock.calls[0][0]).toBe(path.join('/profiles', 'request123.cpuprofile'));
+          expect(fs.writeFile.mock.calls[0][1]).toBe(json);
+        });
+    });
+
+    it('uses the extension of the profile type', () => {
+      expect.assertions(1);
+      fs.writeFile.mockImplementationOnce((file, data, cb) => cb(null));
+      const sink = new FileProfileSink({ directory: '/profiles' });
+      return sink.write(profile, Object.assign({ profileExtension: '.heapsnapshot' }, handler))
+        .then(() => {
+          expect(fs.writeFile.mock.calls[0][0]).toBe(path.join('/profiles', 'request123.heapsnapshot'));
+        });
+    });
+
+    it('writes the timings of the invocation next to the profile', () => {
+      expect.assertions(2);
+      fs.writeFile.mockImplementation((file, data, cb) => cb(null));
+      const sink = new FileProfileSink({ directory: '/profiles' });
+      return sink.write(profile, Object.assign({ timings: { init: 1.5, process: 20 } }, handler))
+        .then(() => {
+          expect(fs.writeFile.mock.calls[1][0]).toBe(path.join('/profiles', 'request123.timings.json'));
+          expect(fs.writeFile.mock.calls[1][1]).toBe('{"init":1.5,"process":20}');
+        });
+    });
+
+    it('rejects when the file cannot be written', () => {
+      expect.assertions(1);
+      const error = new Error('EROFS');
+      fs.writeFile.mockImplementationOnce((file, data, cb) => cb(error));
+      const sink = new FileProfileSink();
+      return expect(sink.write(profile, handler)).rejects.toBe(error);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const LogProfileSink = require('../../../lib/profileSinks/LogProfileSink');
+
+describe('LogProfileSink', () => {
+  const handler = { context: { awsRequestId: 'request123', functionName: 'fn' } };
+
+  test('constructor() defaults to stdout', () => {
+    expect.assertions(2);
+    const sink = new LogProfileSink();
+    expect(sink.stream).toBe(process.stdout);
+    expect(sink.chunkSize).toBe(200000);
+  });
+
+  test('write() splits the profile into structured log lines', () => {
+    expect.assertions(4);
+    const stream = { write: jest.fn() };
+    const sink = new LogProfileSink({ stream, chunkSize: 4 });
+    sink.write('abcdefghij', handler);
+    const lines = stream.write.mock.calls.map(([line]) => line);
+    expect(lines).toHaveLength(3);
+    expect(lines.every(line => line.endsWith('\n'))).toBe(true);
+    expect(JSON.parse(lines[0])).toEqual({
+      type: 'lambda-patterns:profile',
+      awsRequestId: 'request123',
+      functionName: 'fn',
+      extension: '.cpuprofile',
+      part: 1,
+      parts: 3,
+      data: 'abcd',
+    });
+    expect(lines.map(line => JSON.parse(line).data).join('')).toBe('abcdefghij');
+  });
+
+  test('write() includes the extension of heap profiles', () => {
+    expect.assertions(1);
+    const stream = { write: jest.fn() };
+    new LogProfileSink({ stream }).write('abc', Object.assign({ profileExtension: '.heapsnapshot' }, handler));
+    expect(JSON.parse(stream.write.mock.calls[0][0]).extension).toBe('.heapsnapshot');
+  });
+
+  test('write() includes the timings of the invocation', () => {
+    expect.assertions(1);
+    const stream = { write: jest.fn() };
+    new LogProfileSink({ stream }).write('abc', Object.assign({ timings: { moduleLoad: 80, init: 2 } }, handler));
+    expect(JSON.parse(stream.write.mock.calls[0][0]).timings).toEqual({ moduleLoad: 80, init: 2 });
+  });
+});
@@ -0,0 +1,83 @@
+const zlib = require('zlib');
+const S3ProfileSink = require('../../../lib/profileSinks/S3ProfileSink');
+
+describe('S3ProfileSink', () => {
+  const json = JSON.stringify({ nodes: [] });
+  const profile = zlib.deflateSync(json).toString('base64');
+  const handler = { context: { awsRequestId: 'request123' } };
+
+  describe('constructor()', () => {
+    it('requires a client implementing putObject()', () => {
+      expect.assertions(2);
+      expect(() => new S3ProfileSink())
+        .toThrow('S3ProfileSink must be constructed with a client implementing putObject()');
+      expect(() => new S3ProfileSink({ client: {}, bucket: 'bucket' }))
+        .toThrow('S3ProfileSink must be constructed with a client implementing putObject()');
+    });
+
+    it('requires a bucket', () => {
+      expect.assertions(1);
+      expect(() => new S3ProfileSink({ client: { putObject: jest.fn() } }))
+        .toThrow('S3ProfileSink must be constructed with a bucket');
+    });
+  });
+
+  describe('write()', () => {
+    it('uploads the decoded profile with an aws-sdk style client', () => {
+      expect.assertions(2);
+      const promise = jest.fn(() => Promise.resolve({ ETag: 'etag' }));
+      const client = { putObject: jest.fn(() => ({ promise })) };
+      const sink = new S3ProfileSink({ client, bucket: 'profiles', prefix: 'fn/' });
+      return sink.write(profile, handler)
+        .then((result) => {
+          expect(client.putObject).toHaveBeenCalledWith({
+            Bucket: 'profiles',
+            Key: 'fn/request123.cpuprofile',
+            Body: json,
+            ContentType: 'application/json',
+          });
+          expect(result).toBeUndefined();
+        });
+    });
+
+    it('supports clients whose putObject() returns a promise', () => {
+      expect.assertions(1);
+      const client = { putObject: jest.fn(() => Promise.resolve()) };
+      const sink = new S3ProfileSink({ client, bucket: 'profiles' });
+      return sink.write(profile, handler)
+        .then(() => {
+          expect(client.putObject.mock.calls[0][0].Key).toBe('request123.cpuprofile');
+        });
+    });
+
+    it('uses the extension of the profile type', () => {
+      expect.assertions(1);
+      const client = { putObject: jest.fn(() => Promise.resolve()) };
+      const sink = new S3ProfileSink({ client, bucket: 'profiles' });
+      return sink.write(profile, Object.assign({ profileExtension: '.heapprofile' }, handler))
+        .then(() => {
+          expect(client.putObject.mock.calls[0][0].Key).toBe('request123.heapprofile');
+        });
+    });
+
+    it('stores the timings of the invocation as metadata', () => {
+      expect.assertions(1);
+      const client = { putObject: jest.fn(() => Promise.resolve()) };
+      const sink = new S3ProfileSink({ client, bucket: 'profiles' });
+      return sink.write(profile, Object.assign({ timings: { init: 1.5, process: 20 } }, handler))
+        .then(() => {
+          expect(client.putObject.mock.calls[0][0].Metadata).toEqual({
+            timings: '{"init":1.5,"process":20}',
+          });
+        });
+    });
+
+    it('rejects when the upload fails', () => {
+      expect.assertions(1);
+      const error = new Error('AccessDenied');
+      const client = { putObject: () => Promise.reject(error) };
+      const sink = new S3ProfileSink({ client, bucket: 'profiles' });
+      return expect(sink.write(profile, handler)).rejects.toBe(error);
+    });
+  });
+});
@@ -0,0 +1,9 @@
+const zlib = require('zlib');
+const decodeProfile = require('../../../lib/profileSinks/decodeProfile');
+
+test('decodeProfile() restores a profile collected by the handler', () => {
+  expect.assertions(1);
+  const json = JSON.stringify({ nodes: [], startTime: 0, endTime: 1 });
+  const profile = zlib.deflateSync(json).toString('base64');
+  expect(decodeProfile(profile)).toBe(json);
+});
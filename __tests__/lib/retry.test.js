@@ -0,0 +1,130 @@
+const createAbortController = require('../../lib/createAbortController');
+const retry = require('../../lib/retry');
+
+describe('retry()', () => {
+  const error = new Error('FAIL');
+  const failTimes = (times, result) => jest.fn((attempt) => {
+    if (attempt <= times) {
+      throw error;
+    }
+    return result;
+  });
+  let mocks = [];
+
+  beforeEach(() => {
+    mocks.forEach(mock => mock.mockRestore());
+    mocks = [];
+  });
+
+  it('resolves with the result of the first attempt', () => {
+    expect.assertions(2);
+    const fn = jest.fn(() => Promise.resolve('result'));
+    return retry(fn)
+      .then((result) => {
+        expect(result).toBe('result');
+        expect(fn.mock.calls).toEqual([[1]]);
+      });
+  });
+
+  it('retries with the default policy', () => {
+    expect.assertions(2);
+    mocks.push(jest.spyOn(Math, 'random').mockReturnValue(0));
+    const fn = failTimes(2, 'result');
+    return retry(fn)
+      .then((result) => {
+        expect(result).toBe('result');
+        expect(fn.mock.calls).toEqual([[1], [2], [3]]);
+      });
+  });
+
+  it('doubles the delay up to the maximum', () => {
+    expect.assertions(2);
+    const onRetry = jest.fn();
+    const fn = failTimes(3, 'result');
+    return retry(fn, {
+      maxAttempts: 4,
+      baseDelayMs: 4,
+      maxDelayMs: 10,
+      jitter: false,
+    }, { onRetry })
+      .then((result) => {
+        expect(result).toBe('result');
+        expect(onRetry.mock.calls).toEqual([[error, 1, 4], [error, 2, 8], [error, 3, 10]]);
+      });
+  });
+
+  it('waits a random time up to the delay with jitter', () => {
+    expect.assertions(1);
+    mocks.push(jest.spyOn(Math, 'random').mockReturnValue(0.5));
+    const onRetry = jest.fn();
+    return retry(failTimes(1), { baseDelayMs: 10 }, { onRetry })
+      .then(() => {
+        expect(onRetry).toHaveBeenCalledWith(error, 1, 5);
+      });
+  });
+
+  it('rejects with the last error after the maximum attempts', () => {
+    expect.assertions(2);
+    const fn = failTimes(Infinity);
+    return expect(retry(fn, { maxAttempts: 2, baseDelayMs: 1 })).rejects.toBe(error)
+      .then(() => {
+        expect(fn).toHaveBeenCalledTimes(2);
+      });
+  });
+
+  it('only retries errors accepted by the classifier', () => {
+    expect.assertions(3);
+    const shouldRetry = jest.fn(() => false);
+    const fn = failTimes(Infinity);
+    return expect(retry(fn, { shouldRetry })).rejects.toBe(error)
+      .then(() => {
+        expect(fn).toHaveBeenCalledTimes(1);
+        expect(shouldRetry).toHaveBeenCalledWith(error, 1);
+      });
+  });
+
+  it('does not retry when the delay would exceed the remaining time', () => {
+    expect.assertions(2);
+    const fn = failTimes(Infinity);
+    const remainingTime = () => 100;
+    return expect(retry(fn, { baseDelayMs: 100, jitter: false }, { remainingTime }))
+      .rejects.toBe(error)
+      .then(() => {
+        expect(fn).toHaveBeenCalledTimes(1);
+      });
+  });
+
+  it('stops once the signal is aborted', () => {
+    expect.assertions(4);
+    const controller = createAbortController();
+    const fn = failTimes(Infinity);
+    const started = Date.now();
+    const retrying = retry(fn, { baseDelayMs: 10000, jitter: false }, {
+      signal: controller.signal,
+      onRetry: () => {
+        process.nextTick(() => controller.abort(new Error('Timed out')));
+      },
+    });
+    return expect(retrying).rejects.toBe(error)
+      .then(() => {
+        expect(fn).toHaveBeenCalledTimes(1);
+        expect(Date.now() - started).toBeLessThan(5000);
+        return expect(retry(fn, {}, { signal: controller.signal })).rejects.toBe(error);
+      });
+  });
+
+  it('removes the abort listener after waiting', () => {
+    expect.assertions(2);
+    const signal = {
+      aborted: false,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    };
+    return retry(failTimes(1), { baseDelayMs: 1 }, { signal })
+      .then(() => {
+        expect(signal.addEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+        expect(signal.removeEventListener)
+          .toHaveBeenCalledWith('abort', signal.addEventListener.mock.calls[0][1]);
+      });
+  });
+});
@@ -0,0 +1,53 @@
+const httpResponseStream = require('../../../lib/streaming/httpResponseStream');
+const createResponseStream = require('../../../lib/testing/createResponseStream');
+
+describe('httpResponseStream', () => {
+  afterEach(() => {
+    delete global.awslambda;
+  });
+
+  describe('from()', () => {
+    it('writes the metadata as a JSON prelude followed by 8 null bytes', () => {
+      expect.assertions(2);
+      const stream = createResponseStream();
+      const metadata = { statusCode: 200, headers: { 'Content-Type': 'text/plain' } };
+      expect(httpResponseStream.from(stream, metadata)).toBe(stream);
+      stream.end('body');
+      return stream.response()
+        .then(() => {
+          expect(stream.contentType).toBe('application/vnd.awslambda.http-integration-response');
+        });
+    });
+
+    it('uses awslambda.HttpResponseStream in lambda', () => {
+      expect.assertions(2);
+      const wrapped = {};
+      global.awslambda = { HttpResponseStream: { from: jest.fn(() => wrapped) } };
+      const stream = createResponseStream();
+      const metadata = { statusCode: 204, headers: {} };
+      expect(httpResponseStream.from(stream, metadata)).toBe(wrapped);
+      expect(global.awslambda.HttpResponseStream.from).toHaveBeenCalledWith(stream, metadata);
+    });
+  });
+
+  describe('parse()', () => {
+    it('splits the metadata from the body', () => {
+      expect.assertions(1);
+      const data = Buffer.concat([
+        Buffer.from('{"statusCode":201,"headers":{"A":"b"}}'),
+        Buffer.alloc(8),
+        Buffer.from('body'),
+      ]);
+      expect(httpResponseStream.parse(data, 'application/vnd.awslambda.http-integration-response'))
+        .toEqual({ statusCode: 201, headers: { A: 'b' }, body: Buffer.from('body') });
+    });
+
+    it('returns the data as the body of other responses', () => {
+      expect.assertions(2);
+      const data = Buffer.from('body');
+      expect(httpResponseStream.parse(data, 'text/plain')).toEqual({ body: data });
+      expect(httpResponseStream.parse(data, 'application/vnd.awslambda.http-integration-response'))
+        .toEqual({ body: data });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const createContext = require('../../../lib/testing/createContext');
+
+describe('createContext()', () => {
+  it('creates a context like the one lambda passes to handlers', () => {
+    expect.assertions(2);
+    const context = createContext();
+    expect(context).toEqual({
+      functionName: 'test-function',
+      functionVersion: '$LATEST',
+      invokedFunctionArn: 'arn:aws:lambda:us-east-1:123456789012:function:test-function',
+      memoryLimitInMB: '128',
+      awsRequestId: expect.stringMatching(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/),
+      logGroupName: '/aws/lambda/test-function',
+      logStreamName: expect.stringMatching(/^2019\/01\/01\/\[\$LATEST\][0-9a-f]{32}$/),
+      callbackWaitsForEmptyEventLoop: true,
+      getRemainingTimeInMillis: expect.any(Function),
+    });
+    expect(createContext().awsRequestId).not.toBe(context.awsRequestId);
+  });
+
+  it('applies overrides', () => {
+    expect.assertions(2);
+    const context = createContext({ functionName: 'orders', awsRequestId: 'request123' });
+    expect(context.awsRequestId).toBe('request123');
+    expect(context.logGroupName).toBe('/aws/lambda/orders');
+  });
+
+  it('counts the remaining time down from the timeout', () => {
+    expect.assertions(3);
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const context = createContext({}, 500);
+    expect(context.getRemainingTimeInMillis()).toBe(500);
+    now.mockReturnValue(1200);
+    expect(context.getRemainingTimeInMillis()).toBe(300);
+    now.mockReturnValue(2000);
+    expect(context.getRemainingTimeInMillis()).toBe(0);
+    now.mockRestore();
+  });
+});
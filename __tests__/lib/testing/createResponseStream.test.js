@@ -0,0 +1,40 @@
+const createResponseStream = require('../../../lib/testing/createResponseStream');
+
+describe('createResponseStream()', () => {
+  it('collects what is written to it', () => {
+    expect.assertions(1);
+    const stream = createResponseStream();
+    stream.setContentType('text/plain');
+    stream.write('Hello, ');
+    stream.end('world');
+    return stream.response()
+      .then((response) => {
+        expect(response).toEqual({
+          contentType: 'text/plain',
+          statusCode: undefined,
+          headers: undefined,
+          body: 'Hello, world',
+          chunks: 2,
+        });
+      });
+  });
+
+  it('applies backpressure', () => {
+    expect.assertions(2);
+    const stream = createResponseStream({ highWaterMark: 4 });
+    expect(stream.write('abc')).toBe(true);
+    expect(stream.write('def')).toBe(false);
+    stream.end();
+  });
+
+  it('rejects when it is destroyed with an error', () => {
+    expect.assertions(1);
+    const stream = createResponseStream();
+    const error = new Error('Connection reset');
+    stream.destroy(error);
+    return stream.response()
+      .catch((err) => {
+        expect(err).toBe(error);
+      });
+  });
+});
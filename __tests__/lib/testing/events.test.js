@@ -0,0 +1,167 @@
+const { detectEventSource, normalizeEvent } = require('../../../lib/eventSources');
+const events = require('../../../lib/testing/events');
+
+describe('events', () => {
+  const normalize = event => normalizeEvent(event, 'AUTO');
+  const bodies = event => normalize(event).records.map(({ body }) => body);
+
+  test('sqs() creates SQS events', () => {
+    expect.assertions(5);
+    const event = events.sqs([{ orderId: 1 }, 'plain'], { attributes: { type: 'order' } });
+    const { records } = normalize(event);
+    expect(detectEventSource(event)).toBe('SQS');
+    expect(records.map(({ body }) => body)).toEqual([{ orderId: 1 }, 'plain']);
+    expect(records[0].attributes).toEqual({ type: 'order' });
+    expect(events.sqs([{}], { queue: 'orders' }).Records[0].eventSourceARN)
+      .toBe('arn:aws:sqs:us-east-1:123456789012:orders');
+    expect(normalize(events.sqs(['hi'])).records[0].attributes).toEqual({});
+  });
+
+  test('sns() creates SNS events', () => {
+    expect.assertions(5);
+    const event = events.sns([{ userId: 7 }], { attributes: { type: 'user' } });
+    const { records } = normalize(event);
+    expect(detectEventSource(event)).toBe('SNS');
+    expect(records[0].body).toEqual({ userId: 7 });
+    expect(records[0].attributes).toEqual({ type: 'user' });
+    expect(events.sns(['hi'], { topic: 'users' }).Records[0].Sns.TopicArn)
+      .toBe('arn:aws:sns:us-east-1:123456789012:users');
+    expect(events.sns(['hi']).Records[0].Sns.TopicArn)
+      .toBe('arn:aws:sns:us-east-1:123456789012:test-topic');
+  });
+
+  test('s3() creates S3 events', () => {
+    expect.assertions(3);
+    const event = events.s3([
+      { bucket: 'uploads', key: 'reports/q1 summary.pdf', size: 10 },
+      { bucket: 'uploads', key: 'a.txt' },
+    ]);
+    expect(detectEventSource(event)).toBe('S3');
+    expect(bodies(event)).toEqual([
+      {
+        eventName: 'ObjectCreated:Put',
+        bucket: 'uploads',
+        key: 'reports/q1 summary.pdf',
+        size: 10,
+      },
+      {
+        eventName: 'ObjectCreated:Put',
+        bucket: 'uploads',
+        key: 'a.txt',
+        size: 0,
+      },
+    ]);
+    expect(bodies(events.s3([{ bucket: 'b', key: 'k' }], { eventName: 'ObjectRemoved:Delete' }))[0].eventName)
+      .toBe('ObjectRemoved:Delete');
+  });
+
+  test('dynamodb() creates DynamoDB Streams events', () => {
+    expect.assertions(5);
+    const event = events.dynamodb([
+      { keys: { id: 1 }, newImage: { id: 1, name: 'new' } },
+      { keys: { id: 1 }, newImage: { id: 1, name: 'newer' }, oldImage: { id: 1, name: 'new' } },
+      { keys: { id: 1 }, oldImage: { id: 1, name: 'newer' } },
+      { keys: { id: 2 }, eventName: 'REMOVE' },
+    ], { table: 'items' });
+    const { records } = normalize(event);
+    expect(detectEventSource(event)).toBe('DYNAMODB');
+    expect(records.map(({ body }) => body.eventName)).toEqual(['INSERT', 'MODIFY', 'REMOVE', 'REMOVE']);
+    expect(records[1].body).toEqual({
+      eventName: 'MODIFY',
+      keys: { id: 1 },
+      newImage: { id: 1, name: 'newer' },
+      oldImage: { id: 1, name: 'new' },
+    });
+    expect(records[0].id < records[1].id).toBe(true);
+    expect(events.dynamodb([{ keys: { id: 1 } }]).Records[0].eventSourceARN)
+      .toMatch(/:table\/test-table\/stream\//);
+  });
+
+  test('kinesis() creates Kinesis events', () => {
+    expect.assertions(4);
+    const event = events.kinesis([{ temperature: 21 }, 'raw'], { partitionKey: 'device-1', stream: 'telemetry' });
+    const { records } = normalize(event);
+    expect(detectEventSource(event)).toBe('KINESIS');
+    expect(records.map(({ body }) => body)).toEqual([{ temperature: 21 }, 'raw']);
+    expect(records[0].attributes).toEqual({ partitionKey: 'device-1' });
+    expect(events.kinesis([{}]).Records[0].kinesis.partitionKey).toBe('partition-1');
+  });
+
+  test('eventBridge() creates EventBridge events', () => {
+    expect.assertions(3);
+    const event = events.eventBridge({ orderId: 42 }, { source: 'orders', detailType: 'Order Placed' });
+    expect(detectEventSource(event)).toBe('EVENTBRIDGE');
+    expect(normalize(event).records[0]).toEqual(expect.objectContaining({
+      body: { orderId: 42 },
+      attributes: { source: 'orders', 'detail-type': 'Order Placed' },
+    }));
+    expect(normalize(events.eventBridge({})).records[0].attributes)
+      .toEqual({ source: 'test.source', 'detail-type': 'Test Event' });
+  });
+
+  describe('apiGateway()', () => {
+    it('creates REST API proxy events', () => {
+      expect.assertions(2);
+      const event = events.apiGateway({
+        method: 'post',
+        path: '/users/123',
+        headers: { Accept: 'application/json' },
+        query: { verbose: 'true' },
+        params: { id: '123' },
+        body: { name: 'Ada' },
+      });
+      expect(detectEventSource(event)).toBe('API_GATEWAY');
+      expect(normalize(event).request).toEqual({
+        method: 'POST',
+        path: '/users/123',
+        headers: { accept: 'application/json', 'content-type': 'application/json' },
+        query: { verbose: 'true' },
+        params: { id: '123' },
+        body: { name: 'Ada' },
+        raw: event,
+      });
+    });
+
+    it('creates HTTP API proxy events', () => {
+      expect.assertions(3);
+      const event = events.apiGateway({
+        version: 2,
+        path: '/files',
+        query: { name: 'a b' },
+        body: Buffer.from('hello'),
+      });
+      expect(event.rawQueryString).toBe('name=a%20b');
+      expect(normalize(event).request).toEqual(expect.objectContaining({
+        method: 'GET',
+        path: '/files',
+        query: { name: 'a b' },
+        params: {},
+        body: Buffer.from('hello'),
+      }));
+      expect(events.apiGateway({ version: 2 })).toEqual(expect.objectContaining({
+        rawQueryString: '',
+        body: undefined,
+        isBase64Encoded: false,
+      }));
+    });
+
+    it('defaults to a GET request without a body', () => {
+      expect.assertions(1);
+      expect(normalize(events.apiGateway()).request).toEqual(expect.objectContaining({
+        method: 'GET',
+        path: '/',
+        headers: {},
+        query: {},
+        body: null,
+      }));
+    });
+
+    it('keeps string bodies and explicit content types', () => {
+      expect.assertions(2);
+      const event = events.apiGateway({ body: '<p/>', headers: { 'content-type': 'text/html' } });
+      expect(event.body).toBe('<p/>');
+      expect(events.apiGateway({ body: [1], headers: { 'Content-Type': 'text/plain' } }).headers)
+        .toEqual({ 'Content-Type': 'text/plain' });
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const Handler = require('../../../lib/Handler');
+const testing = require('../../../lib/testing');
+
+describe('testing', () => {
+  it('can be required as lambda-patterns/testing', () => {
+    expect.assertions(1);
+    expect(require('../../../testing')).toBe(testing); // eslint-disable-line global-require
+  });
+
+  it('simulates cold and warm containers', () => {
+    expect.assertions(4);
+    const lambdaHandler = Handler.create(handler => ({
+      isColdStart: handler.isColdStart,
+      totalInvocations: handler.container.totalInvocations,
+    }), { logStream: { write: jest.fn() } });
+    const invokeTwice = () => testing.invoke(lambdaHandler, {})
+      .then(first => testing.invoke(lambdaHandler, {})
+        .then(second => [first, second]));
+
+    testing.resetContainer();
+    return invokeTwice()
+      .then(([cold, warm]) => {
+        expect(cold).toEqual({ isColdStart: true, totalInvocations: 1 });
+        expect(warm).toEqual({ isColdStart: false, totalInvocations: 2 });
+        testing.resetContainer();
+        return invokeTwice();
+      })
+      .then(([cold, warm]) => {
+        expect(cold.isColdStart).toBe(true);
+        expect(warm.totalInvocations).toBe(2);
+      });
+  });
+});
@@ -0,0 +1,51 @@
+const invoke = require('../../../lib/testing/invoke');
+
+describe('invoke()', () => {
+  it('resolves with the response passed to the callback', () => {
+    expect.assertions(3);
+    const lambdaHandler = jest.fn((event, context, callback) => {
+      callback(null, { echo: event });
+    });
+    return invoke(lambdaHandler, { id: 1 })
+      .then((response) => {
+        expect(response).toEqual({ echo: { id: 1 } });
+        const context = lambdaHandler.mock.calls[0][1];
+        expect(context.functionName).toBe('test-function');
+        expect(context.getRemainingTimeInMillis()).toBeGreaterThan(0);
+      });
+  });
+
+  it('uses the given context', () => {
+    expect.assertions(1);
+    const context = { awsRequestId: 'request123' };
+    return expect(invoke((event, ctx, callback) => callback(null, ctx), {}, context))
+      .resolves.toBe(context);
+  });
+
+  it('resolves with the response returned by async handlers', () => {
+    expect.assertions(2);
+    return Promise.all([
+      expect(invoke(() => Promise.resolve('response'))).resolves.toBe('response'),
+      expect(invoke((event, context, callback) => Promise.resolve()
+        .then(() => callback(null, 'callback'))
+        .then(() => 'returned'))).resolves.toBe('callback'),
+    ]);
+  });
+
+  it('rejects with the error passed to the callback', () => {
+    expect.assertions(1);
+    const error = new Error('FAIL');
+    return expect(invoke((event, context, callback) => callback(error))).rejects.toBe(error);
+  });
+
+  it('rejects when the handler throws or rejects', () => {
+    expect.assertions(2);
+    const error = new Error('FAIL');
+    return Promise.all([
+      expect(invoke(() => {
+        throw error;
+      })).rejects.toBe(error),
+      expect(invoke(() => Promise.reject(error))).rejects.toBe(error),
+    ]);
+  });
+});
@@ -0,0 +1,177 @@
+const Tracer = require('../../../lib/tracing/Tracer');
+
+describe('Tracer', () => {
+  let exporter;
+
+  beforeEach(() => {
+    exporter = { export: jest.fn() };
+  });
+
+  test('constructor() defaults to OTLP JSON on stdout', () => {
+    expect.assertions(3);
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    const tracer = new Tracer();
+    tracer.exporter.export([], tracer);
+    write.mockRestore();
+    expect(tracer.serviceName).toBe('lambda-patterns');
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(write.mock.calls[0][0])).toEqual(tracer.toOtlp([]));
+  });
+
+  test('traceId() and spanId() generate random hex ids', () => {
+    expect.assertions(3);
+    expect(Tracer.traceId()).toMatch(/^[0-9a-f]{32}$/);
+    expect(Tracer.spanId()).toMatch(/^[0-9a-f]{16}$/);
+    expect(Tracer.spanId()).not.toBe(Tracer.spanId());
+  });
+
+  test('now() measures time from the construction of the tracer', () => {
+    expect.assertions(2);
+    const tracer = new Tracer({ exporter });
+    const now = tracer.now();
+    expect(now).toBeGreaterThanOrEqual(tracer.epoch);
+    expect(now).toBeLessThan(tracer.epoch + 1000);
+  });
+
+  describe('startSpan()', () => {
+    it('starts spans with defaults', () => {
+      expect.assertions(1);
+      const tracer = new Tracer({ exporter });
+      expect(tracer.startSpan('work', { traceId: 'trace' })).toEqual({
+        traceId: 'trace',
+        spanId: expect.stringMatching(/^[0-9a-f]{16}$/),
+        parentSpanId: null,
+        name: 'work',
+        kind: 'INTERNAL',
+        startTime: expect.any(Number),
+        endTime: null,
+        attributes: {},
+        links: [],
+        error: null,
+      });
+    });
+
+    it('starts spans with options', () => {
+      expect.assertions(1);
+      const tracer = new Tracer({ exporter });
+      const links = [{ traceId: 'other', spanId: 'span' }];
+      expect(tracer.startSpan('request', {
+        traceId: 'trace',
+        parentSpanId: 'parent',
+        kind: 'SERVER',
+        attributes: { retried: true },
+        links,
+        startTime: 1000,
+      })).toEqual(expect.objectContaining({
+        parentSpanId: 'parent',
+        kind: 'SERVER',
+        attributes: { retried: true },
+        links,
+        startTime: 1000,
+      }));
+    });
+  });
+
+  describe('endSpan()', () => {
+    it('records the end and error of spans once', () => {
+      expect.assertions(3);
+      const tracer = new Tracer({ exporter });
+      const span = tracer.startSpan('work', { traceId: 'trace' });
+      tracer.endSpan(span, new TypeError('FAIL'));
+      const { endTime } = span;
+      tracer.endSpan(span);
+      expect(endTime).toBeGreaterThanOrEqual(span.startTime);
+      expect(span.endTime).toBe(endTime);
+      expect(span.error).toEqual({ name: 'TypeError', message: 'FAIL' });
+    });
+  });
+
+  test('toOtlp() converts spans to an OTLP JSON export request', () => {
+    expect.assertions(1);
+    const tracer = new Tracer({ exporter, serviceName: 'orders' });
+    const spans = [
+      Object.assign(tracer.startSpan('request', {
+        traceId: 'trace',
+        parentSpanId: 'parent',
+        kind: 'SERVER',
+        attributes: {
+          coldStart: true,
+          attempts: 2,
+          ratio: 0.5,
+          name: 'orders',
+        },
+        links: [{ traceId: 'other', spanId: 'span' }],
+        startTime: 1000.0000015,
+      }), { spanId: 'one', endTime: 1000.9999999 }),
+      Object.assign(tracer.startSpan('work', { traceId: 'trace', startTime: 2000 }), {
+        spanId: 'two',
+        error: { name: 'Error', message: 'FAIL' },
+      }),
+    ];
+    expect(tracer.toOtlp(spans)).toEqual({
+      resourceSpans: [{
+        resource: {
+          attributes: [{ key: 'service.name', value: { stringValue: 'orders' } }],
+        },
+        scopeSpans: [{
+          scope: { name: 'lambda-patterns' },
+          spans: [{
+            traceId: 'trace',
+            spanId: 'one',
+            parentSpanId: 'parent',
+            name: 'request',
+            kind: 2,
+            startTimeUnixNano: '1000000002',
+            endTimeUnixNano: '1001000000',
+            attributes: [
+              { key: 'coldStart', value: { boolValue: true } },
+              { key: 'attempts', value: { intValue: '2' } },
+              { key: 'ratio', value: { doubleValue: 0.5 } },
+              { key: 'name', value: { stringValue: 'orders' } },
+            ],
+            links: [{ traceId: 'other', spanId: 'span' }],
+            status: { code: 1 },
+          }, {
+            traceId: 'trace',
+            spanId: 'two',
+            name: 'work',
+            kind: 1,
+            startTimeUnixNano: '2000000000',
+            endTimeUnixNano: '2000000000',
+            attributes: [],
+            links: [],
+            status: { code: 2, message: 'FAIL' },
+          }],
+        }],
+      }],
+    });
+  });
+
+  describe('flush()', () => {
+    it('exports the spans which have ended', () => {
+      expect.assertions(3);
+      const tracer = new Tracer({ exporter });
+      const ended = tracer.startSpan('ended', { traceId: 'trace' });
+      const running = tracer.startSpan('running', { traceId: 'trace' });
+      tracer.endSpan(ended);
+      return tracer.flush()
+        .then(() => {
+          expect(exporter.export).toHaveBeenCalledWith([ended], tracer);
+          expect(tracer.spans).toEqual([running]);
+          return tracer.flush();
+        })
+        .then(() => {
+          expect(exporter.export).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    it('rejects when the exporter fails', () => {
+      expect.assertions(1);
+      const error = new Error('FAIL');
+      exporter.export.mockReturnValueOnce(Promise.reject(error));
+      const tracer = new Tracer({ exporter });
+      tracer.endSpan(tracer.startSpan('work', { traceId: 'trace' }));
+      return expect(tracer.flush()).rejects.toBe(error);
+    });
+  });
+});
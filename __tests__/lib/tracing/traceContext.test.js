@@ -0,0 +1,133 @@
+const {
+  parseTraceparent,
+  parseXRayHeader,
+  formatTraceparent,
+  formatXRayHeader,
+  extractTraceContexts,
+} = require('../../../lib/tracing/traceContext');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const SPAN_ID = 'b7ad6b7169203331';
+const TRACEPARENT = `00-${TRACE_ID}-${SPAN_ID}-01`;
+const XRAY = 'Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1';
+
+describe('traceContext', () => {
+  describe('parseTraceparent()', () => {
+    it('parses W3C traceparent headers', () => {
+      expect.assertions(3);
+      expect(parseTraceparent(TRACEPARENT))
+        .toEqual({ traceId: TRACE_ID, parentSpanId: SPAN_ID, sampled: true });
+      expect(parseTraceparent(` 00-${TRACE_ID.toUpperCase()}-${SPAN_ID}-00 `))
+        .toEqual({ traceId: TRACE_ID, parentSpanId: SPAN_ID, sampled: false });
+      expect(parseTraceparent(`01-${TRACE_ID}-${SPAN_ID}-03-future`))
+        .toEqual({ traceId: TRACE_ID, parentSpanId: SPAN_ID, sampled: true });
+    });
+
+    it('returns null for malformed headers', () => {
+      expect.assertions(6);
+      expect(parseTraceparent(undefined)).toBeNull();
+      expect(parseTraceparent('00-abc-def-01')).toBeNull();
+      expect(parseTraceparent(`ff-${TRACE_ID}-${SPAN_ID}-01`)).toBeNull();
+      expect(parseTraceparent(`${TRACEPARENT}-extra`)).toBeNull();
+      expect(parseTraceparent(`00-${'0'.repeat(32)}-${SPAN_ID}-01`)).toBeNull();
+      expect(parseTraceparent(`00-${TRACE_ID}-${'0'.repeat(16)}-01`)).toBeNull();
+    });
+  });
+
+  describe('parseXRayHeader()', () => {
+    it('parses X-Ray trace headers', () => {
+      expect.assertions(2);
+      expect(parseXRayHeader(XRAY)).toEqual({
+        traceId: '5759e988bd862e3fe1be46a994272793',
+        parentSpanId: '53995c3f42cd8ad8',
+        sampled: true,
+      });
+      expect(parseXRayHeader('root=1-5759E988-BD862E3FE1BE46A994272793; Sampled=0; Lineage=a:1'))
+        .toEqual({
+          traceId: '5759e988bd862e3fe1be46a994272793',
+          parentSpanId: null,
+          sampled: false,
+        });
+    });
+
+    it('returns null for headers without a valid root', () => {
+      expect.assertions(3);
+      expect(parseXRayHeader(null)).toBeNull();
+      expect(parseXRayHeader('Parent=53995c3f42cd8ad8')).toBeNull();
+      expect(parseXRayHeader('Root=2-5759e988-bd862e3fe1be46a994272793')).toBeNull();
+    });
+  });
+
+  it('formats trace headers', () => {
+    expect.assertions(4);
+    expect(formatTraceparent(TRACE_ID, SPAN_ID, true)).toBe(TRACEPARENT);
+    expect(formatTraceparent(TRACE_ID, SPAN_ID, false)).toBe(`00-${TRACE_ID}-${SPAN_ID}-00`);
+    expect(formatXRayHeader('5759e988bd862e3fe1be46a994272793', '53995c3f42cd8ad8', true))
+      .toBe(XRAY);
+    expect(formatXRayHeader(TRACE_ID, SPAN_ID, false))
+      .toBe(`Root=1-0af76519-16cd43dd8448eb211c80319c;Parent=${SPAN_ID};Sampled=0`);
+  });
+
+  describe('extractTraceContexts()', () => {
+    it('prefers the traceparent header of HTTP requests', () => {
+      expect.assertions(1);
+      const request = { headers: { traceparent: TRACEPARENT, 'x-amzn-trace-id': XRAY } };
+      expect(extractTraceContexts({ request }, {})).toEqual([
+        { traceId: TRACE_ID, parentSpanId: SPAN_ID, sampled: true, source: 'HTTP' },
+      ]);
+    });
+
+    it('falls back to the X-Amzn-Trace-Id header of HTTP requests', () => {
+      expect.assertions(1);
+      const request = { headers: { 'x-amzn-trace-id': XRAY, traceparent: 'malformed' } };
+      expect(extractTraceContexts({ request }, {})).toEqual([
+        expect.objectContaining({ traceId: '5759e988bd862e3fe1be46a994272793', source: 'HTTP' }),
+      ]);
+    });
+
+    it('ignores HTTP requests without trace headers', () => {
+      expect.assertions(1);
+      const request = { headers: { accept: '*/*' } };
+      expect(extractTraceContexts({ request }, { _X_AMZN_TRACE_ID: XRAY })).toEqual([
+        expect.objectContaining({ source: 'ENV' }),
+      ]);
+    });
+
+    it('reads the attributes of records followed by the environment', () => {
+      expect.assertions(1);
+      const records = [
+        { attributes: { traceparent: TRACEPARENT }, raw: {} },
+        { attributes: {}, raw: { attributes: { AWSTraceHeader: XRAY } } },
+        { attributes: {}, raw: { attributes: 'none' } },
+        { attributes: {}, raw: null },
+      ];
+      const env = { _X_AMZN_TRACE_ID: 'Root=1-5759e988-00000000000000000000000a;Sampled=0' };
+      expect(extractTraceContexts({ records }, env)).toEqual([
+        { traceId: TRACE_ID, parentSpanId: SPAN_ID, sampled: true, source: 'RECORD' },
+        {
+          traceId: '5759e988bd862e3fe1be46a994272793',
+          parentSpanId: '53995c3f42cd8ad8',
+          sampled: true,
+          source: 'RECORD',
+        },
+        {
+          traceId: '5759e98800000000000000000000000a',
+          parentSpanId: null,
+          sampled: false,
+          source: 'ENV',
+        },
+      ]);
+    });
+
+    it('reads the _X_AMZN_TRACE_ID environment variable by default', () => {
+      expect.assertions(2);
+      // eslint-disable-next-line no-underscore-dangle
+      process.env._X_AMZN_TRACE_ID = XRAY;
+      const contexts = extractTraceContexts({});
+      // eslint-disable-next-line no-underscore-dangle
+      delete process.env._X_AMZN_TRACE_ID;
+      expect(contexts).toHaveLength(1);
+      expect(extractTraceContexts({})).toEqual([]);
+    });
+  });
+});
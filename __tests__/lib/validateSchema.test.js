@@ -0,0 +1,45 @@
+const mockInstances = [];
+jest.mock('ajv', () => jest.fn((options) => {
+  const RealAjv = require.requireActual('ajv');
+  const ajv = new RealAjv(options);
+  jest.spyOn(ajv, 'compile');
+  mockInstances.push(ajv);
+  return ajv;
+}));
+
+const Ajv = require('ajv');
+const validateSchema = require('../../lib/validateSchema');
+
+describe('validateSchema()', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+    },
+  };
+
+  it('returns null for valid data', () => {
+    expect.assertions(1);
+    expect(validateSchema(schema, { name: 'Ada', tags: ['a'] })).toBeNull();
+  });
+
+  it('returns every error with its path', () => {
+    expect.assertions(1);
+    expect(validateSchema(schema, { tags: ['a', 1] })).toEqual([
+      { path: '/', message: "should have required property 'name'", keyword: 'required' },
+      { path: '/tags/1', message: 'should be string', keyword: 'type' },
+    ]);
+  });
+
+  it('compiles each schema once', () => {
+    expect.assertions(2);
+    const otherSchema = { type: 'string' };
+    validateSchema(otherSchema, 'a');
+    validateSchema(otherSchema, 1);
+    expect(Ajv).toHaveBeenCalledTimes(1);
+    expect(mockInstances[0].compile.mock.calls.filter(([compiled]) => compiled === otherSchema))
+      .toHaveLength(1);
+  });
+});
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+
+const { run } = require('../lib/cli'); // eslint-disable-line import/no-unresolved, import/extensions
+
+run(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  });
@@ -7,35 +7,272 @@ import type { // eslint-disable-line import/no-extraneous-dependencies
 import typeof {
   deflateSync,
 } from 'zlib';
+import type {
+  AnyLambdaHandler,
+  BatchSummary,
+  EventRecord,
+  FailureDestination,
+  FailureRecord,
+  HttpRequest,
+  IdempotencyStore,
+  LambdaHandler,
+  Middleware,
+  Phase,
+  ProfileSink,
+  Span,
+  Timing,
+  WarmUpInvoker,
+} from './types';
+import type { AbortControllerLike, AbortSignalLike } from './createAbortController';
+import type { ConfigOptions } from './config/loadConfig';
+import type { MetricsOptions } from './Metrics';
+import type { ResourceOptions } from './Resource';
+import type { RetryPolicy } from './retry';
+import type { RouteOptions, RouterOptions } from './Router';
+import type { TracerOptions } from './tracing/Tracer';
 
 const PercentageIncrementor = require('percentage-incrementor');
+const loadConfig = require('./config/loadConfig');
+const { normalizeEvent } = require('./eventSources');
+const {
+  HandlerTimeoutError,
+  IdempotencyInProgressError,
+  ResponseValidationError,
+  ValidationError,
+} = require('./errors');
+const createAbortController = require('./createAbortController');
+const hashKey = require('./idempotency/hashKey');
+const select = require('./idempotency/select');
+const loadTime = require('./loadTime');
+const Logger = require('./Logger');
+const Metrics = require('./Metrics');
+const processBatch = require('./processBatch');
+const Reservoir = require('./Reservoir');
+const Resource = require('./Resource');
+const retry = require('./retry');
+const Router = require('./Router');
+const runMiddleware = require('./runMiddleware');
+const {
+  extractTraceContexts,
+  formatTraceparent,
+  formatXRayHeader,
+} = require('./tracing/traceContext');
+const Tracer = require('./tracing/Tracer');
+const validateSchema = require('./validateSchema');
+
+const BATCH_EVENT_SOURCES = ['SQS', 'KINESIS', 'DYNAMODB'];
+// Event sources whose records keep their id when they are delivered again,
+// while other parts of the event, such as the receipt handle and receive count
+// of SQS messages, change.
+const IDEMPOTENT_RECORD_SOURCES = ['SQS', 'SNS', 'EVENTBRIDGE', 'KINESIS', 'DYNAMODB'];
+// Added to the events of fanned out warm-ups so they do not fan out again.
+const WARM_UP_INVOCATION = '__warmUpInvocation';
+const WARM_UP_CONCURRENCY = '__warmUpConcurrency';
+const PROFILE_EXTENSIONS = {
+  CPU: '.cpuprofile',
+  HEAP_SNAPSHOT: '.heapsnapshot',
+  HEAP_SAMPLING: '.heapprofile',
+};
+// The number of timings kept per container for each phase of cold and warm
+// invocations.
+const TIMING_SAMPLE_SIZE = 100;
 
 const coldStartPercentage = new PercentageIncrementor(isColdStart => !!isColdStart);
 const profilePercentage = new PercentageIncrementor(isProfiling => !!isProfiling);
+const debugSamplePercentage = new PercentageIncrementor(isSampled => !!isSampled);
+const warmUpColdStartPercentage = new PercentageIncrementor(isColdStart => !!isColdStart);
 let isColdStart = true;
+// Whether the module load of the container has been measured. Unlike
+// isColdStart it is not reset with the container, since the modules are only
+// loaded once per process.
+let isModuleLoadMeasured = false;
+// The heap used by the previous invocation and how it has grown since the
+// last invocation which did not grow it.
+const heap: { used: ?number, growthInvocations: number, growthBytes: number } = {
+  used: null,
+  growthInvocations: 0,
+  growthBytes: 0,
+};
+// The start of the current window of the RATE profiling strategy and the
+// number of invocations profiled during it.
+const profileWindow: { start: ?number, count: number } = { start: null, count: 0 };
+// Samples of the timings of the invocations of the container.
+const timingSamples: {
+  cold: { [timing: Timing]: Reservoir },
+  warm: { [timing: Timing]: Reservoir },
+} = { cold: {}, warm: {} };
+const resources: Map<string, Resource<any>> = new Map();
+// The warnings about the configuration which the container has logged. The
+// configuration does not change between invocations, so each is logged once.
+const configurationWarnings: Set<string> = new Set();
+// Loaded configuration keyed by the config option it was loaded for.
+let configCache: WeakMap<ConfigOptions, {
+  loadedAt: number,
+  pending: Promise<{ [key: string]: any }>,
+}> = new WeakMap();
+
+type MemoryUsage = {
+  rss: number,
+  heapTotal: number,
+  heapUsed: number,
+  external: number,
+};
+
+type ProfileTrigger = {
+  header?: string,
+  property?: string,
+  token?: ?string,
+};
+
+type TimingSummary = {
+  [timing: Timing]: { count: number, p50: ?number, p95: ?number },
+};
+
+type HeapSnapshot = {
+  export: (callback: (error: ?Error, result: string) => void) => void,
+  delete: () => void,
+};
+
+/**
+ * Log a warning about the configuration once per container.
+ *
+ * @param {Logger} logger
+ *   The logger of the invocation.
+ * @param {String} message
+ *   The message of the warning.
+ * @param {Object} data
+ *   Additional data added to the warning.
+ */
+function warnConfiguration(logger: Logger, message: string, data?: Object): void {
+  if (configurationWarnings.has(message)) {
+    // #donothing
+    return;
+  }
+
+  configurationWarnings.add(message);
+  logger.warn(message, data);
+}
+
+/**
+ * Get the milliseconds elapsed since a high resolution time.
+ *
+ * @param {Number[]} start
+ *   A time returned by process.hrtime().
+ *
+ * @returns {Number}
+ *   The elapsed milliseconds.
+ */
+function elapsedMs(start: [number, number]): number {
+  const [seconds, nanoseconds] = process.hrtime(start);
+  return (seconds * 1e3) + (nanoseconds / 1e6);
+}
+
+/**
+ * Determine whether an event asks for its invocation to be profiled.
+ *
+ * @param {*} event
+ *   The event passed to the lambda handler.
+ * @param {Object} trigger
+ *   The profileTrigger option.
+ *
+ * @returns {Boolean}
+ *   Whether profiling was requested.
+ */
+function isProfileRequested(event: any, trigger: ?ProfileTrigger): boolean {
+  if (!event || typeof event !== 'object') {
+    return false;
+  }
+
+  const {
+    header = 'X-Profile',
+    property = '__profile',
+    token = process.env.PROFILE_TOKEN,
+  } = trigger || {};
+  if (event[property] === true) {
+    return true;
+  }
+
+  // Anyone can send a header, so headers are only honored with a token.
+  const { headers } = event;
+  if (!token || !headers || typeof headers !== 'object') {
+    return false;
+  }
+  const name = Object.keys(headers).find(key => key.toLowerCase() === header.toLowerCase());
+  return !!name && headers[name] === token;
+}
 
 /**
  * Provides common functionality for lambda handlers.
  */
 class Handler {
-  processor: (handler: Handler) => any;
+  processor: (handler: Handler, record?: EventRecord) => any;
   options: { [string]: any };
   event: any;
   context: Context;
   callback: Callback;
+  responseMode: 'CALLBACK' | 'PROMISE';
+  outcome: ?{ error: ?Error, response: any };
+  eventSource: ?string;
+  records: ?Array<EventRecord>;
+  request: ?HttpRequest;
+  config: { [key: string]: any };
+  batchSummary: ?BatchSummary;
+  abortController: AbortControllerLike;
+  signal: AbortSignalLike;
   isColdStart: boolean;
+  isWarmUp: boolean;
   container: {
     coldStartPercentage: PercentageIncrementor,
     profilePercentage: PercentageIncrementor,
+    debugSamplePercentage: PercentageIncrementor,
+    warmUpColdStartPercentage: PercentageIncrementor,
     totalInvocations: number,
+    totalWarmUps: number,
+  };
+  startTime: number;
+  startHrtime: [number, number];
+  phaseStarts: { [phase: Phase]: [number, number] };
+  timings: { [timing: Timing]: number };
+  memoryUsage: { [phase: Phase]: MemoryUsage };
+  heapUsed: ?number;
+  heapGrowth: ?{ invocations: number, bytes: number };
+  resourceTimings: { [name: string]: number };
+  route: ?string;
+  debugSampled: boolean;
+  logger: Logger;
+  metrics: Metrics;
+  metricsFlushed: boolean;
+  cleanedUp: ?Promise<void>;
+  tracer: ?Tracer;
+  trace: ?{
+    traceId: string,
+    spanId: string,
+    parentSpanId: ?string,
+    sampled: boolean,
+    source: ?string,
+    traceparent: string,
+    xrayTraceHeader: string,
   };
+  invocationSpan: ?Span;
+  error: ?Error;
+  middleware: Array<Middleware>;
+  deferred: Array<Promise<any> | () => any>;
+  deferredFailures: Array<Error>;
+  permanentFailures: Array<FailureRecord>;
   profilingEnabled: ?boolean;
+  profileStrategy: string;
+  profileDiscarded: boolean;
   profile: ?string;
+  profileExtension: string;
+  heapSnapshot: ?HeapSnapshot;
   static profiler: ?{
     startProfiling: (id: string) => void,
     stopProfiling: (id: string) => {
       delete: () => void,
     },
+    takeSnapshot?: (id: string) => HeapSnapshot,
+    startSamplingHeapProfiling?: () => void,
+    stopSamplingHeapProfiling?: () => Object,
   };
   static zlib: ?{
     deflateSync: deflateSync,
@@ -62,6 +299,57 @@ class Handler {
     return false;
   }
 
+  /**
+   * The default warm-up event predicate. It recognizes the events sent by
+   * serverless-plugin-warmup and events with a "warmer" property set to true,
+   * as lambda-warmer sends.
+   *
+   * @param {*} event
+   *   The event passed to the lambda handler.
+   *
+   * @returns {Boolean}
+   *   Whether the event is a warm-up.
+   */
+  static isWarmUpEvent(event: any): boolean {
+    return !!event && typeof event === 'object' &&
+      (event.warmer === true || event.source === 'serverless-plugin-warmup');
+  }
+
+  /**
+   * The default permanent failure classifier. Validation errors and errors
+   * with a "permanent" property set to true will never succeed, no matter how
+   * often the event is retried.
+   *
+   * @param {Error} error
+   *   The error which processing failed with.
+   *
+   * @returns {Boolean}
+   *   Whether the failure is permanent.
+   */
+  static isPermanentError(error: any): boolean {
+    return error instanceof ValidationError || (!!error && error.permanent === true);
+  }
+
+  /**
+   * Summarise the timings of the invocations of the container, separately for
+   * cold and warm invocations. Each timing is sampled from up to 100
+   * invocations, so memory does not grow with the lifetime of the container.
+   * Warm-ups are not included.
+   *
+   * @returns {Object}
+   *   An object with "cold" and "warm" properties, each keyed by timing
+   *   ("moduleLoad", "init", "process", "cleanup", "respond" and "total"),
+   *   whose values have the number of invocations measured and the 50th and
+   *   95th percentiles in milliseconds.
+   *
+   * @static
+   */
+  static timingSummary(): { cold: TimingSummary, warm: TimingSummary } {
+    const summarise = samples => Object.keys(samples)
+      .reduce((acc, timing) => Object.assign(acc, { [timing]: samples[timing].summary() }), {});
+    return { cold: summarise(timingSamples.cold), warm: summarise(timingSamples.warm) };
+  }
+
   /**
    * @type {Object}
    * The default options for the constructor.
@@ -70,14 +358,79 @@ class Handler {
   static get defaultOptions(): {
     shouldProfile: (handler: Handler) => boolean,
     waitForEventLoop: boolean,
+    deferMode: string,
+    deferTimeoutMs: number,
+    responseMode: string,
     profileStrategy: string,
+    profileType: string,
     profilePercentage: number,
+    profileRate: ?{ limit?: number, windowSeconds?: number },
+    profileSlowThresholdMs: number,
+    profileTrigger: ?ProfileTrigger,
+    profileSink: ?ProfileSink,
+    middleware: Array<Middleware>,
+    eventSource: string,
+    batch: boolean | { concurrency?: number, failFast?: boolean },
+    timeoutMarginMs: ?number,
+    eventSchema: ?Object,
+    responseSchema: ?Object,
+    logLevel: string,
+    logRedact: Array<string>,
+    logSamplePercentage: number,
+    logStream: ?{ +write: (chunk: string) => any },
+    heapGrowthInvocations: number,
+    metrics: boolean | MetricsOptions,
+    retry: ?RetryPolicy,
+    idempotency: ?{
+      store: IdempotencyStore,
+      key?: string | (target: any, handler: Handler) => any,
+      ttlSeconds?: number,
+    },
+    onPermanentFailure: ?{
+      destination: FailureDestination,
+      isPermanent?: (error: any, handler: Handler) => boolean,
+      maxReceiveCount?: number,
+    },
+    warmUp: boolean | {
+      isWarmUp?: (event: any, context: Context) => boolean,
+      concurrency?: number,
+      invoker?: WarmUpInvoker,
+      delayMs?: number,
+    },
+    config: ?ConfigOptions,
+    tracing: boolean | TracerOptions,
     } {
     return {
       shouldProfile: this.shouldProfile,
       profileStrategy: 'NEVER',
+      profileType: 'CPU',
       profilePercentage: 10,
+      profileRate: null,
+      profileSlowThresholdMs: 1000,
+      profileTrigger: null,
+      profileSink: null,
+      middleware: [],
+      eventSource: 'AUTO',
+      batch: false,
+      timeoutMarginMs: null,
+      eventSchema: null,
+      responseSchema: null,
+      logLevel: 'info',
+      logRedact: [],
+      logSamplePercentage: 0,
+      logStream: null,
+      heapGrowthInvocations: 0,
+      metrics: false,
+      retry: null,
+      idempotency: null,
+      onPermanentFailure: null,
+      warmUp: false,
+      config: null,
+      tracing: false,
       waitForEventLoop: true,
+      deferMode: 'BEFORE_RESPOND',
+      deferTimeoutMs: 1000,
+      responseMode: 'AUTO',
     };
   }
 
@@ -120,6 +473,46 @@ class Handler {
    *   asynchronously which may not be completed before you invoke the callback.
    *   For more information:
    *   http://docs.aws.amazon.com/lambda/latest/dg/nodejs-prog-model-context.html
+   *
+   *   Use handler.defer() for asynchronous work which must complete.
+   * @param {String} options.deferMode="BEFORE_RESPOND"
+   *   Specify when the work passed to handler.defer() is awaited:
+   *   - BEFORE_RESPOND
+   *     At the end of the cleanup step, so it completes even when lambda
+   *     freezes the process as soon as the callback is invoked.
+   *
+   *   - AFTER_RESPOND
+   *     Right after the respond step, so it runs after the respond step and
+   *     its middleware. This does not make the response faster: with the
+   *     default waitForEventLoop, lambda only returns the response of the
+   *     callback once the event loop is empty, so the deferred work still
+   *     delays it. With waitForEventLoop disabled, lambda freezes the process
+   *     after the callback and the work may never complete. In the PROMISE
+   *     response mode the response is only returned once the invocation is
+   *     complete, so AFTER_RESPOND delays the response like BEFORE_RESPOND
+   *     does, and a warning is logged once per container.
+   *
+   *   Work deferred after the cleanup step is always awaited after the
+   *   respond step.
+   * @param {Number} options.deferTimeoutMs=1000
+   *   The longest time to wait for deferred work, in milliseconds. Waiting
+   *   also stops when the invocation would time out (less timeoutMarginMs).
+   * @param {String} options.responseMode="AUTO"
+   *   Specify how the outcome of the invocation is passed back to lambda:
+   *   - CALLBACK
+   *     Through the callback passed to the lambda handler. The lambda handler
+   *     resolves with undefined once the invocation is complete.
+   *
+   *   - PROMISE
+   *     The lambda handler resolves with the response or rejects with the
+   *     error, as async handlers do. The callback is not used, so it can be
+   *     omitted.
+   *
+   *   - AUTO
+   *     CALLBACK when lambda passes a callback, otherwise PROMISE.
+   *
+   *   In every mode respond() reports the outcome by calling handler.callback,
+   *   so overrides of respond() work unchanged.
    * @param {String} options.profileStrategy="NEVER"
    *   Specify the profiling strategy if using the default shouldProfile method.
    *   Supported strategies:
@@ -135,25 +528,385 @@ class Handler {
    *   - PERCENTAGE
    *     Profile a percentage of invocations. This requires the percentage
    *     configuration property below.
+   *
+   *   - RATE
+   *     Profile a number of invocations per time window in each container.
+   *     See the profileRate option.
+   *
+   *   - ON_SLOW
+   *     Profile every invocation but only keep the profiles of invocations
+   *     which took longer than the profileSlowThresholdMs option.
+   *
+   *   - ON_ERROR
+   *     Profile every invocation but only keep the profiles of invocations
+   *     which failed.
+   *
+   *   - ON_DEMAND
+   *     Profile the invocations which ask for it. See the profileTrigger
+   *     option.
+   *
+   *   The PROFILE_STRATEGY environment variable overrides this option, so the
+   *   strategy can be changed without deploying the function again.
    * @param {Number} options.profilePercentage=10
    *   If using the "PERCENTAGE" profiling strategy, specify the percentage of
    *   invocations which should be profiled.
+   * @param {Object} options.profileRate=null
+   *   If using the "RATE" profiling strategy, specify how many invocations are
+   *   profiled:
+   *   - limit=1
+   *     The number of invocations to profile in each window.
+   *
+   *   - windowSeconds=60
+   *     The length of a window. Windows start with the first invocation
+   *     profiled after the previous window ended.
+   * @param {Number} options.profileSlowThresholdMs=1000
+   *   If using the "ON_SLOW" profiling strategy, specify the duration in
+   *   milliseconds, measured up to the cleanup step, from which the profile of
+   *   an invocation is kept.
+   * @param {Object} options.profileTrigger=null
+   *   If using the "ON_DEMAND" profiling strategy, specify how invocations ask
+   *   to be profiled:
+   *   - property="__profile"
+   *     A property of the event which is set to true.
+   *
+   *   - header="X-Profile"
+   *     An HTTP header whose value is the token below. Header names are
+   *     matched case insensitively.
+   *
+   *   - token=process.env.PROFILE_TOKEN
+   *     The secret value of the header. Headers are ignored without a token,
+   *     since anyone who can call the endpoint can send them.
+   * @param {String} options.profileType="CPU"
+   *   Specify what is collected when an invocation is profiled:
+   *   - CPU
+   *     A CPU profile of the invocation, saved as a .cpuprofile.
+   *
+   *   - HEAP_SNAPSHOT
+   *     A snapshot of the heap taken at the end of the process step, saved as
+   *     a .heapsnapshot. Compare the snapshots of successive invocations in
+   *     Chrome DevTools to find what is retained between them. Taking a
+   *     snapshot pauses the process and needs memory in proportion to the
+   *     heap.
+   *
+   *   - HEAP_SAMPLING
+   *     A sampling profile of the allocations made during the invocation,
+   *     saved as a .heapprofile. This requires a profiler which provides
+   *     startSamplingHeapProfiling() and stopSamplingHeapProfiling().
+   *
+   * @param {Object} options.profileSink=null
+   *   Specify where collected profiles should be sent. A profile sink is any
+   *   object with a write(profile, handler) method. It receives the base64
+   *   encoded, deflated profile (see decodeProfile()) along with the handler
+   *   instance and may return a promise. It is called in the cleanup step, so
+   *   any error it throws is passed to respond(), and handler.timings only
+   *   holds the timings of the init and process steps (and moduleLoad) at
+   *   that point. Built-in sinks:
+   *   - FileProfileSink
+   *     Write .cpuprofile files which can be loaded in Chrome DevTools.
+   *
+   *   - LogProfileSink
+   *     Write the compressed profile to stdout in chunked, structured log
+   *     lines.
+   *
+   *   - S3ProfileSink
+   *     Upload .cpuprofile files using an injected S3 compatible client.
+   *
+   * @param {Object[]} options.middleware=[]
+   *   Middleware to run around each step of the invocation. See Handler#use()
+   *   for a description of the middleware object.
+   * @param {String} options.eventSource="AUTO"
+   *   Specify the source of the events received by the handler so they can be
+   *   normalized in the init step. The normalized event is exposed alongside
+   *   the raw event as handler.records (a list of objects with id,
+   *   eventSource, body, attributes and raw properties) or, for HTTP events,
+   *   as handler.request. Supported sources:
+   *   - AUTO
+   *     Detect the source of each event. Unrecognized events are not
+   *     normalized.
+   *
+   *   - NONE
+   *     Do not normalize events.
+   *
+   *   - API_GATEWAY
+   *     REST and HTTP API proxy events. JSON bodies are parsed and base64
+   *     encoded bodies are decoded to a Buffer.
+   *
+   *   - SQS, SNS
+   *     Message bodies are parsed as JSON when possible.
+   *
+   *   - S3
+   *     Object keys are URL decoded.
+   *
+   *   - DYNAMODB
+   *     Stream record keys and images are unmarshalled.
+   *
+   *   - KINESIS
+   *     Record data is base64 decoded and parsed as JSON when possible.
+   *
+   *   - EVENTBRIDGE
+   *     The event is exposed as a single record with its detail as the body.
+   *
+   * @param {Boolean|Object} options.batch=false
+   *   Process SQS, Kinesis and DynamoDB Streams events one record at a time.
+   *   The processor is called with the handler and a record from
+   *   handler.records. Records which fail are reported back to lambda in the
+   *   batchItemFailures response so only they are retried, which requires
+   *   ReportBatchItemFailures to be enabled on the event source mapping. A
+   *   summary of the batch is stored on handler.batchSummary. Pass true to use
+   *   the defaults or an object with the following properties:
+   *   - concurrency=1
+   *     The maximum number of records processed at the same time.
+   *
+   *   - failFast=false
+   *     Stop processing records after the first failure and report every
+   *     record which was not processed as a failure. Use this for FIFO queues
+   *     and streams where records must be processed in order. Otherwise every
+   *     record is processed regardless of earlier failures.
+   *
+   * @param {Number} options.timeoutMarginMs=null
+   *   Stop waiting for the process step once the remaining time of the
+   *   invocation (from context.getRemainingTimeInMillis()) falls below this
+   *   many milliseconds. The process step then fails with a
+   *   HandlerTimeoutError, handler.signal is aborted and cleanup() and
+   *   respond() still run before lambda stops the container. Leave enough of a
+   *   margin for them to complete. The processor should watch handler.signal
+   *   or handler.remainingTime() to stop its work cooperatively. Disabled by
+   *   default.
+   * @param {Object} options.eventSchema=null
+   *   A JSON Schema which handler.event is validated against in the init
+   *   step. Invalid events fail with a ValidationError whose details contain
+   *   a list of errors with the path of each invalid value.
+   * @param {Object} options.responseSchema=null
+   *   A JSON Schema which the result of the process step is validated against
+   *   before cleaning up and responding. Invalid responses fail with a
+   *   ResponseValidationError.
+   *
+   *   Compiled schemas are cached for the lifetime of the container, so
+   *   schemas should be defined once rather than per invocation.
+   * @param {String} options.logLevel="info"
+   *   The minimum level written by handler.logger: trace, debug, info, warn,
+   *   error or silent. The LOG_LEVEL environment variable takes precedence so
+   *   the level can be changed without a redeploy. Unknown levels are ignored
+   *   with a warning.
+   * @param {String[]} options.logRedact=[]
+   *   Keys, matched case insensitively at any depth, whose values are replaced
+   *   with "[REDACTED]" in log entries.
+   * @param {Number} options.logSamplePercentage=0
+   *   Specify the percentage of invocations for which debug entries are
+   *   written regardless of the log level.
+   * @param {Object} options.logStream=process.stdout
+   *   The stream to which log entries are written.
+   * @param {Number} options.heapGrowthInvocations=0
+   *   Flag heap growth in handler.heapGrowth, log it as a warning and report
+   *   it in the HeapGrowth metric once the heap has grown across this many
+   *   successive warm invocations. The heap also grows between garbage
+   *   collections, so use at least 5 to avoid flagging that. Disabled by
+   *   default. The memory usage of the process is recorded at the end of each
+   *   step in handler.memoryUsage regardless.
+   * @param {Boolean|Object} options.metrics=false
+   *   Emit metrics for every invocation in CloudWatch Embedded Metric Format
+   *   at the end of the cleanup step: Duration, ColdStart, Error, Profiled,
+   *   ModuleLoadDuration (on the first cold start), InitDuration,
+   *   ProcessDuration, CleanupDuration, HeapUsed and, when the heap is
+   *   growing, HeapGrowth, along with any metrics added to handler.metrics by
+   *   the processor. The function name is added as a dimension, and the
+   *   container statistics and the initialization times of resources created
+   *   by the invocation as properties. Pass true to use the defaults or an
+   *   object with the following properties:
+   *   - namespace="LambdaPatterns"
+   *     The CloudWatch namespace of the metrics.
+   *
+   *   - dimensions={}
+   *     Dimensions added to every metric.
+   *
+   *   - emitter=Metrics.stdoutEmitter
+   *     Any object with an emit(document) method. The default writes each
+   *     document to stdout as a JSON line.
+   *
+   * @param {Object} options.retry=null
+   *   Call the processor again when it fails, waiting with exponential
+   *   backoff between attempts. In batch mode each record is retried on its
+   *   own. No attempt is made once handler.signal is aborted or when its delay
+   *   would not end before the invocation times out (less timeoutMarginMs).
+   *   Each retry is logged as a warning and counted in the RetryAttempts
+   *   metric. The policy is also the default of handler.retry(). Properties:
+   *   - maxAttempts=3
+   *     The maximum number of attempts, including the first.
+   *
+   *   - baseDelayMs=100
+   *     The delay before the second attempt, which doubles with each attempt.
+   *
+   *   - maxDelayMs=5000
+   *     The maximum delay between attempts.
+   *
+   *   - jitter=true
+   *     Wait a random time up to the delay so concurrent invocations do not
+   *     retry in lock step.
+   *
+   *   - shouldRetry
+   *     A function which receives the error and the number of the attempt
+   *     and returns whether to try again. By default every error is retried.
+   *
+   * @param {Object} options.idempotency=null
+   *   Process each event only once, even when it is delivered more than
+   *   once. A key is derived from the event, or from each record in batch
+   *   mode, and recorded as in progress before processing. Duplicates of
+   *   completed events respond with the stored response without calling the
+   *   processor, and duplicates of events which are still in progress fail
+   *   with an IdempotencyInProgressError so they are delivered again later.
+   *   Events which fail are released so they can be retried. Properties:
+   *   - store
+   *     Where records are kept: an InMemoryIdempotencyStore, a
+   *     DynamoDBIdempotencyStore or any object with claim(), complete() and
+   *     release() methods.
+   *
+   *   - key
+   *     A JMESPath style expression, such as "detail.orderId", selecting the
+   *     parts of the event which identify it, or a function which receives
+   *     the event (or record) and the handler and returns them. Defaults to
+   *     the id of each record in batch mode. Otherwise it defaults to the ids
+   *     of the records of SQS, SNS, EventBridge, Kinesis and DynamoDB events,
+   *     the Idempotency-Key header of HTTP requests and the whole event for
+   *     other events. Events without a key are processed without
+   *     idempotency.
+   *
+   *   - ttlSeconds=3600
+   *     How long completed records are kept. In progress records expire when
+   *     the invocation times out.
+   *
+   * @param {Object} options.onPermanentFailure=null
+   *   Stop poison events from being retried forever. When processing an
+   *   event, or a record in batch mode, fails permanently, a failure record
+   *   with the original event (or record), the error with its stack, the
+   *   number of attempts, the receive count of SQS messages and the request
+   *   id is sent to the destination, and the event is acknowledged instead of
+   *   failing the invocation. Each failure is logged as a warning, kept in
+   *   handler.permanentFailures and counted in the PermanentFailures metric.
+   *   When the destination fails, the original error is kept so the event is
+   *   retried. HTTP requests are not affected, since their errors are already
+   *   responses. Properties:
+   *   - destination
+   *     Where failures are sent: an InMemoryFailureDestination, a
+   *     FileFailureDestination, a QueueFailureDestination or any object with
+   *     a send(failure, handler) method which may return a promise.
+   *
+   *   - isPermanent=Handler.isPermanentError
+   *     A function which receives the error and the handler and returns
+   *     whether the failure is permanent. Other failures fail the invocation
+   *     as usual so lambda retries them.
+   *
+   *   - maxReceiveCount
+   *     Treat any failure of an SQS message which has been received this many
+   *     times as permanent. For other events, and SQS messages without a
+   *     receive count, the attempts made within the invocation by the retry
+   *     option are counted instead; the retries of lambda itself are not.
+   *     Without the retry option there is a single attempt, so a
+   *     maxReceiveCount above 1 never applies to them and a warning is
+   *     logged once per container.
+   *
+   * @param {Boolean|Object} options.warmUp=false
+   *   Answer warm-up events, such as scheduled pings which keep containers
+   *   warm, from the init step without running the processor. Warm-ups are
+   *   not counted in the container statistics of real invocations, so they
+   *   do not skew totalInvocations or coldStartPercentage; they are counted in
+   *   container.totalWarmUps and container.warmUpColdStartPercentage instead.
+   *   They are never profiled, and no metrics are emitted for them. Pass true
+   *   to use the defaults or an object with the following properties:
+   *   - isWarmUp=Handler.isWarmUpEvent
+   *     A function which receives the event and context and returns whether
+   *     the event is a warm-up.
+   *
+   *   - concurrency=1
+   *     The number of containers to keep warm. A warm-up event invokes the
+   *     function concurrency - 1 more times through the invoker and waits for
+   *     them, so that each invocation occupies a separate container.
+   *
+   *   - invoker
+   *     Any object with an invoke(payload, handler) method which invokes the
+   *     function and returns a promise of its completion, such as a
+   *     LambdaInvoker. Required when concurrency is greater than one.
+   *
+   *   - delayMs=75
+   *     How long the invocations fanned out by a warm-up wait before
+   *     responding, so their containers stay busy while the others start.
+   *
+   * @param {Object} options.config=null
+   *   Load configuration in the init step and expose it as handler.config.
+   *   Environment variables, parameters and secrets are declared by the key
+   *   under which they are exposed, with either a type or an object with the
+   *   following properties:
+   *   - type="string"
+   *     string, number, boolean (true, false, 1, 0, yes or no) or json.
+   *
+   *   - name=key
+   *     The name of the parameter or secret, when it differs from the key.
+   *
+   *   - default
+   *     The value used when none is set. Values without a default are
+   *     required unless required is false.
+   *
+   *   Values are cached for the lifetime of the container and refreshed
+   *   periodically. When a value is missing or malformed the invocation
+   *   fails with a ConfigurationError listing every problem. Properties:
+   *   - env={}
+   *     Environment variables, keyed by their name.
+   *
+   *   - parameters={}
+   *     Parameters loaded from the parameterProvider.
+   *
+   *   - secrets={}
+   *     Secrets loaded from the secretProvider.
+   *
+   *   - parameterProvider, secretProvider
+   *     Any object with a get(names) method which returns a promise of the
+   *     values keyed by name, such as an SSMParameterProvider, a
+   *     SecretsManagerProvider or, for development, a LocalConfigProvider.
+   *
+   *   - refreshSeconds=300
+   *     How long loaded values are used before they are loaded again. When
+   *     loading fails, the previous values are used until the next refresh.
+   *
+   * @param {Boolean|Object} options.tracing=false
+   *   Continue the trace of the request in the init step and record a span
+   *   for the invocation and for each of its steps. The trace context is
+   *   taken from the traceparent or X-Amzn-Trace-Id headers of HTTP requests,
+   *   the traceparent or AWSTraceHeader attributes of SQS and SNS records, or
+   *   the _X_AMZN_TRACE_ID environment variable, in that order. It is exposed
+   *   as handler.trace, whose traceparent and xrayTraceHeader properties can
+   *   be sent with outgoing requests. The contexts of other records in a
+   *   batch are linked to the invocation span. Spans are exported once the
+   *   invocation has responded. Warm-ups are not traced. Pass true to use the
+   *   defaults or an object with the following properties:
+   *   - serviceName="lambda-patterns"
+   *     The service.name resource attribute of the spans.
+   *
+   *   - exporter=Tracer.stdoutExporter
+   *     Any object with an export(spans, tracer) method. The default writes
+   *     the spans to stdout as a JSON line in the OpenTelemetry protocol
+   *     (OTLP) JSON format.
    *
    * @returns {Function}
    *   A function to be used as a lambda handler which utilizes an instance of
-   *   the Handler class.
+   *   the Handler class. It has a use() method which registers middleware for
+   *   every subsequent invocation of the lambda handler.
    *
    * @static
    */
   static create(
     processor: $PropertyType<Handler, 'processor'>,
     options: $PropertyType<Handler, 'options'>
-  ): (
-    event: $PropertyType<Handler, 'event'>,
-    context: $PropertyType<Handler, 'context'>,
-    callback: $PropertyType<Handler, 'callback'>
-  ) => Promise<void> {
-    return (...args) => new this(processor, options, ...args).invoke();
+  ): AnyLambdaHandler {
+    const middleware = [].concat((options && options.middleware) || []);
+    const lambdaHandler: LambdaHandler = ((...args) => new this(
+      processor,
+      Object.assign({}, options, { middleware }),
+      ...args
+    ).invoke(): any);
+    lambdaHandler.use = (mw: Middleware) => {
+      middleware.push(this.validateMiddleware(mw));
+      return lambdaHandler;
+    };
+    return lambdaHandler;
   }
 
   /**
@@ -175,14 +928,14 @@ class Handler {
    *   The context object passed to the lambda handler.
    * @param {Function} callback
    *   The callback passed to the lambda handler used to respond to the
-   *   invocation.
+   *   invocation, if any. See the responseMode option.
    */
   constructor(
     processor: $PropertyType<Handler, 'processor'>,
     options: $PropertyType<Handler, 'options'>,
     event: $PropertyType<Handler, 'event'>,
     context: $PropertyType<Handler, 'context'>,
-    callback: $PropertyType<Handler, 'callback'>
+    callback?: $PropertyType<Handler, 'callback'>
   ) {
     if (typeof processor !== 'function') {
       throw new Error('Handlers must be constructed with a function for processing');
@@ -193,47 +946,642 @@ class Handler {
     this.options = Object.assign({}, this.constructor.defaultOptions, options);
     this.event = event;
     this.context = context;
-    this.callback = callback;
+    this.responseMode = this.detectResponseMode(callback);
+    this.outcome = null;
+    this.callback = callback && this.responseMode === 'CALLBACK'
+      ? callback
+      : (error, response) => {
+        // Like lambda, only the first outcome counts.
+        if (!this.outcome) {
+          this.outcome = { error, response };
+        }
+      };
+    this.abortController = createAbortController();
+    this.signal = this.abortController.signal;
+    this.middleware = this.options.middleware.map(mw => this.constructor.validateMiddleware(mw));
+    this.deferred = [];
+    this.deferredFailures = [];
+    this.permanentFailures = [];
     this.isColdStart = isColdStart;
     isColdStart = false;
+    this.isWarmUp = this.detectWarmUp();
 
-    coldStartPercentage.increment(this.isColdStart);
+    // Warm-ups are counted separately so they do not skew the statistics of
+    // real invocations.
+    if (this.isWarmUp) {
+      warmUpColdStartPercentage.increment(this.isColdStart);
+    }
+    else {
+      coldStartPercentage.increment(this.isColdStart);
+    }
 
     this.container = {
       coldStartPercentage,
       profilePercentage,
+      debugSamplePercentage,
+      warmUpColdStartPercentage,
       totalInvocations: coldStartPercentage.total,
+      totalWarmUps: warmUpColdStartPercentage.total,
     };
+
+    this.startTime = Date.now();
+    this.startHrtime = process.hrtime();
+    this.phaseStarts = {};
+    this.timings = {};
+    if (this.isColdStart && !isModuleLoadMeasured) {
+      this.timings.moduleLoad = elapsedMs(loadTime);
+      isModuleLoadMeasured = true;
+    }
+    this.memoryUsage = {};
+    this.resourceTimings = {};
+    this.route = null;
+    this.profileStrategy = (process.env.PROFILE_STRATEGY || this.options.profileStrategy)
+      .toUpperCase();
+    this.profileDiscarded = false;
+    this.profileExtension = PROFILE_EXTENSIONS[this.options.profileType] || PROFILE_EXTENSIONS.CPU;
+    this.debugSampled = !this.isWarmUp &&
+      debugSamplePercentage * 100 < this.options.logSamplePercentage;
+    if (!this.isWarmUp) {
+      debugSamplePercentage.increment(this.debugSampled);
+    }
+    this.logger = this.createLogger();
+    if (this.responseMode === 'PROMISE' && this.options.deferMode === 'AFTER_RESPOND') {
+      warnConfiguration(this.logger, 'Deferred work delays the response in the PROMISE response mode, so AFTER_RESPOND behaves like BEFORE_RESPOND');
+    }
+    this.metrics = this.createMetrics();
+    this.metricsFlushed = false;
+    this.cleanedUp = null;
+    this.tracer = this.createTracer();
+    this.trace = null;
+    this.invocationSpan = null;
+  }
+
+  /**
+   * Register a resource shared by the invocations of a container, such as a
+   * database pool, an SDK client or loaded configuration. The value is
+   * created the first time handler.resource() is called for it and reused by
+   * later invocations until it expires or fails its health check.
+   *
+   * @example
+   * Handler.resource('db', () => createPool(), {
+   *   ttl: 300,
+   *   healthCheck: pool => pool.query('SELECT 1').then(() => true),
+   *   dispose: pool => pool.end(),
+   * });
+   *
+   * module.exports = {
+   *   yourHandler: Handler.create(handler => handler.resource('db')
+   *     .then(pool => pool.query('SELECT * FROM orders'))),
+   * };
+   *
+   * @param {String} name
+   *   The name by which the resource is used.
+   * @param {Function} factory
+   *   A function which creates the value. It receives the handler instance of
+   *   the invocation which first uses the resource and may return a promise.
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the
+   *   resource. See Resource for a description of ttl, healthCheck and
+   *   dispose.
+   *
+   * @returns {Resource}
+   *   The registered resource.
+   *
+   * @static
+   */
+  static resource<T>(
+    name: string,
+    factory: (handler: ?Handler) => T | Promise<T>,
+    options?: ResourceOptions<T>
+  ): Resource<T> {
+    if (resources.has(name)) {
+      throw new Error(`A resource named "${name}" is already registered`);
+    }
+    const resource = new Resource(name, factory, options);
+    resources.set(name, resource);
+    return resource;
+  }
+
+  /**
+   * Get the value of a resource registered with Handler.resource(). When the
+   * value is created by this invocation, how long it took is recorded in
+   * handler.resourceTimings.
+   *
+   * @param {String} name
+   *   The name of the resource.
+   *
+   * @returns {Promise<*>}
+   *   A promise which resolves with the value of the resource.
+   */
+  resource(name: string): Promise<any> {
+    const resource = resources.get(name);
+    if (!resource) {
+      return Promise.reject(new Error(`No resource named "${name}" is registered`));
+    }
+    return resource.get(this);
+  }
+
+  /**
+   * Create a processor which dispatches each event to the processor of the
+   * matching route, instead of one processor handling every kind of event.
+   * Routes are matched in the order in which they are registered with the
+   * following methods of the returned processor, which return it to allow
+   * chaining:
+   * - route(method, path, processor, options)
+   *   Match HTTP requests by method ("ANY" matches every method) and path
+   *   pattern, such as "/users/:id". Named segments and a final "*" are added
+   *   to handler.request.params.
+   *
+   * - attribute(name, value, processor, options)
+   *   Match SQS and SNS records whose message attribute has the value, or one
+   *   of the values.
+   *
+   * - event(source, detailType, processor, options)
+   *   Match EventBridge events by source and, unless it is null, detail-type.
+   *
+   * Routes run inside the process step and handler.route holds the name of
+   * the matching route. Record routes receive the record as their second
+   * argument; without the batch option each record of SQS and SNS events is
+   * dispatched in turn and the results are returned in order. See Router for
+   * the options of routes (bodySchema, responseSchema and middleware).
+   *
+   * @example
+   * module.exports = {
+   *   api: HttpHandler.create(Handler.router()
+   *     .route('GET', '/users/:id', ({ request }) => users.get(request.params.id))
+   *     .route('POST', '/users', ({ request }) => users.create(request.body), {
+   *       bodySchema: userSchema,
+   *     })),
+   * };
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the router.
+   *   See Router for a description of notFound.
+   *
+   * @returns {Function}
+   *   A processor to pass to Handler.create() or the create() method of a
+   *   subclass. Its router property holds the Router.
+   *
+   * @static
+   */
+  static router(options?: RouterOptions): Object {
+    const router = new Router(options);
+    const processor: Object = (handler, record) => router.dispatch(handler, record);
+    processor.router = router;
+    processor.route = (method: string, path: string, fn: Function, opts?: RouteOptions) => {
+      router.route(method, path, fn, opts);
+      return processor;
+    };
+    processor.attribute = (name: string, value: any, fn: Function, opts?: RouteOptions) => {
+      router.attribute(name, value, fn, opts);
+      return processor;
+    };
+    processor.event = (source: string, detailType: ?string, fn: Function, opts?: RouteOptions) => {
+      router.event(source, detailType, fn, opts);
+      return processor;
+    };
+    return processor;
+  }
+
+  /**
+   * Determine whether the event is a warm-up when the warmUp option is
+   * enabled.
+   *
+   * @returns {Boolean}
+   *   Whether the event is a warm-up.
+   */
+  detectWarmUp(): boolean {
+    const { warmUp } = this.options;
+    if (!warmUp) {
+      return false;
+    }
+
+    const { isWarmUp } = typeof warmUp === 'object' ? warmUp : {};
+    return !!(isWarmUp
+      ? isWarmUp(this.event, this.context)
+      : this.constructor.isWarmUpEvent(this.event));
+  }
+
+  /**
+   * Determine how the outcome of the invocation is passed back to lambda.
+   *
+   * @param {Function} callback
+   *   The callback passed to the lambda handler, if any.
+   *
+   * @returns {String}
+   *   CALLBACK or PROMISE.
+   */
+  detectResponseMode(callback: ?Callback): 'CALLBACK' | 'PROMISE' {
+    const mode = String(this.options.responseMode).toUpperCase();
+    switch (mode) {
+      case 'CALLBACK':
+        if (typeof callback !== 'function') {
+          throw new Error('The CALLBACK response mode requires a callback');
+        }
+        return mode;
+      case 'PROMISE':
+        return mode;
+      case 'AUTO':
+        return typeof callback === 'function' ? 'CALLBACK' : 'PROMISE';
+      default:
+        throw new Error(`Unknown response mode "${this.options.responseMode}"`);
+    }
+  }
+
+  /**
+   * Create the logger for the invocation. Every entry includes the request id,
+   * the function name and version, whether the invocation is a cold start,
+   * the total invocations of the container and the elapsed time of the
+   * invocation.
+   *
+   * Unknown levels from LOG_LEVEL or the logLevel option are ignored with a
+   * warning, falling back to the option and then to info, so that a
+   * misconfigured environment does not fail every invocation.
+   *
+   * @returns {Logger}
+   *   The logger.
+   */
+  createLogger(): Logger {
+    const configured = [process.env.LOG_LEVEL, this.options.logLevel]
+      .filter(value => !!value)
+      .map(value => String(value).toLowerCase());
+    const unknown = configured.filter(value => !Logger.levels[value]);
+    let level = configured.filter(value => Logger.levels[value])[0] || 'info';
+    if (this.debugSampled && Logger.levels[level] > Logger.levels.debug) {
+      level = 'debug';
+    }
+
+    const logger = new Logger({
+      level,
+      redact: this.options.logRedact,
+      stream: this.options.logStream,
+      fields: () => {
+        const context = this.context || {};
+        return {
+          awsRequestId: context.awsRequestId,
+          functionName: context.functionName,
+          functionVersion: context.functionVersion,
+          isColdStart: this.isColdStart,
+          totalInvocations: this.container.totalInvocations,
+          elapsedMs: Date.now() - this.startTime,
+          traceId: this.trace ? this.trace.traceId : undefined,
+        };
+      },
+    });
+    if (unknown.length) {
+      warnConfiguration(logger, 'Ignoring unknown log levels', {
+        unknownLevels: unknown,
+        logLevel: level,
+      });
+    }
+    return logger;
+  }
+
+  /**
+   * Create the tracer for the invocation when the tracing option is enabled.
+   *
+   * @returns {?Tracer}
+   *   The tracer.
+   */
+  createTracer(): ?Tracer {
+    const { tracing } = this.options;
+    if (!tracing) {
+      return null;
+    }
+    return new Tracer(typeof tracing === 'object' ? tracing : {});
+  }
+
+  /**
+   * Create the metrics collector for the invocation. The function name is
+   * added as a dimension when it is known.
+   *
+   * @returns {Metrics}
+   *   The metrics collector.
+   */
+  createMetrics(): Metrics {
+    const options = typeof this.options.metrics === 'object' ? this.options.metrics : {};
+    const metrics = new Metrics(options);
+    if (this.context && this.context.functionName) {
+      metrics.addDimension('FunctionName', this.context.functionName);
+    }
+    return metrics;
   }
 
   /**
    * Invoke the handler.
    *
-   * @returns {Promise<void>}
-   *   A promise of the completed invocation.
+   * @returns {Promise<*>}
+   *   A promise of the completed invocation. With the PROMISE response mode it
+   *   resolves with the response or rejects with the error passed to
+   *   handler.callback, otherwise it resolves with undefined.
    */
-  invoke(): Promise<void> {
+  invoke(): Promise<any> {
     return Promise.resolve()
-      .then(() => this.init())
-      .then(() => this.process())
+      .then(() => this.runPhase('init', () => this.init()))
+      // Warm-ups are answered by the init step.
+      .then(result => (this.isWarmUp
+        ? result
+        : this.runPhase('process', () => this.guardTimeout(() => this.process()))
+          .then(res => this.validateResponse(res))))
       .then(res => Promise.resolve()
-        .then(() => this.cleanup())
-        .then(() => this.respond(null, res)))
+        .then(() => this.runPhase('cleanup', () => this.cleanup()))
+        .then(() => this.runPhase('respond', () => this.respond(null, res), [null, res])))
       .catch(error => Promise.resolve()
-        .then(() => this.cleanup())
-        .then(() => this.respond(error))
+        .then(() => {
+          this.error = error;
+          // Responding may fail after cleaning up, which is not repeated.
+          return this.cleanedUp ? undefined : this.runPhase('cleanup', () => this.cleanup());
+        })
+        .then(() => this.runPhase('respond', () => this.respond(error), [error]))
         // This is here to handle additional errors generated while trying to
-        // respond to an already unsuccessful request.
+        // respond to an already unsuccessful request. Middleware is bypassed
+        // in case it is the source of the error.
         .catch(err => this.respond(err))
         // This is an overly cautious best-effort measure to try to pass an
         // error back to the lambda API when the respond method is throwing.
-        .catch(err => this.callback(err)));
+        .catch(err => this.callback(err)))
+      .then(() => this.recordTimings())
+      .then(() => this.flushDeferred())
+      .then(() => this.flushTrace())
+      .then(() => {
+        const { outcome } = this;
+        if (!outcome) {
+          return undefined;
+        }
+        if (outcome.error) {
+          throw outcome.error;
+        }
+        return outcome.response;
+      });
+  }
+
+  /**
+   * Register middleware to run around each step of the invocation.
+   *
+   * A middleware is an object with optional "before", "after" and "onError"
+   * properties. Each of them is an object keyed by the step it applies to
+   * ("init", "process", "cleanup" or "respond") whose values are hooks which
+   * may return a promise:
+   * - before[step](handler, ...args)
+   *   Runs before the step. Hooks for the respond step receive the error and
+   *   response which are about to be passed to respond().
+   *
+   * - after[step](handler, result)
+   *   Runs after the step succeeds. Returning anything other than undefined
+   *   replaces the result of the step, which is how the response produced by
+   *   the process step can be altered.
+   *
+   * - onError[step](handler, error)
+   *   Runs when the step or one of its before or after hooks fails. Returning
+   *   anything other than undefined recovers from the error and uses the
+   *   returned value as the result of the step. Throwing replaces the error
+   *   passed to the remaining hooks.
+   *
+   * Before hooks run in the order in which middleware was registered. After
+   * and onError hooks run in reverse order so that the first middleware
+   * registered wraps all of the others.
+   *
+   * @param {Object} middleware
+   *   The middleware to register.
+   *
+   * @returns {Handler}
+   *   The handler instance to allow chaining.
+   */
+  use(middleware: Middleware): Handler {
+    this.middleware.push(this.constructor.validateMiddleware(middleware));
+    return this;
+  }
+
+  /**
+   * Run a step of the invocation wrapped by the hooks of registered
+   * middleware.
+   *
+   * @param {String} phase
+   *   The name of the step ("init", "process", "cleanup" or "respond").
+   * @param {Function} step
+   *   A function which performs the step.
+   * @param {Array} args=[]
+   *   Additional arguments passed to before hooks.
+   *
+   * @returns {Promise<*>}
+   *   A promise which resolves with the result of the step.
+   */
+  runPhase(phase: Phase, step: () => any, args: Array<any> = []): Promise<any> {
+    const start = process.hrtime();
+    const startedAt = this.tracer ? this.tracer.now() : 0;
+    const recordTiming = (error) => {
+      this.timings[phase] = elapsedMs(start);
+      this.memoryUsage[phase] = process.memoryUsage();
+      // The trace is only known once the init step has found its context, so
+      // step spans are recorded when the step ends.
+      const { tracer, trace } = this;
+      if (tracer && trace) {
+        tracer.endSpan(tracer.startSpan(phase, {
+          traceId: trace.traceId,
+          parentSpanId: trace.spanId,
+          startTime: startedAt,
+        }), error);
+      }
+    };
+    this.phaseStarts[phase] = start;
+
+    return runMiddleware(this.middleware, phase, this, step, args)
+      .then((result) => {
+        recordTiming();
+        return result;
+      }, (error) => {
+        recordTiming(error);
+        throw error;
+      });
+  }
+
+  /**
+   * Get the time remaining before lambda stops the invocation.
+   *
+   * @returns {Number}
+   *   The remaining time in milliseconds, or Infinity when the context does
+   *   not provide it.
+   */
+  remainingTime(): number {
+    return this.context && typeof this.context.getRemainingTimeInMillis === 'function'
+      ? this.context.getRemainingTimeInMillis()
+      : Infinity;
+  }
+
+  /**
+   * Abort handler.signal to ask the processor to stop its work.
+   *
+   * @param {*} reason
+   *   The reason for aborting, usually an error.
+   */
+  abort(reason?: any): void {
+    this.abortController.abort(reason);
+  }
+
+  /**
+   * Defer asynchronous work, such as shipping logs, which should not delay
+   * the processor but must complete before lambda freezes the process. The
+   * work is awaited in the cleanup step or after the respond step depending
+   * on the deferMode option, for at most deferTimeoutMs. Its failures are
+   * logged and collected in handler.deferredFailures without changing the
+   * response.
+   *
+   * @param {Promise|Function} work
+   *   A promise of work which has already started, or a function which starts
+   *   the work when deferred work is awaited and may return a promise.
+   *
+   * @returns {Handler}
+   *   The handler instance to allow chaining.
+   */
+  defer(work: Promise<any> | () => any): Handler {
+    if (typeof work !== 'function' && !(work && typeof work.then === 'function')) {
+      throw new TypeError('defer() must be called with a promise or a function');
+    }
+    if (typeof work !== 'function') {
+      // Observe rejections now so they are not reported as unhandled before
+      // the work is awaited.
+      work.catch(() => {});
+    }
+    this.deferred.push(work);
+    return this;
+  }
+
+  /**
+   * Wait for the work passed to handler.defer(), including work deferred
+   * while waiting, until deferTimeoutMs has elapsed or the invocation is
+   * about to time out.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the deferred work has completed or the
+   *   deadline has passed. It never rejects.
+   */
+  flushDeferred(): Promise<void> {
+    if (!this.deferred.length) {
+      // #donothing
+      return Promise.resolve();
+    }
+
+    const margin = this.options.timeoutMarginMs || 0;
+    const timeoutMs = Math.max(0, Math.min(
+      this.options.deferTimeoutMs,
+      this.remainingTime() - margin
+    ));
+    let pending = 0;
+    const settle = () => {
+      const work = this.deferred;
+      this.deferred = [];
+      return Promise.all(work.map((item) => {
+        pending += 1;
+        return Promise.resolve()
+          .then(() => (typeof item === 'function' ? item() : item))
+          .catch((error) => {
+            this.deferredFailures.push(error);
+            this.logger.error('Deferred work failed', { error });
+          })
+          .then(() => {
+            pending -= 1;
+          });
+      }))
+        .then(() => (this.deferred.length ? settle() : true));
+    };
+
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    return Promise.race([settle(), deadline])
+      .then((settled) => {
+        clearTimeout(timer);
+        if (!settled) {
+          this.logger.warn('Deferred work did not complete in time', { timeoutMs, pending });
+        }
+      });
+  }
+
+  /**
+   * Race a step against the time budget of the invocation.
+   *
+   * @param {Function} step
+   *   A function which performs the step.
+   *
+   * @returns {Promise<*>}
+   *   A promise which resolves with the result of the step or rejects with a
+   *   HandlerTimeoutError if the time budget runs out first.
+   */
+  guardTimeout(step: () => any): Promise<any> {
+    const { timeoutMarginMs } = this.options;
+    const remaining = this.remainingTime();
+    if (typeof timeoutMarginMs !== 'number' || remaining === Infinity) {
+      return Promise.resolve().then(step);
+    }
+
+    const budget = Math.max(0, remaining - timeoutMarginMs);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const error = new HandlerTimeoutError(budget);
+        // Respond without waiting for whatever is still running.
+        this.context.callbackWaitsForEmptyEventLoop = false;
+        this.abort(error);
+        reject(error);
+      }, budget);
+
+      Promise.resolve()
+        .then(step)
+        .then((result) => {
+          clearTimeout(timer);
+          resolve(result);
+        }, (error) => {
+          clearTimeout(timer);
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * Call a function until it succeeds, waiting with exponential backoff
+   * between attempts. Use this to wrap calls to downstream services which
+   * fail intermittently.
+   *
+   * @example
+   * Handler.create(handler => handler.retry(
+   *   () => fetchOrder(handler.event.orderId),
+   *   { maxAttempts: 5, shouldRetry: error => error.statusCode >= 500 }
+   * ));
+   *
+   * @param {Function} fn
+   *   The function to call. It receives the number of the attempt, starting
+   *   at 1, and may return a promise.
+   * @param {Object} policy=options.retry
+   *   The retry policy. See the retry option of Handler.create() for its
+   *   properties.
+   *
+   * @returns {Promise<*>}
+   *   A promise which resolves with the result of the first successful attempt
+   *   or rejects with the error of the last attempt.
+   */
+  retry(fn: (attempt: number) => any, policy: ?RetryPolicy = this.options.retry): Promise<any> {
+    const margin = this.options.timeoutMarginMs || 0;
+    return retry(fn, policy || {}, {
+      remainingTime: () => this.remainingTime() - margin,
+      signal: this.signal,
+      onRetry: (error, attempt, delayMs) => {
+        this.logger.warn('Retrying after a failed attempt', { attempt, delayMs, error });
+        this.metrics.addMetric('RetryAttempts', 1, 'Count');
+      },
+    });
   }
 
   /**
    * Perform initialization tasks upon handler invocation.
+   *
+   * @returns {*}
+   *   Nothing, or a promise of the response to a warm-up.
    */
-  init(): void | Promise<void> {
+  init(): any {
+    if (this.isWarmUp) {
+      return this.warmUp();
+    }
+
     this.profilingEnabled = this.options.shouldProfile(this);
     profilePercentage.increment(this.profilingEnabled);
     this.startProfiling();
@@ -242,6 +1590,222 @@ class Handler {
       // eslint-disable-next-line no-param-reassign
       this.context.callbackWaitsForEmptyEventLoop = false;
     }
+
+    const normalized = normalizeEvent(this.event, this.options.eventSource);
+    this.eventSource = normalized.eventSource;
+    this.records = normalized.records;
+    this.request = normalized.request;
+    this.startTrace();
+
+    this.validateEvent();
+    return this.loadConfig();
+  }
+
+  /**
+   * Continue the trace of the request, or start a new one, and start the span
+   * of the invocation, setting handler.trace. This does nothing unless the
+   * tracing option is enabled.
+   */
+  startTrace(): void {
+    const { tracer } = this;
+    if (!tracer) {
+      // #donothing
+      return;
+    }
+
+    const contexts = extractTraceContexts({ request: this.request, records: this.records });
+    const parent = contexts[0];
+    const traceId = parent ? parent.traceId : Tracer.traceId();
+    const parentSpanId = parent ? parent.parentSpanId : null;
+    const sampled = parent ? parent.sampled : true;
+    const links = contexts.slice(1)
+      .filter(link => link.parentSpanId &&
+        (link.traceId !== traceId || link.parentSpanId !== parentSpanId))
+      .map(link => ({ traceId: link.traceId, spanId: String(link.parentSpanId) }));
+
+    const context = this.context || {};
+    const attributes: Object = {
+      'faas.coldstart': this.isColdStart,
+    };
+    if (context.awsRequestId) {
+      attributes['faas.invocation_id'] = context.awsRequestId;
+    }
+    if (context.functionName) {
+      attributes['faas.name'] = context.functionName;
+    }
+    if (this.eventSource) {
+      attributes['lambda_patterns.event_source'] = this.eventSource;
+    }
+
+    let kind = 'INTERNAL';
+    if (this.request) {
+      kind = 'SERVER';
+    }
+    else if (this.records) {
+      kind = 'CONSUMER';
+    }
+
+    const span = tracer.startSpan(context.functionName || 'invocation', {
+      traceId,
+      parentSpanId,
+      kind,
+      attributes,
+      links,
+      startTime: tracer.epoch,
+    });
+    this.invocationSpan = span;
+    this.trace = {
+      traceId,
+      spanId: span.spanId,
+      parentSpanId,
+      sampled,
+      source: parent ? parent.source : null,
+      traceparent: formatTraceparent(traceId, span.spanId, sampled),
+      xrayTraceHeader: formatXRayHeader(traceId, span.spanId, sampled),
+    };
+  }
+
+  /**
+   * End the span of the invocation and export the spans recorded by the
+   * tracer. Export failures are logged rather than thrown since the
+   * invocation has already responded.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the spans have been exported.
+   */
+  flushTrace(): Promise<void> {
+    const { tracer, invocationSpan } = this;
+    if (!tracer || !invocationSpan) {
+      // #donothing
+      return Promise.resolve();
+    }
+
+    tracer.endSpan(invocationSpan, this.error);
+    return tracer.flush()
+      .catch((error) => {
+        this.logger.warn('Failed to export the trace', { error });
+      });
+  }
+
+  /**
+   * Load the configuration declared by the config option into
+   * handler.config, reusing values loaded by earlier invocations of the
+   * container until they are due to be refreshed.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once handler.config is set.
+   */
+  loadConfig(): Promise<void> {
+    const { config } = this.options;
+    if (!config) {
+      this.config = {};
+      return Promise.resolve();
+    }
+
+    const { refreshSeconds = 300 } = config;
+    let entry = configCache.get(config);
+    if (!entry || Date.now() - entry.loadedAt >= refreshSeconds * 1000) {
+      const previous = entry;
+      const loading = {
+        loadedAt: Date.now(),
+        pending: loadConfig(config).catch((error) => {
+          if (previous) {
+            this.logger.warn('The configuration could not be refreshed, so the previous values are used', { error });
+            return previous.pending;
+          }
+          // Forget the failure so the next invocation tries again.
+          configCache.delete(config);
+          throw error;
+        }),
+      };
+      configCache.set(config, loading);
+      entry = loading;
+    }
+
+    return entry.pending
+      .then((values) => {
+        this.config = values;
+      });
+  }
+
+  /**
+   * Answer a warm-up event. A warm-up which was not fanned out by another
+   * invokes the function concurrency - 1 more times and waits for them.
+   * Failed invocations are logged rather than failing the warm-up.
+   *
+   * @returns {Promise<Object>}
+   *   A promise which resolves with the response to the warm-up.
+   */
+  warmUp(): Promise<Object> {
+    const options = typeof this.options.warmUp === 'object' ? this.options.warmUp : {};
+    const { invoker, delayMs = 75 } = options;
+    const response = {
+      warmUp: true,
+      isColdStart: this.isColdStart,
+      invocation: this.event[WARM_UP_INVOCATION] || 1,
+      concurrency: this.event[WARM_UP_CONCURRENCY] || options.concurrency || 1,
+      failedInvocations: 0,
+    };
+
+    if (this.event[WARM_UP_INVOCATION]) {
+      // Keep this container busy while the other invocations start.
+      return new Promise(resolve => setTimeout(() => resolve(response), delayMs));
+    }
+    if (response.concurrency > 1 && !invoker) {
+      return Promise.reject(new Error('Warming more than one container requires a warmUp.invoker'));
+    }
+
+    const others = Array.from({ length: response.concurrency - 1 }, (value, i) => i + 2);
+    const invocations = !invoker ? [] : others.map(invocation => Promise.resolve()
+      .then(() => invoker.invoke(Object.assign({}, this.event, {
+        [WARM_UP_INVOCATION]: invocation,
+        [WARM_UP_CONCURRENCY]: response.concurrency,
+      }), this))
+      .then(() => true, (error) => {
+        this.logger.warn('A warm-up invocation failed', { invocation, error });
+        return false;
+      }));
+
+    return Promise.all(invocations)
+      .then((results) => {
+        response.failedInvocations = results.filter(succeeded => !succeeded).length;
+        this.logger.info('Warmed up', response);
+        return response;
+      });
+  }
+
+  /**
+   * Validate the event against the configured event schema.
+   */
+  validateEvent(): void {
+    const { eventSchema } = this.options;
+    if (!eventSchema) {
+      // #donothing
+      return;
+    }
+
+    const errors = validateSchema(eventSchema, this.event);
+    if (errors) {
+      throw new ValidationError('The event failed validation', { errors });
+    }
+  }
+
+  /**
+   * Validate the response against the configured response schema.
+   *
+   * @param {*} response
+   *   The response from the handler process.
+   *
+   * @returns {*}
+   *   The response, if it is valid.
+   */
+  validateResponse(response: any): any {
+    const { responseSchema } = this.options;
+    const errors = responseSchema ? validateSchema(responseSchema, response) : null;
+    if (errors) {
+      throw new ResponseValidationError('The response failed validation', { errors });
+    }
+    return response;
   }
 
   /**
@@ -252,14 +1816,251 @@ class Handler {
    *   which resolves with it.
    */
   process(): any {
-    return this.processor(this);
+    if (this.options.batch) {
+      return this.processBatch();
+    }
+    return this.processTarget(this.event);
+  }
+
+  /**
+   * Process the event, or a record of a batch, applying the retry,
+   * idempotency and onPermanentFailure options.
+   *
+   * @param {*} target
+   *   The event or record.
+   * @param {Object} record
+   *   The record passed to the processor in batch mode.
+   *
+   * @returns {*}
+   *   The result of the processor, or a promise of it.
+   */
+  processTarget(target: any, record?: EventRecord): any {
+    let attempts = 0;
+    const run = () => {
+      attempts += 1;
+      return record ? this.processor(this, record) : this.processor(this);
+    };
+    const step = () => this.idempotent(target, () => (this.options.retry
+      ? this.retry(run)
+      : run()));
+    if (!this.options.onPermanentFailure || this.request) {
+      return step();
+    }
+
+    return Promise.resolve()
+      .then(step)
+      .catch(error => this.handlePermanentFailure(error, attempts, record));
   }
 
   /**
-   * Perform cleanup tasks before responding.
+   * Send a permanent failure to the failure destination so the event or
+   * record is acknowledged rather than retried.
+   *
+   * @param {Error} error
+   *   The error which processing failed with.
+   * @param {Number} attempts
+   *   How many times the processor was called.
+   * @param {Object} record
+   *   The record which failed in batch mode.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the failure has been sent, or rejects
+   *   with the error when the failure is not permanent or could not be sent.
+   */
+  handlePermanentFailure(error: any, attempts: number, record?: EventRecord): Promise<void> {
+    const policy = this.options.onPermanentFailure;
+    const { isPermanent } = policy;
+    const counts = (record ? [record] : this.records || [])
+      .filter(({ eventSource, raw }) => eventSource === 'SQS' && raw && raw.attributes)
+      .map(({ raw }) => Number(raw.attributes.ApproximateReceiveCount))
+      .filter(count => count > 0);
+    const receiveCount = counts.length ? Math.max(...counts) : null;
+    // Without a receive count, the attempts of this invocation are counted.
+    if (receiveCount === null && policy.maxReceiveCount > 1 && !this.options.retry) {
+      warnConfiguration(this.logger, 'Without a receive count or the retry option, maxReceiveCount never applies', {
+        maxReceiveCount: policy.maxReceiveCount,
+      });
+    }
+    const exhausted = !!policy.maxReceiveCount &&
+      (receiveCount || attempts) >= policy.maxReceiveCount;
+    const permanent = isPermanent
+      ? isPermanent(error, this)
+      : this.constructor.isPermanentError(error);
+    if (!exhausted && !permanent) {
+      return Promise.reject(error);
+    }
+
+    const context = this.context || {};
+    const failure = {
+      event: record ? record.raw : this.event,
+      error: { name: error.name, message: error.message, stack: error.stack },
+      attempts,
+      receiveCount,
+      awsRequestId: context.awsRequestId,
+      functionName: context.functionName,
+      failedAt: new Date().toISOString(),
+    };
+    return Promise.resolve()
+      .then(() => policy.destination.send(failure, this))
+      .then(() => {
+        this.permanentFailures.push(failure);
+        this.metrics.addMetric('PermanentFailures', 1, 'Count');
+        this.logger.warn('Sent a permanent failure to the failure destination', {
+          error,
+          attempts,
+          receiveCount,
+          recordId: record ? record.id : undefined,
+        });
+      }, (sendError) => {
+        this.logger.error('Failed to send a permanent failure to the failure destination', {
+          error: sendError,
+        });
+        throw error;
+      });
+  }
+
+  /**
+   * Process each record of a batch, collecting failures.
+   *
+   * @returns {Promise<Object>}
+   *   A promise which resolves with the batchItemFailures response expected
+   *   by lambda.
+   */
+  processBatch(): Promise<{ batchItemFailures: Array<{ itemIdentifier: string }> }> {
+    const { records } = this;
+    if (!records || BATCH_EVENT_SOURCES.indexOf(this.eventSource) === -1) {
+      return Promise.reject(new Error(`Batch processing requires an event from one of: ${BATCH_EVENT_SOURCES.join(', ')}`));
+    }
+
+    const options = typeof this.options.batch === 'object' ? this.options.batch : {};
+    return processBatch(records, record => this.processTarget(record, record), options)
+      .then((summary) => {
+        this.batchSummary = summary;
+        return {
+          batchItemFailures: summary.failures.map(({ record }) => ({
+            itemIdentifier: record.id,
+          })),
+        };
+      });
+  }
+
+  /**
+   * Run a step only once for an event or record when the idempotency option
+   * is enabled. Duplicates resolve with the stored response of the first run.
+   *
+   * @param {*} target
+   *   The event or record from which the idempotency key is derived.
+   * @param {Function} step
+   *   The step to run.
+   *
+   * @returns {*}
+   *   The result of the step, or a promise of it or of the stored response
+   *   when the idempotency option is enabled.
+   */
+  idempotent(target: any, step: () => any): any {
+    const { idempotency } = this.options;
+    if (!idempotency) {
+      return step();
+    }
+
+    return Promise.resolve()
+      .then(() => {
+        const key = this.idempotencyKey(target);
+        if (!key) {
+          this.logger.warn('No idempotency key was found, so the event is processed without idempotency');
+          return step();
+        }
+
+        const { store } = idempotency;
+        const ttlMs = (idempotency.ttlSeconds || 3600) * 1000;
+        const inProgressMs = Math.min(this.remainingTime(), ttlMs);
+        return Promise.resolve(store.claim(key, Date.now() + inProgressMs))
+          .then((record) => {
+            if (record && record.status === 'COMPLETED') {
+              this.logger.info('Responding to a duplicate event with the stored response', { idempotencyKey: key });
+              return record.response;
+            }
+            if (record) {
+              throw new IdempotencyInProgressError('The event is already being processed', { idempotencyKey: key });
+            }
+
+            return Promise.resolve()
+              .then(step)
+              .then(
+                response => Promise.resolve(store.complete(key, response, Date.now() + ttlMs))
+                  .then(() => response),
+                error => Promise.resolve(store.release(key))
+                  .then(() => {
+                    throw error;
+                  })
+              );
+          });
+      });
+  }
+
+  /**
+   * Derive the idempotency key of an event or record. The selected value is
+   * hashed and prefixed with the function name, so functions may share a
+   * store. See the idempotency option for the default keys.
+   *
+   * @param {*} target
+   *   The event or record.
+   *
+   * @returns {?String}
+   *   The key, or null when nothing was selected.
+   */
+  idempotencyKey(target: any): ?string {
+    const { key } = this.options.idempotency || {};
+    let selected = target;
+    if (typeof key === 'function') {
+      selected = key(target, this);
+    }
+    else if (key || this.options.batch) {
+      selected = select(target, key || 'id');
+    }
+    else if (this.request) {
+      selected = this.request.headers['idempotency-key'];
+    }
+    else if (this.records && IDEMPOTENT_RECORD_SOURCES.indexOf(this.eventSource) !== -1) {
+      selected = this.records.map(record => record.id);
+    }
+    if (selected === null || selected === undefined) {
+      return null;
+    }
+
+    const functionName = (this.context && this.context.functionName) || '';
+    return `${functionName}#${hashKey(selected)}`;
+  }
+
+  /**
+   * Perform cleanup tasks before responding. The tasks run once per
+   * invocation, so calling cleanup() again returns the promise of the first
+   * cleanup.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once cleanup tasks have completed.
    */
   cleanup(): void | Promise<void> {
+    if (this.cleanedUp) {
+      return this.cleanedUp;
+    }
+
+    this.trackHeapGrowth();
     this.stopProfiling();
+    this.filterProfile();
+    const flushDeferred = () => (this.options.deferMode === 'AFTER_RESPOND'
+      ? Promise.resolve()
+      : this.flushDeferred());
+    this.cleanedUp = this.flushProfile()
+      .then(() => this.flushMetrics(), error => this.flushMetrics(error)
+        .then(() => {
+          throw error;
+        }))
+      .then(flushDeferred, error => flushDeferred()
+        .then(() => {
+          throw error;
+        }));
+    return this.cleanedUp;
   }
 
   /**
@@ -292,8 +2093,26 @@ class Handler {
       this.constructor.zlib = require('zlib'); // eslint-disable-line global-require
     }
 
-    // Start profiling.
-    this.constructor.profiler.startProfiling(this.context.awsRequestId);
+    const { profiler } = this.constructor;
+    switch (this.options.profileType) {
+      case 'HEAP_SNAPSHOT':
+        if (typeof profiler.takeSnapshot !== 'function') {
+          throw new Error('The HEAP_SNAPSHOT profile type requires a profiler with takeSnapshot()');
+        }
+        // The snapshot is taken when profiling stops.
+        break;
+      case 'HEAP_SAMPLING':
+        if (typeof profiler.startSamplingHeapProfiling !== 'function') {
+          throw new Error('The HEAP_SAMPLING profile type requires a profiler with startSamplingHeapProfiling()');
+        }
+        profiler.startSamplingHeapProfiling();
+        break;
+      case 'CPU':
+        profiler.startProfiling(this.context.awsRequestId);
+        break;
+      default:
+        throw new Error(`Unknown profile type "${this.options.profileType}"`);
+    }
   }
 
   /**
@@ -307,13 +2126,232 @@ class Handler {
       return;
     }
 
-    const profile = this.constructor.profiler.stopProfiling(this.context.awsRequestId);
+    const { profiler } = this.constructor;
+    switch (this.options.profileType) {
+      case 'HEAP_SNAPSHOT':
+        if (typeof profiler.takeSnapshot === 'function') {
+          this.heapSnapshot = profiler.takeSnapshot(this.context.awsRequestId);
+        }
+        break;
+      case 'HEAP_SAMPLING':
+        if (typeof profiler.stopSamplingHeapProfiling === 'function') {
+          this.compressProfile(JSON.stringify(profiler.stopSamplingHeapProfiling()));
+        }
+        break;
+      default: {
+        const profile = profiler.stopProfiling(this.context.awsRequestId);
+        this.compressProfile(JSON.stringify(profile));
+        profile.delete();
+      }
+    }
+  }
+
+  /**
+   * Discard the collected profile when the ON_SLOW or ON_ERROR profiling
+   * strategies determine the invocation is not worth keeping, setting
+   * handler.profileDiscarded.
+   */
+  filterProfile(): void {
+    if (!this.profilingEnabled) {
+      // #donothing
+      return;
+    }
+
+    let keep = true;
+    switch (this.profileStrategy) {
+      case 'ON_SLOW':
+        keep = elapsedMs(this.startHrtime) >= this.options.profileSlowThresholdMs;
+        break;
+      case 'ON_ERROR':
+        keep = !!this.error;
+        break;
+      default:
+    }
+    if (keep) {
+      return;
+    }
 
+    if (this.heapSnapshot) {
+      this.heapSnapshot.delete();
+      this.heapSnapshot = null;
+    }
+    this.profile = null;
+    this.profileDiscarded = true;
+    this.logger.debug('Discarded a profile', { profileStrategy: this.profileStrategy });
+  }
+
+  /**
+   * Compress a serialized profile into handler.profile.
+   *
+   * @param {String} json
+   *   The serialized profile.
+   */
+  compressProfile(json: string): void {
     if (this.constructor.zlib) {
-      this.profile = this.constructor.zlib.deflateSync(JSON.stringify(profile)).toString('base64');
+      this.profile = this.constructor.zlib.deflateSync(json).toString('base64');
     }
+  }
 
-    profile.delete();
+  /**
+   * Serialize the heap snapshot taken when profiling stopped into
+   * handler.profile. Snapshots are serialized asynchronously, so this happens
+   * when the profile is flushed rather than when profiling stops.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the snapshot has been serialized.
+   */
+  exportHeapSnapshot(): Promise<void> {
+    const snapshot = this.heapSnapshot;
+    if (!snapshot) {
+      // #donothing
+      return Promise.resolve();
+    }
+    this.heapSnapshot = null;
+
+    return new Promise((resolve, reject) => {
+      snapshot.export((error, result) => {
+        snapshot.delete();
+        if (error) {
+          reject(error);
+          return;
+        }
+        this.compressProfile(result);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Compare the heap used at the end of the invocation with the previous
+   * invocation of the container, flagging growth across successive warm
+   * invocations in handler.heapGrowth.
+   */
+  trackHeapGrowth(): void {
+    if (this.isWarmUp) {
+      // #donothing
+      return;
+    }
+
+    const { heapUsed } = process.memoryUsage();
+    const previous = heap.used;
+    heap.used = heapUsed;
+    this.heapUsed = heapUsed;
+    if (typeof previous === 'number' && heapUsed > previous) {
+      heap.growthInvocations += 1;
+      heap.growthBytes += heapUsed - previous;
+    }
+    else {
+      heap.growthInvocations = 0;
+      heap.growthBytes = 0;
+    }
+
+    const limit = this.options.heapGrowthInvocations;
+    if (limit && heap.growthInvocations >= limit) {
+      this.heapGrowth = { invocations: heap.growthInvocations, bytes: heap.growthBytes };
+      this.logger.warn('The heap has grown across successive warm invocations', {
+        heapUsed,
+        growthInvocations: heap.growthInvocations,
+        growthBytes: heap.growthBytes,
+      });
+    }
+  }
+
+  /**
+   * Send the collected profile to the configured profile sink.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the profile sink has finished writing.
+   */
+  flushProfile(): Promise<void> {
+    return this.exportHeapSnapshot()
+      .then(() => {
+        const { profile } = this;
+        const { profileSink } = this.options;
+        if (!profile || !profileSink) {
+          // #donothing
+          return undefined;
+        }
+
+        return profileSink.write(profile, this);
+      });
+  }
+
+  /**
+   * Complete handler.timings with the duration of the whole invocation, add
+   * them to the timing samples of the container and log them.
+   */
+  recordTimings(): void {
+    if (this.isWarmUp) {
+      // #donothing
+      return;
+    }
+
+    const { timings } = this;
+    timings.total = elapsedMs(this.startHrtime);
+    const samples = this.isColdStart ? timingSamples.cold : timingSamples.warm;
+    Object.keys(timings).forEach((timing) => {
+      if (!samples[timing]) {
+        samples[timing] = new Reservoir(TIMING_SAMPLE_SIZE);
+      }
+      samples[timing].add(timings[timing]);
+    });
+    this.logger.info('Invocation timings', { timings });
+  }
+
+  /**
+   * Add the metrics of the invocation and emit them with any metrics added by
+   * the processor. Metrics are only emitted once per invocation, when the
+   * metrics option is enabled and the invocation is not a warm-up.
+   *
+   * @param {Error} error=handler.error
+   *   The error of the invocation, if any.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the metrics have been emitted.
+   */
+  flushMetrics(error: ?Error = this.error): Promise<void> {
+    if (!this.options.metrics || this.metricsFlushed || this.isWarmUp) {
+      // #donothing
+      return Promise.resolve();
+    }
+    this.metricsFlushed = true;
+
+    const { metrics, timings, phaseStarts } = this;
+    const context = this.context || {};
+    metrics
+      .addMetric('Duration', elapsedMs(this.startHrtime), 'Milliseconds')
+      .addMetric('ColdStart', this.isColdStart ? 1 : 0, 'Count')
+      .addMetric('Error', error ? 1 : 0, 'Count')
+      .addMetric('Profiled', this.profilingEnabled && !this.profileDiscarded ? 1 : 0, 'Count')
+      .setProperty('awsRequestId', context.awsRequestId)
+      .setProperty('functionVersion', context.functionVersion)
+      .setProperty('totalInvocations', this.container.totalInvocations)
+      .setProperty('coldStartPercentage', coldStartPercentage * 100)
+      .setProperty('profilePercentage', profilePercentage * 100);
+    if (Object.keys(this.resourceTimings).length) {
+      metrics.setProperty('resourceTimings', this.resourceTimings);
+    }
+    if (timings.moduleLoad !== undefined) {
+      metrics.addMetric('ModuleLoadDuration', timings.moduleLoad, 'Milliseconds');
+    }
+    if (timings.init !== undefined) {
+      metrics.addMetric('InitDuration', timings.init, 'Milliseconds');
+    }
+    if (timings.process !== undefined) {
+      metrics.addMetric('ProcessDuration', timings.process, 'Milliseconds');
+    }
+    // The cleanup step is still running, so measure it up to this point.
+    if (phaseStarts.cleanup) {
+      metrics.addMetric('CleanupDuration', elapsedMs(phaseStarts.cleanup), 'Milliseconds');
+    }
+    if (typeof this.heapUsed === 'number') {
+      metrics.addMetric('HeapUsed', this.heapUsed, 'Bytes');
+    }
+    if (this.heapGrowth) {
+      metrics.addMetric('HeapGrowth', this.heapGrowth.bytes, 'Bytes');
+    }
+
+    return metrics.flush();
   }
 
   /**
@@ -328,7 +2366,7 @@ class Handler {
    */
   static shouldProfile(handler: Handler): boolean {
     let shouldProfile = false;
-    switch (handler.options.profileStrategy) {
+    switch (handler.profileStrategy) {
       case 'ALWAYS':
         shouldProfile = true;
         break;
@@ -341,13 +2379,77 @@ class Handler {
         shouldProfile = handler.container.totalInvocations < 3;
         break;
       case 'PERCENTAGE':
-        shouldProfile = profilePercentage * 100 < handler.options.profilePercentage;
+        shouldProfile = handler.container.profilePercentage.valueOf() * 100 <
+          handler.options.profilePercentage;
+        break;
+      case 'RATE': {
+        const { limit = 1, windowSeconds = 60 } = handler.options.profileRate || {};
+        const now = Date.now();
+        const { start } = profileWindow;
+        if (typeof start !== 'number' || now - start >= windowSeconds * 1000) {
+          Object.assign(profileWindow, { start: now, count: 0 });
+        }
+        shouldProfile = profileWindow.count < limit;
+        if (shouldProfile) {
+          profileWindow.count += 1;
+        }
+        break;
+      }
+      case 'ON_SLOW':
+      case 'ON_ERROR':
+        // Whether the profile is kept is determined in the cleanup step.
+        shouldProfile = true;
+        break;
+      case 'ON_DEMAND':
+        shouldProfile = isProfileRequested(handler.event, handler.options.profileTrigger);
         break;
       default:
     }
 
     return shouldProfile;
   }
+
+  /**
+   * Reset the state shared by the invocations of a container, so the next
+   * invocation is a cold start, the container statistics, timing samples and
+   * configuration warnings start over, and resources and configuration are
+   * loaded again. Registered resources are kept. This is intended for tests
+   * which simulate new containers.
+   */
+  static resetContainer(): void {
+    isColdStart = true;
+    [
+      coldStartPercentage,
+      profilePercentage,
+      debugSamplePercentage,
+      warmUpColdStartPercentage,
+    ].forEach((incrementor) => {
+      Object.assign(incrementor, { total: 0, subset: 0 });
+    });
+    Object.assign(heap, { used: null, growthInvocations: 0, growthBytes: 0 });
+    Object.assign(profileWindow, { start: null, count: 0 });
+    timingSamples.cold = {};
+    timingSamples.warm = {};
+    configurationWarnings.clear();
+    resources.forEach(resource => resource.reset());
+    configCache = new WeakMap();
+  }
+
+  /**
+   * Ensure a middleware can be registered.
+   *
+   * @param {Object} middleware
+   *   The middleware to validate.
+   *
+   * @returns {Object}
+   *   The validated middleware.
+   */
+  static validateMiddleware(middleware: Middleware): Middleware {
+    if (!middleware || typeof middleware !== 'object') {
+      throw new Error('Middleware must be an object with before, after or onError hooks');
+    }
+    return middleware;
+  }
 }
 
 module.exports = Handler;
@@ -0,0 +1,220 @@
+// @flow
+
+import type { ProxyResult } from './types';
+
+const Handler = require('./Handler');
+const { HttpError } = require('./errors');
+const httpResponses = require('./httpResponses');
+
+type CorsOptions = {
+  origin?: string | Array<string>,
+  methods?: Array<string>,
+  headers?: Array<string>,
+  credentials?: boolean,
+  maxAge?: number,
+};
+
+/**
+ * A handler for API Gateway proxy events which serializes the value returned
+ * by the processor to a proxy result and maps errors to HTTP responses.
+ *
+ * The processor may return any of the following:
+ * - An API Gateway proxy result (an object with a numeric statusCode) which
+ *   is used as is, except that object bodies are serialized as JSON and Buffer
+ *   bodies are base64 encoded.
+ *
+ * - A Buffer, which is sent as a base64 encoded binary response.
+ *
+ * - undefined, which results in a 204 No Content response.
+ *
+ * - Any other value, which is serialized as a 200 JSON response.
+ *
+ * Errors are mapped to RFC 7807 problem+json responses. Instances of HttpError
+ * (NotFoundError, ValidationError, UnauthorizedError, etc.) and other errors
+ * with a statusCode property use their status code. Messages of client errors
+ * are exposed as the problem detail, along with the details and headers of
+ * HttpErrors, while server errors respond with a generic 500 and are logged.
+ *
+ * @example
+ * module.exports = {
+ *   getUser: HttpHandler.create(({ request }) => {
+ *     const user = users[request.params.id];
+ *     if (!user) {
+ *       throw new NotFoundError(`User ${request.params.id} does not exist`);
+ *     }
+ *     return user;
+ *   }, { cors: true }),
+ * };
+ */
+class HttpHandler extends Handler {
+  /**
+   * @type {Object}
+   * The default options for the constructor. In addition to the options
+   * described in Handler.create, HTTP handlers support:
+   * - headers={}
+   *   Headers added to every response.
+   *
+   * - cors=false
+   *   Add CORS headers to every response. Pass true to allow any origin or an
+   *   object with origin (a single origin or a list of origins, reflecting the
+   *   origin of the request when it is allowed), methods, headers, credentials
+   *   and maxAge properties.
+   *
+   * - statusCodes={}
+   *   Map the names of errors which are not HttpErrors (from third party
+   *   libraries, for example) to status codes.
+   * @static
+   */
+  static get defaultOptions(): Object {
+    return Object.assign({}, super.defaultOptions, {
+      eventSource: 'API_GATEWAY',
+      headers: {},
+      cors: false,
+      statusCodes: {},
+    });
+  }
+
+  /**
+   * Respond with an API Gateway proxy result.
+   *
+   * @param {Error} error
+   *   The error passed from the handler process.
+   * @param {*} response
+   *   The response from the handler process.
+   */
+  respond(error: ?Error, response: any): void | Promise<void> {
+    const result = error
+      ? this.errorResponse(error)
+      : this.constructor.toProxyResult(response);
+    this.callback(null, Object.assign({}, result, {
+      headers: Object.assign({}, this.corsHeaders(), this.options.headers, result.headers),
+    }));
+  }
+
+  /**
+   * Convert the value returned by the processor to a proxy result.
+   *
+   * @param {*} response
+   *   The response from the handler process.
+   *
+   * @returns {Object}
+   *   An API Gateway proxy result.
+   */
+  static toProxyResult(response: any): ProxyResult {
+    if (response === undefined || response === null) {
+      return httpResponses.noContent();
+    }
+    if (Buffer.isBuffer(response)) {
+      return httpResponses.binary(response);
+    }
+    if (typeof response !== 'object' || typeof response.statusCode !== 'number') {
+      return httpResponses.json(response);
+    }
+
+    const { body } = response;
+    if (Buffer.isBuffer(body)) {
+      return Object.assign({}, response, {
+        body: body.toString('base64'),
+        isBase64Encoded: true,
+      });
+    }
+    if (body !== null && typeof body === 'object') {
+      return Object.assign({}, response, {
+        headers: Object.assign({ 'Content-Type': 'application/json' }, response.headers),
+        body: JSON.stringify(body),
+      });
+    }
+    return Object.assign({}, response, {
+      body: body === undefined || body === null ? '' : String(body),
+    });
+  }
+
+  /**
+   * Convert an error to a problem+json proxy result.
+   *
+   * @param {Error} error
+   *   The error passed from the handler process.
+   *
+   * @returns {Object}
+   *   An API Gateway proxy result.
+   */
+  errorResponse(error: Error): ProxyResult {
+    const status = this.statusCodeFor(error);
+    if (status >= 500) {
+      // The error would otherwise be lost since lambda sees a successful
+      // invocation.
+      this.logger.error('Responding with a server error', error);
+      return httpResponses.problem(status);
+    }
+
+    const details = error instanceof HttpError ? error.details : null;
+    const headers = error instanceof HttpError && error.headers ? error.headers : undefined;
+    return httpResponses.problem(status, Object.assign({
+      detail: error.message,
+      instance: this.request ? this.request.path : undefined,
+    }, details), headers);
+  }
+
+  /**
+   * Determine the status code for an error.
+   *
+   * @param {Error} error
+   *   The error passed from the handler process.
+   *
+   * @returns {Number}
+   *   The HTTP status code.
+   */
+  statusCodeFor(error: Error): number {
+    const mapped = this.options.statusCodes[error.name];
+    if (mapped) {
+      return mapped;
+    }
+
+    const { statusCode } = (error: Object);
+    return typeof statusCode === 'number' && statusCode >= 400 && statusCode < 600
+      ? statusCode
+      : 500;
+  }
+
+  /**
+   * Build the CORS headers for the response.
+   *
+   * @returns {Object}
+   *   The CORS headers, which are empty when CORS is disabled.
+   */
+  corsHeaders(): { [name: string]: string } {
+    const { cors } = this.options;
+    if (!cors) {
+      return {};
+    }
+
+    const config: CorsOptions = cors === true ? {} : cors;
+    const headers = {};
+    const allowed = config.origin || '*';
+    if (Array.isArray(allowed)) {
+      const origin = this.request && this.request.headers.origin;
+      if (origin && allowed.indexOf(origin) !== -1) {
+        headers['Access-Control-Allow-Origin'] = origin;
+      }
+      headers.Vary = 'Origin';
+    }
+    else {
+      headers['Access-Control-Allow-Origin'] = allowed;
+    }
+    if (config.methods) {
+      headers['Access-Control-Allow-Methods'] = config.methods.join(', ');
+    }
+    if (config.headers) {
+      headers['Access-Control-Allow-Headers'] = config.headers.join(', ');
+    }
+    if (config.credentials) {
+      headers['Access-Control-Allow-Credentials'] = 'true';
+    }
+    if (config.maxAge !== undefined) {
+      headers['Access-Control-Max-Age'] = String(config.maxAge);
+    }
+    return headers;
+  }
+}
+
+module.exports = HttpHandler;
@@ -0,0 +1,78 @@
+// @flow
+
+import type Handler from './Handler';
+
+export type LambdaClient = {
+  invoke: (params: {
+    FunctionName: string,
+    InvocationType: string,
+    Payload: string,
+  }) => Promise<any> | { promise: () => Promise<any> },
+};
+
+/**
+ * A warm-up invoker which invokes the function with an injected lambda
+ * client, such as an instance of AWS.Lambda from the aws-sdk. Invocations
+ * wait for the response so that concurrent warm-ups keep separate containers
+ * busy.
+ */
+class LambdaInvoker {
+  client: LambdaClient;
+  functionName: ?string;
+
+  /**
+   * Constructs a lambda invoker.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the invoker.
+   * @param {Object} options.client
+   *   An object with an invoke() method which either returns a promise or an
+   *   object with a promise() method, as AWS.Lambda does.
+   * @param {String} options.functionName
+   *   The name or ARN of the function to invoke. Defaults to the ARN with
+   *   which the current invocation was made, so the same version or alias is
+   *   warmed.
+   */
+  constructor(options: { client: LambdaClient, functionName?: string }) {
+    if (!options || !options.client || typeof options.client.invoke !== 'function') {
+      throw new Error('LambdaInvoker must be constructed with a client implementing invoke()');
+    }
+
+    this.client = options.client;
+    this.functionName = options.functionName;
+  }
+
+  /**
+   * Invoke the function and wait for its response.
+   *
+   * @param {Object} payload
+   *   The event to invoke the function with.
+   * @param {Handler} handler
+   *   The handler instance making the invocation.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the invocation has completed, or rejects
+   *   when it failed.
+   */
+  invoke(payload: Object, handler: Handler): Promise<void> {
+    const context = handler.context || {};
+    const request = this.client.invoke({
+      FunctionName: this.functionName || context.invokedFunctionArn || context.functionName,
+      InvocationType: 'RequestResponse',
+      Payload: JSON.stringify(payload),
+    });
+
+    const response: Promise<any> = Promise.resolve(request && typeof request.promise === 'function'
+      ? request.promise()
+      : request);
+
+    return response
+      .then((result) => {
+        if (result && result.FunctionError) {
+          throw new Error(`The warm-up invocation failed with a ${result.FunctionError} error`);
+        }
+      });
+  }
+}
+
+module.exports = LambdaInvoker;
@@ -0,0 +1,232 @@
+// @flow
+
+const LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  silent: Infinity,
+};
+
+const REDACTED = '[REDACTED]';
+
+type Fields = { [string]: any };
+
+export type LoggerOptions = {
+  level?: string,
+  fields?: Fields | () => Fields,
+  redact?: Array<string>,
+  stream?: { +write: (chunk: string) => any },
+};
+
+/**
+ * Replace the values of redacted keys, at any depth, and serialize errors.
+ *
+ * @param {*} value
+ *   The value to sanitize.
+ * @param {String[]} redact
+ *   The lower cased keys to redact.
+ * @param {Array} seen
+ *   The objects which have already been visited, to guard against cycles.
+ *
+ * @returns {*}
+ *   A sanitized copy of the value.
+ */
+function sanitize(value: any, redact: Array<string>, seen: Array<any> = []): any {
+  if (value instanceof Error) {
+    return Object.assign(sanitize(Object.assign({}, value), redact, seen), {
+      name: value.name,
+      message: value.message,
+      stack: value.stack,
+    });
+  }
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || value instanceof Date) {
+    return value;
+  }
+  if (seen.indexOf(value) !== -1) {
+    return '[Circular]';
+  }
+
+  const visited = seen.concat([value]);
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, redact, visited));
+  }
+  return Object.keys(value).reduce((sanitized, key) => Object.assign(sanitized, {
+    [key]: redact.indexOf(key.toLowerCase()) === -1
+      ? sanitize(value[key], redact, visited)
+      : REDACTED,
+  }), {});
+}
+
+/**
+ * A structured logger which writes one JSON object per line.
+ */
+class Logger {
+  /**
+   * @type {Object}
+   * The numeric value of each log level.
+   * @static
+   */
+  static get levels(): { [level: string]: number } {
+    return LEVELS;
+  }
+
+  level: string;
+  fields: Fields | () => Fields;
+  redact: Array<string>;
+  stream: { +write: (chunk: string) => any };
+
+  /**
+   * Constructs a logger.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the logger.
+   * @param {String} options.level="info"
+   *   The minimum level which is written: trace, debug, info, warn, error or
+   *   silent.
+   * @param {Object|Function} options.fields={}
+   *   Fields added to every entry, or a function which returns them each time
+   *   an entry is written.
+   * @param {String[]} options.redact=[]
+   *   Keys, matched case insensitively at any depth, whose values are replaced
+   *   with "[REDACTED]".
+   * @param {Object} options.stream=process.stdout
+   *   The stream to which entries are written.
+   */
+  constructor(options: LoggerOptions = {}) {
+    const level = (options.level || 'info').toLowerCase();
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level "${level}"`);
+    }
+
+    this.level = level;
+    this.fields = options.fields || {};
+    this.redact = (options.redact || []).map(key => key.toLowerCase());
+    this.stream = options.stream || process.stdout;
+  }
+
+  /**
+   * Create a logger which adds fields to every entry of this logger.
+   *
+   * @param {Object} fields
+   *   The fields to add.
+   *
+   * @returns {Logger}
+   *   The child logger.
+   */
+  child(fields: Fields): Logger {
+    const parentFields = this.fields;
+    return new this.constructor({
+      level: this.level,
+      fields: () => Object.assign(
+        {},
+        typeof parentFields === 'function' ? parentFields() : parentFields,
+        fields
+      ),
+      redact: this.redact,
+      stream: this.stream,
+    });
+  }
+
+  /**
+   * Determine whether entries of a level are written.
+   *
+   * @param {String} level
+   *   The level of the entry.
+   *
+   * @returns {Boolean}
+   *   Whether entries of the level are written.
+   */
+  isLevelEnabled(level: string): boolean {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  /**
+   * Write an entry.
+   *
+   * @param {String} level
+   *   The level of the entry.
+   * @param {String} message
+   *   The message of the entry.
+   * @param {Object} data={}
+   *   Additional data added to the entry. An Error may also be passed.
+   */
+  log(level: string, message: string, data?: any): void {
+    if (!this.isLevelEnabled(level)) {
+      // #donothing
+      return;
+    }
+
+    const fields = typeof this.fields === 'function' ? this.fields() : this.fields;
+    const extra: ?Object = data instanceof Error ? { error: data } : data;
+    const entry = sanitize(Object.assign({
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+    }, fields, extra), this.redact);
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Write a trace entry.
+   *
+   * @param {String} message
+   *   The message of the entry.
+   * @param {Object} data
+   *   Additional data added to the entry.
+   */
+  trace(message: string, data?: any): void {
+    this.log('trace', message, data);
+  }
+
+  /**
+   * Write a debug entry.
+   *
+   * @param {String} message
+   *   The message of the entry.
+   * @param {Object} data
+   *   Additional data added to the entry.
+   */
+  debug(message: string, data?: any): void {
+    this.log('debug', message, data);
+  }
+
+  /**
+   * Write an info entry.
+   *
+   * @param {String} message
+   *   The message of the entry.
+   * @param {Object} data
+   *   Additional data added to the entry.
+   */
+  info(message: string, data?: any): void {
+    this.log('info', message, data);
+  }
+
+  /**
+   * Write a warn entry.
+   *
+   * @param {String} message
+   *   The message of the entry.
+   * @param {Object} data
+   *   Additional data added to the entry.
+   */
+  warn(message: string, data?: any): void {
+    this.log('warn', message, data);
+  }
+
+  /**
+   * Write an error entry.
+   *
+   * @param {String} message
+   *   The message of the entry.
+   * @param {Object} data
+   *   Additional data added to the entry. An Error may also be passed.
+   */
+  error(message: string, data?: any): void {
+    this.log('error', message, data);
+  }
+}
+
+module.exports = Logger;
@@ -0,0 +1,203 @@
+// @flow
+
+const UNITS = [
+  'Seconds',
+  'Microseconds',
+  'Milliseconds',
+  'Bytes',
+  'Kilobytes',
+  'Megabytes',
+  'Gigabytes',
+  'Terabytes',
+  'Bits',
+  'Kilobits',
+  'Megabits',
+  'Gigabits',
+  'Terabits',
+  'Percent',
+  'Count',
+  'Bytes/Second',
+  'Kilobytes/Second',
+  'Megabytes/Second',
+  'Gigabytes/Second',
+  'Terabytes/Second',
+  'Bits/Second',
+  'Kilobits/Second',
+  'Megabits/Second',
+  'Gigabits/Second',
+  'Terabits/Second',
+  'Count/Second',
+  'None',
+];
+
+export type MetricsEmitter = { +emit: (document: Object) => any };
+
+export type MetricsOptions = {
+  namespace?: string,
+  dimensions?: { [string]: string },
+  emitter?: ?MetricsEmitter,
+};
+
+/**
+ * Collects metrics and emits them in CloudWatch Embedded Metric Format.
+ */
+class Metrics {
+  /**
+   * @type {Object}
+   * An emitter which writes each document to stdout as a JSON line, where the
+   * lambda log agent picks it up.
+   * @static
+   */
+  static get stdoutEmitter(): MetricsEmitter {
+    return {
+      emit: document => process.stdout.write(`${JSON.stringify(document)}\n`),
+    };
+  }
+
+  namespace: string;
+  dimensions: { [string]: string };
+  emitter: MetricsEmitter;
+  metrics: { [string]: { unit: string, values: Array<number> } };
+  properties: { [string]: any };
+
+  /**
+   * Constructs a metrics collector.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the collector.
+   * @param {String} options.namespace="LambdaPatterns"
+   *   The CloudWatch namespace of the metrics.
+   * @param {Object} options.dimensions={}
+   *   Dimensions added to every metric.
+   * @param {Object} options.emitter=Metrics.stdoutEmitter
+   *   Any object with an emit(document) method which receives each document
+   *   when the metrics are flushed. It may return a promise.
+   */
+  constructor(options: MetricsOptions = {}) {
+    this.namespace = options.namespace || 'LambdaPatterns';
+    this.dimensions = Object.assign({}, options.dimensions);
+    this.emitter = options.emitter || this.constructor.stdoutEmitter;
+    this.metrics = {};
+    this.properties = {};
+  }
+
+  /**
+   * Add a value to a metric. A metric may receive several values before it is
+   * flushed but they must all have the same unit.
+   *
+   * @param {String} name
+   *   The name of the metric.
+   * @param {Number} value
+   *   The value to add.
+   * @param {String} unit="None"
+   *   A CloudWatch unit such as Count or Milliseconds.
+   *
+   * @returns {Metrics}
+   *   The collector, for chaining.
+   */
+  addMetric(name: string, value: number, unit: string = 'None'): Metrics {
+    if (UNITS.indexOf(unit) === -1) {
+      throw new Error(`Unknown metric unit "${unit}"`);
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error(`The value of metric "${name}" must be a finite number`);
+    }
+
+    const metric = this.metrics[name];
+    if (!metric) {
+      this.metrics[name] = { unit, values: [value] };
+    }
+    else if (metric.unit !== unit) {
+      throw new Error(`Metric "${name}" was already added with the unit "${metric.unit}"`);
+    }
+    else {
+      metric.values.push(value);
+    }
+    return this;
+  }
+
+  /**
+   * Add a dimension to every metric.
+   *
+   * @param {String} name
+   *   The name of the dimension.
+   * @param {String} value
+   *   The value of the dimension.
+   *
+   * @returns {Metrics}
+   *   The collector, for chaining.
+   */
+  addDimension(name: string, value: string): Metrics {
+    this.dimensions[name] = String(value);
+    return this;
+  }
+
+  /**
+   * Add a property to the document. Properties are not metrics but can be
+   * searched in CloudWatch Logs Insights.
+   *
+   * @param {String} name
+   *   The name of the property.
+   * @param {*} value
+   *   The value of the property.
+   *
+   * @returns {Metrics}
+   *   The collector, for chaining.
+   */
+  setProperty(name: string, value: any): Metrics {
+    this.properties[name] = value;
+    return this;
+  }
+
+  /**
+   * Build the Embedded Metric Format document of the collected metrics.
+   *
+   * @param {Number} timestamp=Date.now()
+   *   The time of the metrics in milliseconds since the epoch.
+   *
+   * @returns {Object}
+   *   The document.
+   */
+  serialize(timestamp: number = Date.now()): Object {
+    const names = Object.keys(this.metrics);
+    const values = names.reduce((acc, name) => {
+      const metric = this.metrics[name];
+      return Object.assign(acc, {
+        [name]: metric.values.length === 1 ? metric.values[0] : metric.values,
+      });
+    }, {});
+
+    return Object.assign({}, this.properties, this.dimensions, values, {
+      _aws: {
+        Timestamp: timestamp,
+        CloudWatchMetrics: [{
+          Namespace: this.namespace,
+          Dimensions: [Object.keys(this.dimensions)],
+          Metrics: names.map(name => ({ Name: name, Unit: this.metrics[name].unit })),
+        }],
+      },
+    });
+  }
+
+  /**
+   * Emit the collected metrics and start collecting again. Nothing is emitted
+   * when no metrics have been added.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the emitter has completed.
+   */
+  flush(): Promise<void> {
+    if (!Object.keys(this.metrics).length) {
+      return Promise.resolve();
+    }
+
+    const document = this.serialize();
+    this.metrics = {};
+    this.properties = {};
+    return Promise.resolve()
+      .then(() => this.emitter.emit(document))
+      .then(() => undefined);
+  }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,81 @@
+// @flow
+
+/**
+ * A bounded sample of the values seen so far. Once full, each new value
+ * replaces a random one with a probability which keeps every value seen
+ * equally likely to be in the sample, so percentiles remain representative of
+ * a long running container without memory growing with it.
+ */
+class Reservoir {
+  size: number;
+  count: number;
+  values: Array<number>;
+
+  /**
+   * Constructs a reservoir.
+   *
+   * @param {Number} size=100
+   *   The maximum number of values kept.
+   */
+  constructor(size: number = 100) {
+    this.size = size;
+    this.count = 0;
+    this.values = [];
+  }
+
+  /**
+   * Add a value to the sample.
+   *
+   * @param {Number} value
+   *   The value.
+   *
+   * @returns {Reservoir}
+   *   The reservoir to allow chaining.
+   */
+  add(value: number): Reservoir {
+    this.count += 1;
+    if (this.values.length < this.size) {
+      this.values.push(value);
+      return this;
+    }
+
+    const index = Math.floor(Math.random() * this.count);
+    if (index < this.size) {
+      this.values[index] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Get a percentile of the sample using the nearest-rank method.
+   *
+   * @param {Number} percentile
+   *   The percentile, between 0 and 100.
+   *
+   * @returns {?Number}
+   *   The value, or null when the sample is empty.
+   */
+  percentile(percentile: number): ?number {
+    const { length } = this.values;
+    if (!length) {
+      return null;
+    }
+
+    const sorted = this.values.slice().sort((a, b) => a - b);
+    const rank = Math.ceil((percentile / 100) * length);
+    return sorted[Math.max(rank, 1) - 1];
+  }
+
+  /**
+   * Summarise the sample.
+   *
+   * @returns {Object}
+   *   The number of values seen and the 50th and 95th percentiles of the
+   *   sample.
+   */
+  summary(): { count: number, p50: ?number, p95: ?number } {
+    return { count: this.count, p50: this.percentile(50), p95: this.percentile(95) };
+  }
+}
+
+module.exports = Reservoir;
@@ -0,0 +1,177 @@
+// @flow
+
+import type Handler from './Handler';
+
+export type ResourceOptions<T> = {
+  ttl?: number,
+  healthCheck?: (value: T) => boolean | Promise<boolean>,
+  dispose?: (value: T) => any,
+};
+
+/**
+ * An expensive value, such as a database pool or an SDK client, which is
+ * created on first use and shared by the invocations of a container.
+ */
+class Resource<T> {
+  name: string;
+  factory: (handler: ?Handler) => T | Promise<T>;
+  ttl: ?number;
+  healthCheck: ?(value: T) => boolean | Promise<boolean>;
+  dispose: ?(value: T) => any;
+  pending: ?Promise<T>;
+  createdAt: ?number;
+  initDurationMs: ?number;
+
+  /**
+   * Constructs a resource.
+   *
+   * @param {String} name
+   *   The name of the resource.
+   * @param {Function} factory
+   *   A function which creates the value. It receives the handler instance of
+   *   the invocation which first uses the resource and may return a promise.
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the resource.
+   * @param {Number} options.ttl
+   *   The number of seconds after which the value is created again. By
+   *   default the value is kept for the lifetime of the container.
+   * @param {Function} options.healthCheck
+   *   A function which receives the value before it is reused and returns
+   *   whether it is still usable. The value is created again when it returns
+   *   false or throws.
+   * @param {Function} options.dispose
+   *   A function which receives a value which is being replaced, for example
+   *   to close its connections. Its errors are ignored.
+   */
+  constructor(
+    name: string,
+    factory: $PropertyType<Resource<T>, 'factory'>,
+    options: ResourceOptions<T> = {}
+  ) {
+    if (!name) {
+      throw new Error('Resources must be constructed with a name');
+    }
+    if (typeof factory !== 'function') {
+      throw new Error(`Resource "${name}" must be constructed with a factory function`);
+    }
+
+    this.name = name;
+    this.factory = factory;
+    this.ttl = options.ttl;
+    this.healthCheck = options.healthCheck;
+    this.dispose = options.dispose;
+    this.reset();
+  }
+
+  /**
+   * Get the value, creating it when it has not been created yet, has expired
+   * or failed its health check. Concurrent calls share the same creation.
+   *
+   * @param {Handler} handler
+   *   The handler instance of the invocation using the resource. When the
+   *   value is created, its initialization time is recorded in
+   *   handler.resourceTimings.
+   *
+   * @returns {Promise<*>}
+   *   A promise which resolves with the value.
+   */
+  get(handler: ?Handler): Promise<T> {
+    const { pending, ttl } = this;
+    if (!pending) {
+      return this.create(handler);
+    }
+    if (typeof ttl === 'number' && Date.now() - (this.createdAt || 0) >= ttl * 1000) {
+      return this.replace(handler, 'expired');
+    }
+
+    const { healthCheck } = this;
+    if (!healthCheck) {
+      return pending;
+    }
+    return pending
+      .then(value => Promise.resolve()
+        .then(() => healthCheck(value))
+        .then(healthy => healthy, () => false)
+        .then((healthy) => {
+          if (healthy) {
+            return value;
+          }
+          // Another invocation may have replaced the value in the meantime.
+          return this.pending === pending ? this.replace(handler, 'unhealthy') : this.get(handler);
+        }));
+  }
+
+  /**
+   * Create the value and record how long it took.
+   *
+   * @param {Handler} handler
+   *   The handler instance of the invocation using the resource.
+   *
+   * @returns {Promise<*>}
+   *   A promise which resolves with the value.
+   */
+  create(handler: ?Handler): Promise<T> {
+    const start = process.hrtime();
+    const pending = Promise.resolve()
+      .then(() => this.factory(handler))
+      .then((value) => {
+        const [seconds, nanoseconds] = process.hrtime(start);
+        this.initDurationMs = (seconds * 1e3) + (nanoseconds / 1e6);
+        if (handler) {
+          // eslint-disable-next-line no-param-reassign
+          handler.resourceTimings[this.name] = this.initDurationMs;
+          handler.logger.debug('Initialized a resource', {
+            resource: this.name,
+            durationMs: this.initDurationMs,
+          });
+        }
+        return value;
+      }, (error) => {
+        // Forget the failure so the next use tries again.
+        if (this.pending === pending) {
+          this.reset();
+        }
+        throw error;
+      });
+
+    this.pending = pending;
+    this.createdAt = Date.now();
+    return pending;
+  }
+
+  /**
+   * Dispose of the value and create it again.
+   *
+   * @param {Handler} handler
+   *   The handler instance of the invocation using the resource.
+   * @param {String} reason
+   *   Why the value is replaced ("expired" or "unhealthy").
+   *
+   * @returns {Promise<*>}
+   *   A promise which resolves with the new value.
+   */
+  replace(handler: ?Handler, reason: string): Promise<T> {
+    const { pending, dispose } = this;
+    if (handler) {
+      handler.logger.info('Replacing a resource', { resource: this.name, reason });
+    }
+    if (pending && dispose) {
+      pending
+        .then(value => dispose(value))
+        .catch(() => {});
+    }
+    return this.create(handler);
+  }
+
+  /**
+   * Forget the value without disposing of it, so the next use creates it
+   * again.
+   */
+  reset(): void {
+    this.pending = null;
+    this.createdAt = null;
+    this.initDurationMs = null;
+  }
+}
+
+module.exports = Resource;
@@ -0,0 +1,379 @@
+// @flow
+
+import type Handler from './Handler';
+import type { EventRecord, Middleware } from './types';
+
+const {
+  MethodNotAllowedError,
+  NotFoundError,
+  ResponseValidationError,
+  ValidationError,
+} = require('./errors');
+const runMiddleware = require('./runMiddleware');
+const validateSchema = require('./validateSchema');
+
+type RouteProcessor = (handler: Handler, record?: EventRecord) => any;
+
+export type RouteOptions = {
+  bodySchema?: ?Object,
+  responseSchema?: ?Object,
+  middleware?: Array<Middleware>,
+};
+
+export type RouterOptions = {
+  notFound?: 'THROW' | 'IGNORE' | RouteProcessor,
+};
+
+type Route = {
+  name: string,
+  processor: RouteProcessor,
+  options: RouteOptions,
+  http?: { method: string, regex: RegExp, names: Array<string> },
+  attribute?: { name: string, values: Array<string> },
+  event?: { source: string, detailType: ?string },
+};
+
+/**
+ * Compile a path pattern such as "/users/:id" or "/files/*" to a regular
+ * expression. Named segments match a single segment and a final "*" matches
+ * the rest of the path.
+ *
+ * @param {String} path
+ *   The pattern.
+ *
+ * @returns {Object}
+ *   The regular expression and the names of the params it captures, in order.
+ */
+function compilePath(path: string): { regex: RegExp, names: Array<string> } {
+  const names = [];
+  const source = path.replace(/\/+$/, '').split('/').map((segment, i, segments) => {
+    if (segment === '*' && i === segments.length - 1) {
+      names.push('*');
+      return '(.*)';
+    }
+    if (segment.charAt(0) === ':') {
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  });
+  return { regex: new RegExp(`^${source.join('/')}/?$`), names };
+}
+
+/**
+ * Run a route, validating its input and output.
+ *
+ * @param {Object} route
+ *   The route.
+ * @param {Handler} handler
+ *   The handler instance of the invocation.
+ * @param {Object} record
+ *   The record being routed, if any.
+ *
+ * @returns {Promise<*>}
+ *   A promise which resolves with the result of the route.
+ */
+function runRoute(route: Route, handler: Handler, record?: EventRecord): Promise<any> {
+  const { bodySchema, responseSchema, middleware } = route.options;
+  // eslint-disable-next-line no-param-reassign
+  handler.route = route.name;
+  handler.logger.debug('Routing', { route: route.name });
+
+  return runMiddleware(middleware || [], 'process', handler, () => {
+    const { request } = handler;
+    const body = request ? request.body : record && record.body;
+    const errors = bodySchema ? validateSchema(bodySchema, body) : null;
+    if (errors) {
+      throw new ValidationError('The body failed validation', { errors });
+    }
+    return route.processor(handler, record);
+  }, record ? [record] : [])
+    .then((response) => {
+      const errors = responseSchema ? validateSchema(responseSchema, response) : null;
+      if (errors) {
+        throw new ResponseValidationError('The response failed validation', { errors });
+      }
+      return response;
+    });
+}
+
+/**
+ * Dispatches events to the processors registered for them: HTTP requests by
+ * method and path, SQS and SNS records by message attribute, and EventBridge
+ * events by source and detail-type.
+ *
+ * Routers are created with Handler.router() and used as the processor of a
+ * handler. Each route may have its own options:
+ * - bodySchema
+ *   A JSON Schema which the request body, the body of the record or the
+ *   detail of the EventBridge event is validated against before the route
+ *   runs. Failures throw a ValidationError.
+ *
+ * - responseSchema
+ *   A JSON Schema which the result of the route is validated against.
+ *   Failures throw a ResponseValidationError.
+ *
+ * - middleware
+ *   Middleware whose process hooks run around the route only. Before hooks
+ *   receive the record being routed, if any.
+ */
+class Router {
+  notFound: $PropertyType<RouterOptions, 'notFound'>;
+  routes: Array<Route>;
+
+  /**
+   * Constructs a router.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the router.
+   * @param {String|Function} options.notFound="THROW"
+   *   What to do when no route matches. "THROW" throws a NotFoundError, or a
+   *   MethodNotAllowedError when only the method of a request does not match,
+   *   which HttpHandler maps to 404 and 405 responses. "IGNORE" logs a warning
+   *   and resolves with undefined. A function is used as the processor.
+   */
+  constructor(options: RouterOptions = {}) {
+    const notFound = options.notFound || 'THROW';
+    if (typeof notFound !== 'function' && ['THROW', 'IGNORE'].indexOf(notFound) === -1) {
+      throw new Error(`Unknown notFound behavior "${String(notFound)}"`);
+    }
+    this.notFound = notFound;
+    this.routes = [];
+  }
+
+  /**
+   * Register a processor for HTTP requests.
+   *
+   * @param {String} method
+   *   The HTTP method, or "ANY" to match every method.
+   * @param {String} path
+   *   The path pattern, such as "/users/:id". Named segments are added to
+   *   handler.request.params.
+   * @param {Function} processor
+   *   A function which processes matching requests.
+   * @param {Object} options={}
+   *   The options of the route.
+   *
+   * @returns {Router}
+   *   The router to allow chaining.
+   */
+  route(method: string, path: string, processor: RouteProcessor, options?: RouteOptions): Router {
+    const upper = method.toUpperCase();
+    const { regex, names } = compilePath(path);
+    return this.add({
+      name: `${upper} ${path}`,
+      processor,
+      options: options || {},
+      http: { method: upper, regex, names },
+    });
+  }
+
+  /**
+   * Register a processor for SQS and SNS records with a message attribute.
+   *
+   * @param {String} name
+   *   The name of the message attribute.
+   * @param {String|String[]} value
+   *   The value, or one of the values, of the attribute.
+   * @param {Function} processor
+   *   A function which processes matching records. It receives the record as
+   *   its second argument.
+   * @param {Object} options={}
+   *   The options of the route.
+   *
+   * @returns {Router}
+   *   The router to allow chaining.
+   */
+  attribute(
+    name: string,
+    value: string | Array<string>,
+    processor: RouteProcessor,
+    options?: RouteOptions
+  ): Router {
+    const values = [].concat(value);
+    return this.add({
+      name: `${name}=${values.join('|')}`,
+      processor,
+      options: options || {},
+      attribute: { name, values },
+    });
+  }
+
+  /**
+   * Register a processor for EventBridge events.
+   *
+   * @param {String} source
+   *   The source of the events, such as "aws.s3" or "com.example.orders".
+   * @param {String} detailType
+   *   The detail-type of the events. Every detail-type of the source matches
+   *   when it is omitted.
+   * @param {Function} processor
+   *   A function which processes matching events. It receives the record of
+   *   the event as its second argument.
+   * @param {Object} options={}
+   *   The options of the route.
+   *
+   * @returns {Router}
+   *   The router to allow chaining.
+   */
+  event(
+    source: string,
+    detailType: ?string,
+    processor: RouteProcessor,
+    options?: RouteOptions
+  ): Router {
+    return this.add({
+      name: detailType ? `${source} ${detailType}` : source,
+      processor,
+      options: options || {},
+      event: { source, detailType },
+    });
+  }
+
+  /**
+   * Register a route.
+   *
+   * @param {Object} route
+   *   The route.
+   *
+   * @returns {Router}
+   *   The router to allow chaining.
+   */
+  add(route: Route): Router {
+    if (typeof route.processor !== 'function') {
+      throw new Error(`Route "${route.name}" must be registered with a function for processing`);
+    }
+    (route.options.middleware || []).forEach((mw) => {
+      if (!mw || typeof mw !== 'object') {
+        throw new Error('Middleware must be an object with before, after or onError hooks');
+      }
+    });
+    this.routes.push(route);
+    return this;
+  }
+
+  /**
+   * Dispatch the event of an invocation to the matching route. Without the
+   * batch option, each record of SQS and SNS events is dispatched in turn.
+   *
+   * @param {Handler} handler
+   *   The handler instance of the invocation.
+   * @param {Object} record
+   *   The record being processed, when the batch option is enabled.
+   *
+   * @returns {Promise<*>}
+   *   A promise which resolves with the result of the route, or of each
+   *   record in order.
+   */
+  dispatch(handler: Handler, record?: EventRecord): Promise<any> {
+    const { request, records, eventSource } = handler;
+    if (record || request || eventSource === 'EVENTBRIDGE') {
+      return this.dispatchOne(handler, record || (records ? records[0] : undefined));
+    }
+    if (records && (eventSource === 'SQS' || eventSource === 'SNS')) {
+      const results = [];
+      return records.reduce((prev, rec) => prev
+        .then(() => this.dispatchOne(handler, rec))
+        .then((result) => {
+          results.push(result);
+        }), Promise.resolve())
+        .then(() => results);
+    }
+    return this.dispatchOne(handler);
+  }
+
+  /**
+   * Dispatch an HTTP request or a record to the matching route.
+   *
+   * @param {Handler} handler
+   *   The handler instance of the invocation.
+   * @param {Object} record
+   *   The record being routed, unless the event is an HTTP request.
+   *
+   * @returns {Promise<*>}
+   *   A promise which resolves with the result of the route.
+   */
+  dispatchOne(handler: Handler, record?: EventRecord): Promise<any> {
+    return Promise.resolve()
+      .then(() => {
+        const { request } = handler;
+        const allowed = [];
+        let params = {};
+        const route = this.routes.find((candidate) => {
+          const { http, attribute, event } = candidate;
+          if (http && request) {
+            const match = http.regex.exec(request.path);
+            if (!match) {
+              return false;
+            }
+            if (http.method !== 'ANY' && http.method !== request.method) {
+              allowed.push(http.method);
+              return false;
+            }
+            params = http.names
+              .reduce((acc, name, i) => Object.assign(acc, { [name]: match[i + 1] }), {});
+            return true;
+          }
+          if (attribute && record) {
+            return attribute.values.indexOf(record.attributes[attribute.name]) !== -1;
+          }
+          if (event && record && record.eventSource === 'EVENTBRIDGE') {
+            return event.source === record.attributes.source &&
+              (!event.detailType || event.detailType === record.attributes['detail-type']);
+          }
+          return false;
+        });
+
+        if (!route) {
+          return this.routeNotFound(handler, record, allowed);
+        }
+        if (request) {
+          request.params = Object.assign({}, request.params, params);
+        }
+        return runRoute(route, handler, record);
+      });
+  }
+
+  /**
+   * Apply the notFound behavior.
+   *
+   * @param {Handler} handler
+   *   The handler instance of the invocation.
+   * @param {Object} record
+   *   The record which did not match, if any.
+   * @param {String[]} allowed
+   *   The methods of the routes matching the path of an HTTP request.
+   *
+   * @returns {*}
+   *   The result of the notFound processor, if any.
+   */
+  routeNotFound(handler: Handler, record?: EventRecord, allowed: Array<string>): any {
+    const { notFound } = this;
+    const { request } = handler;
+    if (typeof notFound === 'function') {
+      return notFound(handler, record);
+    }
+
+    let target = 'the event';
+    if (request) {
+      target = `${request.method} ${request.path}`;
+    }
+    else if (record) {
+      target = `record ${record.id}`;
+    }
+    if (notFound === 'IGNORE') {
+      handler.logger.warn('No route matches, so nothing is processed', { target });
+      return undefined;
+    }
+    if (allowed.length) {
+      // Several routes of a path may share a method.
+      const allow = Array.from(new Set(allowed));
+      const error = new MethodNotAllowedError(`No route matches ${target}`, { allow });
+      error.headers = { Allow: allow.join(', ') };
+      throw error;
+    }
+    throw new NotFoundError(`No route matches ${target}`);
+  }
+}
+
+module.exports = Router;
@@ -0,0 +1,418 @@
+// @flow
+
+import type { StreamingLambdaHandler } from './types';
+
+const { Writable } = require('stream');
+const HttpHandler = require('./HttpHandler');
+const httpResponseStream = require('./streaming/httpResponseStream');
+
+/**
+ * Determine whether a value is a readable stream.
+ *
+ * @param {*} value
+ *   The value returned by the processor.
+ *
+ * @returns {Boolean}
+ *   Whether the value can be piped.
+ */
+function isReadable(value: any): boolean {
+  return !!value && typeof value.pipe === 'function' && typeof value.on === 'function';
+}
+
+type AsyncIterator = {
+  next: () => Promise<{ done: boolean, value: any }> | { done: boolean, value: any },
+  return?: () => any,
+};
+
+// Symbol.asyncIterator is missing from the library definitions of flow.
+const ASYNC_ITERATOR = (Symbol: Object).asyncIterator;
+
+/**
+ * Get the async iterator of a value which is an async iterable, such as the
+ * result of an async generator.
+ *
+ * @param {*} value
+ *   The value returned by the processor.
+ *
+ * @returns {?Object}
+ *   The async iterator, or null when the value cannot be iterated
+ *   asynchronously.
+ */
+function getAsyncIterator(value: any): ?AsyncIterator {
+  return value && typeof value[ASYNC_ITERATOR] === 'function'
+    ? value[ASYNC_ITERATOR]()
+    : null;
+}
+
+/**
+ * A handler for lambda response streaming, as used by function URLs and API
+ * Gateway, which streams the response instead of buffering it.
+ *
+ * The processor receives a writable handler.responseStream, and may either
+ * write the body to it or return:
+ * - A readable stream, which is piped to the response.
+ *
+ * - An async iterable, such as the result of an async generator. Strings and
+ *   Buffers are written as is and other values as lines of JSON.
+ *
+ * - A string or a Buffer, which is written as is.
+ *
+ * - Any other value, which is serialized as JSON.
+ *
+ * The body is written with backpressure, so a slow client slows down the
+ * source. The HTTP status code and headers precede the body, so set
+ * handler.statusCode and handler.headers before writing to the stream.
+ *
+ * Errors thrown before anything is written are mapped to problem+json
+ * responses, like HttpHandler does. Once the stream has started the status
+ * code is already sent, so errors destroy the stream, which truncates the
+ * response, and fail the invocation.
+ *
+ * The response is streamed by the process step, so cleanup, profiling and
+ * metrics run after the stream ends. Warm-ups are answered with the response
+ * of the init step. The batch and idempotency options are not supported.
+ *
+ * @example
+ * module.exports = {
+ *   export: StreamingHandler.create((handler) => {
+ *     handler.headers['Content-Type'] = 'text/csv';
+ *     return db.query('SELECT * FROM orders').stream().pipe(toCsv());
+ *   }),
+ * };
+ */
+class StreamingHandler extends HttpHandler {
+  lambdaStream: Object;
+  responseStream: Writable;
+  responseEnded: Promise<void>;
+  output: ?Object;
+  statusCode: number;
+  headers: { [name: string]: string };
+
+  /**
+   * @type {Object}
+   * The default options for the constructor. In addition to the options
+   * described in HttpHandler, streaming handlers support:
+   * - http=true
+   *   Precede the body with the HTTP status code and headers, as function URLs
+   *   and API Gateway expect. Disable it for functions invoked directly with
+   *   InvokeWithResponseStream.
+   *
+   * - contentType="application/octet-stream"
+   *   The content type of the response, unless a Content-Type header is set.
+   * @static
+   */
+  static get defaultOptions(): Object {
+    return Object.assign({}, super.defaultOptions, {
+      eventSource: 'AUTO',
+      http: true,
+      contentType: 'application/octet-stream',
+    });
+  }
+
+  /**
+   * Create a lambda handler which streams its response. The processor and
+   * options are the same as for Handler.create(), except that the lambda
+   * handler receives a response stream instead of a callback. It is wrapped
+   * with awslambda.streamifyResponse() when running in lambda.
+   *
+   * @param {Function} processor
+   *   A function responsible for processing the handler event.
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the handler.
+   *
+   * @returns {Function}
+   *   A function to be used as a lambda handler, which receives the event, a
+   *   response stream and the context. It has a use() method which registers
+   *   middleware for every subsequent invocation of the lambda handler.
+   *
+   * @static
+   */
+  static create(
+    processor: $PropertyType<HttpHandler, 'processor'>,
+    options: $PropertyType<HttpHandler, 'options'>
+  ): StreamingLambdaHandler {
+    const lambdaHandler: StreamingLambdaHandler = super.create(processor, options);
+    const { awslambda } = global;
+    if (!awslambda || typeof awslambda.streamifyResponse !== 'function') {
+      return lambdaHandler;
+    }
+
+    const streamingHandler = awslambda.streamifyResponse(lambdaHandler);
+    streamingHandler.use = (mw) => {
+      lambdaHandler.use(mw);
+      return streamingHandler;
+    };
+    return streamingHandler;
+  }
+
+  /**
+   * Constructs a streaming handler.
+   *
+   * NOTE: Normally handlers should be constructed using the
+   * StreamingHandler.create() method.
+   *
+   * @param {Function} processor
+   *   A function responsible for processing the handler event.
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the handler.
+   * @param {Object} event
+   *   The event object passed to the lambda handler.
+   * @param {Writable} responseStream
+   *   The response stream passed to the lambda handler.
+   * @param {Object} context
+   *   The context object passed to the lambda handler.
+   */
+  constructor(
+    processor: $PropertyType<HttpHandler, 'processor'>,
+    options: $PropertyType<HttpHandler, 'options'>,
+    event: $PropertyType<HttpHandler, 'event'>,
+    responseStream: Object,
+    context: $PropertyType<HttpHandler, 'context'>
+  ) {
+    if (!responseStream || typeof responseStream.write !== 'function') {
+      throw new Error('Streaming handlers must be invoked with a response stream');
+    }
+    if (options && (options.batch || options.idempotency)) {
+      throw new Error('Streaming handlers do not support the batch and idempotency options');
+    }
+
+    super(processor, options, event, context);
+    this.lambdaStream = responseStream;
+    this.output = null;
+    this.statusCode = 200;
+    this.headers = {};
+    this.responseStream = new Writable({
+      write: (chunk, encoding, done) => this.openOutput().write(chunk, error => done(error)),
+    });
+    this.responseEnded = new Promise((resolve, reject) => {
+      this.responseStream.once('finish', resolve);
+      this.responseStream.on('error', reject);
+    });
+    // Failures are surfaced by the writes and end() waiting for them.
+    this.responseEnded.catch(() => {});
+  }
+
+  /**
+   * Process the event and stream the response.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the response has ended.
+   */
+  process(): Promise<void> {
+    return Promise.resolve()
+      .then(() => super.process())
+      .then(response => this.stream(response));
+  }
+
+  /**
+   * Stream the value returned by the processor and end the response.
+   *
+   * @param {*} response
+   *   The response from the handler process.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the response has ended.
+   */
+  stream(response: any): Promise<void> {
+    return Promise.resolve()
+      .then(() => {
+        if (isReadable(response)) {
+          return this.pipe(response);
+        }
+        const iterator = getAsyncIterator(response);
+        if (iterator) {
+          return this.iterate(iterator);
+        }
+        if (response === undefined || response === null) {
+          return undefined;
+        }
+        return this.write(typeof response === 'string' || Buffer.isBuffer(response)
+          ? response
+          : JSON.stringify(response));
+      })
+      .then(() => this.end());
+  }
+
+  /**
+   * Pipe a readable stream to the response. Piping pauses the source while
+   * the response stream is full.
+   *
+   * @param {Readable} source
+   *   The stream returned by the processor.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the source has ended.
+   */
+  pipe(source: Object): Promise<void> {
+    return new Promise((resolve, reject) => {
+      source.once('end', resolve);
+      source.once('error', (error) => {
+        source.unpipe(this.responseStream);
+        reject(error);
+      });
+      this.responseEnded.catch(reject);
+      source.pipe(this.responseStream, { end: false });
+    });
+  }
+
+  /**
+   * Write the values of an async iterable to the response, waiting for each
+   * write before requesting the next value.
+   *
+   * @param {AsyncIterator} iterator
+   *   The async iterator of the async iterable returned by the processor.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the iterable is exhausted.
+   */
+  iterate(iterator: AsyncIterator): Promise<void> {
+    const next = () => Promise.resolve(iterator.next())
+      .then(({ done, value }) => {
+        if (done) {
+          return undefined;
+        }
+        return this.write(typeof value === 'string' || Buffer.isBuffer(value)
+          ? value
+          : `${JSON.stringify(value)}\n`)
+          .then(next);
+      });
+    return next()
+      .catch((error) => {
+        // Let the iterable release its resources, as for await...of does.
+        const release = iterator.return;
+        if (typeof release === 'function') {
+          Promise.resolve()
+            .then(() => release.call(iterator))
+            .catch(() => {});
+        }
+        throw error;
+      });
+  }
+
+  /**
+   * Write a chunk to the response.
+   *
+   * @param {String|Buffer} chunk
+   *   The chunk.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the chunk has been written to the response
+   *   stream of lambda.
+   */
+  write(chunk: string | Buffer): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this.responseStream.write(chunk, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * End the response, unless the processor has already ended it, and wait for
+   * the response stream of lambda to finish. The status code and headers are
+   * sent even when there is no body.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the response has ended.
+   */
+  end(): Promise<void> {
+    // Ending the stream again when the processor has ended it has no effect.
+    this.responseStream.end();
+    return this.responseEnded
+      .then(() => new Promise((resolve, reject) => {
+        const output = this.openOutput();
+        output.once('error', reject);
+        output.end(resolve);
+      }));
+  }
+
+  /**
+   * Get the response stream of lambda to write the body to, sending the
+   * status code and headers the first time.
+   *
+   * @returns {Writable}
+   *   The stream.
+   */
+  openOutput(): Object {
+    const { output } = this;
+    if (output) {
+      return output;
+    }
+
+    const { contentType, http } = this.options;
+    const headers = Object.assign({}, this.corsHeaders(), this.options.headers, this.headers);
+    const name = Object.keys(headers).find(key => key.toLowerCase() === 'content-type') ||
+      'Content-Type';
+    headers[name] = headers[name] || contentType;
+
+    // Failures are surfaced by the callbacks of the writes. Older versions of
+    // node emit the errors of writes synchronously, so this must precede the
+    // first write.
+    const ignore = () => {};
+    let stream = this.lambdaStream;
+    stream.on('error', ignore);
+    if (http) {
+      stream = httpResponseStream.from(stream, { statusCode: this.statusCode, headers });
+      if (stream !== this.lambdaStream) {
+        stream.on('error', ignore);
+      }
+    }
+    else if (typeof stream.setContentType === 'function') {
+      stream.setContentType(headers[name]);
+    }
+    this.output = stream;
+    return stream;
+  }
+
+  /**
+   * Respond to the invocation. The response has already been streamed when
+   * the invocation succeeded, except for warm-ups, whose response is streamed
+   * here since they skip the process step. Errors are sent as problem+json
+   * responses unless the stream has started, in which case it is destroyed.
+   *
+   * @param {Error} error
+   *   The error passed from the handler process.
+   * @param {*} response
+   *   The response of warm-ups.
+   */
+  respond(error: ?Error, response: any): void | Promise<void> {
+    if (!error && this.isWarmUp) {
+      return this.stream(response)
+        .then(() => this.callback(null));
+    }
+    if (!error) {
+      this.callback(null);
+      return undefined;
+    }
+    if (this.output || !this.options.http) {
+      this.destroy(error);
+      this.callback(error);
+      return undefined;
+    }
+
+    const result = this.errorResponse(error);
+    this.statusCode = result.statusCode;
+    this.headers = Object.assign({}, result.headers);
+    return this.write(result.body)
+      .then(() => this.end())
+      .then(() => this.callback(null));
+  }
+
+  /**
+   * Destroy the response stream of lambda after a failure, which truncates the
+   * response.
+   *
+   * @param {Error} error
+   *   The error which the response failed with.
+   */
+  destroy(error: Error): void {
+    const stream = this.output || this.lambdaStream;
+    this.logger.error('The response stream failed', error);
+    if (typeof stream.destroy === 'function') {
+      stream.destroy(error);
+    }
+    else {
+      stream.end();
+    }
+  }
+}
+
+module.exports = StreamingHandler;
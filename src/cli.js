@@ -0,0 +1,302 @@
+// @flow
+
+import type Handler from './Handler';
+
+const fs = require('fs');
+const path = require('path');
+const FileProfileSink = require('./profileSinks/FileProfileSink');
+const createContext = require('./testing/createContext');
+const invoke = require('./testing/invoke');
+
+const USAGE = `Usage: lambda-patterns invoke <module>#<export> [options]
+
+Invoke a lambda handler locally. The export defaults to "handler".
+
+Options:
+  --event <file>        A JSON file containing the event. Defaults to {}.
+  --timeout <ms>        The timeout of the function. Defaults to 3000.
+  --warm <n>            Run n warm invocations after the cold start.
+                        Defaults to 0.
+  --profile-dir <dir>   Where collected profiles are saved. Defaults to the
+                        current directory.
+  --help                Show this message.
+`;
+
+type Args = {
+  target: string,
+  event: ?string,
+  timeout: number,
+  warm: number,
+  profileDir: ?string,
+};
+
+type IO = {
+  stdout: { +write: (chunk: string) => any },
+  stderr: { +write: (chunk: string) => any },
+  cwd: string,
+};
+
+/**
+ * Parse a non-negative integer option.
+ *
+ * @param {String} name
+ *   The name of the option.
+ * @param {String} value
+ *   The value of the option.
+ *
+ * @returns {Number}
+ *   The parsed value.
+ */
+function parseCount(name: string, value: ?string): number {
+  const count = Number(value);
+  if (!value || !Number.isInteger(count) || count < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return count;
+}
+
+/**
+ * Parse the arguments of the invoke command.
+ *
+ * @param {String[]} argv
+ *   The arguments following the command.
+ *
+ * @returns {Object}
+ *   The parsed arguments.
+ */
+function parseArgs(argv: Array<string>): Args {
+  const args: Args = {
+    target: '',
+    event: null,
+    timeout: 3000,
+    warm: 0,
+    profileDir: null,
+  };
+  const rest = argv.slice();
+  while (rest.length) {
+    const arg = rest.shift();
+    switch (arg) {
+      case '--event':
+        args.event = rest.shift();
+        break;
+      case '--timeout':
+        args.timeout = parseCount(arg, rest.shift());
+        break;
+      case '--warm':
+        args.warm = parseCount(arg, rest.shift());
+        break;
+      case '--profile-dir':
+        args.profileDir = rest.shift();
+        break;
+      default:
+        if (arg.indexOf('--') === 0 || args.target) {
+          throw new Error(`Unexpected argument "${arg}"`);
+        }
+        args.target = arg;
+    }
+  }
+  if (!args.target) {
+    throw new Error('A handler to invoke is required');
+  }
+  return args;
+}
+
+/**
+ * Load the lambda handler identified by <module>#<export>.
+ *
+ * @param {String} target
+ *   The module, relative to the working directory, and the name of the
+ *   export.
+ * @param {String} cwd
+ *   The working directory.
+ *
+ * @returns {Function}
+ *   The lambda handler.
+ */
+function loadHandler(target: string, cwd: string): Function {
+  const [modulePath, exportName = 'handler'] = target.split('#');
+  /* eslint-disable global-require, import/no-dynamic-require */
+  // $FlowFixMe: The module is only known at runtime.
+  const lambdaHandler = require(path.resolve(cwd, modulePath))[exportName];
+  /* eslint-enable global-require, import/no-dynamic-require */
+  if (typeof lambdaHandler !== 'function') {
+    throw new Error(`"${exportName}" exported by ${modulePath} is not a function`);
+  }
+  return lambdaHandler;
+}
+
+/**
+ * Read the event from a JSON file.
+ *
+ * @param {String} file
+ *   The file, relative to the working directory.
+ * @param {String} cwd
+ *   The working directory.
+ *
+ * @returns {*}
+ *   The event.
+ */
+function readEvent(file: ?string, cwd: string): any {
+  if (!file) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(path.resolve(cwd, file), 'utf8'));
+}
+
+/**
+ * Format a duration in milliseconds.
+ *
+ * @param {Number} ms
+ *   The duration.
+ *
+ * @returns {String}
+ *   The formatted duration.
+ */
+function formatMs(ms: number): string {
+  return `${ms.toFixed(1)}ms`;
+}
+
+/**
+ * Invoke the handler once and print the outcome.
+ *
+ * @param {Function} lambdaHandler
+ *   The lambda handler.
+ * @param {*} event
+ *   The event.
+ * @param {Number} number
+ *   The number of the invocation, starting at 1.
+ * @param {Object} args
+ *   The parsed arguments.
+ * @param {WeakMap} handlers
+ *   The handler instances which have responded, keyed by their context.
+ * @param {Object} io
+ *   The streams to write to and the working directory.
+ *
+ * @returns {Promise<Boolean>}
+ *   A promise which resolves with whether the invocation succeeded.
+ */
+function invokeOnce(
+  lambdaHandler: Function,
+  event: any,
+  number: number,
+  args: Args,
+  handlers: WeakMap<Object, Handler>,
+  io: IO
+): Promise<boolean> {
+  const context = createContext({}, args.timeout);
+  const start = process.hrtime();
+  let timer;
+  let completed = Promise.resolve();
+  const tracked = (...invokeArgs) => {
+    const result = lambdaHandler(...invokeArgs);
+    if (result && typeof result.then === 'function') {
+      completed = result;
+    }
+    return result;
+  };
+
+  io.stdout.write(`== Invocation ${number} (${context.awsRequestId})\n`);
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Task timed out after ${args.timeout} milliseconds`)),
+      args.timeout
+    );
+  });
+
+  return Promise.race([invoke(tracked, event, context), timeout])
+    .then((response) => {
+      io.stdout.write(`Response: ${JSON.stringify(response, null, 2) || 'undefined'}\n`);
+      return true;
+    }, (error) => {
+      io.stdout.write(`Error: ${(error && error.stack) || String(error)}\n`);
+      return false;
+    })
+    // Handlers complete the invocation, and time the respond step, after
+    // calling the callback.
+    .then(succeeded => Promise.race([completed, timeout])
+      .then(() => succeeded, () => succeeded))
+    .then((succeeded) => {
+      clearTimeout(timer);
+      const instance = handlers.get(context);
+      const [seconds, nanoseconds] = process.hrtime(start);
+      const timings = [`total ${formatMs((seconds * 1e3) + (nanoseconds / 1e6))}`];
+      if (!instance) {
+        io.stdout.write(`Timings: ${timings.join(', ')}\n`);
+        return succeeded;
+      }
+
+      ['init', 'process', 'cleanup', 'respond'].forEach((phase) => {
+        if (instance.timings[phase] !== undefined) {
+          timings.push(`${phase} ${formatMs(instance.timings[phase])}`);
+        }
+      });
+      io.stdout.write(`Cold start: ${instance.isColdStart ? 'yes' : 'no'}\n`);
+      io.stdout.write(`Timings: ${timings.join(', ')}\n`);
+      const { profile } = instance;
+      if (!profile) {
+        return succeeded;
+      }
+
+      const directory = path.resolve(io.cwd, args.profileDir || '.');
+      return new FileProfileSink({ directory }).write(profile, instance)
+        .then(() => {
+          const file = `${context.awsRequestId}${instance.profileExtension}`;
+          io.stdout.write(`Profile: ${path.join(directory, file)}\n`);
+          return succeeded;
+        });
+    });
+}
+
+/**
+ * Run the command line interface.
+ *
+ * @param {String[]} argv
+ *   The command line arguments, without the node executable and script.
+ * @param {Object} io
+ *   The streams to write to and the working directory.
+ *
+ * @returns {Promise<Number>}
+ *   A promise which resolves with the exit code.
+ */
+function run(
+  argv: Array<string>,
+  io: IO = { stdout: process.stdout, stderr: process.stderr, cwd: process.cwd() }
+): Promise<number> {
+  const [command, ...rest] = argv;
+  if (!command || command === '--help' || rest.indexOf('--help') !== -1) {
+    io.stdout.write(USAGE);
+    return Promise.resolve(0);
+  }
+
+  return Promise.resolve()
+    .then(() => {
+      if (command !== 'invoke') {
+        throw new Error(`Unknown command "${command}"`);
+      }
+      const args = parseArgs(rest);
+      const lambdaHandler = loadHandler(args.target, io.cwd);
+      const event = readEvent(args.event, io.cwd);
+      const handlers = new WeakMap();
+      if (typeof lambdaHandler.use === 'function') {
+        // Capture each handler instance to report on it once it responds.
+        lambdaHandler.use({
+          before: {
+            respond: (handler) => {
+              handlers.set(handler.context, handler);
+            },
+          },
+        });
+      }
+      const numbers = Array.from({ length: args.warm + 1 }, (value, index) => index + 1);
+      return numbers.reduce((prev, number) => prev
+        .then(failed => invokeOnce(lambdaHandler, event, number, args, handlers, io)
+          .then(succeeded => failed || !succeeded)), Promise.resolve(false));
+    })
+    .then(failed => (failed ? 1 : 0), (error) => {
+      io.stderr.write(`${error.message}\n\n${USAGE}`);
+      return 1;
+    });
+}
+
+module.exports = { run };
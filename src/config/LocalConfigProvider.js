@@ -0,0 +1,78 @@
+// @flow
+
+const fs = require('fs');
+
+/**
+ * Convert a parameter or secret name to the name of an environment variable,
+ * for example "/my-app/api-url" to "MY_APP_API_URL".
+ *
+ * @param {String} name
+ *   The name of the parameter or secret.
+ *
+ * @returns {String}
+ *   The name of the environment variable.
+ */
+function toEnvName(name: string): string {
+  return name
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase();
+}
+
+/**
+ * A configuration provider for development which loads parameters and
+ * secrets from a JSON file and from environment variables, so that a handler
+ * can run locally without access to SSM or Secrets Manager.
+ */
+class LocalConfigProvider {
+  file: ?string;
+  env: { [name: string]: ?string };
+
+  /**
+   * Constructs a local configuration provider.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the provider.
+   * @param {String} options.file
+   *   The path of a JSON file containing an object of values keyed by name.
+   *   Values which are not strings are serialized as JSON.
+   * @param {Object} options.env=process.env
+   *   Environment variables which take precedence over the file. The name of
+   *   each value is converted to upper snake case, so "/my-app/api-url" is
+   *   read from MY_APP_API_URL.
+   */
+  constructor(options: { file?: string, env?: { [name: string]: ?string } } = {}) {
+    this.file = options.file;
+    this.env = options.env || process.env;
+  }
+
+  /**
+   * Load values.
+   *
+   * @param {String[]} names
+   *   The names of the values.
+   *
+   * @returns {Promise<Object>}
+   *   A promise which resolves with the values keyed by name. Values which
+   *   are not defined are left out.
+   */
+  get(names: Array<string>): Promise<{ [name: string]: ?string }> {
+    return Promise.resolve()
+      .then(() => {
+        const { file } = this;
+        const values = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+        return names.reduce((result, name) => {
+          const envValue = this.env[toEnvName(name)];
+          const value = envValue !== undefined ? envValue : values[name];
+          if (value === undefined) {
+            return result;
+          }
+          return Object.assign(result, {
+            [name]: typeof value === 'string' ? value : JSON.stringify(value),
+          });
+        }, {});
+      });
+  }
+}
+
+module.exports = LocalConfigProvider;
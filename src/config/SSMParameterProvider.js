@@ -0,0 +1,70 @@
+// @flow
+
+type Request = Promise<any> | { promise: () => Promise<any> };
+
+export type SSMClient = {
+  getParameters: (params: { Names: Array<string>, WithDecryption: boolean }) => Request,
+};
+
+// GetParameters accepts at most ten names per request.
+const MAX_NAMES = 10;
+
+/**
+ * A configuration provider which loads parameters from the SSM Parameter
+ * Store using an injected client, such as an instance of AWS.SSM from the
+ * aws-sdk. SecureString parameters are decrypted.
+ */
+class SSMParameterProvider {
+  client: SSMClient;
+
+  /**
+   * Constructs an SSM parameter provider.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the provider.
+   * @param {Object} options.client
+   *   An object with a getParameters() method which either returns a promise
+   *   or an object with a promise() method, as AWS.SSM does.
+   */
+  constructor(options: { client: SSMClient }) {
+    if (!options || !options.client || typeof options.client.getParameters !== 'function') {
+      throw new Error('SSMParameterProvider must be constructed with a client implementing getParameters()');
+    }
+
+    this.client = options.client;
+  }
+
+  /**
+   * Load parameters.
+   *
+   * @param {String[]} names
+   *   The names of the parameters.
+   *
+   * @returns {Promise<Object>}
+   *   A promise which resolves with the values keyed by name. Parameters
+   *   which do not exist are left out.
+   */
+  get(names: Array<string>): Promise<{ [name: string]: ?string }> {
+    const requests = [];
+    for (let i = 0; i < names.length; i += MAX_NAMES) {
+      const request = this.client.getParameters({
+        Names: names.slice(i, i + MAX_NAMES),
+        WithDecryption: true,
+      });
+      const pending: Promise<any> = Promise.resolve(request && typeof request.promise === 'function'
+        ? request.promise()
+        : request);
+      requests.push(pending);
+    }
+
+    return Promise.all(requests)
+      .then(results => results.reduce((values, result) => {
+        ((result && result.Parameters) || []).forEach((parameter) => {
+          Object.assign(values, { [parameter.Name]: parameter.Value });
+        });
+        return values;
+      }, {}));
+  }
+}
+
+module.exports = SSMParameterProvider;
@@ -0,0 +1,70 @@
+// @flow
+
+type Request = Promise<any> | { promise: () => Promise<any> };
+
+export type SecretsManagerClient = {
+  getSecretValue: (params: { SecretId: string }) => Request,
+};
+
+/**
+ * A configuration provider which loads secrets from Secrets Manager using an
+ * injected client, such as an instance of AWS.SecretsManager from the
+ * aws-sdk.
+ */
+class SecretsManagerProvider {
+  client: SecretsManagerClient;
+
+  /**
+   * Constructs a Secrets Manager provider.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the provider.
+   * @param {Object} options.client
+   *   An object with a getSecretValue() method which either returns a promise
+   *   or an object with a promise() method, as AWS.SecretsManager does.
+   */
+  constructor(options: { client: SecretsManagerClient }) {
+    if (!options || !options.client || typeof options.client.getSecretValue !== 'function') {
+      throw new Error('SecretsManagerProvider must be constructed with a client implementing getSecretValue()');
+    }
+
+    this.client = options.client;
+  }
+
+  /**
+   * Load secrets.
+   *
+   * @param {String[]} names
+   *   The names or ARNs of the secrets.
+   *
+   * @returns {Promise<Object>}
+   *   A promise which resolves with the values keyed by name. Binary secrets
+   *   are decoded as UTF-8 and secrets which do not exist are left out.
+   */
+  get(names: Array<string>): Promise<{ [name: string]: ?string }> {
+    return Promise.all(names.map((name) => {
+      const request = this.client.getSecretValue({ SecretId: name });
+      const pending: Promise<any> = Promise.resolve(request && typeof request.promise === 'function'
+        ? request.promise()
+        : request);
+      return pending
+        .then((result) => {
+          if (result.SecretString !== undefined) {
+            return result.SecretString;
+          }
+          return Buffer.from(result.SecretBinary, 'base64').toString('utf8');
+        }, (error) => {
+          // The aws-sdk names this error with "code" in v2 and "name" in v3.
+          if (error.code === 'ResourceNotFoundException' || error.name === 'ResourceNotFoundException') {
+            return undefined;
+          }
+          throw error;
+        });
+    }))
+      .then(values => names.reduce((secrets, name, i) => (values[i] === undefined
+        ? secrets
+        : Object.assign(secrets, { [name]: values[i] })), {}));
+  }
+}
+
+module.exports = SecretsManagerProvider;
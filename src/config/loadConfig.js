@@ -0,0 +1,194 @@
+// @flow
+
+import type { ConfigProvider } from '../types';
+
+const { ConfigurationError } = require('../errors');
+
+type ConfigType = 'string' | 'number' | 'boolean' | 'json';
+
+export type ConfigValue = ConfigType | {
+  type?: ConfigType,
+  name?: string,
+  default?: any,
+  required?: boolean,
+};
+
+export type ConfigOptions = {
+  env?: { [key: string]: ConfigValue },
+  parameters?: { [key: string]: ConfigValue },
+  secrets?: { [key: string]: ConfigValue },
+  parameterProvider?: ConfigProvider,
+  secretProvider?: ConfigProvider,
+  refreshSeconds?: number,
+};
+
+type Source = 'env' | 'parameters' | 'secrets';
+
+const DESCRIPTIONS = {
+  env: 'environment variable',
+  parameters: 'parameter',
+  secrets: 'secret',
+};
+
+const PARSERS = {
+  string: value => value,
+  number: (value) => {
+    const number = Number(value);
+    if (!value.trim() || !Number.isFinite(number)) {
+      throw new Error('must be a number');
+    }
+    return number;
+  },
+  boolean: (value) => {
+    const normalized = value.trim().toLowerCase();
+    if (['true', '1', 'yes'].indexOf(normalized) !== -1) {
+      return true;
+    }
+    if (['false', '0', 'no'].indexOf(normalized) !== -1) {
+      return false;
+    }
+    throw new Error('must be a boolean');
+  },
+  json: (value) => {
+    try {
+      return JSON.parse(value);
+    }
+    catch (error) {
+      throw new Error('must be JSON');
+    }
+  },
+};
+
+/**
+ * Normalize the declaration of a value.
+ *
+ * @param {String} key
+ *   The key of the value in handler.config.
+ * @param {String|Object} declaration
+ *   A type, or an object with type, name, default and required properties.
+ *
+ * @returns {Object}
+ *   The declaration with its defaults.
+ */
+function normalize(key: string, declaration: ConfigValue) {
+  const options: Object = typeof declaration === 'string' ? { type: declaration } : declaration;
+  const hasDefault = Object.prototype.hasOwnProperty.call(options, 'default');
+  const type = options.type || 'string';
+  if (!PARSERS[type]) {
+    throw new Error(`Unknown configuration type "${type}" for "${key}"`);
+  }
+  return {
+    key,
+    type,
+    name: options.name || key,
+    default: options.default,
+    hasDefault,
+    required: options.required !== undefined ? options.required : !hasDefault,
+  };
+}
+
+/**
+ * Fetch the raw values of a source.
+ *
+ * @param {String} source
+ *   The source: "env", "parameters" or "secrets".
+ * @param {Object[]} declarations
+ *   The normalized declarations of the values.
+ * @param {Object} provider
+ *   The provider of parameters or secrets.
+ *
+ * @returns {Promise<Object>}
+ *   A promise which resolves with the raw values keyed by name.
+ */
+function fetch(
+  source: Source,
+  declarations: Array<Object>,
+  provider: ?ConfigProvider
+): Promise<{ [name: string]: ?string }> {
+  if (source === 'env') {
+    return Promise.resolve(process.env);
+  }
+  if (!declarations.length) {
+    return Promise.resolve({});
+  }
+  if (!provider) {
+    const option = source === 'parameters' ? 'parameterProvider' : 'secretProvider';
+    return Promise.reject(new ConfigurationError(`Loading ${source} requires the ${option} option`));
+  }
+
+  const configProvider: ConfigProvider = provider;
+  return Promise.resolve()
+    .then(() => configProvider.get(declarations.map(declaration => declaration.name)))
+    .catch((error) => {
+      throw new ConfigurationError(`The ${source} could not be loaded: ${error.message}`, {
+        errors: [{ source, message: error.message }],
+      });
+    });
+}
+
+/**
+ * Load configuration from environment variables, parameters and secrets,
+ * parsing each value to its declared type.
+ *
+ * @param {Object} options
+ *   The declarations of the values. See the config option of
+ *   Handler.create().
+ *
+ * @returns {Promise<Object>}
+ *   A promise which resolves with the frozen values keyed by their keys, or
+ *   rejects with a ConfigurationError listing every missing or malformed
+ *   value.
+ */
+function loadConfig(options: ConfigOptions): Promise<{ [key: string]: any }> {
+  const sources: Array<Source> = ['env', 'parameters', 'secrets'];
+  return Promise.resolve()
+    .then(() => {
+      const declarations = sources.map((source) => {
+        const declared = options[source] || {};
+        return Object.keys(declared).map(key => normalize(key, declared[key]));
+      });
+      const providers = {
+        env: null,
+        parameters: options.parameterProvider,
+        secrets: options.secretProvider,
+      };
+      const fetches = sources
+        .map((source, i) => fetch(source, declarations[i], providers[source]));
+      return Promise.all(fetches)
+        .then(results => ({ declarations, results }));
+    })
+    .then(({ declarations, results }) => {
+      const config = {};
+      const errors = [];
+      sources.forEach((source, i) => {
+        declarations[i].forEach((declaration) => {
+          const raw = results[i][declaration.name];
+          if (raw === undefined || raw === null || raw === '') {
+            if (declaration.hasDefault || !declaration.required) {
+              config[declaration.key] = declaration.default;
+            }
+            else {
+              errors.push({ source, name: declaration.name, message: 'is required' });
+            }
+            return;
+          }
+
+          try {
+            config[declaration.key] = PARSERS[declaration.type](String(raw));
+          }
+          catch (error) {
+            errors.push({ source, name: declaration.name, message: error.message });
+          }
+        });
+      });
+
+      if (errors.length) {
+        const problems = errors
+          .map(({ source, name, message }) => `${DESCRIPTIONS[source]} ${name} ${message}`);
+        throw new ConfigurationError(`Invalid configuration: ${problems.join(', ')}`, { errors });
+      }
+      return Object.freeze(config);
+    });
+}
+
+module.exports = loadConfig;
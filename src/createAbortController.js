@@ -0,0 +1,73 @@
+// @flow
+
+const EventEmitter = require('events');
+
+export type AbortSignalLike = {
+  aborted: boolean,
+  reason: any,
+  addEventListener: (type: string, listener: Function) => void,
+  removeEventListener: (type: string, listener: Function) => void,
+};
+
+export type AbortControllerLike = {
+  +signal: AbortSignalLike,
+  +abort: (reason?: any) => void,
+};
+
+/**
+ * A minimal stand-in for AbortController on runtimes which do not provide one.
+ */
+class FallbackAbortController {
+  emitter: EventEmitter;
+  signal: AbortSignalLike;
+
+  /**
+   * Constructs an abort controller with a signal which has not been aborted.
+   */
+  constructor() {
+    const emitter = new EventEmitter();
+    this.emitter = emitter;
+    this.signal = {
+      aborted: false,
+      reason: undefined,
+      addEventListener: (type, listener) => {
+        emitter.on(type, listener);
+      },
+      removeEventListener: (type, listener) => {
+        emitter.removeListener(type, listener);
+      },
+    };
+  }
+
+  /**
+   * Abort the signal, notifying its listeners once.
+   *
+   * @param {*} reason
+   *   The reason the signal was aborted.
+   */
+  abort(reason?: any): void {
+    if (this.signal.aborted) {
+      return;
+    }
+    this.signal.aborted = true;
+    this.signal.reason = reason;
+    this.emitter.emit('abort', { type: 'abort' });
+  }
+}
+
+/**
+ * Create an abort controller, using the native implementation when the
+ * runtime provides one.
+ *
+ * @returns {AbortController}
+ *   An abort controller.
+ */
+function createAbortController(): AbortControllerLike {
+  const NativeAbortController = global.AbortController;
+  return typeof NativeAbortController === 'function'
+    ? new NativeAbortController()
+    : new FallbackAbortController();
+}
+
+module.exports = createAbortController;
+module.exports.FallbackAbortController = FallbackAbortController;
@@ -0,0 +1,126 @@
+// @flow
+
+const { STATUS_CODES } = require('http');
+
+/**
+ * An error which maps to an HTTP status code. HttpHandler responds to these
+ * errors with a problem+json body describing them, and adds the headers of
+ * client errors to the response.
+ */
+class HttpError extends Error {
+  statusCode: number;
+  details: ?{ [string]: any };
+  headers: ?{ [string]: string };
+
+  /**
+   * Constructs an HTTP error.
+   *
+   * @param {Number} statusCode
+   *   The HTTP status code of the error.
+   * @param {String} message
+   *   A human readable explanation of the error. This is exposed in the
+   *   response for client errors (4xx).
+   * @param {Object} details
+   *   Additional properties added to the problem+json response body.
+   */
+  constructor(statusCode: number, message?: string, details?: { [string]: any }) {
+    super(message || STATUS_CODES[statusCode]);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.details = details;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Create a class of HttpError with a fixed status code.
+ *
+ * @param {Number} statusCode
+ *   The HTTP status code of the error.
+ *
+ * @returns {Class}
+ *   A subclass of HttpError.
+ */
+function httpError(statusCode: number) {
+  return class extends HttpError {
+    constructor(message?: string, details?: { [string]: any }) {
+      super(statusCode, message, details);
+    }
+  };
+}
+
+class BadRequestError extends httpError(400) {}
+class UnauthorizedError extends httpError(401) {}
+class ForbiddenError extends httpError(403) {}
+class NotFoundError extends httpError(404) {}
+class MethodNotAllowedError extends httpError(405) {}
+class ConflictError extends httpError(409) {}
+class UnprocessableEntityError extends httpError(422) {}
+class TooManyRequestsError extends httpError(429) {}
+
+/**
+ * A request or response failed validation. The details contain an "errors"
+ * list describing each failure.
+ */
+class ValidationError extends httpError(400) {}
+
+/**
+ * The processor did not finish before the time budget of the invocation, the
+ * remaining time less the configured margin, ran out.
+ */
+class HandlerTimeoutError extends Error {
+  statusCode: number;
+  timeoutMs: number;
+
+  /**
+   * Constructs a handler timeout error.
+   *
+   * @param {Number} timeoutMs
+   *   The time budget, in milliseconds, which was exceeded.
+   */
+  constructor(timeoutMs: number) {
+    super(`Processing did not complete within ${timeoutMs}ms`);
+    this.name = this.constructor.name;
+    // HttpHandler responds to timeouts with 504 Gateway Timeout.
+    this.statusCode = 504;
+    this.timeoutMs = timeoutMs;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * The response produced by the processor failed validation. This is a server
+ * error, so HttpHandler does not expose the details. The details contain an
+ * "errors" list describing each failure.
+ */
+class ResponseValidationError extends httpError(500) {}
+
+/**
+ * Another invocation is still processing an event with the same idempotency
+ * key. Failing lets the event source deliver the event again later.
+ */
+class IdempotencyInProgressError extends httpError(409) {}
+
+/**
+ * The configuration of the handler is missing or malformed. This is a server
+ * error, so HttpHandler does not expose the details. The details contain an
+ * "errors" list describing each problem.
+ */
+class ConfigurationError extends httpError(500) {}
+
+module.exports = {
+  HandlerTimeoutError,
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  MethodNotAllowedError,
+  ConflictError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  ValidationError,
+  ResponseValidationError,
+  IdempotencyInProgressError,
+  ConfigurationError,
+};
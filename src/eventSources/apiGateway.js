@@ -0,0 +1,74 @@
+// @flow
+
+import type { HttpRequest } from '../types';
+
+const parseBody = require('./parseBody');
+
+/**
+ * Lower case header names so they can be looked up reliably.
+ *
+ * @param {Object} headers
+ *   The headers of the request.
+ *
+ * @returns {Object}
+ *   The headers keyed by lower case name.
+ */
+function normalizeHeaders(headers: ?{ [name: string]: string }): { [name: string]: string } {
+  const source = headers || {};
+  return Object.keys(source).reduce((normalized, name) => Object.assign(normalized, {
+    [name.toLowerCase()]: source[name],
+  }), {});
+}
+
+/**
+ * Decode the body of the request, parsing JSON bodies.
+ *
+ * @param {Object} event
+ *   The API Gateway event.
+ * @param {Object} headers
+ *   The normalized request headers.
+ *
+ * @returns {*}
+ *   A Buffer for binary bodies, the parsed object for JSON bodies or the body
+ *   string otherwise.
+ */
+function decodeBody(event: any, headers: { [name: string]: string }): any {
+  if (event.body === null || event.body === undefined) {
+    return null;
+  }
+  if (event.isBase64Encoded) {
+    return Buffer.from(event.body, 'base64');
+  }
+  return /[/+]json\b/.test(headers['content-type'] || '')
+    ? parseBody(event.body)
+    : event.body;
+}
+
+module.exports = {
+  name: 'API_GATEWAY',
+
+  detect(event: any): boolean {
+    return !!event && (
+      typeof event.httpMethod === 'string' ||
+      !!(event.requestContext && event.requestContext.http)
+    );
+  },
+
+  normalize(event: any): { request: HttpRequest } {
+    // Payload format version 2.0 (HTTP APIs) moves the method and path into
+    // the request context.
+    const { http } = event.requestContext || {};
+    const headers = normalizeHeaders(event.headers);
+    return {
+      request: {
+        method: (http ? http.method : event.httpMethod).toUpperCase(),
+        path: http ? http.path : event.path,
+        headers,
+        query: event.queryStringParameters || {},
+        params: event.pathParameters || {},
+        body: decodeBody(event, headers),
+        raw: event,
+      },
+    };
+  },
+};
@@ -0,0 +1,31 @@
+// @flow
+
+import type { EventRecord } from '../types';
+
+const recordSource = require('./recordSource');
+const unmarshall = require('./unmarshall');
+
+module.exports = {
+  name: 'DYNAMODB',
+
+  detect(event: any): boolean {
+    return recordSource(event) === 'aws:dynamodb';
+  },
+
+  normalize(event: any): { records: Array<EventRecord> } {
+    return {
+      records: event.Records.map(record => ({
+        id: record.dynamodb.SequenceNumber,
+        eventSource: 'DYNAMODB',
+        body: {
+          eventName: record.eventName,
+          keys: unmarshall(record.dynamodb.Keys),
+          newImage: unmarshall(record.dynamodb.NewImage),
+          oldImage: unmarshall(record.dynamodb.OldImage),
+        },
+        attributes: {},
+        raw: record,
+      })),
+    };
+  },
+};
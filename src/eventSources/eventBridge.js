@@ -0,0 +1,26 @@
+// @flow
+
+import type { EventRecord } from '../types';
+
+module.exports = {
+  name: 'EVENTBRIDGE',
+
+  detect(event: any): boolean {
+    return !!event && typeof event['detail-type'] === 'string' && typeof event.source === 'string';
+  },
+
+  normalize(event: any): { records: Array<EventRecord> } {
+    return {
+      records: [{
+        id: event.id,
+        eventSource: 'EVENTBRIDGE',
+        body: event.detail,
+        attributes: {
+          source: event.source,
+          'detail-type': event['detail-type'],
+        },
+        raw: event,
+      }],
+    };
+  },
+};
@@ -0,0 +1,25 @@
+// @flow
+
+/**
+ * Flatten SQS or SNS message attributes to their values.
+ *
+ * @param {Object} attributes
+ *   Message attributes keyed by name.
+ * @param {String} valueKey
+ *   The property holding the value of each attribute ("stringValue" for SQS
+ *   and "Value" for SNS).
+ *
+ * @returns {Object}
+ *   The attribute values keyed by name.
+ */
+function flattenAttributes(
+  attributes: ?{ [name: string]: Object },
+  valueKey: string
+): { [name: string]: any } {
+  const attrs = attributes || {};
+  return Object.keys(attrs).reduce((flat, name) => Object.assign(flat, {
+    [name]: attrs[name][valueKey],
+  }), {});
+}
+
+module.exports = flattenAttributes;
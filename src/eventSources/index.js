@@ -0,0 +1,76 @@
+// @flow
+
+import type { EventSourceAdapter, NormalizedEvent } from '../types';
+
+const apiGateway = require('./apiGateway');
+const dynamodb = require('./dynamodb');
+const eventBridge = require('./eventBridge');
+const kinesis = require('./kinesis');
+const s3 = require('./s3');
+const sns = require('./sns');
+const sqs = require('./sqs');
+
+/**
+ * The supported event source adapters in the order they are detected.
+ */
+const adapters: Array<EventSourceAdapter> = [
+  sqs,
+  sns,
+  s3,
+  dynamodb,
+  kinesis,
+  eventBridge,
+  apiGateway,
+];
+
+/**
+ * Detect the source of an event.
+ *
+ * @param {Object} event
+ *   The event object passed to the lambda handler.
+ *
+ * @returns {?String}
+ *   The name of the event source (e.g. "SQS") or null if it is not recognized.
+ */
+function detectEventSource(event: any): ?string {
+  const adapter = adapters.find(candidate => candidate.detect(event));
+  return adapter ? adapter.name : null;
+}
+
+/**
+ * Normalize an event from a known source.
+ *
+ * @param {Object} event
+ *   The event object passed to the lambda handler.
+ * @param {String} eventSource="AUTO"
+ *   The name of the event source, "AUTO" to detect it or "NONE" to skip
+ *   normalization.
+ *
+ * @returns {Object}
+ *   An object with the name of the event source and either the normalized
+ *   records or, for HTTP events, the normalized request.
+ */
+function normalizeEvent(event: any, eventSource: string = 'AUTO'): NormalizedEvent {
+  if (eventSource === 'NONE') {
+    return { eventSource: null };
+  }
+
+  const name = eventSource === 'AUTO' ? detectEventSource(event) : eventSource;
+  if (!name) {
+    return { eventSource: null };
+  }
+
+  const adapter = adapters.find(candidate => candidate.name === name);
+  if (!adapter) {
+    throw new Error(`Unknown event source "${name}"`);
+  }
+
+  const { records, request } = adapter.normalize(event);
+  return { eventSource: name, records, request };
+}
+
+module.exports = {
+  adapters,
+  detectEventSource,
+  normalizeEvent,
+};
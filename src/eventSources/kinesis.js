@@ -0,0 +1,28 @@
+// @flow
+
+import type { EventRecord } from '../types';
+
+const parseBody = require('./parseBody');
+const recordSource = require('./recordSource');
+
+module.exports = {
+  name: 'KINESIS',
+
+  detect(event: any): boolean {
+    return recordSource(event) === 'aws:kinesis';
+  },
+
+  normalize(event: any): { records: Array<EventRecord> } {
+    return {
+      records: event.Records.map(record => ({
+        id: record.kinesis.sequenceNumber,
+        eventSource: 'KINESIS',
+        body: parseBody(Buffer.from(record.kinesis.data, 'base64').toString()),
+        attributes: {
+          partitionKey: record.kinesis.partitionKey,
+        },
+        raw: record,
+      })),
+    };
+  },
+};
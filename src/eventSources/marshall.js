@@ -0,0 +1,58 @@
+// @flow
+
+/**
+ * Convert a plain JavaScript value to a DynamoDB attribute value.
+ *
+ * @param {*} value
+ *   The plain JavaScript value.
+ *
+ * @returns {Object}
+ *   A DynamoDB attribute value such as { S: 'hello' }.
+ */
+function marshallValue(value: any): { [type: string]: any } {
+  if (value === null || value === undefined) {
+    return { NULL: true };
+  }
+  if (Buffer.isBuffer(value)) {
+    return { B: value.toString('base64') };
+  }
+  if (Array.isArray(value)) {
+    return { L: value.map(marshallValue) };
+  }
+  switch (typeof value) {
+    case 'string':
+      return { S: value };
+    case 'number':
+      return { N: String(value) };
+    case 'boolean':
+      return { BOOL: value };
+    case 'object':
+      // eslint-disable-next-line no-use-before-define
+      return { M: marshall(value) };
+    default:
+      throw new Error(`Unsupported value of type "${typeof value}"`);
+  }
+}
+
+/**
+ * Convert a plain JavaScript object to a DynamoDB image. This is the inverse
+ * of unmarshall() apart from sets, which are marshalled as lists.
+ *
+ * @param {Object} item
+ *   A plain JavaScript object.
+ *
+ * @returns {Object}
+ *   An object of DynamoDB attribute values keyed by attribute name.
+ */
+function marshall(item: ?{ [name: string]: any }): ?{ [name: string]: Object } {
+  if (!item) {
+    return item;
+  }
+
+  const values = item;
+  return Object.keys(values).reduce((image, name) => Object.assign(image, {
+    [name]: marshallValue(values[name]),
+  }), {});
+}
+
+module.exports = marshall;
@@ -0,0 +1,26 @@
+// @flow
+
+/**
+ * Parse a message body as JSON, falling back to the original value when it is
+ * not valid JSON.
+ *
+ * @param {*} body
+ *   The message body.
+ *
+ * @returns {*}
+ *   The parsed body or the original value.
+ */
+function parseBody(body: any): any {
+  if (typeof body !== 'string') {
+    return body;
+  }
+
+  try {
+    return JSON.parse(body);
+  }
+  catch (err) {
+    return body;
+  }
+}
+
+module.exports = parseBody;
@@ -0,0 +1,21 @@
+// @flow
+
+/**
+ * Determine the event source of the first record of an event.
+ *
+ * @param {Object} event
+ *   The event object passed to the lambda handler.
+ *
+ * @returns {?String}
+ *   The event source of the first record (e.g. "aws:sqs") if the event
+ *   contains records.
+ */
+function recordSource(event: any): ?string {
+  const record = event && Array.isArray(event.Records) && event.Records[0];
+  if (!record) {
+    return null;
+  }
+  return record.eventSource || record.EventSource;
+}
+
+module.exports = recordSource;
@@ -0,0 +1,34 @@
+// @flow
+
+import type { EventRecord } from '../types';
+
+const recordSource = require('./recordSource');
+
+module.exports = {
+  name: 'S3',
+
+  detect(event: any): boolean {
+    return recordSource(event) === 'aws:s3';
+  },
+
+  normalize(event: any): { records: Array<EventRecord> } {
+    return {
+      records: event.Records.map((record) => {
+        // Object keys are URL encoded with spaces replaced by "+".
+        const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+        return {
+          id: `${record.s3.bucket.name}/${key}`,
+          eventSource: 'S3',
+          body: {
+            eventName: record.eventName,
+            bucket: record.s3.bucket.name,
+            key,
+            size: record.s3.object.size,
+          },
+          attributes: {},
+          raw: record,
+        };
+      }),
+    };
+  },
+};
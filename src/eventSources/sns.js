@@ -0,0 +1,27 @@
+// @flow
+
+import type { EventRecord } from '../types';
+
+const flattenAttributes = require('./flattenAttributes');
+const parseBody = require('./parseBody');
+const recordSource = require('./recordSource');
+
+module.exports = {
+  name: 'SNS',
+
+  detect(event: any): boolean {
+    return recordSource(event) === 'aws:sns';
+  },
+
+  normalize(event: any): { records: Array<EventRecord> } {
+    return {
+      records: event.Records.map(record => ({
+        id: record.Sns.MessageId,
+        eventSource: 'SNS',
+        body: parseBody(record.Sns.Message),
+        attributes: flattenAttributes(record.Sns.MessageAttributes, 'Value'),
+        raw: record,
+      })),
+    };
+  },
+};
@@ -0,0 +1,27 @@
+// @flow
+
+import type { EventRecord } from '../types';
+
+const flattenAttributes = require('./flattenAttributes');
+const parseBody = require('./parseBody');
+const recordSource = require('./recordSource');
+
+module.exports = {
+  name: 'SQS',
+
+  detect(event: any): boolean {
+    return recordSource(event) === 'aws:sqs';
+  },
+
+  normalize(event: any): { records: Array<EventRecord> } {
+    return {
+      records: event.Records.map(record => ({
+        id: record.messageId,
+        eventSource: 'SQS',
+        body: parseBody(record.body),
+        attributes: flattenAttributes(record.messageAttributes, 'stringValue'),
+        raw: record,
+      })),
+    };
+  },
+};
@@ -0,0 +1,65 @@
+// @flow
+
+/**
+ * Convert a single DynamoDB attribute value to a plain JavaScript value.
+ *
+ * NOTE: Numbers are converted with Number() and may lose precision beyond
+ * Number.MAX_SAFE_INTEGER.
+ *
+ * @param {Object} attribute
+ *   A DynamoDB attribute value such as { S: 'hello' }.
+ *
+ * @returns {*}
+ *   The plain JavaScript value.
+ */
+function unmarshallValue(attribute: { [type: string]: any }): any {
+  const type = Object.keys(attribute)[0];
+  const value = attribute[type];
+  switch (type) {
+    case 'S':
+    case 'BOOL':
+      return value;
+    case 'N':
+      return Number(value);
+    case 'B':
+      return Buffer.from(value, 'base64');
+    case 'NULL':
+      return null;
+    case 'SS':
+      return value.slice();
+    case 'NS':
+      return value.map(Number);
+    case 'BS':
+      return value.map(item => Buffer.from(item, 'base64'));
+    case 'L':
+      return value.map(unmarshallValue);
+    case 'M':
+      // eslint-disable-next-line no-use-before-define
+      return unmarshall(value);
+    default:
+      throw new Error(`Unsupported DynamoDB attribute type "${type}"`);
+  }
+}
+
+/**
+ * Convert a DynamoDB image such as the NewImage of a stream record to a plain
+ * JavaScript object.
+ *
+ * @param {Object} image
+ *   An object of DynamoDB attribute values keyed by attribute name.
+ *
+ * @returns {Object}
+ *   A plain JavaScript object.
+ */
+function unmarshall(image: ?{ [name: string]: Object }): ?{ [name: string]: any } {
+  if (!image) {
+    return image;
+  }
+
+  const attributes = image;
+  return Object.keys(attributes).reduce((item, name) => Object.assign(item, {
+    [name]: unmarshallValue(attributes[name]),
+  }), {});
+}
+
+module.exports = unmarshall;
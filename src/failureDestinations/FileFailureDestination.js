@@ -0,0 +1,52 @@
+// @flow
+
+import type { FailureRecord } from '../types';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * A failure destination which appends permanent failures to a file on the
+ * local filesystem, one JSON document per line.
+ */
+class FileFailureDestination {
+  file: string;
+
+  /**
+   * Constructs a file failure destination.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the
+   *   destination.
+   * @param {String} options.file=os.tmpdir()/failures.jsonl
+   *   The file to which failures are appended. Note that /tmp is the only
+   *   writable directory in a lambda container.
+   */
+  constructor(options: { file?: string } = {}) {
+    this.file = options.file || path.join(os.tmpdir(), 'failures.jsonl');
+  }
+
+  /**
+   * Append a permanent failure to the file.
+   *
+   * @param {Object} failure
+   *   The failure.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the failure has been written.
+   */
+  send(failure: FailureRecord): Promise<void> {
+    return new Promise((resolve, reject) => {
+      fs.appendFile(this.file, `${JSON.stringify(failure)}\n`, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = FileFailureDestination;
@@ -0,0 +1,34 @@
+// @flow
+
+import type { FailureRecord } from '../types';
+
+/**
+ * A failure destination which keeps permanent failures in the memory of the
+ * container, which is mostly useful for tests and local development.
+ */
+class InMemoryFailureDestination {
+  failures: Array<FailureRecord>;
+
+  /**
+   * Constructs an in-memory failure destination.
+   */
+  constructor() {
+    this.failures = [];
+  }
+
+  /**
+   * Keep a permanent failure.
+   *
+   * @param {Object} failure
+   *   The failure.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the failure has been kept.
+   */
+  send(failure: FailureRecord): Promise<void> {
+    this.failures.push(failure);
+    return Promise.resolve();
+  }
+}
+
+module.exports = InMemoryFailureDestination;
@@ -0,0 +1,68 @@
+// @flow
+
+import type { FailureRecord } from '../types';
+
+export type QueueClient = {
+  sendMessage: (params: {
+    QueueUrl: string,
+    MessageBody: string,
+  }) => Promise<any> | { promise: () => Promise<any> },
+};
+
+/**
+ * A failure destination which sends permanent failures to a queue, such as a
+ * dead-letter queue, using an SQS compatible client. The client is injected
+ * so that any implementation of sendMessage() may be used, including an
+ * instance of AWS.SQS from the aws-sdk.
+ */
+class QueueFailureDestination {
+  client: QueueClient;
+  queueUrl: string;
+
+  /**
+   * Constructs a queue failure destination.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the
+   *   destination.
+   * @param {Object} options.client
+   *   An object with a sendMessage() method which either returns a promise or
+   *   an object with a promise() method, as AWS.SQS does.
+   * @param {String} options.queueUrl
+   *   The URL of the queue to which failures are sent.
+   */
+  constructor(options: { client: QueueClient, queueUrl: string }) {
+    if (!options || !options.client || typeof options.client.sendMessage !== 'function') {
+      throw new Error('QueueFailureDestination must be constructed with a client implementing sendMessage()');
+    }
+    if (!options.queueUrl) {
+      throw new Error('QueueFailureDestination must be constructed with a queueUrl');
+    }
+
+    this.client = options.client;
+    this.queueUrl = options.queueUrl;
+  }
+
+  /**
+   * Send a permanent failure to the queue as a JSON message.
+   *
+   * @param {Object} failure
+   *   The failure.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the message has been sent.
+   */
+  send(failure: FailureRecord): Promise<void> {
+    const request = this.client.sendMessage({
+      QueueUrl: this.queueUrl,
+      MessageBody: JSON.stringify(failure),
+    });
+
+    return Promise.resolve(request && typeof request.promise === 'function'
+      ? request.promise()
+      : request)
+      .then(() => {});
+  }
+}
+
+module.exports = QueueFailureDestination;
@@ -0,0 +1,148 @@
+// @flow
+
+import type { ProxyResult } from './types';
+
+const { STATUS_CODES } = require('http');
+
+type Headers = { [name: string]: string };
+
+/**
+ * Create a JSON response.
+ *
+ * @param {*} body
+ *   The value serialized as the body of the response.
+ * @param {Number} statusCode=200
+ *   The HTTP status code of the response.
+ * @param {Object} headers={}
+ *   Additional response headers.
+ *
+ * @returns {Object}
+ *   An API Gateway proxy result.
+ */
+function json(body: any, statusCode: number = 200, headers: Headers = {}): ProxyResult {
+  return {
+    statusCode,
+    headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+    body: JSON.stringify(body),
+  };
+}
+
+/**
+ * Create a plain text response.
+ *
+ * @param {String} body
+ *   The body of the response.
+ * @param {Number} statusCode=200
+ *   The HTTP status code of the response.
+ * @param {Object} headers={}
+ *   Additional response headers.
+ *
+ * @returns {Object}
+ *   An API Gateway proxy result.
+ */
+function text(body: string, statusCode: number = 200, headers: Headers = {}): ProxyResult {
+  return {
+    statusCode,
+    headers: Object.assign({ 'Content-Type': 'text/plain; charset=utf-8' }, headers),
+    body,
+  };
+}
+
+/**
+ * Create a binary response. The body is base64 encoded, which requires binary
+ * media types to be configured for the API.
+ *
+ * @param {Buffer} body
+ *   The body of the response.
+ * @param {String} contentType="application/octet-stream"
+ *   The content type of the body.
+ * @param {Number} statusCode=200
+ *   The HTTP status code of the response.
+ * @param {Object} headers={}
+ *   Additional response headers.
+ *
+ * @returns {Object}
+ *   An API Gateway proxy result.
+ */
+function binary(
+  body: Buffer,
+  contentType: string = 'application/octet-stream',
+  statusCode: number = 200,
+  headers: Headers = {}
+): ProxyResult {
+  return {
+    statusCode,
+    headers: Object.assign({ 'Content-Type': contentType }, headers),
+    body: body.toString('base64'),
+    isBase64Encoded: true,
+  };
+}
+
+/**
+ * Create an empty response.
+ *
+ * @param {Number} statusCode=204
+ *   The HTTP status code of the response.
+ * @param {Object} headers={}
+ *   Additional response headers.
+ *
+ * @returns {Object}
+ *   An API Gateway proxy result.
+ */
+function noContent(statusCode: number = 204, headers: Headers = {}): ProxyResult {
+  return {
+    statusCode,
+    headers: Object.assign({}, headers),
+    body: '',
+  };
+}
+
+/**
+ * Create a redirect response.
+ *
+ * @param {String} location
+ *   The URL to redirect to.
+ * @param {Number} statusCode=302
+ *   The HTTP status code of the response.
+ *
+ * @returns {Object}
+ *   An API Gateway proxy result.
+ */
+function redirect(location: string, statusCode: number = 302): ProxyResult {
+  return noContent(statusCode, { Location: location });
+}
+
+/**
+ * Create an RFC 7807 problem+json response.
+ *
+ * @param {Number} status
+ *   The HTTP status code of the response.
+ * @param {Object} problem={}
+ *   Members of the problem details object such as "detail" or "type". The
+ *   "title" defaults to the standard description of the status code.
+ * @param {Object} headers={}
+ *   Additional response headers.
+ *
+ * @returns {Object}
+ *   An API Gateway proxy result.
+ */
+function problem(
+  status: number,
+  problemDetails: { [string]: any } = {},
+  headers: Headers = {}
+): ProxyResult {
+  return json(
+    Object.assign({ type: 'about:blank', title: STATUS_CODES[status], status }, problemDetails),
+    status,
+    Object.assign({ 'Content-Type': 'application/problem+json' }, headers)
+  );
+}
+
+module.exports = {
+  json,
+  text,
+  binary,
+  noContent,
+  redirect,
+  problem,
+};
@@ -0,0 +1,169 @@
+// @flow
+
+import type { IdempotencyRecord } from '../types';
+
+const marshall = require('../eventSources/marshall');
+const unmarshall = require('../eventSources/unmarshall');
+
+type Request = Promise<any> | { promise: () => Promise<any> };
+
+export type DynamoDBClient = {
+  putItem: (params: Object) => Request,
+  getItem: (params: Object) => Request,
+  deleteItem: (params: Object) => Request,
+};
+
+/**
+ * Wait for a request made with an AWS.DynamoDB style client.
+ *
+ * @param {Object} request
+ *   A promise or an object with a promise() method, as AWS.DynamoDB returns.
+ *
+ * @returns {Promise<*>}
+ *   A promise of the result of the request.
+ */
+function send(request: Request): Promise<any> {
+  return Promise.resolve(request && typeof request.promise === 'function'
+    ? request.promise()
+    : request);
+}
+
+/**
+ * Convert milliseconds since the epoch to the seconds expected by DynamoDB
+ * time to live attributes.
+ *
+ * @param {Number} ms
+ *   Milliseconds since the epoch.
+ *
+ * @returns {Number}
+ *   Seconds since the epoch.
+ */
+function toSeconds(ms: number): number {
+  return Math.ceil(ms / 1000);
+}
+
+/**
+ * An idempotency store which keeps records in a DynamoDB table using an
+ * injected client, such as an instance of AWS.DynamoDB from the aws-sdk. The
+ * table needs a string partition key named "id". Enable time to live on the
+ * "expiration" attribute so DynamoDB deletes expired records.
+ */
+class DynamoDBIdempotencyStore {
+  client: DynamoDBClient;
+  tableName: string;
+
+  /**
+   * Constructs a DynamoDB idempotency store.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the store.
+   * @param {Object} options.client
+   *   An object with putItem(), getItem() and deleteItem() methods which
+   *   either return a promise or an object with a promise() method, as
+   *   AWS.DynamoDB does.
+   * @param {String} options.tableName
+   *   The table in which records are stored.
+   */
+  constructor(options: { client: DynamoDBClient, tableName: string }) {
+    const { client } = options || {};
+    if (!client || ['putItem', 'getItem', 'deleteItem'].some(method => typeof client[method] !== 'function')) {
+      throw new Error('DynamoDBIdempotencyStore must be constructed with a client implementing putItem(), getItem() and deleteItem()');
+    }
+    if (!options.tableName) {
+      throw new Error('DynamoDBIdempotencyStore must be constructed with a tableName');
+    }
+
+    this.client = client;
+    this.tableName = options.tableName;
+  }
+
+  /**
+   * Record that a key is in progress unless a record which has not expired
+   * already exists for it. A conditional write makes the claim atomic.
+   *
+   * @param {String} key
+   *   The idempotency key.
+   * @param {Number} expiresAt
+   *   When the in progress record expires, in milliseconds since the epoch.
+   *
+   * @returns {Promise<?Object>}
+   *   A promise which resolves with the existing record, or null when the key
+   *   was claimed.
+   */
+  claim(key: string, expiresAt: number): Promise<?IdempotencyRecord> {
+    return send(this.client.putItem({
+      TableName: this.tableName,
+      Item: marshall({ id: key, status: 'IN_PROGRESS', expiration: toSeconds(expiresAt) }),
+      ConditionExpression: 'attribute_not_exists(#id) OR #expiration <= :now',
+      ExpressionAttributeNames: { '#id': 'id', '#expiration': 'expiration' },
+      ExpressionAttributeValues: marshall({ ':now': toSeconds(Date.now()) }),
+    }))
+      .then(() => null, (error) => {
+        // The aws-sdk names this error with "code" in v2 and "name" in v3.
+        if (error.code !== 'ConditionalCheckFailedException' && error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        return send(this.client.getItem({
+          TableName: this.tableName,
+          Key: marshall({ id: key }),
+          ConsistentRead: true,
+        }))
+          .then((result) => {
+            const item = unmarshall(result && result.Item);
+            if (!item) {
+              // The record was released after the conditional write failed.
+              return this.claim(key, expiresAt);
+            }
+            return {
+              status: item.status,
+              expiresAt: item.expiration * 1000,
+              response: item.response === undefined ? undefined : JSON.parse(item.response),
+            };
+          });
+      });
+  }
+
+  /**
+   * Record the response for a key.
+   *
+   * @param {String} key
+   *   The idempotency key.
+   * @param {*} response
+   *   The response to return for duplicates. It is stored as JSON.
+   * @param {Number} expiresAt
+   *   When the record expires, in milliseconds since the epoch.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the record has been stored.
+   */
+  complete(key: string, response: any, expiresAt: number): Promise<void> {
+    const item: Object = { id: key, status: 'COMPLETED', expiration: toSeconds(expiresAt) };
+    if (response !== undefined) {
+      item.response = JSON.stringify(response);
+    }
+    return send(this.client.putItem({
+      TableName: this.tableName,
+      Item: marshall(item),
+    }))
+      .then(() => {});
+  }
+
+  /**
+   * Remove the record for a key so it can be processed again.
+   *
+   * @param {String} key
+   *   The idempotency key.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the record has been removed.
+   */
+  release(key: string): Promise<void> {
+    return send(this.client.deleteItem({
+      TableName: this.tableName,
+      Key: marshall({ id: key }),
+    }))
+      .then(() => {});
+  }
+}
+
+module.exports = DynamoDBIdempotencyStore;
@@ -0,0 +1,85 @@
+// @flow
+
+import type { IdempotencyRecord } from '../types';
+
+/**
+ * An idempotency store which keeps records in the memory of the container.
+ * Duplicates are only detected when they are delivered to the same
+ * container, so this is mostly useful for tests and local development.
+ */
+class InMemoryIdempotencyStore {
+  records: Map<string, IdempotencyRecord>;
+
+  /**
+   * Constructs an in-memory idempotency store.
+   */
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Record that a key is in progress unless a record which has not expired
+   * already exists for it.
+   *
+   * @param {String} key
+   *   The idempotency key.
+   * @param {Number} expiresAt
+   *   When the in progress record expires, in milliseconds since the epoch.
+   *
+   * @returns {Promise<?Object>}
+   *   A promise which resolves with the existing record, or null when the key
+   *   was claimed.
+   */
+  claim(key: string, expiresAt: number): Promise<?IdempotencyRecord> {
+    // Drop expired records so the store does not grow for the lifetime of
+    // the container.
+    const now = Date.now();
+    this.records.forEach((record, recordKey) => {
+      if (record.expiresAt <= now) {
+        this.records.delete(recordKey);
+      }
+    });
+
+    const existing = this.records.get(key);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+
+    this.records.set(key, { status: 'IN_PROGRESS', expiresAt });
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Record the response for a key.
+   *
+   * @param {String} key
+   *   The idempotency key.
+   * @param {*} response
+   *   The response to return for duplicates.
+   * @param {Number} expiresAt
+   *   When the record expires, in milliseconds since the epoch.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the record has been stored.
+   */
+  complete(key: string, response: any, expiresAt: number): Promise<void> {
+    this.records.set(key, { status: 'COMPLETED', expiresAt, response });
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove the record for a key so it can be processed again.
+   *
+   * @param {String} key
+   *   The idempotency key.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the record has been removed.
+   */
+  release(key: string): Promise<void> {
+    this.records.delete(key);
+    return Promise.resolve();
+  }
+}
+
+module.exports = InMemoryIdempotencyStore;
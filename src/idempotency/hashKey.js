@@ -0,0 +1,41 @@
+// @flow
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value as JSON with the keys of objects sorted, so equal values
+ * always serialize the same way.
+ *
+ * @param {*} value
+ *   The value to serialize.
+ *
+ * @returns {String}
+ *   The serialized value.
+ */
+function stableStringify(value: any): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a value to an idempotency key.
+ *
+ * @param {*} value
+ *   The value selected from the event.
+ *
+ * @returns {String}
+ *   The hex encoded SHA-256 hash of the value.
+ */
+function hashKey(value: any): string {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+module.exports = hashKey;
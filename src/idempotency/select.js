@@ -0,0 +1,85 @@
+// @flow
+
+const SEGMENT = /\.?(?:([A-Za-z_$][\w$]*)|"((?:[^"\\]|\\.)*)"|\[(-?\d+)\])/y;
+
+/**
+ * Split a multiselect list into its expressions, ignoring commas inside
+ * brackets and quotes.
+ *
+ * @param {String} list
+ *   The expressions between the brackets of a multiselect list.
+ *
+ * @returns {String[]}
+ *   The expressions.
+ */
+function splitList(list: string): Array<string> {
+  const expressions = [];
+  let depth = 0;
+  let quoted = false;
+  let start = 0;
+  for (let i = 0; i < list.length; i += 1) {
+    const char = list[i];
+    if (char === '"' && list[i - 1] !== '\\') {
+      quoted = !quoted;
+    }
+    else if (!quoted && char === '[') {
+      depth += 1;
+    }
+    else if (!quoted && char === ']') {
+      depth -= 1;
+    }
+    else if (!quoted && !depth && char === ',') {
+      expressions.push(list.slice(start, i));
+      start = i + 1;
+    }
+  }
+  return expressions.concat(list.slice(start));
+}
+
+/**
+ * Select a value with a JMESPath style expression. Supported expressions are
+ * a subset of JMESPath: identifiers separated by dots ("detail.orderId"),
+ * quoted identifiers ('"detail-type"'), array indexes which may be negative
+ * ("Records[0]") and a multiselect list of expressions ("[source, id]").
+ *
+ * @param {*} value
+ *   The value to select from.
+ * @param {String} expression
+ *   The expression.
+ *
+ * @returns {*}
+ *   The selected value, or null when part of the path is missing.
+ */
+function select(value: any, expression: string): any {
+  const trimmed = expression.trim();
+  if (/^\[(?!-?\d+\])/.test(trimmed) && trimmed[trimmed.length - 1] === ']') {
+    return splitList(trimmed.slice(1, -1)).map(item => select(value, item));
+  }
+
+  const segment = new RegExp(SEGMENT.source, 'y');
+  let selected = value;
+  while (segment.lastIndex < trimmed.length) {
+    const start = segment.lastIndex;
+    const match = segment.exec(trimmed);
+    if (!match || (start === 0 && trimmed[0] === '.')) {
+      throw new Error(`Invalid selector "${expression}"`);
+    }
+
+    const [, identifier, quoted, index] = match;
+    if (selected === null || selected === undefined) {
+      selected = null;
+    }
+    else if (index !== undefined) {
+      const position = Number(index);
+      selected = Array.isArray(selected)
+        ? selected[position < 0 ? selected.length + position : position]
+        : null;
+    }
+    else {
+      selected = selected[identifier !== undefined ? identifier : JSON.parse(`"${quoted}"`)];
+    }
+  }
+  return selected === undefined ? null : selected;
+}
+
+module.exports = select;
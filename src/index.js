@@ -1,5 +1,92 @@
 // @flow
 
+// Required first so module load timings include the rest of lambda-patterns.
+require('./loadTime');
+
 const Handler = require('./Handler');
+const HttpHandler = require('./HttpHandler');
+const StreamingHandler = require('./StreamingHandler');
+const {
+  HandlerTimeoutError,
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  MethodNotAllowedError,
+  ConflictError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  ValidationError,
+  ResponseValidationError,
+  IdempotencyInProgressError,
+  ConfigurationError,
+} = require('./errors');
+const httpResponses = require('./httpResponses');
+const LocalConfigProvider = require('./config/LocalConfigProvider');
+const SSMParameterProvider = require('./config/SSMParameterProvider');
+const SecretsManagerProvider = require('./config/SecretsManagerProvider');
+const InMemoryIdempotencyStore = require('./idempotency/InMemoryIdempotencyStore');
+const DynamoDBIdempotencyStore = require('./idempotency/DynamoDBIdempotencyStore');
+const InMemoryFailureDestination = require('./failureDestinations/InMemoryFailureDestination');
+const FileFailureDestination = require('./failureDestinations/FileFailureDestination');
+const QueueFailureDestination = require('./failureDestinations/QueueFailureDestination');
+const LambdaInvoker = require('./LambdaInvoker');
+const Logger = require('./Logger');
+const Metrics = require('./Metrics');
+const Resource = require('./Resource');
+const retry = require('./retry');
+const Router = require('./Router');
+const FileProfileSink = require('./profileSinks/FileProfileSink');
+const LogProfileSink = require('./profileSinks/LogProfileSink');
+const S3ProfileSink = require('./profileSinks/S3ProfileSink');
+const decodeProfile = require('./profileSinks/decodeProfile');
+const Tracer = require('./tracing/Tracer');
+const { parseTraceparent, parseXRayHeader } = require('./tracing/traceContext');
+const { detectEventSource, normalizeEvent } = require('./eventSources');
+const unmarshall = require('./eventSources/unmarshall');
 
-module.exports = { Handler };
+module.exports = {
+  Handler,
+  HttpHandler,
+  StreamingHandler,
+  httpResponses,
+  LambdaInvoker,
+  Logger,
+  Metrics,
+  Resource,
+  retry,
+  Router,
+  FileProfileSink,
+  LogProfileSink,
+  S3ProfileSink,
+  decodeProfile,
+  Tracer,
+  parseTraceparent,
+  parseXRayHeader,
+  SSMParameterProvider,
+  SecretsManagerProvider,
+  LocalConfigProvider,
+  InMemoryIdempotencyStore,
+  DynamoDBIdempotencyStore,
+  InMemoryFailureDestination,
+  FileFailureDestination,
+  QueueFailureDestination,
+  detectEventSource,
+  normalizeEvent,
+  unmarshall,
+  HandlerTimeoutError,
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  MethodNotAllowedError,
+  ConflictError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  ValidationError,
+  ResponseValidationError,
+  IdempotencyInProgressError,
+  ConfigurationError,
+};
@@ -0,0 +1,7 @@
+// @flow
+
+// The high resolution time at which lambda-patterns was first required, from
+// which handlers measure how long the modules of a cold start took to load.
+const loadTime: [number, number] = process.hrtime();
+
+module.exports = loadTime;
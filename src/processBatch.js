@@ -0,0 +1,75 @@
+// @flow
+
+import type { BatchSummary, EventRecord } from './types';
+
+/**
+ * Process each record of a batch with bounded concurrency, collecting the
+ * records which could not be processed rather than failing the whole batch.
+ *
+ * @param {Object[]} records
+ *   The normalized records of the batch.
+ * @param {Function} processRecord
+ *   A function which processes a single record and may return a promise.
+ * @param {Object} options
+ *   An object containing options which modify the behavior of the batch.
+ * @param {Number} options.concurrency=1
+ *   The maximum number of records processed at the same time.
+ * @param {Boolean} options.failFast=false
+ *   Stop processing records after the first failure. Records which were not
+ *   processed are reported as failures so they are retried, which preserves
+ *   ordering for FIFO queues and streams.
+ *
+ * @returns {Promise<Object>}
+ *   A promise which resolves with a summary of the batch.
+ */
+function processBatch(
+  records: Array<EventRecord>,
+  processRecord: (record: EventRecord) => any,
+  options: { concurrency?: number, failFast?: boolean } = {}
+): Promise<BatchSummary> {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const errors: Array<?Error> = [];
+  const statuses: Array<string> = [];
+  let next = 0;
+  let stopped = false;
+
+  const work = () => {
+    if (stopped || next >= records.length) {
+      return Promise.resolve();
+    }
+    const index = next;
+    next += 1;
+    return Promise.resolve()
+      .then(() => processRecord(records[index]))
+      .then(() => {
+        statuses[index] = 'succeeded';
+      }, (error) => {
+        statuses[index] = 'failed';
+        errors[index] = error;
+        stopped = !!options.failFast;
+      })
+      .then(work);
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, records.length); i += 1) {
+    workers.push(work());
+  }
+
+  return Promise.all(workers).then(() => records.reduce((summary, record, index) => {
+    const status = statuses[index] || 'skipped';
+    summary[status] += 1; // eslint-disable-line no-param-reassign
+    if (status !== 'succeeded') {
+      summary.failures.push({ record, error: errors[index] || null });
+    }
+    return summary;
+  }, {
+    total: records.length,
+    succeeded: 0,
+    failed: 0,
+    skipped: 0,
+    failures: [],
+  }));
+}
+
+module.exports = processBatch;
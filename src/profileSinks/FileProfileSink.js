@@ -0,0 +1,77 @@
+// @flow
+
+import type Handler from '../Handler';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const decodeProfile = require('./decodeProfile');
+
+/**
+ * Write a file.
+ *
+ * @param {String} file
+ *   The path of the file.
+ * @param {String} data
+ *   The contents of the file.
+ *
+ * @returns {Promise<void>}
+ *   A promise which resolves once the file has been written.
+ */
+function writeFile(file: string, data: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    fs.writeFile(file, data, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * A profile sink which writes profiles to the local filesystem as .cpuprofile,
+ * .heapsnapshot or .heapprofile files which can be loaded in Chrome DevTools.
+ */
+class FileProfileSink {
+  directory: string;
+
+  /**
+   * Constructs a file profile sink.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the sink.
+   * @param {String} options.directory=os.tmpdir()
+   *   The directory in which profiles are written. Note that /tmp is the only
+   *   writable directory in a lambda container.
+   */
+  constructor(options: { directory?: string } = {}) {
+    this.directory = options.directory || os.tmpdir();
+  }
+
+  /**
+   * Write a profile to a file named after the request id of the invocation.
+   * The timings of the invocation so far, which cover the init and process
+   * steps but not cleanup, respond or the total, are written next to it, to a
+   * .timings.json file with the same name.
+   *
+   * @param {String} profile
+   *   The base64 encoded, deflated profile stored on handler.profile.
+   * @param {Handler} handler
+   *   The handler instance which collected the profile.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the files have been written.
+   */
+  write(profile: string, handler: Handler): Promise<void> {
+    const extension = handler.profileExtension || '.cpuprofile';
+    const file = path.join(this.directory, handler.context.awsRequestId);
+    return writeFile(`${file}${extension}`, decodeProfile(profile))
+      .then(() => (handler.timings
+        ? writeFile(`${file}.timings.json`, JSON.stringify(handler.timings))
+        : undefined));
+  }
+}
+
+module.exports = FileProfileSink;
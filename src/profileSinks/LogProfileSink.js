@@ -0,0 +1,61 @@
+// @flow
+
+import type Handler from '../Handler';
+
+/**
+ * A profile sink which writes the compressed profile to stdout as a series of
+ * structured log lines. Each line is a JSON object small enough to fit in a
+ * single CloudWatch log event, which includes the timings of the invocation so
+ * far: the init and process steps, but not cleanup, respond or the total.
+ * Concatenating the "data" property of each part in order and passing the
+ * result to decodeProfile() restores the profile.
+ */
+class LogProfileSink {
+  chunkSize: number;
+  stream: { +write: (chunk: string) => any };
+
+  /**
+   * Constructs a log profile sink.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the sink.
+   * @param {Number} options.chunkSize=200000
+   *   The maximum number of profile characters written per line. CloudWatch
+   *   limits log events to 256KB.
+   * @param {Object} options.stream=process.stdout
+   *   The stream to which log lines are written.
+   */
+  constructor(options: {
+    chunkSize?: number,
+    stream?: { +write: (chunk: string) => any },
+  } = {}) {
+    this.chunkSize = options.chunkSize || 200000;
+    this.stream = options.stream || process.stdout;
+  }
+
+  /**
+   * Write a profile as one or more log lines.
+   *
+   * @param {String} profile
+   *   The base64 encoded, deflated profile stored on handler.profile.
+   * @param {Handler} handler
+   *   The handler instance which collected the profile.
+   */
+  write(profile: string, handler: Handler): void {
+    const parts = Math.ceil(profile.length / this.chunkSize);
+    for (let part = 0; part < parts; part += 1) {
+      this.stream.write(`${JSON.stringify({
+        type: 'lambda-patterns:profile',
+        awsRequestId: handler.context.awsRequestId,
+        functionName: handler.context.functionName,
+        extension: handler.profileExtension || '.cpuprofile',
+        timings: handler.timings,
+        part: part + 1,
+        parts,
+        data: profile.substr(part * this.chunkSize, this.chunkSize),
+      })}\n`);
+    }
+  }
+}
+
+module.exports = LogProfileSink;
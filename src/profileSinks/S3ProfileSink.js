@@ -0,0 +1,87 @@
+// @flow
+
+import type Handler from '../Handler';
+
+const decodeProfile = require('./decodeProfile');
+
+export type S3Client = {
+  putObject: (params: {
+    Bucket: string,
+    Key: string,
+    Body: string,
+    ContentType: string,
+    Metadata?: { [key: string]: string },
+  }) => Promise<any> | { promise: () => Promise<any> },
+};
+
+/**
+ * A profile sink which uploads profiles as .cpuprofile, .heapsnapshot or
+ * .heapprofile objects using an S3 compatible client. The client is injected
+ * so that any implementation of putObject() may be used, including an
+ * instance of AWS.S3 from the aws-sdk.
+ */
+class S3ProfileSink {
+  client: S3Client;
+  bucket: string;
+  prefix: string;
+
+  /**
+   * Constructs an S3 profile sink.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the sink.
+   * @param {Object} options.client
+   *   An object with a putObject() method which either returns a promise or an
+   *   object with a promise() method, as AWS.S3 does.
+   * @param {String} options.bucket
+   *   The bucket in which profiles are stored.
+   * @param {String} options.prefix=""
+   *   A prefix prepended to the key of each profile.
+   */
+  constructor(options: { client: S3Client, bucket: string, prefix?: string }) {
+    if (!options || !options.client || typeof options.client.putObject !== 'function') {
+      throw new Error('S3ProfileSink must be constructed with a client implementing putObject()');
+    }
+    if (!options.bucket) {
+      throw new Error('S3ProfileSink must be constructed with a bucket');
+    }
+
+    this.client = options.client;
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || '';
+  }
+
+  /**
+   * Upload a profile to an object named after the request id of the
+   * invocation. The timings of the invocation so far, which cover the init
+   * and process steps but not cleanup, respond or the total, are stored as
+   * JSON in the "timings" metadata of the object.
+   *
+   * @param {String} profile
+   *   The base64 encoded, deflated profile stored on handler.profile.
+   * @param {Handler} handler
+   *   The handler instance which collected the profile.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the object has been uploaded.
+   */
+  write(profile: string, handler: Handler): Promise<void> {
+    const params: Object = {
+      Bucket: this.bucket,
+      Key: `${this.prefix}${handler.context.awsRequestId}${handler.profileExtension || '.cpuprofile'}`,
+      Body: decodeProfile(profile),
+      ContentType: 'application/json',
+    };
+    if (handler.timings) {
+      params.Metadata = { timings: JSON.stringify(handler.timings) };
+    }
+    const request = this.client.putObject(params);
+
+    return Promise.resolve(request && typeof request.promise === 'function'
+      ? request.promise()
+      : request)
+      .then(() => {});
+  }
+}
+
+module.exports = S3ProfileSink;
@@ -0,0 +1,18 @@
+// @flow
+
+const zlib = require('zlib');
+
+/**
+ * Decode a profile collected by Handler.stopProfiling().
+ *
+ * @param {String} profile
+ *   The base64 encoded, deflated profile stored on handler.profile.
+ *
+ * @returns {String}
+ *   The profile as a JSON string which can be loaded in Chrome DevTools.
+ */
+function decodeProfile(profile: string): string {
+  return zlib.inflateSync(Buffer.from(profile, 'base64')).toString();
+}
+
+module.exports = decodeProfile;
@@ -0,0 +1,130 @@
+// @flow
+
+import type { AbortSignalLike } from './createAbortController';
+
+export type RetryPolicy = {
+  maxAttempts?: number,
+  baseDelayMs?: number,
+  maxDelayMs?: number,
+  jitter?: boolean,
+  shouldRetry?: (error: any, attempt: number) => boolean,
+};
+
+export type RetryHooks = {
+  remainingTime?: () => number,
+  signal?: AbortSignalLike,
+  onRetry?: (error: any, attempt: number, delayMs: number) => any,
+};
+
+/**
+ * Wait before the next attempt, stopping early when the signal is aborted.
+ *
+ * @param {Number} delayMs
+ *   The time to wait in milliseconds.
+ * @param {Object} signal
+ *   An abort signal which ends the wait.
+ *
+ * @returns {Promise<Boolean>}
+ *   A promise which resolves with whether the whole delay elapsed.
+ */
+function wait(delayMs: number, signal: ?AbortSignalLike): Promise<boolean> {
+  return new Promise((resolve) => {
+    let timer;
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve(true);
+    }, delayMs);
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+}
+
+/**
+ * Call a function until it succeeds, waiting with exponential backoff between
+ * attempts.
+ *
+ * @param {Function} fn
+ *   The function to call. It receives the number of the attempt, starting at
+ *   1, and may return a promise.
+ * @param {Object} policy
+ *   An object containing options which modify the behavior of the retries.
+ * @param {Number} policy.maxAttempts=3
+ *   The maximum number of attempts, including the first.
+ * @param {Number} policy.baseDelayMs=100
+ *   The delay before the second attempt. The delay doubles with each attempt.
+ * @param {Number} policy.maxDelayMs=5000
+ *   The maximum delay between attempts.
+ * @param {Boolean} policy.jitter=true
+ *   Wait a random time between zero and the delay ("full jitter") so that
+ *   concurrent callers do not retry in lock step.
+ * @param {Function} policy.shouldRetry
+ *   A function which receives the error and the number of the attempt and
+ *   returns whether to try again. By default every error is retried.
+ * @param {Object} hooks
+ *   Hooks which connect the retries to an invocation.
+ * @param {Function} hooks.remainingTime
+ *   A function which returns the milliseconds left to retry in. No attempt is
+ *   made when its delay would not end within the remaining time.
+ * @param {Object} hooks.signal
+ *   An abort signal which stops any further attempts.
+ * @param {Function} hooks.onRetry
+ *   A function called with the error, the number of the failed attempt and
+ *   the delay before each retry.
+ *
+ * @returns {Promise<*>}
+ *   A promise which resolves with the result of the first successful attempt
+ *   or rejects with the error of the last attempt.
+ */
+function retry(
+  fn: (attempt: number) => any,
+  policy: RetryPolicy = {},
+  hooks: RetryHooks = {}
+): Promise<any> {
+  const {
+    maxAttempts = 3,
+    baseDelayMs = 100,
+    maxDelayMs = 5000,
+    jitter = true,
+    shouldRetry,
+  } = policy;
+  const { remainingTime = () => Infinity, signal, onRetry } = hooks;
+
+  const attempt = number => Promise.resolve()
+    .then(() => fn(number))
+    .catch((error) => {
+      if (
+        number >= maxAttempts ||
+        (signal && signal.aborted) ||
+        (shouldRetry && !shouldRetry(error, number))
+      ) {
+        throw error;
+      }
+
+      // eslint-disable-next-line no-restricted-properties
+      const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, number - 1));
+      const delayMs = Math.round(jitter ? Math.random() * ceiling : ceiling);
+      if (delayMs >= remainingTime()) {
+        throw error;
+      }
+
+      return Promise.resolve(onRetry && onRetry(error, number, delayMs))
+        .then(() => wait(delayMs, signal))
+        .then((elapsed) => {
+          if (!elapsed) {
+            throw error;
+          }
+          return attempt(number + 1);
+        });
+    });
+
+  return attempt(1);
+}
+
+module.exports = retry;
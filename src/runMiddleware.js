@@ -0,0 +1,56 @@
+// @flow
+
+import type Handler from './Handler';
+import type { Middleware, Phase } from './types';
+
+/**
+ * Run a step wrapped by the hooks which middleware registered for it. See
+ * Handler.use() for how before, after and onError hooks apply.
+ *
+ * @param {Object[]} middleware
+ *   The middleware, in the order in which it was registered.
+ * @param {String} phase
+ *   The name of the step ("init", "process", "cleanup" or "respond").
+ * @param {Handler} handler
+ *   The handler instance passed to the hooks.
+ * @param {Function} step
+ *   A function which performs the step.
+ * @param {Array} args
+ *   Additional arguments passed to before hooks.
+ *
+ * @returns {Promise<*>}
+ *   A promise which resolves with the result of the step.
+ */
+function runMiddleware(
+  middleware: Array<Middleware>,
+  phase: Phase,
+  handler: Handler,
+  step: () => any,
+  args: Array<any>
+): Promise<any> {
+  const hooks = type => middleware
+    .map(mw => mw[type] && mw[type][phase])
+    .filter(Boolean);
+  const reversed = type => hooks(type).reverse();
+
+  return hooks('before')
+    .reduce((prev, hook) => prev.then(() => hook(handler, ...args)), Promise.resolve())
+    .then(() => step())
+    .then(result => reversed('after').reduce(
+      (prev, hook) => prev.then(res => Promise.resolve(hook(handler, res))
+        .then(replacement => (replacement === undefined ? res : replacement))),
+      Promise.resolve(result)
+    ))
+    .catch(error => reversed('onError').reduce(
+      (prev, hook) => prev.catch(err => Promise.resolve(hook(handler, err))
+        .then((recovered) => {
+          if (recovered === undefined) {
+            throw err;
+          }
+          return recovered;
+        })),
+      Promise.reject(error)
+    ));
+}
+
+module.exports = runMiddleware;
@@ -0,0 +1,74 @@
+// @flow
+
+const CONTENT_TYPE = 'application/vnd.awslambda.http-integration-response';
+const DELIMITER = Buffer.alloc(8);
+
+export type HttpResponseMetadata = {
+  statusCode: number,
+  headers: { [name: string]: string },
+};
+
+/**
+ * Prepare a lambda response stream for an HTTP response by writing the status
+ * code and headers which precede the body. Function URLs and API Gateway read
+ * them from a JSON prelude followed by 8 null bytes.
+ *
+ * The awslambda.HttpResponseStream provided by the lambda runtime is used when
+ * it is available. Otherwise the prelude is written the same way, which keeps
+ * handlers testable outside of lambda.
+ *
+ * @param {Writable} stream
+ *   The response stream passed to the lambda handler.
+ * @param {Object} metadata
+ *   The statusCode and headers of the response.
+ *
+ * @returns {Writable}
+ *   The stream to write the body to.
+ */
+function from(stream: Object, metadata: HttpResponseMetadata): Object {
+  const { awslambda } = global;
+  if (awslambda && awslambda.HttpResponseStream) {
+    return awslambda.HttpResponseStream.from(stream, metadata);
+  }
+
+  stream.setContentType(CONTENT_TYPE);
+  stream.write(JSON.stringify(metadata));
+  stream.write(DELIMITER);
+  return stream;
+}
+
+/**
+ * Split the data written to a response stream into the metadata of an HTTP
+ * response and its body.
+ *
+ * @param {Buffer} data
+ *   The data written to the stream.
+ * @param {String} contentType
+ *   The content type set on the stream.
+ *
+ * @returns {Object}
+ *   The statusCode and headers of HTTP responses, which are undefined for
+ *   other responses, and the body.
+ */
+function parse(data: Buffer, contentType: ?string): {
+  statusCode?: number,
+  headers?: { [name: string]: string },
+  body: Buffer,
+} {
+  const end = data.indexOf(DELIMITER);
+  if (contentType !== CONTENT_TYPE || end === -1) {
+    return { body: data };
+  }
+
+  const metadata = JSON.parse(data.slice(0, end).toString());
+  return {
+    statusCode: metadata.statusCode,
+    headers: metadata.headers,
+    body: data.slice(end + DELIMITER.length),
+  };
+}
+
+module.exports = {
+  from,
+  parse,
+};
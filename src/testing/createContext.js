@@ -0,0 +1,35 @@
+// @flow
+
+import type { Context } from 'flow-aws-lambda'; // eslint-disable-line import/no-extraneous-dependencies
+
+const randomId = require('./randomId');
+
+/**
+ * Create a context object like the one lambda passes to a handler. The
+ * remaining time counts down from the moment the context is created.
+ *
+ * @param {Object} overrides={}
+ *   Properties which replace the defaults of the context.
+ * @param {Number} timeoutMs=3000
+ *   The timeout of the simulated function in milliseconds.
+ *
+ * @returns {Object}
+ *   The context.
+ */
+function createContext(overrides: Object = {}, timeoutMs: number = 3000): Context {
+  const deadline = Date.now() + timeoutMs;
+  const functionName = overrides.functionName || 'test-function';
+  return Object.assign({
+    functionName,
+    functionVersion: '$LATEST',
+    invokedFunctionArn: `arn:aws:lambda:us-east-1:123456789012:function:${functionName}`,
+    memoryLimitInMB: '128',
+    awsRequestId: randomId(),
+    logGroupName: `/aws/lambda/${functionName}`,
+    logStreamName: `2019/01/01/[$LATEST]${randomId().replace(/-/g, '')}`,
+    callbackWaitsForEmptyEventLoop: true,
+    getRemainingTimeInMillis: () => Math.max(deadline - Date.now(), 0),
+  }, overrides);
+}
+
+module.exports = createContext;
@@ -0,0 +1,75 @@
+// @flow
+
+const { Writable } = require('stream');
+const httpResponseStream = require('../streaming/httpResponseStream');
+
+export type StreamedResponse = {
+  contentType: ?string,
+  statusCode?: number,
+  headers?: { [name: string]: string },
+  body: string,
+  chunks: number,
+};
+
+/**
+ * Create a stand-in for the response stream which lambda passes to handlers
+ * using response streaming, such as the ones created by
+ * StreamingHandler.create(). Each write completes asynchronously, like writes
+ * to a network connection, so backpressure applies.
+ *
+ * @example
+ * const responseStream = createResponseStream();
+ * return lambdaHandler(event, responseStream, createContext())
+ *   .then(() => responseStream.response())
+ *   .then(({ statusCode, headers, body }) => { ... });
+ *
+ * @param {Object} options={}
+ *   An object containing options which modify the behavior of the stream.
+ * @param {Number} options.highWaterMark=16384
+ *   The number of bytes buffered before writes report that the stream is
+ *   full.
+ *
+ * @returns {Writable}
+ *   The stream. Its setContentType() method sets its contentType property and
+ *   its response() method returns a promise which resolves once the stream
+ *   has finished with the contentType, the statusCode and headers of HTTP
+ *   responses, the body as a string and the number of chunks written, or
+ *   rejects when the stream is destroyed with an error.
+ */
+function createResponseStream(options: { highWaterMark?: number } = {}): Object {
+  const chunks = [];
+  const stream: Object = new Writable({
+    highWaterMark: options.highWaterMark,
+    write: (chunk, encoding, done) => {
+      chunks.push(chunk);
+      setImmediate(done);
+    },
+  });
+  stream.contentType = null;
+  stream.setContentType = (contentType) => {
+    stream.contentType = contentType;
+  };
+
+  const finished = new Promise((resolve, reject) => {
+    stream.once('finish', resolve);
+    stream.once('error', reject);
+  });
+  // Tests which do not wait for the response should not fail because of it.
+  finished.catch(() => {});
+  stream.response = (): Promise<StreamedResponse> => finished
+    .then(() => {
+      const { body, statusCode, headers } = httpResponseStream
+        .parse(Buffer.concat(chunks), stream.contentType);
+      const delimited = statusCode === undefined ? 0 : 2;
+      return {
+        contentType: stream.contentType,
+        statusCode,
+        headers,
+        body: body.toString(),
+        chunks: chunks.length - delimited,
+      };
+    });
+  return stream;
+}
+
+module.exports = createResponseStream;
@@ -0,0 +1,430 @@
+// @flow
+
+const marshall = require('../eventSources/marshall');
+const randomId = require('./randomId');
+
+const REGION = 'us-east-1';
+const ACCOUNT = '123456789012';
+
+let sequence = 0;
+
+/**
+ * Generate increasing sequence numbers like those of stream records.
+ *
+ * @returns {String}
+ *   The sequence number.
+ */
+function nextSequenceNumber(): string {
+  sequence += 1;
+  return `4959033827149025660855969253836157109592157598913${`000000${sequence}`.slice(-7)}`;
+}
+
+/**
+ * Serialize a message body, leaving strings untouched.
+ *
+ * @param {*} body
+ *   The body of the message.
+ *
+ * @returns {String}
+ *   The serialized body.
+ */
+function serialize(body: any): string {
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * Build SQS or SNS message attributes from string values.
+ *
+ * @param {Object} attributes
+ *   The string value of each attribute keyed by name.
+ * @param {Function} toAttribute
+ *   A function which builds an attribute from its value.
+ *
+ * @returns {Object}
+ *   The message attributes.
+ */
+function messageAttributes(
+  attributes: { [string]: string },
+  toAttribute: (value: string) => Object
+): { [string]: Object } {
+  return Object.keys(attributes).reduce((built, name) => Object.assign(built, {
+    [name]: toAttribute(attributes[name]),
+  }), {});
+}
+
+/**
+ * Determine the name of a DynamoDB Streams event from its images.
+ *
+ * @param {Object} newImage
+ *   The item after the change.
+ * @param {Object} oldImage
+ *   The item before the change.
+ *
+ * @returns {String}
+ *   INSERT, MODIFY or REMOVE.
+ */
+function changeName(newImage: ?Object, oldImage: ?Object): string {
+  if (!oldImage) {
+    return 'INSERT';
+  }
+  return newImage ? 'MODIFY' : 'REMOVE';
+}
+
+/**
+ * Create an SQS event.
+ *
+ * @param {Array} bodies
+ *   The body of each message. Bodies which are not strings are serialized as
+ *   JSON.
+ * @param {Object} options
+ *   An object containing options which modify the event.
+ * @param {Object} options.attributes={}
+ *   String message attributes added to every message.
+ * @param {String} options.queue="test-queue"
+ *   The name of the queue.
+ *
+ * @returns {Object}
+ *   The event.
+ */
+function sqs(
+  bodies: Array<any>,
+  options: { attributes?: { [string]: string }, queue?: string } = {}
+): Object {
+  const attributes = options.attributes || {};
+  const queue = options.queue || 'test-queue';
+  return {
+    Records: bodies.map(body => ({
+      messageId: randomId(),
+      receiptHandle: randomId(),
+      body: serialize(body),
+      attributes: {
+        ApproximateReceiveCount: '1',
+        SentTimestamp: String(Date.now()),
+      },
+      messageAttributes: messageAttributes(attributes, value => ({
+        stringValue: value,
+        dataType: 'String',
+      })),
+      eventSource: 'aws:sqs',
+      eventSourceARN: `arn:aws:sqs:${REGION}:${ACCOUNT}:${queue}`,
+      awsRegion: REGION,
+    })),
+  };
+}
+
+/**
+ * Create an SNS event.
+ *
+ * @param {Array} messages
+ *   Each message. Messages which are not strings are serialized as JSON.
+ * @param {Object} options
+ *   An object containing options which modify the event.
+ * @param {Object} options.attributes={}
+ *   String message attributes added to every message.
+ * @param {String} options.topic="test-topic"
+ *   The name of the topic.
+ *
+ * @returns {Object}
+ *   The event.
+ */
+function sns(
+  messages: Array<any>,
+  options: { attributes?: { [string]: string }, topic?: string } = {}
+): Object {
+  const attributes = options.attributes || {};
+  const topicArn = `arn:aws:sns:${REGION}:${ACCOUNT}:${options.topic || 'test-topic'}`;
+  return {
+    Records: messages.map(message => ({
+      EventVersion: '1.0',
+      EventSubscriptionArn: `${topicArn}:${randomId()}`,
+      EventSource: 'aws:sns',
+      Sns: {
+        Type: 'Notification',
+        MessageId: randomId(),
+        TopicArn: topicArn,
+        Message: serialize(message),
+        Timestamp: new Date().toISOString(),
+        MessageAttributes: messageAttributes(attributes, value => ({
+          Type: 'String',
+          Value: value,
+        })),
+      },
+    })),
+  };
+}
+
+/**
+ * Create an S3 event.
+ *
+ * @param {Object[]} objects
+ *   The objects of the event, each with a bucket, a key and an optional size.
+ * @param {Object} options
+ *   An object containing options which modify the event.
+ * @param {String} options.eventName="ObjectCreated:Put"
+ *   The name of the event.
+ *
+ * @returns {Object}
+ *   The event.
+ */
+function s3(
+  objects: Array<{ bucket: string, key: string, size?: number }>,
+  options: { eventName?: string } = {}
+): Object {
+  return {
+    Records: objects.map(({ bucket, key, size = 0 }) => ({
+      eventVersion: '2.1',
+      eventSource: 'aws:s3',
+      awsRegion: REGION,
+      eventTime: new Date().toISOString(),
+      eventName: options.eventName || 'ObjectCreated:Put',
+      s3: {
+        s3SchemaVersion: '1.0',
+        bucket: {
+          name: bucket,
+          arn: `arn:aws:s3:::${bucket}`,
+        },
+        object: {
+          // Keys are URL encoded with spaces replaced by "+".
+          key: encodeURIComponent(key).replace(/%20/g, '+').replace(/%2F/g, '/'),
+          size,
+        },
+      },
+    })),
+  };
+}
+
+/**
+ * Create a DynamoDB Streams event.
+ *
+ * @param {Object[]} changes
+ *   The changes of the event, each with plain JavaScript keys and optionally
+ *   a newImage, an oldImage and an eventName. The eventName defaults to
+ *   INSERT, MODIFY or REMOVE depending on the images.
+ * @param {Object} options
+ *   An object containing options which modify the event.
+ * @param {String} options.table="test-table"
+ *   The name of the table.
+ *
+ * @returns {Object}
+ *   The event.
+ */
+function dynamodb(
+  changes: Array<{ keys: Object, newImage?: Object, oldImage?: Object, eventName?: string }>,
+  options: { table?: string } = {}
+): Object {
+  const table = options.table || 'test-table';
+  return {
+    Records: changes.map(({
+      keys,
+      newImage,
+      oldImage,
+      eventName,
+    }) => ({
+      eventID: randomId().replace(/-/g, ''),
+      eventName: eventName || changeName(newImage, oldImage),
+      eventVersion: '1.1',
+      eventSource: 'aws:dynamodb',
+      awsRegion: REGION,
+      dynamodb: {
+        Keys: marshall(keys),
+        NewImage: marshall(newImage),
+        OldImage: marshall(oldImage),
+        SequenceNumber: nextSequenceNumber(),
+        StreamViewType: 'NEW_AND_OLD_IMAGES',
+      },
+      eventSourceARN: `arn:aws:dynamodb:${REGION}:${ACCOUNT}:table/${table}/stream/2019-01-01T00:00:00.000`,
+    })),
+  };
+}
+
+/**
+ * Create a Kinesis event.
+ *
+ * @param {Array} records
+ *   The data of each record. Data which is not a string is serialized as
+ *   JSON.
+ * @param {Object} options
+ *   An object containing options which modify the event.
+ * @param {String} options.partitionKey="partition-1"
+ *   The partition key of every record.
+ * @param {String} options.stream="test-stream"
+ *   The name of the stream.
+ *
+ * @returns {Object}
+ *   The event.
+ */
+function kinesis(
+  records: Array<any>,
+  options: { partitionKey?: string, stream?: string } = {}
+): Object {
+  return {
+    Records: records.map((data) => {
+      const sequenceNumber = nextSequenceNumber();
+      return {
+        kinesis: {
+          kinesisSchemaVersion: '1.0',
+          partitionKey: options.partitionKey || 'partition-1',
+          sequenceNumber,
+          data: Buffer.from(serialize(data)).toString('base64'),
+          approximateArrivalTimestamp: Date.now() / 1000,
+        },
+        eventSource: 'aws:kinesis',
+        eventVersion: '1.0',
+        eventID: `shardId-000000000000:${sequenceNumber}`,
+        eventName: 'aws:kinesis:record',
+        awsRegion: REGION,
+        eventSourceARN: `arn:aws:kinesis:${REGION}:${ACCOUNT}:stream/${options.stream || 'test-stream'}`,
+      };
+    }),
+  };
+}
+
+/**
+ * Create an EventBridge event.
+ *
+ * @param {*} detail
+ *   The detail of the event.
+ * @param {Object} options
+ *   An object containing options which modify the event.
+ * @param {String} options.source="test.source"
+ *   The source of the event.
+ * @param {String} options.detailType="Test Event"
+ *   The detail type of the event.
+ *
+ * @returns {Object}
+ *   The event.
+ */
+function eventBridge(
+  detail: any,
+  options: { source?: string, detailType?: string } = {}
+): Object {
+  return {
+    version: '0',
+    id: randomId(),
+    'detail-type': options.detailType || 'Test Event',
+    source: options.source || 'test.source',
+    account: ACCOUNT,
+    time: new Date().toISOString(),
+    region: REGION,
+    resources: [],
+    detail,
+  };
+}
+
+/**
+ * Create an API Gateway proxy event.
+ *
+ * @param {Object} request
+ *   The request of the event.
+ * @param {String} request.method="GET"
+ *   The HTTP method.
+ * @param {String} request.path="/"
+ *   The path of the request.
+ * @param {Object} request.headers={}
+ *   The headers of the request.
+ * @param {Object} request.query=null
+ *   The query string parameters.
+ * @param {Object} request.params=null
+ *   The path parameters.
+ * @param {*} request.body=null
+ *   The body of the request. Buffers are base64 encoded and other values
+ *   which are not strings are serialized as JSON with a JSON content type.
+ * @param {Number} request.version=1
+ *   The payload format version: 1 for REST APIs and 2 for HTTP APIs.
+ *
+ * @returns {Object}
+ *   The event.
+ */
+function apiGateway(request: {
+  method?: string,
+  path?: string,
+  headers?: { [string]: string },
+  query?: ?{ [string]: string },
+  params?: ?{ [string]: string },
+  body?: any,
+  version?: 1 | 2,
+} = {}): Object {
+  const method = (request.method || 'GET').toUpperCase();
+  const path = request.path || '/';
+  const headers = Object.assign({}, request.headers);
+  const query = request.query || null;
+  const params = request.params || null;
+  const { body } = request;
+  const isBase64Encoded = body instanceof Buffer;
+  let encodedBody = null;
+  if (body instanceof Buffer) {
+    encodedBody = body.toString('base64');
+  }
+  else if (body !== null && body !== undefined) {
+    const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+    if (typeof body !== 'string' && !hasContentType) {
+      headers['Content-Type'] = 'application/json';
+    }
+    encodedBody = serialize(body);
+  }
+
+  if (request.version === 2) {
+    const parameters = query || {};
+    return {
+      version: '2.0',
+      routeKey: '$default',
+      rawPath: path,
+      rawQueryString: Object.keys(parameters)
+        .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(parameters[name])}`)
+        .join('&'),
+      headers,
+      queryStringParameters: query || undefined,
+      pathParameters: params || undefined,
+      requestContext: {
+        accountId: ACCOUNT,
+        apiId: 'test-api',
+        http: {
+          method,
+          path,
+          protocol: 'HTTP/1.1',
+          sourceIp: '127.0.0.1',
+          userAgent: 'lambda-patterns',
+        },
+        requestId: randomId(),
+        routeKey: '$default',
+        stage: '$default',
+      },
+      body: encodedBody === null ? undefined : encodedBody,
+      isBase64Encoded,
+    };
+  }
+
+  return {
+    resource: path,
+    path,
+    httpMethod: method,
+    headers,
+    queryStringParameters: query,
+    pathParameters: params,
+    stageVariables: null,
+    requestContext: {
+      accountId: ACCOUNT,
+      apiId: 'test-api',
+      httpMethod: method,
+      identity: {
+        sourceIp: '127.0.0.1',
+        userAgent: 'lambda-patterns',
+      },
+      path,
+      requestId: randomId(),
+      stage: 'test',
+    },
+    body: encodedBody,
+    isBase64Encoded,
+  };
+}
+
+module.exports = {
+  sqs,
+  sns,
+  s3,
+  dynamodb,
+  kinesis,
+  eventBridge,
+  apiGateway,
+};
@@ -0,0 +1,26 @@
+// @flow
+
+const Handler = require('../Handler');
+const createContext = require('./createContext');
+const createResponseStream = require('./createResponseStream');
+const events = require('./events');
+const invoke = require('./invoke');
+
+/**
+ * Reset the state shared by the invocations of a container so the next
+ * invocation is a cold start, and resources and configuration are loaded
+ * again.
+ *
+ * @see Handler.resetContainer()
+ */
+function resetContainer(): void {
+  Handler.resetContainer();
+}
+
+module.exports = {
+  createContext,
+  createResponseStream,
+  events,
+  invoke,
+  resetContainer,
+};
@@ -0,0 +1,52 @@
+// @flow
+
+import type { // eslint-disable-line import/no-extraneous-dependencies
+  Context,
+  Callback,
+} from 'flow-aws-lambda';
+
+const createContext = require('./createContext');
+
+/**
+ * Invoke a lambda handler the way lambda does and wait for its response.
+ *
+ * @param {Function} lambdaHandler
+ *   The lambda handler, such as one returned by Handler.create().
+ * @param {*} event
+ *   The event to invoke the handler with.
+ * @param {Object} context=createContext()
+ *   The context to invoke the handler with.
+ *
+ * @returns {Promise<*>}
+ *   A promise which resolves with the response passed to the callback or
+ *   returned by the handler, or rejects with the error passed to the callback
+ *   or thrown by the handler.
+ */
+function invoke(
+  lambdaHandler: (event: any, context: Context, callback: Callback) => any,
+  event: any,
+  context: Context = createContext()
+): Promise<any> {
+  return new Promise((resolve, reject) => {
+    const callback = (error, response) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(response);
+    };
+    Promise.resolve()
+      .then(() => {
+        const result = lambdaHandler(event, context, callback);
+        // Like lambda, use the outcome of handlers which return a promise,
+        // unless they have already called the callback.
+        if (result && typeof result.then === 'function') {
+          return result.then(resolve);
+        }
+        return undefined;
+      })
+      .catch(reject);
+  });
+}
+
+module.exports = invoke;
@@ -0,0 +1,27 @@
+// @flow
+
+const crypto = require('crypto');
+
+/**
+ * Generate a random version 4 UUID like the ids generated by AWS.
+ *
+ * @returns {String}
+ *   The UUID.
+ */
+function randomId(): string {
+  const bytes = crypto.randomBytes(16);
+  /* eslint-disable no-bitwise */
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  /* eslint-enable no-bitwise */
+  const hex = bytes.toString('hex');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join('-');
+}
+
+module.exports = randomId;
@@ -0,0 +1,265 @@
+// @flow
+
+import type { Span, TraceExporter } from '../types';
+
+const crypto = require('crypto');
+
+const SPAN_KINDS = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CONSUMER: 5,
+};
+
+export type TracerOptions = {
+  serviceName?: string,
+  exporter?: ?TraceExporter,
+};
+
+/**
+ * Generate a random hex encoded id.
+ *
+ * @param {Number} bytes
+ *   The number of random bytes.
+ *
+ * @returns {String}
+ *   The id.
+ */
+function randomHex(bytes: number): string {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Convert a time in milliseconds to the nanosecond string used by OTLP.
+ *
+ * @param {Number} ms
+ *   Milliseconds since the epoch.
+ *
+ * @returns {String}
+ *   Nanoseconds since the epoch.
+ */
+function toUnixNano(ms: number): string {
+  let whole = Math.floor(ms);
+  let nanos = Math.round((ms - whole) * 1e6);
+  if (nanos === 1e6) {
+    whole += 1;
+    nanos = 0;
+  }
+  const digits = String(nanos);
+  return `${whole}${'000000'.slice(digits.length)}${digits}`;
+}
+
+/**
+ * Convert attributes to OTLP key values.
+ *
+ * @param {Object} attributes
+ *   Attribute values keyed by name.
+ *
+ * @returns {Object[]}
+ *   The key values.
+ */
+function toKeyValues(attributes: { [name: string]: any }): Array<Object> {
+  return Object.keys(attributes).map((key) => {
+    const value = attributes[key];
+    if (typeof value === 'boolean') {
+      return { key, value: { boolValue: value } };
+    }
+    if (typeof value === 'number') {
+      return Number.isInteger(value)
+        ? { key, value: { intValue: String(value) } }
+        : { key, value: { doubleValue: value } };
+    }
+    return { key, value: { stringValue: String(value) } };
+  });
+}
+
+/**
+ * Records spans and exports them to a pluggable exporter.
+ */
+class Tracer {
+  /**
+   * @type {Object}
+   * An exporter which writes the spans to stdout as a JSON line in the
+   * OpenTelemetry protocol (OTLP) JSON format.
+   * @static
+   */
+  static get stdoutExporter(): TraceExporter {
+    return {
+      export: (spans, tracer) => process.stdout.write(`${JSON.stringify(tracer.toOtlp(spans))}\n`),
+    };
+  }
+
+  /**
+   * Generate a random trace id.
+   *
+   * @returns {String}
+   *   A 32 character hex encoded trace id.
+   */
+  static traceId(): string {
+    return randomHex(16);
+  }
+
+  /**
+   * Generate a random span id.
+   *
+   * @returns {String}
+   *   A 16 character hex encoded span id.
+   */
+  static spanId(): string {
+    return randomHex(8);
+  }
+
+  serviceName: string;
+  exporter: TraceExporter;
+  spans: Array<Span>;
+  epoch: number;
+  epochHrtime: [number, number];
+
+  /**
+   * Constructs a tracer.
+   *
+   * @param {Object} options
+   *   An object containing options which modify the behavior of the tracer.
+   * @param {String} options.serviceName="lambda-patterns"
+   *   The service.name resource attribute of the exported spans.
+   * @param {Object} options.exporter=Tracer.stdoutExporter
+   *   Any object with an export(spans, tracer) method which receives the
+   *   finished spans when the tracer is flushed. It may return a promise.
+   */
+  constructor(options: TracerOptions = {}) {
+    this.serviceName = options.serviceName || 'lambda-patterns';
+    this.exporter = options.exporter || this.constructor.stdoutExporter;
+    this.spans = [];
+    this.epoch = Date.now();
+    this.epochHrtime = process.hrtime();
+  }
+
+  /**
+   * Get the current time with sub-millisecond precision.
+   *
+   * @returns {Number}
+   *   Milliseconds since the epoch.
+   */
+  now(): number {
+    const [seconds, nanoseconds] = process.hrtime(this.epochHrtime);
+    return this.epoch + (seconds * 1e3) + (nanoseconds / 1e6);
+  }
+
+  /**
+   * Start a span.
+   *
+   * @param {String} name
+   *   The name of the span.
+   * @param {Object} options
+   *   An object containing the traceId and parentSpanId of the span, its
+   *   kind ("SERVER", "CONSUMER" or "INTERNAL", the default), its attributes,
+   *   links to spans of other traces and its startTime in milliseconds since
+   *   the epoch, which defaults to now.
+   *
+   * @returns {Object}
+   *   The span. Pass it to endSpan() once the work it measures is done.
+   */
+  startSpan(name: string, options: {
+    traceId: string,
+    parentSpanId?: ?string,
+    kind?: $PropertyType<Span, 'kind'>,
+    attributes?: $PropertyType<Span, 'attributes'>,
+    links?: $PropertyType<Span, 'links'>,
+    startTime?: number,
+  }): Span {
+    const span = {
+      traceId: options.traceId,
+      spanId: this.constructor.spanId(),
+      parentSpanId: options.parentSpanId || null,
+      name,
+      kind: options.kind || 'INTERNAL',
+      startTime: typeof options.startTime === 'number' ? options.startTime : this.now(),
+      endTime: null,
+      attributes: Object.assign({}, options.attributes),
+      links: options.links || [],
+      error: null,
+    };
+    this.spans.push(span);
+    return span;
+  }
+
+  /**
+   * End a span. Ending a span again has no effect.
+   *
+   * @param {Object} span
+   *   The span.
+   * @param {Error} error
+   *   The error which the work measured by the span failed with, if any.
+   */
+  endSpan(span: Span, error: ?Error): void {
+    if (typeof span.endTime === 'number') {
+      // #donothing
+      return;
+    }
+    // eslint-disable-next-line no-param-reassign
+    span.endTime = this.now();
+    if (error) {
+      // eslint-disable-next-line no-param-reassign
+      span.error = { name: error.name, message: error.message };
+    }
+  }
+
+  /**
+   * Convert spans to an OTLP JSON trace export request.
+   *
+   * @param {Object[]} spans
+   *   The spans.
+   *
+   * @returns {Object}
+   *   The export request.
+   */
+  toOtlp(spans: Array<Span>): Object {
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: toKeyValues({ 'service.name': this.serviceName }),
+        },
+        scopeSpans: [{
+          scope: { name: 'lambda-patterns' },
+          spans: spans.map((span) => {
+            const otlp: Object = {
+              traceId: span.traceId,
+              spanId: span.spanId,
+              name: span.name,
+              kind: SPAN_KINDS[span.kind],
+              startTimeUnixNano: toUnixNano(span.startTime),
+              endTimeUnixNano: toUnixNano(span.endTime || span.startTime),
+              attributes: toKeyValues(span.attributes),
+              links: span.links.map(link => ({ traceId: link.traceId, spanId: link.spanId })),
+              status: span.error ? { code: 2, message: span.error.message } : { code: 1 },
+            };
+            if (span.parentSpanId) {
+              otlp.parentSpanId = span.parentSpanId;
+            }
+            return otlp;
+          }),
+        }],
+      }],
+    };
+  }
+
+  /**
+   * Export the finished spans and forget them. Spans which have not ended are
+   * kept for the next flush. Nothing is exported when no span has ended.
+   *
+   * @returns {Promise<void>}
+   *   A promise which resolves once the exporter has completed.
+   */
+  flush(): Promise<void> {
+    const finished = this.spans.filter(span => typeof span.endTime === 'number');
+    if (!finished.length) {
+      return Promise.resolve();
+    }
+
+    this.spans = this.spans.filter(span => finished.indexOf(span) === -1);
+    return Promise.resolve()
+      .then(() => this.exporter.export(finished, this))
+      .then(() => undefined);
+  }
+}
+
+module.exports = Tracer;
@@ -0,0 +1,192 @@
+// @flow
+
+import type { EventRecord, HttpRequest, TraceContext } from '../types';
+
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const XRAY_ROOT = /^1-([0-9a-f]{8})-([0-9a-f]{24})$/;
+const SPAN_ID = /^[0-9a-f]{16}$/;
+const XRAY_ENV = '_X_AMZN_TRACE_ID';
+
+/**
+ * Determine whether an id is made of zeros, which W3C trace context uses to
+ * mark invalid ids.
+ *
+ * @param {String} id
+ *   A hex encoded id.
+ *
+ * @returns {Boolean}
+ *   Whether the id is invalid.
+ */
+function isZero(id: string): boolean {
+  return /^0+$/.test(id);
+}
+
+/**
+ * Parse a W3C traceparent header.
+ *
+ * @param {String} value
+ *   The header, such as
+ *   "00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01".
+ *
+ * @returns {?Object}
+ *   The trace context, or null when the header is malformed.
+ */
+function parseTraceparent(value: any): ?TraceContext {
+  const match = typeof value === 'string' && TRACEPARENT.exec(value.trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, parentSpanId, flags, rest] = match;
+  // Version 00 has no trailing fields and version ff is forbidden.
+  if (version === 'ff' || (version === '00' && rest) || isZero(traceId) || isZero(parentSpanId)) {
+    return null;
+  }
+  // eslint-disable-next-line no-bitwise
+  return { traceId, parentSpanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+/**
+ * Parse an X-Ray trace header, as found in the _X_AMZN_TRACE_ID environment
+ * variable, the X-Amzn-Trace-Id HTTP header and the AWSTraceHeader attribute
+ * of SQS messages.
+ *
+ * @param {String} value
+ *   The header, such as
+ *   "Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1".
+ *
+ * @returns {?Object}
+ *   The trace context, or null when the header has no valid root. The X-Ray
+ *   trace id is converted to a W3C trace id by dropping its version and
+ *   dashes.
+ */
+function parseXRayHeader(value: any): ?TraceContext {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const fields = value.split(';').reduce((acc, field) => {
+    const [key, ...rest] = field.split('=');
+    return Object.assign(acc, { [key.trim().toLowerCase()]: rest.join('=').trim() });
+  }, {});
+  const root = XRAY_ROOT.exec((fields.root || '').toLowerCase());
+  if (!root) {
+    return null;
+  }
+
+  const parent = (fields.parent || '').toLowerCase();
+  return {
+    traceId: `${root[1]}${root[2]}`,
+    parentSpanId: SPAN_ID.test(parent) && !isZero(parent) ? parent : null,
+    sampled: fields.sampled === '1',
+  };
+}
+
+/**
+ * Format a W3C traceparent header.
+ *
+ * @param {String} traceId
+ *   The trace id.
+ * @param {String} spanId
+ *   The id of the span which is the parent of the receiving side.
+ * @param {Boolean} sampled
+ *   Whether the trace is sampled.
+ *
+ * @returns {String}
+ *   The header.
+ */
+function formatTraceparent(traceId: string, spanId: string, sampled: boolean): string {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * Format an X-Ray trace header.
+ *
+ * @param {String} traceId
+ *   The W3C trace id.
+ * @param {String} spanId
+ *   The id of the span which is the parent of the receiving side.
+ * @param {Boolean} sampled
+ *   Whether the trace is sampled.
+ *
+ * @returns {String}
+ *   The header.
+ */
+function formatXRayHeader(traceId: string, spanId: string, sampled: boolean): string {
+  return `Root=1-${traceId.slice(0, 8)}-${traceId.slice(8)};Parent=${spanId};Sampled=${sampled ? 1 : 0}`;
+}
+
+/**
+ * Find the trace context carried by a message attribute, preferring the W3C
+ * format.
+ *
+ * @param {Object} attributes
+ *   Attribute values keyed by name.
+ *
+ * @returns {?Object}
+ *   The trace context, if any.
+ */
+function fromAttributes(attributes: { [name: string]: any }): ?TraceContext {
+  const names = Object.keys(attributes);
+  const find = name => names.find(key => key.toLowerCase() === name);
+  const traceparent = find('traceparent');
+  const xray = find('awstraceheader') || find('x-amzn-trace-id');
+  return (traceparent && parseTraceparent(attributes[traceparent])) ||
+    (xray && parseXRayHeader(attributes[xray])) ||
+    null;
+}
+
+/**
+ * Extract the trace contexts carried by an event. HTTP requests carry them in
+ * the traceparent or X-Amzn-Trace-Id headers. SQS and SNS records carry them
+ * in a traceparent message attribute, and SQS records in the AWSTraceHeader
+ * system attribute which X-Ray sets.
+ *
+ * @param {Object} normalized
+ *   The request or records of the normalized event.
+ * @param {Object} env=process.env
+ *   The environment, whose _X_AMZN_TRACE_ID variable holds the X-Ray context
+ *   of the invocation.
+ *
+ * @returns {Object[]}
+ *   The trace contexts of the request or of each record which carries one, in
+ *   order, followed by the context of the environment. Each context has a
+ *   source property naming where it was found ("HTTP", "RECORD" or "ENV").
+ */
+function extractTraceContexts(
+  normalized: { request?: ?HttpRequest, records?: ?Array<EventRecord> },
+  env: { [name: string]: ?string } = process.env
+): Array<TraceContext> {
+  const contexts = [];
+  const { request, records } = normalized;
+  if (request) {
+    const context = fromAttributes(request.headers);
+    if (context) {
+      contexts.push(Object.assign(context, { source: 'HTTP' }));
+    }
+  }
+  (records || []).forEach((record) => {
+    const { raw } = record;
+    const systemAttributes = raw && raw.attributes && typeof raw.attributes === 'object'
+      ? raw.attributes
+      : {};
+    const context = fromAttributes(record.attributes) || fromAttributes(systemAttributes);
+    if (context) {
+      contexts.push(Object.assign(context, { source: 'RECORD' }));
+    }
+  });
+
+  const context = parseXRayHeader(env[XRAY_ENV]);
+  if (context) {
+    contexts.push(Object.assign(context, { source: 'ENV' }));
+  }
+  return contexts;
+}
+
+module.exports = {
+  parseTraceparent,
+  parseXRayHeader,
+  formatTraceparent,
+  formatXRayHeader,
+  extractTraceContexts,
+};
@@ -0,0 +1,149 @@
+// @flow
+
+import type Handler from './Handler';
+import type Tracer from './tracing/Tracer';
+
+export type Phase = 'init' | 'process' | 'cleanup' | 'respond';
+
+// The phases of an invocation, how long the modules of a cold start took to
+// load and the duration of the whole invocation.
+export type Timing = Phase | 'moduleLoad' | 'total';
+
+export type Middleware = {
+  before?: { [phase: Phase]: (handler: Handler, ...args: Array<any>) => any },
+  after?: { [phase: Phase]: (handler: Handler, result: any) => any },
+  onError?: { [phase: Phase]: (handler: Handler, error: Error) => any },
+};
+
+export type LambdaHandler = {
+  (
+    event: $PropertyType<Handler, 'event'>,
+    context: $PropertyType<Handler, 'context'>,
+    callback?: $PropertyType<Handler, 'callback'>
+  ): Promise<any>,
+  use: (middleware: Middleware) => LambdaHandler,
+};
+
+export type StreamingLambdaHandler = {
+  (
+    event: $PropertyType<Handler, 'event'>,
+    responseStream: Object,
+    context: $PropertyType<Handler, 'context'>
+  ): Promise<any>,
+  +use: (middleware: Middleware) => StreamingLambdaHandler,
+};
+
+// The lambda handler created by the create() method of a handler class, whose
+// arguments depend on the class: a LambdaHandler for Handler and HttpHandler
+// and a StreamingLambdaHandler for StreamingHandler.
+export type AnyLambdaHandler = {
+  (...args: Array<any>): Promise<any>,
+  +use: (middleware: Middleware) => AnyLambdaHandler,
+};
+
+export type ProfileSink = {
+  write: (profile: string, handler: Handler) => void | Promise<void>,
+};
+
+export type EventRecord = {
+  id: string,
+  eventSource: string,
+  body: any,
+  attributes: { [name: string]: any },
+  raw: any,
+};
+
+export type HttpRequest = {
+  method: string,
+  path: string,
+  headers: { [name: string]: string },
+  query: { [name: string]: string },
+  params: { [name: string]: string },
+  body: any,
+  raw: any,
+};
+
+export type NormalizedEvent = {
+  eventSource: ?string,
+  records?: Array<EventRecord>,
+  request?: HttpRequest,
+};
+
+export type EventSourceAdapter = {
+  name: string,
+  detect: (event: any) => boolean,
+  normalize: (event: any) => Object,
+};
+
+export type BatchSummary = {
+  total: number,
+  succeeded: number,
+  failed: number,
+  skipped: number,
+  failures: Array<{ record: EventRecord, error: ?Error }>,
+};
+
+export type ProxyResult = {
+  statusCode: number,
+  headers?: { [name: string]: string },
+  body: string,
+  isBase64Encoded?: boolean,
+};
+
+export type IdempotencyRecord = {
+  status: 'IN_PROGRESS' | 'COMPLETED',
+  expiresAt: number,
+  response?: any,
+};
+
+export type IdempotencyStore = {
+  +claim: (key: string, expiresAt: number) => ?IdempotencyRecord | Promise<?IdempotencyRecord>,
+  +complete: (key: string, response: any, expiresAt: number) => void | Promise<void>,
+  +release: (key: string) => void | Promise<void>,
+};
+
+export type FailureRecord = {
+  event: any,
+  error: { name: string, message: string, stack: ?string },
+  attempts: number,
+  receiveCount: ?number,
+  awsRequestId: ?string,
+  functionName: ?string,
+  failedAt: string,
+};
+
+export type FailureDestination = {
+  +send: (failure: FailureRecord, handler: Handler) => void | Promise<void>,
+};
+
+export type WarmUpInvoker = {
+  +invoke: (payload: Object, handler: Handler) => any,
+};
+
+export type ConfigProvider = {
+  +get: (names: Array<string>) => Promise<{ [name: string]: ?string }>,
+};
+
+export type TraceContext = {
+  traceId: string,
+  parentSpanId: ?string,
+  sampled: boolean,
+  source?: string,
+};
+
+export type Span = {
+  traceId: string,
+  spanId: string,
+  parentSpanId: ?string,
+  name: string,
+  kind: 'SERVER' | 'CONSUMER' | 'INTERNAL',
+  startTime: number,
+  endTime: ?number,
+  attributes: { [name: string]: string | number | boolean },
+  links: Array<{ traceId: string, spanId: string }>,
+  error: ?{ name: string, message: string },
+};
+
+export type TraceExporter = {
+  +export: (spans: Array<Span>, tracer: Tracer) => any,
+};
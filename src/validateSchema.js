@@ -0,0 +1,63 @@
+// @flow
+
+export type SchemaError = {
+  path: string,
+  message: string,
+  keyword: string,
+};
+
+// Compiled validators are cached for the lifetime of the container so warm
+// invocations do not pay for compilation again.
+const validators: WeakMap<Object, Function> = new WeakMap();
+let ajv;
+
+/**
+ * Get the compiled validator for a JSON Schema.
+ *
+ * @param {Object} schema
+ *   The JSON Schema.
+ *
+ * @returns {Function}
+ *   The compiled validator.
+ */
+function compile(schema: Object): Function {
+  let validate = validators.get(schema);
+  if (!validate) {
+    // We only require the validator if we need it to ensure as little impact
+    // as possible on handlers which do not validate.
+    if (!ajv) {
+      const Ajv = require('ajv'); // eslint-disable-line global-require
+      ajv = new Ajv({ allErrors: true, jsonPointers: true });
+    }
+    validate = ajv.compile(schema);
+    validators.set(schema, validate);
+  }
+  return validate;
+}
+
+/**
+ * Validate data against a JSON Schema.
+ *
+ * @param {Object} schema
+ *   The JSON Schema.
+ * @param {*} data
+ *   The data to validate.
+ *
+ * @returns {?Object[]}
+ *   A list of errors, each with the JSON Pointer path of the invalid data, a
+ *   message and the failing schema keyword, or null if the data is valid.
+ */
+function validateSchema(schema: Object, data: any): ?Array<SchemaError> {
+  const validate = compile(schema);
+  if (validate(data)) {
+    return null;
+  }
+
+  return validate.errors.map(error => ({
+    path: error.dataPath || '/',
+    message: error.message,
+    keyword: error.keyword,
+  }));
+}
+
+module.exports = validateSchema;
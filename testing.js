@@ -0,0 +1,2 @@
+// Allows the testing helpers to be required as "lambda-patterns/testing".
+module.exports = require('./lib/testing'); // eslint-disable-line import/no-unresolved, import/extensions